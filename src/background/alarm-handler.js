@@ -6,28 +6,139 @@
  * @module alarm-handler
  */
 
-import { ALARM_PREFIX } from "../lib/constants.js";
+import {
+    ALARM_PREFIX,
+    DELIVERY,
+    DIGEST,
+    ESCALATION,
+    QUIET_HOURS,
+} from "../lib/constants.js";
+import {
+    getDueBatch,
+    getLateness,
+    isNotified,
+} from "../lib/delivery-policy.js";
 import * as StorageService from "../services/storage-service.js";
-import { createReminderNotification } from "./notification-handler.js";
+import * as ReminderService from "../services/reminder-service.js";
+import * as QuietHoursService from "../services/quiet-hours-service.js";
+import * as DigestService from "../services/digest-service.js";
+import { runMutation } from "../services/write-queue.js";
+import {
+    createDigestNotification,
+    createHeldRemindersNotification,
+    deliverOverdueReminders,
+    deliverReminderBatch,
+    deliverReminderNotification,
+} from "./notification-handler.js";
 
 /**
- * Handles a fired Chrome alarm by looking up the corresponding reminder
- * and creating a desktop notification.
+ * Tail of the reminder-alarm queue. Reminder alarms are handled one at a
+ * time, so alarms that fire together can't both deliver the same batch.
+ * @type {Promise<void>}
+ */
+let reminderDeliveries = Promise.resolve();
+
+/**
+ * Delivers a fired reminder alarm, together with the other reminders that
+ * come due around the same time (see getDueBatch in lib/delivery-policy.js).
+ * Recurring reminders also get their alarm re-armed for the next occurrence.
+ * A reminder already notified for its current occurrence (e.g. by the
+ * startup summary or an earlier batch) is not notified again. An alarm
+ * that fires late (the computer was asleep) records the lateness on the
+ * reminders it delivers.
+ * @param {chrome.alarms.Alarm} alarm - The fired reminder alarm
+ * @returns {Promise<void>}
+ */
+async function deliverReminderAlarm(alarm) {
+    const reminderId = alarm.name.slice(ALARM_PREFIX.length);
+    let reminders = await StorageService.getReminders();
+    const reminder = reminders.find((r) => r.id === reminderId);
+
+    if (!reminder || reminder.status !== "pending") {
+        return;
+    }
+
+    if (reminder.recurrence) {
+        await runMutation((storage) =>
+            ReminderService.advanceRecurringReminder(
+                reminder.id,
+                alarm.scheduledTime,
+                { storage },
+            ),
+        );
+        reminders = await StorageService.getReminders();
+    }
+
+    const current = reminders.find((r) => r.id === reminderId);
+    if (!current || isNotified(current)) {
+        return;
+    }
+
+    let batch = getDueBatch(reminders, current.scheduledTime);
+    const now = Date.now();
+    if (getLateness(alarm.scheduledTime, now) > 0) {
+        batch = await runMutation((storage) =>
+            ReminderService.recordLateness(
+                batch.map((r) => r.id),
+                now,
+                { storage },
+            ),
+        );
+    }
+    await deliverReminderBatch(batch);
+}
+
+/**
+ * Handles a fired Chrome alarm. Reminder alarms create a desktop
+ * notification for the reminder and any others due at the same time (held
+ * during quiet hours); see deliverReminderAlarm. The quiet-hours release alarm
+ * delivers everything held in one notification, the periodic re-notify
+ * alarm repeats overdue reminders, and escalation alarms re-notify a single
+ * overdue reminder at a higher priority. The daily digest alarm shows the
+ * morning summary and is re-aligned to the configured time for the next day.
  * @param {chrome.alarms.Alarm} alarm - The fired alarm object
  * @returns {Promise<void>}
  */
 export async function handleAlarmFired(alarm) {
-    if (!alarm.name.startsWith(ALARM_PREFIX)) {
-        return; // Not a reminder alarm
+    if (alarm.name === QUIET_HOURS.RELEASE_ALARM) {
+        const released = await QuietHoursService.releaseHeldReminders();
+        await createHeldRemindersNotification(released);
+        return;
     }
 
-    const reminderId = alarm.name.slice(ALARM_PREFIX.length);
-    const reminders = await StorageService.getReminders();
-    const reminder = reminders.find((r) => r.id === reminderId);
+    if (alarm.name === DELIVERY.RENOTIFY_ALARM) {
+        await deliverOverdueReminders();
+        return;
+    }
 
-    if (reminder && reminder.status === "pending") {
-        await createReminderNotification(reminder);
+    if (alarm.name === DIGEST.ALARM) {
+        await createDigestNotification(await DigestService.getDailyDigest());
+        await DigestService.syncDigestAlarm();
+        return;
     }
+
+    if (alarm.name.startsWith(ESCALATION.ALARM_PREFIX)) {
+        const escalated = await runMutation((storage) =>
+            ReminderService.escalateReminder(
+                alarm.name.slice(ESCALATION.ALARM_PREFIX.length),
+                { storage },
+            ),
+        );
+        if (escalated) {
+            await deliverReminderNotification(escalated);
+        }
+        return;
+    }
+
+    if (!alarm.name.startsWith(ALARM_PREFIX)) {
+        return; // Not a reminder alarm
+    }
+
+    const delivery = reminderDeliveries.then(() => deliverReminderAlarm(alarm));
+    reminderDeliveries = delivery.catch((err) => {
+        console.error("Failed to deliver reminder:", err);
+    });
+    await delivery;
 }
 
 /**
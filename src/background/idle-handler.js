@@ -0,0 +1,34 @@
+// @ts-check
+
+/**
+ * Chrome Idle API handler for holding notifications while the user is away.
+ * When the system becomes active again, reminders held while it was idle or
+ * locked are re-presented as a fresh batch.
+ * @module idle-handler
+ */
+
+import { IDLE, HOLD_REASONS } from "../lib/constants.js";
+import * as HoldService from "../services/hold-service.js";
+import { createIdleHeldRemindersNotification } from "./notification-handler.js";
+
+/**
+ * Handles an idle-state change: on return to active, delivers everything
+ * held while the user was away.
+ * @param {string} state - "active", "idle" or "locked"
+ * @returns {Promise<void>}
+ */
+export async function handleIdleStateChanged(state) {
+    if (state !== IDLE.ACTIVE_STATE) {
+        return;
+    }
+    const released = await HoldService.releaseHeldReminders(
+        HOLD_REASONS.IDLE,
+    );
+    await createIdleHeldRemindersNotification(released);
+}
+
+/**
+ * Register the idle listener, using the same threshold as the hold check.
+ */
+chrome.idle.setDetectionInterval(IDLE.DETECTION_SECONDS);
+chrome.idle.onStateChanged.addListener(handleIdleStateChanged);
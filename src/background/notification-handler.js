@@ -2,45 +2,423 @@
 
 /**
  * Chrome Notifications handler for desktop reminder notifications.
- * Creates notifications and handles notification click events.
+ * Creates notifications and handles notification click and button events.
  * @module notification-handler
  */
 
-import { ALARM_PREFIX } from "../lib/constants.js";
-import { formatDateTime } from "../lib/utils.js";
+import {
+    ALARM_PREFIX,
+    DELIVERY,
+    DIGEST,
+    NOTIFICATION_BUTTONS,
+    PRIVACY_MODES,
+    QUIET_HOURS,
+    SNOOZE_DURATION_MS,
+    SNOOZE_OPTIONS,
+} from "../lib/constants.js";
+import { formatDateTime, formatDuration } from "../lib/utils.js";
+import { getDueDeliveries } from "../lib/delivery-policy.js";
+import { getDisplayName } from "../lib/privacy.js";
+import {
+    getEscalationPriority,
+    resolveEscalationPolicy,
+} from "../lib/escalation.js";
 import * as ChatService from "../services/chat-service.js";
 import * as StorageService from "../services/storage-service.js";
+import * as ReminderService from "../services/reminder-service.js";
+import * as QuietHoursService from "../services/quiet-hours-service.js";
+import * as IdleHoldService from "../services/idle-hold-service.js";
+import * as SettingsService from "../services/settings-service.js";
+import { runMutation } from "../services/write-queue.js";
+
+/** Summary notifications, which list several reminders and are just dismissed on click */
+const SUMMARY_NOTIFICATION_IDS = [
+    QUIET_HOURS.NOTIFICATION_ID,
+    DELIVERY.MISSED_NOTIFICATION_ID,
+    DELIVERY.OVERDUE_NOTIFICATION_ID,
+];
 
 /**
- * Creates a desktop notification for a reminder.
- * @param {{ id: string, chatName: string, scheduledTime: number }} reminder - The reminder to notify about
+ * Creates a desktop notification for a reminder, with a snooze button
+ * ("Snooze 1 hour" or "Tomorrow 9 AM", per the notificationSnooze setting)
+ * and a "Mark done" button.
+ * The reminder's note, if any, is shown on its own line below the body.
+ * An escalated reminder's title says how many times it has escalated; a
+ * reminder delivered late says how late it is.
+ * The contact's name is masked or left out per the notification privacy
+ * setting, in which case the note is left out too; with the name hidden
+ * the wording is generic.
+ * @param {{ id: string, chatName: string, scheduledTime: number, note?: string|null, escalationCount?: number, lateByMs?: number|null }} reminder - The reminder to notify about
+ * @param {number} [priority] - Chrome notification priority, -2 to 2
  * @returns {Promise<void>}
  */
-export async function createReminderNotification(reminder) {
+export async function createReminderNotification(reminder, priority = 2) {
+    const { notificationPrivacy, notificationSnooze } =
+        await SettingsService.getSettings();
+    const contact = getDisplayName(reminder.chatName, notificationPrivacy);
+    const escalationCount = reminder.escalationCount || 0;
+    const time = formatDateTime(reminder.scheduledTime);
+    const late = reminder.lateByMs ? formatDuration(reminder.lateByMs) : null;
+
+    let body;
+    if (contact === null) {
+        body =
+            chrome.i18n.getMessage("notificationPrivateBody", [time]) ||
+            `Scheduled for ${time}. Click to see the details.`;
+    } else if (late) {
+        body =
+            chrome.i18n.getMessage("notificationLateBody", [time, late]) ||
+            `It was due ${time} — ${late} late because the computer was asleep or the browser was closed`;
+    } else {
+        body =
+            chrome.i18n.getMessage("notificationBody", [contact, time]) ||
+            `Time to follow up with ${contact} — ${time}`;
+    }
+
+    let title;
+    if (contact === null) {
+        title =
+            chrome.i18n.getMessage("notificationPrivateTitle") ||
+            "You have a follow-up due";
+    } else if (escalationCount > 0) {
+        title =
+            chrome.i18n.getMessage("notificationEscalatedTitle", [
+                contact,
+                String(escalationCount),
+            ]) || `Still overdue: ${contact} (escalated ${escalationCount}×)`;
+    } else if (late) {
+        title =
+            chrome.i18n.getMessage("notificationLateTitle", [contact]) ||
+            `Late reminder: follow up with ${contact}`;
+    } else {
+        title =
+            chrome.i18n.getMessage("notificationTitle", [contact]) ||
+            `Follow up: ${contact}`;
+    }
+
+    const showNote =
+        reminder.note && notificationPrivacy === PRIVACY_MODES.FULL;
+
     await chrome.notifications.create(`${ALARM_PREFIX}${reminder.id}`, {
+        type: "basic",
+        iconUrl: chrome.runtime.getURL("icons/icon-128.png"),
+        title,
+        message: showNote ? `${body}\n📝 ${reminder.note}` : body,
+        priority,
+        requireInteraction: true,
+        buttons: [
+            {
+                title:
+                    notificationSnooze === SNOOZE_OPTIONS.TOMORROW_MORNING
+                        ? chrome.i18n.getMessage("notificationSnoozeTomorrow") ||
+                          "Tomorrow 9 AM"
+                        : chrome.i18n.getMessage("notificationSnooze") ||
+                          "Snooze 1 hour",
+            },
+            {
+                title:
+                    chrome.i18n.getMessage("notificationMarkDone") ||
+                    "Mark done",
+            },
+        ],
+    });
+}
+
+/**
+ * Creates a reminder's notification at the priority its escalation policy
+ * gives for its current escalation level.
+ * @param {{ id: string, chatName: string, scheduledTime: number, note?: string|null, escalationCount?: number, escalation?: object|null }} reminder
+ * @returns {Promise<void>}
+ */
+async function createEscalatedNotification(reminder) {
+    const { escalation } = await SettingsService.getSettings();
+    const policy = resolveEscalationPolicy(reminder, escalation);
+    await createReminderNotification(
+        reminder,
+        getEscalationPriority(policy, reminder.escalationCount || 0),
+    );
+}
+
+/**
+ * Notifies about reminders and records the delivery. A single reminder gets
+ * its regular notification, with action buttons; several are listed in one
+ * summary notification. Contact names follow the privacy setting.
+ * @param {Array<{ id: string, chatName: string, scheduledTime: number, note?: string|null }>} reminders - Soonest first
+ * @param {string} summaryId - Notification ID for the summary
+ * @param {(count: string) => string} getSummaryTitle - Builds the summary title
+ * @returns {Promise<void>}
+ */
+async function notifyReminders(reminders, summaryId, getSummaryTitle) {
+    if (reminders.length === 0) {
+        return;
+    }
+
+    if (reminders.length === 1) {
+        await createEscalatedNotification(reminders[0]);
+    } else {
+        const { notificationPrivacy } = await SettingsService.getSettings();
+        await chrome.notifications.create(summaryId, {
+            type: "list",
+            iconUrl: chrome.runtime.getURL("icons/icon-128.png"),
+            title: getSummaryTitle(String(reminders.length)),
+            message:
+                chrome.i18n.getMessage("reminderSummaryMessage") ||
+                "Open WAReminder to follow up.",
+            items: reminders.map((reminder) => ({
+                title:
+                    getDisplayName(reminder.chatName, notificationPrivacy) ||
+                    chrome.i18n.getMessage("privateContact") ||
+                    "Hidden contact",
+                message: reminder.lateByMs
+                    ? chrome.i18n.getMessage("summaryItemLate", [
+                          formatDateTime(reminder.scheduledTime),
+                          formatDuration(reminder.lateByMs),
+                      ]) ||
+                      `${formatDateTime(reminder.scheduledTime)} (${formatDuration(reminder.lateByMs)} late)`
+                    : formatDateTime(reminder.scheduledTime),
+            })),
+            priority: 2,
+            requireInteraction: true,
+        });
+    }
+
+    await runMutation((storage) =>
+        ReminderService.markNotified(
+            reminders.map((r) => r.id),
+            { storage },
+        ),
+    );
+}
+
+/**
+ * Holds back the reminders that come due during quiet hours or while the
+ * user is away (see the quiet-hours and idle-hold services).
+ * @param {Array<object>} reminders
+ * @returns {Promise<Array<object>>} The reminders that were not held
+ */
+async function holdBack(reminders) {
+    const notHeld = [];
+    for (const reminder of reminders) {
+        const held =
+            (await QuietHoursService.holdIfQuiet(reminder.id)) ||
+            (await IdleHoldService.holdIfIdle(reminder.id));
+        if (!held) {
+            notHeld.push(reminder);
+        }
+    }
+    return notHeld;
+}
+
+/**
+ * Notifies about reminders as one batch: several get a list notification
+ * whose ID carries their IDs, so clicking it opens the popup filtered to
+ * them; a reminder on its own gets its regular notification.
+ * @param {Array<{ id: string, chatName: string, scheduledTime: number, note?: string|null }>} reminders - Soonest first
+ * @param {(count: string) => string} getSummaryTitle - Builds the list notification's title
+ * @returns {Promise<void>}
+ */
+async function notifyBatch(reminders, getSummaryTitle) {
+    await notifyReminders(
+        reminders,
+        `${DELIVERY.BATCH_NOTIFICATION_PREFIX}${reminders.map((r) => r.id).join(",")}`,
+        getSummaryTitle,
+    );
+}
+
+/**
+ * Notifies about a due reminder, unless it is quiet hours or the user is
+ * away, in which case the notification is held.
+ * @param {{ id: string, chatName: string, scheduledTime: number, note?: string|null }} reminder - The due reminder
+ * @returns {Promise<void>}
+ */
+export async function deliverReminderNotification(reminder) {
+    if ((await holdBack([reminder])).length === 0) {
+        return;
+    }
+    await createEscalatedNotification(reminder);
+    await runMutation((storage) =>
+        ReminderService.markNotified([reminder.id], { storage }),
+    );
+}
+
+/**
+ * Notifies about reminders that came due together (see getDueBatch in
+ * lib/delivery-policy.js) in one batch. During quiet hours or while the
+ * user is away they are held.
+ * @param {Array<{ id: string, chatName: string, scheduledTime: number, note?: string|null }>} reminders - Soonest first
+ * @returns {Promise<void>}
+ */
+export async function deliverReminderBatch(reminders) {
+    await notifyBatch(await holdBack(reminders), (count) =>
+        chrome.i18n.getMessage("batchRemindersTitle", [count]) ||
+        `${count} follow-ups are due`,
+    );
+}
+
+/**
+ * Creates one consolidated notification for reminders held during quiet
+ * hours (unless the user is away, which holds them again).
+ * @param {Array<{ id: string, chatName: string, scheduledTime: number, note?: string|null }>} reminders - Released reminders, soonest first
+ * @returns {Promise<void>}
+ */
+export async function createHeldRemindersNotification(reminders) {
+    await notifyReminders(
+        await holdBack(reminders),
+        QUIET_HOURS.NOTIFICATION_ID,
+        (count) =>
+            chrome.i18n.getMessage("quietHoursSummaryTitle", [count]) ||
+            `${count} reminders came due during quiet hours`,
+    );
+}
+
+/**
+ * Re-presents reminders held while the user was away as a fresh batch
+ * (unless quiet hours have started, which holds them again).
+ * @param {Array<{ id: string, chatName: string, scheduledTime: number, note?: string|null }>} reminders - Released reminders, soonest first
+ * @returns {Promise<void>}
+ */
+export async function createIdleHeldRemindersNotification(reminders) {
+    await notifyBatch(await holdBack(reminders), (count) =>
+        chrome.i18n.getMessage("idleHeldTitle", [count]) ||
+        `${count} follow-ups came due while you were away`,
+    );
+}
+
+/**
+ * Applies the delivery policy to all due reminders (see lib/delivery-policy.js).
+ * Runs on service-worker start and on the periodic re-notify check:
+ * reminders held during quiet hours or while the user was away are released
+ * once the window is over or the user is back, reminders that were never
+ * notified are summarized as missed (recording how late they are), and
+ * already notified ones are repeated only when the re-notify interval has
+ * elapsed (unless they escalate, which their escalation alarms take care of).
+ * Reminders notified earlier are not notified again on every start.
+ * @returns {Promise<void>}
+ */
+export async function deliverOverdueReminders() {
+    await createHeldRemindersNotification(
+        await QuietHoursService.refreshHeldReminders(),
+    );
+    await createIdleHeldRemindersNotification(
+        await IdleHoldService.refreshIdleHeldReminders(),
+    );
+
+    const [reminders, settings] = await Promise.all([
+        StorageService.getReminders(),
+        SettingsService.getSettings(),
+    ]);
+    const { missed, renotify } = getDueDeliveries(
+        reminders,
+        Date.now(),
+        settings.renotifyMinutes,
+    );
+
+    // Missed reminders are late by definition; record by how much
+    const notHeld = await holdBack(missed);
+    await notifyReminders(
+        await runMutation((storage) =>
+            ReminderService.recordLateness(
+                notHeld.map((r) => r.id),
+                Date.now(),
+                { storage },
+            ),
+        ),
+        DELIVERY.MISSED_NOTIFICATION_ID,
+        (count) =>
+            chrome.i18n.getMessage("missedRemindersTitle", [count]) ||
+            `You missed ${count} reminders while the browser was closed`,
+    );
+
+    const notEscalating = renotify.filter(
+        (r) => !resolveEscalationPolicy(r, settings.escalation).enabled,
+    );
+    await notifyReminders(
+        await holdBack(notEscalating),
+        DELIVERY.OVERDUE_NOTIFICATION_ID,
+        (count) =>
+            chrome.i18n.getMessage("overdueRemindersTitle", [count]) ||
+            `${count} reminders are still overdue`,
+    );
+}
+
+/**
+ * Creates the morning digest notification: today's due and overdue counts,
+ * and the first few contact names, masked or left out per the privacy
+ * setting. Clicking it opens the "Today" view.
+ * @param {import("../lib/digest").DigestSummary|null} summary - Today's digest; nothing is shown for null
+ * @returns {Promise<void>}
+ */
+export async function createDigestNotification(summary) {
+    if (!summary) {
+        return;
+    }
+
+    const { notificationPrivacy } = await SettingsService.getSettings();
+    const names = summary.names
+        .map((name) => getDisplayName(name, notificationPrivacy))
+        .join(", ");
+    const due = String(summary.dueToday);
+    const overdue = String(summary.overdue);
+
+    await chrome.notifications.create(DIGEST.NOTIFICATION_ID, {
         type: "basic",
         iconUrl: chrome.runtime.getURL("icons/icon-128.png"),
         title:
-            chrome.i18n.getMessage("notificationTitle", [reminder.chatName]) ||
-            `Follow up: ${reminder.chatName}`,
+            chrome.i18n.getMessage("digestNotificationTitle", [due, overdue]) ||
+            `Today: ${due} due, ${overdue} overdue`,
         message:
-            chrome.i18n.getMessage("notificationBody", [
-                reminder.chatName,
-                formatDateTime(reminder.scheduledTime),
-            ]) ||
-            `Time to follow up with ${reminder.chatName} — ${formatDateTime(reminder.scheduledTime)}`,
-        priority: 2,
+            notificationPrivacy === PRIVACY_MODES.HIDDEN
+                ? chrome.i18n.getMessage("digestPrivateMessage") ||
+                  "Open WAReminder to see who"
+                : summary.moreNames > 0
+                ? chrome.i18n.getMessage("digestMoreNames", [
+                      names,
+                      String(summary.moreNames),
+                  ]) || `${names} and ${summary.moreNames} more`
+                : names,
+        priority: 1,
         requireInteraction: true,
     });
 }
 
+/**
+ * Opens the popup page in a tab with a filter, e.g. today's reminders.
+ * @param {string} query - URL query understood by the popup, without "?"
+ * @returns {Promise<void>}
+ */
+async function openPopupView(query) {
+    await chrome.tabs.create({
+        url: chrome.runtime.getURL(`popup/popup.html?${query}`),
+    });
+}
+
 /**
  * Handles notification click events.
  * Navigates to the WhatsApp Web chat and clears the notification.
+ * The digest opens the "Today" view instead, and a batch notification
+ * opens the popup filtered to the reminders it listed. With a masked or
+ * hidden contact, a reminder opens the popup filtered to it as well.
  * @param {string} notificationId - The clicked notification's ID
  * @returns {Promise<void>}
  */
 async function handleNotificationClick(notificationId) {
+    if (notificationId === DIGEST.NOTIFICATION_ID) {
+        await openPopupView(`view=${DIGEST.TODAY_VIEW}`);
+        chrome.notifications.clear(notificationId);
+        return;
+    }
+    if (notificationId.startsWith(DELIVERY.BATCH_NOTIFICATION_PREFIX)) {
+        const ids = notificationId.slice(
+            DELIVERY.BATCH_NOTIFICATION_PREFIX.length,
+        );
+        await openPopupView(`ids=${encodeURIComponent(ids)}`);
+        chrome.notifications.clear(notificationId);
+        return;
+    }
+    if (SUMMARY_NOTIFICATION_IDS.includes(notificationId)) {
+        chrome.notifications.clear(notificationId);
+        return;
+    }
     if (!notificationId.startsWith(ALARM_PREFIX)) {
         return;
     }
@@ -49,7 +427,12 @@ async function handleNotificationClick(notificationId) {
     const reminders = await StorageService.getReminders();
     const reminder = reminders.find((r) => r.id === reminderId);
 
-    if (reminder) {
+    const { notificationPrivacy } = await SettingsService.getSettings();
+    if (reminder && notificationPrivacy !== PRIVACY_MODES.FULL) {
+        // The notification left details out: show them in the popup rather
+        // than jumping into the chat where anyone watching could see it
+        await openPopupView(`ids=${encodeURIComponent(reminderId)}`);
+    } else if (reminder) {
         try {
             await ChatService.navigateToChat(reminder.chatId);
         } catch (e) {
@@ -69,6 +452,50 @@ async function handleNotificationClick(notificationId) {
 }
 
 /**
- * Register the notification click listener.
+ * Handles notification action button clicks.
+ * Snoozes (per the notificationSnooze setting) or completes the reminder
+ * through ReminderService, which replaces the alarm; the badge follows
+ * from the resulting storage change.
+ * @param {string} notificationId - The notification's ID
+ * @param {number} buttonIndex - Index of the clicked button
+ * @returns {Promise<void>}
+ */
+async function handleNotificationButtonClick(notificationId, buttonIndex) {
+    if (!notificationId.startsWith(ALARM_PREFIX)) {
+        return;
+    }
+
+    const reminderId = notificationId.slice(ALARM_PREFIX.length);
+
+    try {
+        if (buttonIndex === NOTIFICATION_BUTTONS.SNOOZE) {
+            const { notificationSnooze } = await SettingsService.getSettings();
+            await runMutation((storage) =>
+                notificationSnooze === SNOOZE_OPTIONS.TOMORROW_MORNING
+                    ? ReminderService.snoozeUntilTomorrowMorning(reminderId, {
+                          storage,
+                      })
+                    : ReminderService.rescheduleReminder(
+                          reminderId,
+                          Date.now() + SNOOZE_DURATION_MS,
+                          { storage },
+                      ),
+            );
+        } else if (buttonIndex === NOTIFICATION_BUTTONS.MARK_DONE) {
+            await runMutation((storage) =>
+                ReminderService.completeReminder(reminderId, { storage }),
+            );
+        }
+    } catch (e) {
+        // Reminder was deleted or completed elsewhere — nothing left to act on
+        console.warn("Failed to apply notification action:", e.message);
+    }
+
+    chrome.notifications.clear(notificationId);
+}
+
+/**
+ * Register the notification click listeners.
  */
 chrome.notifications.onClicked.addListener(handleNotificationClick);
+chrome.notifications.onButtonClicked.addListener(handleNotificationButtonClick);
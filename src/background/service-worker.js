@@ -2,8 +2,10 @@
 
 /**
  * MV3 Service Worker entry point for the WAReminder extension.
- * Handles onInstalled initialization, alarm reconciliation,
- * message routing, badge updates, and auto-cleanup.
+ * Handles schema migration on install and update, onInstalled initialization, alarm reconciliation,
+ * message routing, badge updates, and auto-cleanup. Every reminder change
+ * runs through the write queue (services/write-queue.js), so messages that
+ * arrive together can't overwrite each other's changes.
  * @module service-worker
  */
 
@@ -13,28 +15,44 @@ import {
     REMINDER_STATUS,
     MESSAGE_TYPES,
     BADGE_COLOR,
+    DELIVERY,
 } from "../lib/constants.js";
+import { countChange } from "../lib/reminder-changes.js";
 import * as StorageService from "../services/storage-service.js";
 import * as ReminderService from "../services/reminder-service.js";
 import * as PlanService from "../services/plan-service.js";
+import * as SettingsService from "../services/settings-service.js";
 import * as PaymentService from "../services/payment-service.js";
+import * as QuietHoursService from "../services/quiet-hours-service.js";
+import * as DigestService from "../services/digest-service.js";
+import * as IdleHoldService from "../services/idle-hold-service.js";
+import * as MigrationService from "../services/migration-service.js";
+import { runMutation } from "../services/write-queue.js";
 import "./alarm-handler.js";
-import { createReminderNotification } from "./notification-handler.js";
+import "./idle-handler.js";
+import {
+    createHeldRemindersNotification,
+    createIdleHeldRemindersNotification,
+    deliverOverdueReminders,
+} from "./notification-handler.js";
 
 /**
  * Reconciles Chrome alarms with stored reminders.
  * Re-registers any missing alarms for pending future reminders.
+ * Overdue reminders are left to the delivery policy (deliverOverdueReminders).
  * @returns {Promise<void>}
  */
 async function reconcileAlarms() {
     const reminders = await StorageService.getReminders();
     const existingAlarms = await chrome.alarms.getAll();
     const existingNames = new Set(existingAlarms.map((a) => a.name));
+    const now = Date.now();
 
     for (const reminder of reminders) {
         const alarmName = `${ALARM_PREFIX}${reminder.id}`;
         if (
             reminder.status === REMINDER_STATUS.PENDING &&
+            reminder.scheduledTime > now &&
             !existingNames.has(alarmName)
         ) {
             await chrome.alarms.create(alarmName, {
@@ -45,38 +63,120 @@ async function reconcileAlarms() {
 }
 
 /**
- * Checks for overdue reminders and fires notifications for them.
+ * Keeps the periodic re-notify alarm in line with the re-notify setting.
+ * An existing alarm is left alone, so frequent worker restarts don't keep
+ * pushing the next check back.
  * @returns {Promise<void>}
  */
-async function checkOverdueReminders() {
-    const overdueReminders = await ReminderService.getOverdueReminders();
-    for (const reminder of overdueReminders) {
-        await createReminderNotification(reminder);
+async function syncRenotifyAlarm() {
+    const { renotifyMinutes } = await SettingsService.getSettings();
+    if (renotifyMinutes > 0) {
+        const existing = await chrome.alarms.get(DELIVERY.RENOTIFY_ALARM);
+        if (!existing) {
+            await chrome.alarms.create(DELIVERY.RENOTIFY_ALARM, {
+                periodInMinutes: Math.min(
+                    renotifyMinutes,
+                    DELIVERY.RENOTIFY_CHECK_MINUTES,
+                ),
+            });
+        }
+    } else {
+        await chrome.alarms.clear(DELIVERY.RENOTIFY_ALARM);
     }
 }
 
 /**
- * Updates the extension badge with the current pending reminder count.
- * @param {Array<object>} [reminders] - Optional reminders array; fetched if not provided
+ * Pending reminder count shown on the badge, kept up to date from change
+ * events; null while it is being counted from storage.
+ * @type {?number}
+ */
+let badgePendingCount = null;
+
+/** Incremented per recount, so an older recount doesn't overwrite a newer one */
+let badgeGeneration = 0;
+
+/**
+ * @param {object} reminder
+ * @returns {boolean}
+ */
+function isPending(reminder) {
+    return reminder.status === REMINDER_STATUS.PENDING;
+}
+
+/**
+ * Shows a pending count on the extension badge.
+ * @param {number} count
  * @returns {Promise<void>}
  */
-async function updateBadge(reminders) {
-    const allReminders = reminders || (await StorageService.getReminders());
-    const pendingCount = allReminders.filter(
-        (r) => r.status === REMINDER_STATUS.PENDING,
-    ).length;
+async function showBadgeCount(count) {
     await chrome.action.setBadgeText({
-        text: pendingCount > 0 ? String(pendingCount) : "",
+        text: count > 0 ? String(count) : "",
     });
     await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
 }
 
+/**
+ * Counts the pending reminders in storage and shows the count on the badge.
+ * @returns {Promise<void>}
+ */
+async function updateBadge() {
+    badgePendingCount = null;
+    const generation = ++badgeGeneration;
+    const reminders = await StorageService.getReminders();
+    if (generation !== badgeGeneration) return;
+    badgePendingCount = reminders.filter(isPending).length;
+    await showBadgeCount(badgePendingCount);
+}
+
+/**
+ * Adjusts the badge count by a write's change events, without rereading
+ * the reminders. Changes that land during a recount trigger another, which
+ * reads them.
+ * @param {Array<import('../lib/reminder-changes').ReminderChange>} changes
+ * @returns {Promise<void>}
+ */
+async function applyBadgeChanges(changes) {
+    if (badgePendingCount === null) {
+        await updateBadge();
+        return;
+    }
+    const delta = countChange(changes, isPending);
+    if (delta === 0) return;
+    badgePendingCount += delta;
+    await showBadgeCount(badgePendingCount);
+}
+
+/**
+ * Brings stored data up to the current schema as a write-queue mutation, so
+ * no other reminder write lands in between or is overwritten by it: startup
+ * work running alongside either writes before the migration, and is
+ * migrated with the rest, or after it, on migrated data. A failed
+ * migration is rolled back and not retried until the next update.
+ * @returns {Promise<void>}
+ */
+async function migrateStoredData() {
+    try {
+        await runMutation((storage) =>
+            MigrationService.runMigrations({ storage }),
+        );
+    } catch (err) {
+        // Rolled back; carry on with the data as it was
+        console.error("Failed to migrate stored data:", err);
+    }
+}
+
 // --- Event Listeners ---
 
 /**
- * Handle extension install/update events.
+ * Handle extension install/update events. Migration runs first: an update
+ * brings older data to the current schema, and an install records the
+ * current schema version, so the next update migrates from it.
  */
-chrome.runtime.onInstalled.addListener(async (_details) => {
+chrome.runtime.onInstalled.addListener(async (details) => {
+    if (details.reason === "install" || details.reason === "update") {
+        await migrateStoredData();
+    }
+
     // Initialize default user plan if not set
     const plan = await StorageService.getUserPlan();
     if (!plan || !plan.planType) {
@@ -87,7 +187,9 @@ chrome.runtime.onInstalled.addListener(async (_details) => {
     await reconcileAlarms();
 
     // Run auto-cleanup of expired completed reminders
-    await ReminderService.cleanupExpiredCompleted();
+    await runMutation((storage) =>
+        ReminderService.cleanupExpiredCompleted({ storage }),
+    );
 
     // Initialize badge
     await updateBadge();
@@ -141,34 +243,168 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
  */
 const messageHandlers = {
     [MESSAGE_TYPES.CREATE_REMINDER]: async (message) => {
-        const reminder = await ReminderService.createReminder(message.payload);
+        const reminder = await runMutation((storage) =>
+            ReminderService.createReminder(message.payload, { storage }),
+        );
         return { success: true, data: { reminder } };
     },
 
     [MESSAGE_TYPES.COMPLETE_REMINDER]: async (message) => {
-        const reminder = await ReminderService.completeReminder(
-            message.payload.reminderId,
+        // The time before completion, for undo (REOPEN_REMINDER)
+        let previousScheduledTime = null;
+        const reminder = await runMutation(async (storage) => {
+            const current = await storage.getReminder(
+                message.payload.reminderId,
+            );
+            previousScheduledTime = current ? current.scheduledTime : null;
+            return ReminderService.completeReminder(
+                message.payload.reminderId,
+                { storage },
+            );
+        });
+        return { success: true, data: { reminder, previousScheduledTime } };
+    },
+
+    [MESSAGE_TYPES.REOPEN_REMINDER]: async (message) => {
+        const reminder = await runMutation((storage) =>
+            ReminderService.reopenReminder(
+                message.payload.reminderId,
+                message.payload.scheduledTime,
+                { storage },
+            ),
+        );
+        return { success: true, data: { reminder } };
+    },
+
+    [MESSAGE_TYPES.UPDATE_REMINDER]: async (message) => {
+        const { reminderId, ...changes } = message.payload;
+        const reminder = await runMutation((storage) =>
+            ReminderService.updateReminder(reminderId, changes, { storage }),
         );
         return { success: true, data: { reminder } };
     },
 
     [MESSAGE_TYPES.DELETE_REMINDER]: async (message) => {
-        const deletedId = await ReminderService.deleteReminder(
-            message.payload.reminderId,
+        const deletedId = await runMutation((storage) =>
+            ReminderService.deleteReminder(message.payload.reminderId, {
+                storage,
+            }),
         );
         return { success: true, data: { deletedId } };
     },
 
+    [MESSAGE_TYPES.RESTORE_REMINDER]: async (message) => {
+        const reminder = await runMutation((storage) =>
+            ReminderService.restoreReminder(message.payload.reminderId, {
+                storage,
+            }),
+        );
+        return { success: true, data: { reminder } };
+    },
+
+    [MESSAGE_TYPES.GET_TRASH]: async () => {
+        const reminders = await ReminderService.getTrash();
+        return { success: true, data: { reminders } };
+    },
+
+    // Bulk actions: one storage write and one alarm pass per batch
+
+    [MESSAGE_TYPES.COMPLETE_REMINDERS]: async (message) => {
+        const reminders = await runMutation((storage) =>
+            ReminderService.completeReminders(message.payload.reminderIds, {
+                storage,
+            }),
+        );
+        return { success: true, data: { reminders } };
+    },
+
+    [MESSAGE_TYPES.RESCHEDULE_REMINDERS]: async (message) => {
+        const reminders = await runMutation((storage) =>
+            ReminderService.rescheduleReminders(
+                message.payload.reminderIds,
+                message.payload.scheduledTime,
+                { storage },
+            ),
+        );
+        return { success: true, data: { reminders } };
+    },
+
+    [MESSAGE_TYPES.RESCHEDULE_OVERDUE]: async (message) => {
+        const reminders = await runMutation((storage) =>
+            ReminderService.rescheduleOverdue(
+                message.payload.scheduledTime,
+                message.payload.spreadMinutes,
+                { storage },
+            ),
+        );
+        return { success: true, data: { reminders } };
+    },
+
+    [MESSAGE_TYPES.DELETE_REMINDERS]: async (message) => {
+        const deletedIds = await runMutation((storage) =>
+            ReminderService.deleteReminders(message.payload.reminderIds, {
+                storage,
+            }),
+        );
+        return { success: true, data: { deletedIds } };
+    },
+
+    // Undo of a bulk complete or delete
+
+    [MESSAGE_TYPES.BULK_REOPEN_REMINDERS]: async (message) => {
+        const reminders = await runMutation((storage) =>
+            ReminderService.reopenReminders(
+                message.payload.reminderIds,
+                message.payload.previousTimes,
+                { storage },
+            ),
+        );
+        return { success: true, data: { reminders } };
+    },
+
+    [MESSAGE_TYPES.BULK_RESTORE_REMINDERS]: async (message) => {
+        const reminders = await runMutation((storage) =>
+            ReminderService.restoreReminders(message.payload.reminderIds, {
+                storage,
+            }),
+        );
+        return { success: true, data: { reminders } };
+    },
+
     [MESSAGE_TYPES.GET_REMINDERS]: async () => {
         const result = await ReminderService.getAllReminders();
         return { success: true, data: result };
     },
 
+    [MESSAGE_TYPES.EXPORT_REMINDERS]: async () => {
+        const backup = await ReminderService.exportReminders();
+        return { success: true, data: { backup } };
+    },
+
     [MESSAGE_TYPES.GET_PLAN_STATUS]: async () => {
         const status = await PlanService.getPlanStatus();
         return { success: true, data: status };
     },
 
+    [MESSAGE_TYPES.GET_SETTINGS]: async () => {
+        const settings = await SettingsService.getSettings();
+        return { success: true, data: { settings } };
+    },
+
+    [MESSAGE_TYPES.SAVE_SETTINGS]: async (message) => {
+        const settings = await SettingsService.saveSettings(message.payload);
+        // Quiet hours may have ended or moved; release or re-arm held reminders
+        const released = await QuietHoursService.refreshHeldReminders();
+        await createHeldRemindersNotification(released);
+        // Holding while away may have been turned off
+        await createIdleHeldRemindersNotification(
+            await IdleHoldService.refreshIdleHeldReminders(),
+        );
+        await syncRenotifyAlarm();
+        await DigestService.syncDigestAlarm();
+        return { success: true, data: { settings } };
+    },
+
     [MESSAGE_TYPES.CHECK_NOTIFICATION_PERMISSION]: async () => {
         const level = await chrome.notifications.getPermissionLevel();
         return { success: true, data: { permissionLevel: level } };
@@ -240,18 +476,25 @@ const messageHandlers = {
 };
 
 /**
- * Listen for storage changes to update badge reactively.
+ * Listen for reminder changes to update badge reactively.
  */
-StorageService.onRemindersChanged((reminders) => {
-    updateBadge(reminders);
+StorageService.onReminderChanges((changes) => {
+    applyBadgeChanges(changes).catch((err) => {
+        console.error("Failed to update badge:", err);
+    });
 });
 
 /**
- * Service worker startup: reconcile alarms, check overdue, update badge.
+ * Service worker startup: reconcile alarms, deliver overdue reminders per
+ * the delivery policy, update badge.
  */
 (async () => {
     await reconcileAlarms();
-    await checkOverdueReminders();
-    await ReminderService.cleanupExpiredCompleted();
+    await syncRenotifyAlarm();
+    await DigestService.syncDigestAlarm();
+    await deliverOverdueReminders();
+    await runMutation((storage) =>
+        ReminderService.cleanupExpiredCompleted({ storage }),
+    );
     await updateBadge();
 })();
@@ -2,8 +2,12 @@
 
 /**
  * Time-selection prompt UI for creating reminders.
- * Shows preset options (1 hour, tonight, tomorrow) and custom date/time picker.
+ * Shows the user's quick presets (by default 1 hour, tonight, tomorrow) and a
+ * custom date/time picker.
+ * A free-text field also accepts phrases like "in 3 days" or "besok jam 10".
  * Each preset resolves and displays the absolute datetime before user confirms.
+ * A "Repeat" picker turns the reminder into a recurring series.
+ * Times outside the user's business hours get an offer to shift them.
  * @module reminder-prompt
  */
 
@@ -52,43 +56,79 @@
         });
     }
 
+    /** @type {Map<string, Promise<any>>} */
+    const libModules = new Map();
+
     /**
-     * Calculates the preset time values based on the current time.
-     * @returns {Array<{ label: string, time: Date }>}
+     * Loads a shared module from the extension package.
+     * Content scripts are classic scripts, so ES modules are pulled in with a
+     * dynamic import of the web-accessible copy under lib/.
+     * A failed load is forgotten so the next call retries.
+     * @param {string} file - File name under lib/, e.g. "presets.js"
+     * @returns {Promise<any>}
      */
-    function calculatePresets() {
-        const now = new Date();
-        const presets = [];
-
-        // 1 hour from now
-        const oneHour = new Date(now.getTime() + 60 * 60 * 1000);
-        presets.push({
-            label: i18n("presetOneHour", "In 1 hour"),
-            time: oneHour,
-        });
+    function loadLibModule(file) {
+        if (!libModules.has(file)) {
+            const loading = import(chrome.runtime.getURL(`lib/${file}`));
+            loading.catch(() => libModules.delete(file));
+            libModules.set(file, loading);
+        }
+        return libModules.get(file);
+    }
 
-        // Tonight at 8 PM
-        const tonight = new Date(now);
-        tonight.setHours(20, 0, 0, 0);
-        if (tonight.getTime() <= now.getTime()) {
-            // If past 8 PM, set to tomorrow at 8 PM
-            tonight.setDate(tonight.getDate() + 1);
+    /**
+     * Fetches the user's settings (presets, business hours) from the service worker.
+     * Returns undefined (built-in defaults) if settings can't be read.
+     * @returns {Promise<{ presets: Array<object>, businessHours: object, notificationPrivacy: string }|undefined>}
+     */
+    async function fetchSettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: "GET_SETTINGS",
+            });
+            if (response && response.success) {
+                return response.data.settings;
+            }
+        } catch (e) {
+            console.warn("WAReminder: Failed to load settings", e);
         }
-        presets.push({
-            label: i18n("presetTonight", "Tonight at 8 PM"),
-            time: tonight,
-        });
+        return undefined;
+    }
 
-        // Tomorrow at 9 AM
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        tomorrow.setHours(9, 0, 0, 0);
-        presets.push({
-            label: i18n("presetTomorrow", "Tomorrow at 9 AM"),
-            time: tomorrow,
-        });
+    /**
+     * Calculates the preset time values based on the current time.
+     * Falls back to no presets (custom picker only) if the module fails to load.
+     * @param {{ presets: Array<object>, businessHours: object }|undefined} settings
+     * @returns {Promise<Array<{ label: string, time: Date }>>}
+     */
+    async function calculatePresets(settings) {
+        try {
+            const { calculatePresets: calculate } =
+                await loadLibModule("presets.js");
+            return calculate(
+                Date.now(),
+                settings && settings.presets,
+                settings && settings.businessHours,
+            ).map((preset) => ({
+                label: preset.messageKey
+                    ? i18n(preset.messageKey, preset.label)
+                    : preset.label,
+                time: new Date(preset.time),
+            }));
+        } catch (e) {
+            console.warn("WAReminder: Failed to load presets", e);
+            return [];
+        }
+    }
 
-        return presets;
+    /**
+     * Updates the selected time and notifies the prompt of the change.
+     * @param {{ value: number|null, onChange?: (value: number|null) => void }} state
+     * @param {number|null} value - Epoch ms, or null when nothing valid is selected
+     */
+    function setSelectedTime(state, value) {
+        state.value = value;
+        if (state.onChange) state.onChange(value);
     }
 
     /**
@@ -126,7 +166,7 @@
                         el.classList.remove("selected");
                     });
                 presetBtn.classList.add("selected");
-                state.value = preset.time.getTime();
+                setSelectedTime(state, preset.time.getTime());
                 customSection.classList.remove("visible");
                 confirmBtn.textContent = i18n(
                     "confirmReminder",
@@ -192,12 +232,12 @@
                 );
                 customError.style.display = "block";
                 confirmBtn.disabled = true;
-                state.value = null;
+                setSelectedTime(state, null);
                 return;
             }
 
             customError.style.display = "none";
-            state.value = customDate.getTime();
+            setSelectedTime(state, customDate.getTime());
             confirmBtn.textContent = i18n(
                 "confirmReminder",
                 [formatPromptTime(customDate)],
@@ -221,6 +261,242 @@
         return { section: customSection, errorEl: customError };
     }
 
+    /**
+     * Creates the free-text time field ("in 3 days", "besok jam 10").
+     * The phrase is parsed by lib/time-parser.js as the user types and the
+     * resolved time is shown underneath, like the preset buttons do.
+     * @param {HTMLElement} confirmBtn
+     * @param {HTMLElement} presetsContainer
+     * @param {HTMLElement} customSection
+     * @param {{ value: number|null }} state - Shared state for selectedTime
+     * @returns {{ section: HTMLElement, clear: () => void }}
+     */
+    function createNaturalTimeSection(
+        confirmBtn,
+        presetsContainer,
+        customSection,
+        state,
+    ) {
+        const section = document.createElement("div");
+        section.className = "wa-reminder-natural";
+
+        const input = document.createElement("input");
+        input.type = "text";
+        input.className = "wa-reminder-natural-input";
+        input.placeholder = i18n(
+            "naturalTimePlaceholder",
+            'Type a time, e.g. "in 3 days" or "besok jam 10"',
+        );
+
+        const preview = document.createElement("div");
+        preview.className = "wa-reminder-natural-preview";
+        preview.style.display = "none";
+
+        const naturalError = document.createElement("div");
+        naturalError.className = "wa-reminder-inline-error";
+        naturalError.style.display = "none";
+
+        const showError = (message) => {
+            preview.style.display = "none";
+            naturalError.textContent = message;
+            naturalError.style.display = "block";
+            confirmBtn.disabled = true;
+            setSelectedTime(state, null);
+        };
+
+        const updateNaturalTime = async () => {
+            const text = input.value.trim();
+
+            presetsContainer
+                .querySelectorAll(".wa-reminder-preset")
+                .forEach((el) => {
+                    el.classList.remove("selected");
+                });
+            customSection.classList.remove("visible");
+
+            if (!text) {
+                preview.style.display = "none";
+                naturalError.style.display = "none";
+                setSelectedTime(state, null);
+                confirmBtn.textContent = i18n("confirmReminder", "Select a time");
+                confirmBtn.disabled = true;
+                return;
+            }
+
+            let parsed = null;
+            try {
+                const { parseNaturalTime } =
+                    await loadLibModule("time-parser.js");
+                parsed = parseNaturalTime(text, Date.now());
+            } catch (e) {
+                console.warn("WAReminder: Failed to load time parser", e);
+            }
+
+            // Ignore results for text the user has since changed
+            if (input.value.trim() !== text) return;
+
+            if (parsed === null) {
+                showError(
+                    i18n(
+                        "naturalTimeUnparseable",
+                        "Couldn't understand that time",
+                    ),
+                );
+                return;
+            }
+
+            if (parsed <= Date.now()) {
+                showError(i18n("invalidTime", "Time must be in the future"));
+                return;
+            }
+
+            const resolved = new Date(parsed);
+            naturalError.style.display = "none";
+            preview.textContent = formatPromptTime(resolved);
+            preview.style.display = "block";
+            setSelectedTime(state, parsed);
+            confirmBtn.textContent = i18n(
+                "confirmReminder",
+                [formatPromptTime(resolved)],
+                `Set reminder for ${formatPromptTime(resolved)}`,
+            );
+            confirmBtn.disabled = false;
+        };
+
+        input.addEventListener("input", updateNaturalTime);
+
+        // Cleared (without touching the selection) when a preset is picked instead
+        const clear = () => {
+            input.value = "";
+            preview.style.display = "none";
+            naturalError.style.display = "none";
+        };
+
+        section.appendChild(input);
+        section.appendChild(preview);
+        section.appendChild(naturalError);
+
+        return { section, clear };
+    }
+
+    /**
+     * Creates the optional note field ("why am I following up?").
+     * The length cap comes from lib/constants.js once it loads; the service
+     * worker validates the note either way.
+     * @returns {{ section: HTMLElement, noteInput: HTMLTextAreaElement }}
+     */
+    function createNoteSection() {
+        const section = document.createElement("div");
+        section.className = "wa-reminder-note";
+
+        const label = document.createElement("label");
+        label.textContent = i18n("noteLabel", "Note (optional)");
+
+        const noteInput = document.createElement("textarea");
+        noteInput.rows = 2;
+        loadLibModule("constants.js")
+            .then(({ NOTE_MAX_LENGTH }) => {
+                noteInput.maxLength = NOTE_MAX_LENGTH;
+            })
+            .catch((e) => {
+                console.warn("WAReminder: Failed to load note limit", e);
+            });
+        noteInput.placeholder = i18n(
+            "notePlaceholder",
+            "e.g. Ask about the invoice",
+        );
+
+        section.appendChild(label);
+        section.appendChild(noteInput);
+
+        return { section, noteInput };
+    }
+
+    /**
+     * Creates the "Repeat" picker for recurring reminders.
+     * The "Custom" choice reveals an interval input and a unit select.
+     * @param {{ recurrence: { frequency: string, interval: number }|null }} state - Shared state for the recurrence rule
+     * @returns {HTMLElement}
+     */
+    function createRepeatSection(state) {
+        const section = document.createElement("div");
+        section.className = "wa-reminder-repeat";
+
+        const label = document.createElement("label");
+        label.textContent = i18n("repeatLabel", "Repeat");
+
+        const repeatSelect = document.createElement("select");
+        repeatSelect.className = "wa-reminder-repeat-select";
+        [
+            ["none", i18n("repeatNever", "Does not repeat")],
+            ["daily", i18n("repeatDaily", "Daily")],
+            ["weekly", i18n("repeatWeekly", "Weekly")],
+            ["monthly", i18n("repeatMonthly", "Monthly")],
+            ["custom", i18n("repeatCustom", "Custom…")],
+        ].forEach(([value, text]) => {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = text;
+            repeatSelect.appendChild(option);
+        });
+
+        const customRow = document.createElement("div");
+        customRow.className = "wa-reminder-repeat-custom";
+
+        const everyLabel = document.createElement("span");
+        everyLabel.textContent = i18n("repeatEvery", "Every");
+
+        const intervalInput = document.createElement("input");
+        intervalInput.type = "number";
+        intervalInput.min = "1";
+        intervalInput.max = "99";
+        intervalInput.value = "2";
+
+        const unitSelect = document.createElement("select");
+        [
+            ["daily", i18n("repeatUnitDays", "days")],
+            ["weekly", i18n("repeatUnitWeeks", "weeks")],
+            ["monthly", i18n("repeatUnitMonths", "months")],
+        ].forEach(([value, text]) => {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = text;
+            unitSelect.appendChild(option);
+        });
+        unitSelect.value = "weekly";
+
+        customRow.appendChild(everyLabel);
+        customRow.appendChild(intervalInput);
+        customRow.appendChild(unitSelect);
+
+        // Invalid custom intervals are passed through as-is; the service
+        // worker rejects them and the error shows in the prompt's error area.
+        const updateRecurrence = () => {
+            const choice = repeatSelect.value;
+            customRow.classList.toggle("visible", choice === "custom");
+            if (choice === "none") {
+                state.recurrence = null;
+            } else if (choice === "custom") {
+                state.recurrence = {
+                    frequency: unitSelect.value,
+                    interval: Number(intervalInput.value),
+                };
+            } else {
+                state.recurrence = { frequency: choice, interval: 1 };
+            }
+        };
+
+        repeatSelect.addEventListener("change", updateRecurrence);
+        intervalInput.addEventListener("input", updateRecurrence);
+        unitSelect.addEventListener("change", updateRecurrence);
+
+        section.appendChild(label);
+        section.appendChild(repeatSelect);
+        section.appendChild(customRow);
+
+        return section;
+    }
+
     /**
      * Appends the "Custom date & time" toggle button to presets container.
      * @param {HTMLElement} presetsContainer
@@ -257,14 +533,82 @@
         });
     }
 
+    /**
+     * Creates the notice shown when the selected time is outside business hours.
+     * Offers to move the reminder to the next open slot.
+     * @param {HTMLElement} confirmBtn
+     * @param {{ value: number|null, onChange?: (value: number|null) => void }} state - Shared state for selectedTime
+     * @param {object|undefined} businessHours - The user's business-hours settings
+     * @returns {HTMLElement}
+     */
+    function createBusinessHoursNotice(confirmBtn, state, businessHours) {
+        const notice = document.createElement("div");
+        notice.className = "wa-reminder-business-notice";
+        notice.style.display = "none";
+
+        const text = document.createElement("span");
+        const shiftBtn = document.createElement("button");
+        shiftBtn.type = "button";
+        shiftBtn.className = "wa-reminder-business-shift";
+        shiftBtn.textContent = i18n("businessHoursShift", "Shift");
+
+        notice.appendChild(text);
+        notice.appendChild(shiftBtn);
+
+        /** @type {number|null} */
+        let suggestedTime = null;
+
+        shiftBtn.addEventListener("click", () => {
+            if (suggestedTime === null) return;
+            const shifted = new Date(suggestedTime);
+            setSelectedTime(state, suggestedTime);
+            confirmBtn.textContent = i18n(
+                "confirmReminder",
+                [formatPromptTime(shifted)],
+                `Set reminder for ${formatPromptTime(shifted)}`,
+            );
+            confirmBtn.disabled = false;
+        });
+
+        state.onChange = async (value) => {
+            notice.style.display = "none";
+            if (value === null || !businessHours || !businessHours.enabled) {
+                return;
+            }
+
+            try {
+                const { validateBusinessHoursTime } =
+                    await loadLibModule("validators.js");
+                const check = validateBusinessHoursTime(value, businessHours);
+                // Ignore results for a selection the user has since changed
+                if (check.valid || state.value !== value) return;
+
+                suggestedTime = check.suggestedTime;
+                const suggested = formatPromptTime(new Date(suggestedTime));
+                text.textContent = i18n(
+                    "businessHoursOutside",
+                    [suggested],
+                    `Outside business hours. Next open slot: ${suggested}`,
+                );
+                notice.style.display = "flex";
+            } catch (e) {
+                console.warn("WAReminder: Failed to check business hours", e);
+            }
+        };
+
+        return notice;
+    }
+
     /**
      * Creates the prompt HTML structure.
      * @param {{ chatId: string, chatName: string }} context
-     * @returns {{ overlay: HTMLElement, getSelectedTime: () => number|null, confirmBtn: HTMLElement, cancelBtn: HTMLElement, errorArea: HTMLElement }}
+     * @param {Array<{ label: string, time: Date }>} presets - Resolved preset times
+     * @param {object} [businessHours] - The user's business-hours settings
+     * @returns {{ overlay: HTMLElement, getSelectedTime: () => number|null, getRecurrence: () => object|null, getNote: () => string, confirmBtn: HTMLElement, cancelBtn: HTMLElement, errorArea: HTMLElement }}
      */
-    function createPromptUI(context) {
-        const presets = calculatePresets();
-        const state = { value: null };
+    function createPromptUI(context, presets, businessHours) {
+        const state = { value: null, onChange: null };
+        const repeatState = { recurrence: null };
 
         // Overlay
         const overlay = document.createElement("div");
@@ -317,6 +661,24 @@
         );
         addCustomToggleButton(presetsContainer, customSection);
 
+        const { section: naturalSection, clear: clearNaturalTime } =
+            createNaturalTimeSection(
+                confirmBtn,
+                presetsContainer,
+                customSection,
+                state,
+            );
+        presetsContainer.addEventListener("click", clearNaturalTime);
+
+        const businessNotice = createBusinessHoursNotice(
+            confirmBtn,
+            state,
+            businessHours,
+        );
+
+        const repeatSection = createRepeatSection(repeatState);
+        const { section: noteSection, noteInput } = createNoteSection();
+
         // Error display area
         const errorArea = document.createElement("div");
         errorArea.className = "wa-reminder-error";
@@ -325,8 +687,12 @@
         // Assemble card
         card.appendChild(title);
         card.appendChild(subtitle);
+        card.appendChild(naturalSection);
         card.appendChild(presetsContainer);
         card.appendChild(customSection);
+        card.appendChild(businessNotice);
+        card.appendChild(repeatSection);
+        card.appendChild(noteSection);
         card.appendChild(errorArea);
         card.appendChild(actions);
 
@@ -351,19 +717,40 @@
         return {
             overlay,
             getSelectedTime: () => state.value,
+            getRecurrence: () => repeatState.recurrence,
+            getNote: () => noteInput.value,
             confirmBtn,
             cancelBtn,
             errorArea,
         };
     }
 
+    /**
+     * Returns the contact name to show in the confirmation, masked or null
+     * (not shown) per the notification privacy setting.
+     * If the module fails to load, the name is only shown in full mode.
+     * @param {string} chatName
+     * @param {{ notificationPrivacy?: string }|undefined} settings
+     * @returns {Promise<string|null>}
+     */
+    async function getContactDisplayName(chatName, settings) {
+        const mode = settings && settings.notificationPrivacy;
+        try {
+            const { getDisplayName } = await loadLibModule("privacy.js");
+            return getDisplayName(chatName, mode);
+        } catch (e) {
+            console.warn("WAReminder: Failed to load privacy module", e);
+            return !mode || mode === "full" ? chatName : null;
+        }
+    }
+
     /**
      * Shows a success confirmation in the prompt overlay.
      * @param {HTMLElement} overlay
-     * @param {{ chatName: string }} context
+     * @param {string|null} contactName - Name to show, or null to leave it out
      * @param {number} scheduledTime
      */
-    function showSuccess(overlay, context, scheduledTime) {
+    function showSuccess(overlay, contactName, scheduledTime) {
         const card = overlay.querySelector(".wa-reminder-prompt");
         if (!card) return;
 
@@ -382,11 +769,19 @@
 
         const detail = document.createElement("div");
         detail.className = "wa-reminder-success-detail";
-        detail.textContent = i18n(
-            "reminderCreatedDetail",
-            [context.chatName, formatPromptTime(new Date(scheduledTime))],
-            `You'll be reminded to follow up with ${context.chatName} at ${formatPromptTime(new Date(scheduledTime))}`,
-        );
+        const time = formatPromptTime(new Date(scheduledTime));
+        detail.textContent =
+            contactName === null
+                ? i18n(
+                      "reminderCreatedPrivateDetail",
+                      [time],
+                      `You'll be reminded at ${time}`,
+                  )
+                : i18n(
+                      "reminderCreatedDetail",
+                      [contactName, time],
+                      `You'll be reminded to follow up with ${contactName} at ${time}`,
+                  );
 
         success.appendChild(icon);
         success.appendChild(title);
@@ -404,12 +799,27 @@
      * @param {{ chatId: string, chatName: string }} context - Chat context
      * @param {Element} _header - The header element (unused but available)
      */
-    function showPrompt(context, _header) {
-        // Remove any existing prompt
+    async function showPrompt(context, _header) {
+        const settings = await fetchSettings();
+        const presets = await calculatePresets(settings);
+
+        // Remove any existing prompt (after the await, so a double click
+        // can't leave an orphaned overlay behind)
         dismissPrompt();
 
-        const { overlay, getSelectedTime, confirmBtn, cancelBtn, errorArea } =
-            createPromptUI(context);
+        const {
+            overlay,
+            getSelectedTime,
+            getRecurrence,
+            getNote,
+            confirmBtn,
+            cancelBtn,
+            errorArea,
+        } = createPromptUI(
+            context,
+            presets,
+            settings && settings.businessHours,
+        );
 
         // Cancel handler
         cancelBtn.addEventListener("click", () => {
@@ -433,11 +843,17 @@
                         chatId: context.chatId,
                         chatName: context.chatName,
                         scheduledTime: scheduledTime,
+                        recurrence: getRecurrence(),
+                        note: getNote(),
                     },
                 });
 
                 if (response && response.success) {
-                    showSuccess(overlay, context, scheduledTime);
+                    showSuccess(
+                        overlay,
+                        await getContactDisplayName(context.chatName, settings),
+                        scheduledTime,
+                    );
                 } else {
                     console.error(
                         "Failed to create reminder:",
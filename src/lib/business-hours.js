@@ -0,0 +1,184 @@
+// @ts-check
+
+/**
+ * Business hours, working days and holidays.
+ * Used to keep presets and chosen reminder times inside the hours the user
+ * actually works, and to find the next business day.
+ * All calculations use the local time zone.
+ * @module business-hours
+ */
+
+/**
+ * @typedef {object} BusinessHours
+ * @property {boolean} enabled - Whether reminder times are kept inside working hours
+ * @property {{ hour: number, minute: number }} start - Opening time
+ * @property {{ hour: number, minute: number }} end - Closing time (exclusive)
+ * @property {number[]} workingDays - Date#getDay() values, 0 = Sunday
+ * @property {Array<{ date: string, name: string }>} holidays - Days off, date as YYYY-MM-DD
+ */
+
+/**
+ * Indonesian national public holidays (hari libur nasional).
+ * 2027 dates that follow the lunar calendars are provisional until the
+ * government decree is published; users can edit the list in settings.
+ * @type {ReadonlyArray<Readonly<{ date: string, name: string }>>}
+ */
+const INDONESIAN_HOLIDAYS = Object.freeze([
+  { date: '2026-01-01', name: 'Tahun Baru Masehi' },
+  { date: '2026-01-16', name: "Isra Mi'raj Nabi Muhammad SAW" },
+  { date: '2026-02-17', name: 'Tahun Baru Imlek' },
+  { date: '2026-03-19', name: 'Hari Suci Nyepi' },
+  { date: '2026-03-20', name: 'Idul Fitri' },
+  { date: '2026-03-21', name: 'Idul Fitri' },
+  { date: '2026-04-03', name: 'Wafat Yesus Kristus' },
+  { date: '2026-04-05', name: 'Kebangkitan Yesus Kristus (Paskah)' },
+  { date: '2026-05-01', name: 'Hari Buruh Internasional' },
+  { date: '2026-05-14', name: 'Kenaikan Yesus Kristus' },
+  { date: '2026-05-27', name: 'Idul Adha' },
+  { date: '2026-05-31', name: 'Hari Raya Waisak' },
+  { date: '2026-06-01', name: 'Hari Lahir Pancasila' },
+  { date: '2026-06-16', name: 'Tahun Baru Islam' },
+  { date: '2026-08-17', name: 'Hari Kemerdekaan Republik Indonesia' },
+  { date: '2026-08-25', name: 'Maulid Nabi Muhammad SAW' },
+  { date: '2026-12-25', name: 'Hari Raya Natal' },
+  { date: '2027-01-01', name: 'Tahun Baru Masehi' },
+  { date: '2027-01-05', name: "Isra Mi'raj Nabi Muhammad SAW" },
+  { date: '2027-02-06', name: 'Tahun Baru Imlek' },
+  { date: '2027-03-08', name: 'Hari Suci Nyepi' },
+  { date: '2027-03-10', name: 'Idul Fitri' },
+  { date: '2027-03-11', name: 'Idul Fitri' },
+  { date: '2027-03-26', name: 'Wafat Yesus Kristus' },
+  { date: '2027-03-28', name: 'Kebangkitan Yesus Kristus (Paskah)' },
+  { date: '2027-05-01', name: 'Hari Buruh Internasional' },
+  { date: '2027-05-06', name: 'Kenaikan Yesus Kristus' },
+  { date: '2027-05-17', name: 'Idul Adha' },
+  { date: '2027-05-20', name: 'Hari Raya Waisak' },
+  { date: '2027-06-01', name: 'Hari Lahir Pancasila' },
+  { date: '2027-06-06', name: 'Tahun Baru Islam' },
+  { date: '2027-08-15', name: 'Maulid Nabi Muhammad SAW' },
+  { date: '2027-08-17', name: 'Hari Kemerdekaan Republik Indonesia' },
+  { date: '2027-12-25', name: 'Hari Raya Natal' },
+].map((holiday) => Object.freeze(holiday)));
+
+/**
+ * Default business hours: Monday–Friday, 9 AM–5 PM, Indonesian holidays.
+ * Disabled until the user turns it on, so reminder times are unchanged by default.
+ * @type {Readonly<BusinessHours>}
+ */
+const DEFAULT_BUSINESS_HOURS = Object.freeze({
+  enabled: false,
+  start: Object.freeze({ hour: 9, minute: 0 }),
+  end: Object.freeze({ hour: 17, minute: 0 }),
+  workingDays: Object.freeze([1, 2, 3, 4, 5]),
+  holidays: INDONESIAN_HOLIDAYS,
+});
+
+/** Longest stretch searched for an open day before giving up (a year and a bit) */
+const MAX_SEARCH_DAYS = 370;
+
+/**
+ * Formats a date as a local YYYY-MM-DD key, the format used by the holiday list.
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Returns whether the given day is a working day and not a holiday.
+ * @param {Date} date
+ * @param {BusinessHours} config
+ * @returns {boolean}
+ */
+function isBusinessDay(date, config) {
+  if (!config.workingDays.includes(date.getDay())) return false;
+  const key = toDateKey(date);
+  return !config.holidays.some((holiday) => holiday.date === key);
+}
+
+/**
+ * Returns a copy of the date set to the given clock time.
+ * @param {Date} date
+ * @param {{ hour: number, minute: number }} clock
+ * @returns {Date}
+ */
+function atClock(date, clock) {
+  const result = new Date(date);
+  result.setHours(clock.hour, clock.minute, 0, 0);
+  return result;
+}
+
+/**
+ * Returns whether a time falls on a business day between opening and closing.
+ * @param {number} time - Epoch ms
+ * @param {BusinessHours} config
+ * @returns {boolean}
+ */
+function isWithinBusinessHours(time, config) {
+  const date = new Date(time);
+  if (!isBusinessDay(date, config)) return false;
+  return time >= atClock(date, config.start).getTime() && time < atClock(date, config.end).getTime();
+}
+
+/**
+ * Returns the first business day strictly after the given date, at the given clock time.
+ * @param {number} time - Epoch ms; its calendar day is excluded
+ * @param {BusinessHours} config
+ * @param {{ hour: number, minute: number }} [clock] - Time of day (defaults to opening time)
+ * @returns {number|null} Epoch ms, or null if no working day exists
+ */
+function getNextBusinessDay(time, config, clock = config.start) {
+  const date = atClock(new Date(time), clock);
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    date.setDate(date.getDate() + 1);
+    if (isBusinessDay(date, config)) {
+      // Re-apply the clock in case a DST change shifted it
+      return atClock(date, clock).getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the earliest time at or after `time` that is inside business hours.
+ * A time before opening on a business day moves to that day's opening;
+ * anything later moves to the opening of the next business day.
+ * @param {number} time - Epoch ms
+ * @param {BusinessHours} config
+ * @returns {number|null} Epoch ms, or null if no working day exists
+ */
+function getNextBusinessSlot(time, config) {
+  if (isWithinBusinessHours(time, config)) return time;
+
+  const date = new Date(time);
+  const opening = atClock(date, config.start).getTime();
+  if (isBusinessDay(date, config) && time < opening) {
+    return opening;
+  }
+  return getNextBusinessDay(time, config);
+}
+
+export {
+  INDONESIAN_HOLIDAYS,
+  DEFAULT_BUSINESS_HOURS,
+  toDateKey,
+  isBusinessDay,
+  isWithinBusinessHours,
+  getNextBusinessDay,
+  getNextBusinessSlot,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    INDONESIAN_HOLIDAYS,
+    DEFAULT_BUSINESS_HOURS,
+    toDateKey,
+    isBusinessDay,
+    isWithinBusinessHours,
+    getNextBusinessDay,
+    getNextBusinessSlot,
+  };
+}
@@ -18,9 +18,14 @@ const ALARM_PREFIX = "reminder-";
 /** @readonly */
 const STORAGE_KEYS = Object.freeze({
     REMINDERS: "reminders",
+    REMINDERS_VERSION: "remindersVersion",
     USER_PLAN: "userPlan",
     SUBSCRIPTION_STATUS: "subscriptionStatus",
     SCHEMA_VERSION: "schemaVersion",
+    SETTINGS: "settings",
+    HELD_REMINDERS: "heldReminders",
+    TRASH: "trash",
+    MIGRATION_BACKUP: "migrationBackup",
 });
 
 /** @readonly */
@@ -35,12 +40,49 @@ const REMINDER_STATUS = Object.freeze({
     COMPLETED: "completed",
 });
 
+/**
+ * Types of reminder change events (lib/reminder-changes.js).
+ * @readonly
+ */
+const REMINDER_CHANGE = Object.freeze({
+    ADDED: "added",
+    UPDATED: "updated",
+    REMOVED: "removed",
+});
+
+/** @readonly */
+const RECURRENCE_FREQUENCY = Object.freeze({
+    DAILY: "daily",
+    WEEKLY: "weekly",
+    MONTHLY: "monthly",
+});
+
+/** @readonly */
+const RECURRENCE_LIMITS = Object.freeze({
+    MIN_INTERVAL: 1,
+    MAX_INTERVAL: 99,
+});
+
+/** @readonly */
+const NOTE_MAX_LENGTH = 500;
+
 /** @readonly */
 const MESSAGE_TYPES = Object.freeze({
     CREATE_REMINDER: "CREATE_REMINDER",
     COMPLETE_REMINDER: "COMPLETE_REMINDER",
+    UPDATE_REMINDER: "UPDATE_REMINDER",
     DELETE_REMINDER: "DELETE_REMINDER",
+    RESTORE_REMINDER: "RESTORE_REMINDER",
+    REOPEN_REMINDER: "REOPEN_REMINDER",
+    GET_TRASH: "GET_TRASH",
+    COMPLETE_REMINDERS: "COMPLETE_REMINDERS",
+    RESCHEDULE_REMINDERS: "RESCHEDULE_REMINDERS",
+    DELETE_REMINDERS: "DELETE_REMINDERS",
+    BULK_REOPEN_REMINDERS: "BULK_REOPEN_REMINDERS",
+    BULK_RESTORE_REMINDERS: "BULK_RESTORE_REMINDERS",
+    RESCHEDULE_OVERDUE: "RESCHEDULE_OVERDUE",
     GET_REMINDERS: "GET_REMINDERS",
+    EXPORT_REMINDERS: "EXPORT_REMINDERS",
     GET_PLAN_STATUS: "GET_PLAN_STATUS",
     CHECK_NOTIFICATION_PERMISSION: "CHECK_NOTIFICATION_PERMISSION",
     SYNC_SUBSCRIPTION: "SYNC_SUBSCRIPTION",
@@ -50,6 +92,8 @@ const MESSAGE_TYPES = Object.freeze({
     GET_SUBSCRIPTION_DETAILS: "GET_SUBSCRIPTION_DETAILS",
     REDIRECT_TO_CUSTOMER_PORTAL: "REDIRECT_TO_CUSTOMER_PORTAL",
     REACTIVATE_SUBSCRIPTION: "REACTIVATE_SUBSCRIPTION",
+    GET_SETTINGS: "GET_SETTINGS",
+    SAVE_SETTINGS: "SAVE_SETTINGS",
 });
 
 /** @readonly */
@@ -97,10 +141,131 @@ const DEFAULT_PRESET_TIMES = Object.freeze({
     TOMORROW_HOUR: 9, // 9 AM
 });
 
+/** @readonly */
+const PRESET_TYPES = Object.freeze({
+    RELATIVE: "relative", // N minutes from now
+    TIME_OF_DAY: "timeOfDay", // a fixed time, today or N days ahead
+    WEEKDAY: "weekday", // next <weekday> at <time>
+    BUSINESS_DAY: "businessDay", // next business day at <time>
+});
+
+/** @readonly */
+const PRESET_LIMITS = Object.freeze({
+    MAX_PRESETS: 8,
+    MAX_LABEL_LENGTH: 40,
+    MAX_OFFSET_MINUTES: 60 * 24 * 365, // 1 year
+    MAX_DAY_OFFSET: 365,
+});
+
+/** @readonly */
+const BUSINESS_HOURS_LIMITS = Object.freeze({
+    MAX_HOLIDAYS: 200,
+    MAX_HOLIDAY_NAME_LENGTH: 60,
+});
+
+/** @readonly */
+const NOTIFICATION_BUTTONS = Object.freeze({
+    SNOOZE: 0,
+    MARK_DONE: 1,
+});
+
+/** @readonly */
+const QUIET_HOURS = Object.freeze({
+    RELEASE_ALARM: "quiet-hours-release", // fires when the window ends
+    NOTIFICATION_ID: "quiet-hours-summary",
+});
+
+/** @readonly */
+const IDLE = Object.freeze({
+    DETECTION_SECONDS: 5 * 60, // no input for this long counts as away
+    ACTIVE_STATE: "active", // chrome.idle state; "idle" and "locked" both hold
+});
+
+/**
+ * Why a reminder's notification is being held (services/hold-service.js).
+ * @readonly
+ */
+const HOLD_REASONS = Object.freeze({
+    QUIET_HOURS: "quietHours",
+    IDLE: "idle",
+});
+
+/** @readonly */
+const DELIVERY = Object.freeze({
+    RENOTIFY_ALARM: "renotify-check", // periodic check while re-notify is on
+    RENOTIFY_CHECK_MINUTES: 5,
+    MAX_RENOTIFY_MINUTES: 7 * 24 * 60, // 1 week
+    MISSED_NOTIFICATION_ID: "missed-reminders",
+    OVERDUE_NOTIFICATION_ID: "overdue-reminders",
+    BATCH_WINDOW_MS: 60 * 1000, // reminders due this close together share one notification
+    BATCH_NOTIFICATION_PREFIX: "batch-", // followed by the comma-separated reminder IDs
+    LATE_THRESHOLD_MS: 5 * 60 * 1000, // alarms firing later than this count as late
+});
+
+/** @readonly */
+const ESCALATION = Object.freeze({
+    ALARM_PREFIX: "escalate-", // followed by the reminder ID
+    MAX_STEPS: 5,
+    MAX_INTERVAL_MINUTES: 7 * 24 * 60, // 1 week
+    MAX_ESCALATIONS: 30,
+});
+
+/** @readonly */
+const DIGEST = Object.freeze({
+    ALARM: "daily-digest", // recurring, once a day at the configured time
+    PERIOD_MINUTES: 24 * 60,
+    NOTIFICATION_ID: "daily-digest",
+    MAX_NAMES: 3,
+    TODAY_VIEW: "today", // popup ?view= value opened by the digest
+});
+
+/** @readonly */
+const PRIVACY_MODES = Object.freeze({
+    FULL: "full", // contact names and notes shown
+    MASKED: "masked", // names partly masked, notes left out
+    HIDDEN: "hidden", // generic text only
+});
+
+/** @readonly */
+const OVERDUE_SPREAD = Object.freeze({
+    OPTIONS_MINUTES: Object.freeze([0, 5, 10, 15, 30]), // 0: all at the same time
+    MAX_MINUTES: 60,
+});
+
+/** @readonly */
+const REMINDER_FILTER = Object.freeze({
+    STATUS: Object.freeze({
+        ALL: "all",
+        OVERDUE: "overdue",
+        UPCOMING: "upcoming",
+        COMPLETED: "completed",
+    }),
+    CHAT_TYPE: Object.freeze({
+        ALL: "all",
+        GROUP: "group", // chat IDs ending in @g.us
+        INDIVIDUAL: "individual", // chat IDs ending in @c.us
+    }),
+    MIN_PHONE_QUERY_DIGITS: 3,
+    MAX_QUERY_LENGTH: 100,
+    MAX_SAVED_VIEWS: 20,
+    MAX_VIEW_NAME_LENGTH: 40,
+});
+
+/** @readonly */
+const SNOOZE_DURATION_MS = 60 * 60 * 1000; // 1 hour
+
+/** @readonly */
+const SNOOZE_OPTIONS = Object.freeze({
+    HOUR: "hour", // SNOOZE_DURATION_MS from now
+    TOMORROW_MORNING: "tomorrowMorning", // tomorrow at DEFAULT_PRESET_TIMES.TOMORROW_HOUR
+});
+
 /** @readonly */
 const CLEANUP = Object.freeze({
     COMPLETED_RETENTION_DAYS: 30,
     COMPLETED_RETENTION_MS: 30 * 24 * 60 * 60 * 1000,
+    TRASH_RETENTION_DAYS: 30,
+    TRASH_RETENTION_MS: 30 * 24 * 60 * 60 * 1000,
 });
 
 /** @readonly */
@@ -133,8 +298,32 @@ const BADGE_COLOR = "#25D366"; // WhatsApp green
 /** @readonly */
 const MUTATION_OBSERVER_DEBOUNCE_MS = 100;
 
-/** @readonly */
-const SCHEMA_VERSION = 1;
+/**
+ * IndexedDB reminder store (services/reminder-db.js): one record per
+ * reminder, keyed by ID. Each write's changes are broadcast on
+ * CHANGE_CHANNEL.
+ * @readonly
+ */
+const REMINDER_DB = Object.freeze({
+    NAME: "wareminder",
+    VERSION: 1,
+    STORE: "reminders",
+    META_STORE: "meta",
+    INDEXES: Object.freeze({
+        STATUS: "status",
+        SCHEDULED_TIME: "scheduledTime",
+        CHAT_ID: "chatId",
+    }),
+    CHANGE_CHANNEL: "wareminder-reminder-changes",
+});
+
+/**
+ * Version of the stored data's shape. Bump it with a new step in
+ * lib/migrations.js whenever stored reminder, plan or subscription data
+ * changes shape.
+ * @readonly
+ */
+const SCHEMA_VERSION = 2;
 
 // ES6 exports
 export {
@@ -143,8 +332,27 @@ export {
     STORAGE_KEYS,
     DEFAULT_PLAN,
     REMINDER_STATUS,
+    REMINDER_CHANGE,
+    RECURRENCE_FREQUENCY,
+    RECURRENCE_LIMITS,
+    NOTE_MAX_LENGTH,
     MESSAGE_TYPES,
     DEFAULT_PRESET_TIMES,
+    PRESET_TYPES,
+    PRESET_LIMITS,
+    BUSINESS_HOURS_LIMITS,
+    NOTIFICATION_BUTTONS,
+    QUIET_HOURS,
+    IDLE,
+    HOLD_REASONS,
+    DELIVERY,
+    ESCALATION,
+    DIGEST,
+    PRIVACY_MODES,
+    OVERDUE_SPREAD,
+    REMINDER_FILTER,
+    SNOOZE_DURATION_MS,
+    SNOOZE_OPTIONS,
     CLEANUP,
     STORAGE_QUOTA,
     CSS_SELECTORS,
@@ -152,6 +360,7 @@ export {
     BADGE_COLOR,
     MUTATION_OBSERVER_DEBOUNCE_MS,
     SCHEMA_VERSION,
+    REMINDER_DB,
     SUBSCRIPTION_CONSTANTS,
     SUBSCRIPTION_PLANS,
     SUBSCRIPTION_STATUS,
@@ -167,8 +376,27 @@ if (typeof module !== "undefined" && module.exports) {
         STORAGE_KEYS,
         DEFAULT_PLAN,
         REMINDER_STATUS,
+        REMINDER_CHANGE,
+        RECURRENCE_FREQUENCY,
+        RECURRENCE_LIMITS,
+        NOTE_MAX_LENGTH,
         MESSAGE_TYPES,
         DEFAULT_PRESET_TIMES,
+        PRESET_TYPES,
+        PRESET_LIMITS,
+        BUSINESS_HOURS_LIMITS,
+        NOTIFICATION_BUTTONS,
+        QUIET_HOURS,
+        IDLE,
+        HOLD_REASONS,
+        DELIVERY,
+        ESCALATION,
+        DIGEST,
+        PRIVACY_MODES,
+        OVERDUE_SPREAD,
+        REMINDER_FILTER,
+        SNOOZE_DURATION_MS,
+        SNOOZE_OPTIONS,
         CLEANUP,
         STORAGE_QUOTA,
         CSS_SELECTORS,
@@ -176,6 +404,7 @@ if (typeof module !== "undefined" && module.exports) {
         BADGE_COLOR,
         MUTATION_OBSERVER_DEBOUNCE_MS,
         SCHEMA_VERSION,
+        REMINDER_DB,
         SUBSCRIPTION_CONSTANTS,
         SUBSCRIPTION_PLANS,
         SUBSCRIPTION_STATUS,
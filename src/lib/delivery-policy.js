@@ -0,0 +1,109 @@
+// @ts-check
+
+/**
+ * Notification delivery policy for due reminders.
+ * Each reminder records when it was last notified (`notifiedAt`) and how many
+ * times (`notificationCount`) for its current occurrence; both reset whenever
+ * the reminder moves to a new time.
+ *
+ * - First delivery: a due reminder that was never notified.
+ * - Re-notify: a reminder notified at least `renotifyMinutes` ago and still
+ *   pending; off when `renotifyMinutes` is 0 (the default).
+ * - Batching: reminders that come due within a short window of each other
+ *   are delivered together, in one notification.
+ * - Lateness: a reminder first delivered well after its due time (the
+ *   computer was asleep or the browser closed) records how late it was
+ *   (`lateByMs`), for the notification wording and the popup.
+ * @module delivery-policy
+ */
+
+import { DELIVERY, REMINDER_STATUS } from './constants.js';
+
+/**
+ * Default re-notify interval in minutes; 0 means notify once only.
+ * @type {number}
+ */
+const DEFAULT_RENOTIFY_MINUTES = 0;
+
+/**
+ * Returns whether a reminder has been notified for its current occurrence.
+ * @param {{ notifiedAt?: number|null }} reminder
+ * @returns {boolean}
+ */
+function isNotified(reminder) {
+  return typeof reminder.notifiedAt === 'number';
+}
+
+/**
+ * Splits the due, pending reminders into those never notified ("missed",
+ * e.g. because the browser was closed when they came due) and those whose
+ * re-notify interval has elapsed.
+ * @param {Array<object>} reminders - All reminders
+ * @param {number} now - Current time (epoch ms)
+ * @param {number} [renotifyMinutes] - Re-notify interval, 0 for never
+ * @returns {{ missed: Array<object>, renotify: Array<object> }} Both sorted soonest first
+ */
+function getDueDeliveries(reminders, now, renotifyMinutes = DEFAULT_RENOTIFY_MINUTES) {
+  const due = reminders
+    .filter((r) => r.status === REMINDER_STATUS.PENDING && r.scheduledTime <= now)
+    .sort((a, b) => a.scheduledTime - b.scheduledTime);
+
+  const missed = due.filter((r) => !isNotified(r));
+  const renotify =
+    renotifyMinutes > 0
+      ? due.filter((r) => isNotified(r) && now - r.notifiedAt >= renotifyMinutes * 60 * 1000)
+      : [];
+
+  return { missed, renotify };
+}
+
+/**
+ * Returns the reminders to deliver together with one that just came due:
+ * every pending, never-notified reminder due within `windowMs` of it, either
+ * side. Those due slightly later are notified up to `windowMs` early, and
+ * their own alarms then find them already notified.
+ * @param {Array<object>} reminders - All reminders
+ * @param {number} dueTime - Due time of the reminder that came due (epoch ms)
+ * @param {number} [windowMs] - Batching window
+ * @returns {Array<object>} Sorted soonest first
+ */
+function getDueBatch(reminders, dueTime, windowMs = DELIVERY.BATCH_WINDOW_MS) {
+  return reminders
+    .filter(
+      (r) =>
+        r.status === REMINDER_STATUS.PENDING &&
+        !isNotified(r) &&
+        Math.abs(r.scheduledTime - dueTime) <= windowMs
+    )
+    .sort((a, b) => a.scheduledTime - b.scheduledTime);
+}
+
+/**
+ * Returns how late a delivery is, ignoring the small delays Chrome alarms
+ * normally have.
+ * @param {number} dueTime - When the reminder was due (epoch ms)
+ * @param {number} deliveredAt - When it is being delivered (epoch ms)
+ * @returns {number} Lateness in ms, or 0 if it is on time
+ */
+function getLateness(dueTime, deliveredAt) {
+  const lateness = deliveredAt - dueTime;
+  return lateness >= DELIVERY.LATE_THRESHOLD_MS ? lateness : 0;
+}
+
+export {
+  DEFAULT_RENOTIFY_MINUTES,
+  isNotified,
+  getDueDeliveries,
+  getDueBatch,
+  getLateness,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_RENOTIFY_MINUTES,
+    isNotified,
+    getDueDeliveries,
+    getDueBatch,
+    getLateness,
+  };
+}
@@ -0,0 +1,112 @@
+// @ts-check
+
+/**
+ * Daily digest: one notification each morning summarising the day's
+ * follow-ups — how many are due today, how many are already overdue, and
+ * the first few contact names. All calculations use the local time zone.
+ * @module digest
+ */
+
+import { DIGEST, REMINDER_STATUS } from './constants.js';
+
+/**
+ * @typedef {object} DigestConfig
+ * @property {boolean} enabled - Whether the digest is sent
+ * @property {{ hour: number, minute: number }} time - Time of day to send it
+ */
+
+/**
+ * @typedef {object} DigestSummary
+ * @property {number} dueToday - Pending reminders due later today
+ * @property {number} overdue - Pending reminders already due
+ * @property {string[]} names - First few contact names, most urgent first
+ * @property {number} moreNames - Contacts not listed in `names`
+ */
+
+/**
+ * Default digest: 8:30 AM, off until the user turns it on.
+ * @type {Readonly<DigestConfig>}
+ */
+const DEFAULT_DIGEST = Object.freeze({
+  enabled: false,
+  time: Object.freeze({ hour: 8, minute: 30 }),
+});
+
+/**
+ * Returns the end of the day (next local midnight) for a time.
+ * @param {number} time - Epoch ms
+ * @returns {number} Epoch ms
+ */
+function getEndOfDay(time) {
+  const end = new Date(time);
+  end.setHours(24, 0, 0, 0);
+  return end.getTime();
+}
+
+/**
+ * Returns the next time the digest is due strictly after the given time:
+ * today at the configured time if that is still ahead, otherwise tomorrow.
+ * @param {number} time - Epoch ms
+ * @param {{ hour: number, minute: number }} clock - Configured time of day
+ * @returns {number} Epoch ms
+ */
+function getNextDigestTime(time, clock) {
+  const next = new Date(time);
+  next.setHours(clock.hour, clock.minute, 0, 0);
+  if (next.getTime() <= time) {
+    next.setDate(next.getDate() + 1);
+    next.setHours(clock.hour, clock.minute, 0, 0);
+  }
+  return next.getTime();
+}
+
+/**
+ * Returns whether a reminder belongs in today's list: pending and due
+ * before the end of today (including overdue ones).
+ * @param {{ status: string, scheduledTime: number }} reminder
+ * @param {number} now - Current time (epoch ms)
+ * @returns {boolean}
+ */
+function isDueToday(reminder, now) {
+  return reminder.status === REMINDER_STATUS.PENDING && reminder.scheduledTime < getEndOfDay(now);
+}
+
+/**
+ * Summarises today's follow-ups for the digest.
+ * @param {Array<{ status: string, scheduledTime: number, chatName: string }>} reminders - All reminders
+ * @param {number} now - Current time (epoch ms)
+ * @returns {DigestSummary}
+ */
+function buildDigestSummary(reminders, now) {
+  const today = reminders
+    .filter((r) => isDueToday(r, now))
+    .sort((a, b) => a.scheduledTime - b.scheduledTime);
+
+  const overdue = today.filter((r) => r.scheduledTime <= now).length;
+  const contacts = [...new Set(today.map((r) => r.chatName))];
+
+  return {
+    dueToday: today.length - overdue,
+    overdue,
+    names: contacts.slice(0, DIGEST.MAX_NAMES),
+    moreNames: Math.max(contacts.length - DIGEST.MAX_NAMES, 0),
+  };
+}
+
+export {
+  DEFAULT_DIGEST,
+  getEndOfDay,
+  getNextDigestTime,
+  isDueToday,
+  buildDigestSummary,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_DIGEST,
+    getEndOfDay,
+    getNextDigestTime,
+    isDueToday,
+    buildDigestSummary,
+  };
+}
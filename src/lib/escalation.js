@@ -0,0 +1,86 @@
+// @ts-check
+
+/**
+ * Escalation policy for overdue reminders: after the first notification, a
+ * still-pending reminder is notified again after each interval in turn, with
+ * rising notification priority. The last interval repeats, so [60, 240, 1440]
+ * means "after 1 hour, then 4 hours, then daily".
+ * A reminder may carry its own policy; otherwise the global setting applies.
+ * @module escalation
+ */
+
+import { ESCALATION } from './constants.js';
+
+/**
+ * @typedef {object} EscalationPolicy
+ * @property {boolean} enabled - Whether overdue reminders escalate
+ * @property {number[]} intervals - Minutes to wait before each escalation; the last one repeats
+ */
+
+/**
+ * Default policy: 1 hour, then 4 hours, then daily. Off until turned on.
+ * @type {Readonly<EscalationPolicy>}
+ */
+const DEFAULT_ESCALATION = Object.freeze({
+  enabled: false,
+  intervals: Object.freeze([60, 240, 24 * 60]),
+});
+
+/** Notification priority of the first notification when escalation is on */
+const BASE_PRIORITY = 0;
+
+/** Highest Chrome notification priority */
+const MAX_PRIORITY = 2;
+
+/**
+ * Returns the policy that applies to a reminder: its own, or the global one.
+ * @param {{ escalation?: EscalationPolicy|null }} reminder
+ * @param {EscalationPolicy} [globalPolicy]
+ * @returns {EscalationPolicy}
+ */
+function resolveEscalationPolicy(reminder, globalPolicy = DEFAULT_ESCALATION) {
+  return reminder.escalation || globalPolicy || DEFAULT_ESCALATION;
+}
+
+/**
+ * Returns how long to wait before the next escalation.
+ * @param {EscalationPolicy} policy
+ * @param {number} escalationCount - Escalations so far
+ * @returns {number|null} Delay in ms, or null if the reminder should not escalate further
+ */
+function getNextEscalationDelay(policy, escalationCount) {
+  if (!policy.enabled || policy.intervals.length === 0 || escalationCount >= ESCALATION.MAX_ESCALATIONS) {
+    return null;
+  }
+  const index = Math.min(escalationCount, policy.intervals.length - 1);
+  return policy.intervals[index] * 60 * 1000;
+}
+
+/**
+ * Returns the Chrome notification priority for a reminder's next notification.
+ * Without escalation every notification uses the highest priority; with it,
+ * priority starts low and rises with each escalation.
+ * @param {EscalationPolicy} policy
+ * @param {number} escalationCount - Escalations so far
+ * @returns {number} -2 to 2
+ */
+function getEscalationPriority(policy, escalationCount) {
+  if (!policy.enabled) return MAX_PRIORITY;
+  return Math.min(BASE_PRIORITY + escalationCount, MAX_PRIORITY);
+}
+
+export {
+  DEFAULT_ESCALATION,
+  resolveEscalationPolicy,
+  getNextEscalationDelay,
+  getEscalationPriority,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_ESCALATION,
+    resolveEscalationPolicy,
+    getNextEscalationDelay,
+    getEscalationPriority,
+  };
+}
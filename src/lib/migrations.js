@@ -0,0 +1,152 @@
+// @ts-check
+
+/**
+ * Schema migration steps for stored data. Each step brings data from the
+ * previous version to its own; steps run in version order and are pure
+ * and idempotent (running one twice gives the same data), so a migration
+ * interrupted and re-run is safe. services/migration-service.js runs them.
+ * Installs from before schema versioning are at version 1.
+ * @module migrations
+ */
+
+import { PLAN_LIMITS, SUBSCRIPTION_PLANS } from './constants.js';
+
+/**
+ * @typedef {object} SchemaData
+ * @property {Array<object>} reminders
+ * @property {Array<object>} trash - Deleted reminders, each with its deletedAt
+ * @property {?object} userPlan
+ * @property {?object} subscriptionStatus
+ */
+
+/**
+ * @typedef {object} Migration
+ * @property {number} version - Schema version the step migrates to
+ * @property {string} description
+ * @property {(data: SchemaData) => SchemaData} migrate
+ */
+
+/** Schema version of installs from before migrations were recorded */
+const INITIAL_SCHEMA_VERSION = 1;
+
+/**
+ * Reminder fields added since schema 1, with the value a reminder created
+ * without them behaves as.
+ */
+const REMINDER_FIELD_DEFAULTS = Object.freeze({
+  note: null,
+  notifiedAt: null,
+  notificationCount: 0,
+  escalation: null,
+  escalationCount: 0,
+  lateByMs: null,
+  recurrence: null,
+});
+
+/**
+ * Subscription fields cached under both camelCase (subscription portal)
+ * and snake_case (account and payment services) names.
+ */
+const SUBSCRIPTION_FIELD_ALIASES = Object.freeze([
+  ['planType', 'plan_type'],
+  ['nextBillingDate', 'next_billing_date'],
+  ['trialEndDate', 'trial_end_date'],
+  ['currentPeriodEnd', 'current_period_end'],
+]);
+
+/**
+ * Fills in the reminder fields added since schema 1.
+ * @param {object} reminder
+ * @returns {object}
+ */
+function addReminderDefaults(reminder) {
+  return { ...REMINDER_FIELD_DEFAULTS, ...reminder };
+}
+
+/**
+ * Fills in a plan's reminder limit from its type; without one, the free
+ * plan's limit check fails and no reminder can be created.
+ * @param {?object} plan
+ * @returns {?object}
+ */
+function addPlanLimit(plan) {
+  if (!plan) return plan;
+  const planType = plan.planType || SUBSCRIPTION_PLANS.FREE;
+  if (typeof plan.activeReminderLimit === 'number') {
+    return { ...plan, planType };
+  }
+  return {
+    ...plan,
+    planType,
+    activeReminderLimit:
+      planType === SUBSCRIPTION_PLANS.PREMIUM
+        ? PLAN_LIMITS.PAID_ACTIVE_REMINDER_LIMIT
+        : PLAN_LIMITS.FREE_ACTIVE_REMINDER_LIMIT,
+  };
+}
+
+/**
+ * Copies each plan and billing field of a cached subscription to its
+ * other spelling when missing, so readers of either spelling see it.
+ * @param {?object} status
+ * @returns {?object}
+ */
+function addSubscriptionAliases(status) {
+  if (!status || typeof status !== 'object') return null;
+  const result = { ...status };
+  for (const [camel, snake] of SUBSCRIPTION_FIELD_ALIASES) {
+    if (result[camel] === undefined && result[snake] !== undefined) {
+      result[camel] = result[snake];
+    } else if (result[snake] === undefined && result[camel] !== undefined) {
+      result[snake] = result[camel];
+    }
+  }
+  return result;
+}
+
+/** @type {ReadonlyArray<Migration>} In version order */
+const MIGRATIONS = Object.freeze([
+  {
+    version: 2,
+    description: 'Fill in new reminder fields, plan limits and subscription field names',
+    migrate: (data) => ({
+      reminders: data.reminders.map(addReminderDefaults),
+      trash: data.trash.map(addReminderDefaults),
+      userPlan: addPlanLimit(data.userPlan),
+      subscriptionStatus: addSubscriptionAliases(data.subscriptionStatus),
+    }),
+  },
+]);
+
+/**
+ * Returns the steps that bring data from one schema version to another.
+ * @param {number} fromVersion - Version of the stored data
+ * @param {number} toVersion - Target version
+ * @param {ReadonlyArray<Migration>} [migrations]
+ * @returns {Array<Migration>}
+ */
+function getPendingMigrations(fromVersion, toVersion, migrations = MIGRATIONS) {
+  return migrations
+    .filter((step) => step.version > fromVersion && step.version <= toVersion)
+    .sort((a, b) => a.version - b.version);
+}
+
+export {
+  INITIAL_SCHEMA_VERSION,
+  MIGRATIONS,
+  addReminderDefaults,
+  addPlanLimit,
+  addSubscriptionAliases,
+  getPendingMigrations,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    INITIAL_SCHEMA_VERSION,
+    MIGRATIONS,
+    addReminderDefaults,
+    addPlanLimit,
+    addSubscriptionAliases,
+    getPendingMigrations,
+  };
+}
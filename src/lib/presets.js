@@ -0,0 +1,202 @@
+// @ts-check
+
+/**
+ * Quick-pick reminder times shared by the content-script prompt and the popup.
+ * A preset is a rule that resolves to an absolute time relative to "now":
+ * - relative:  `minutes` from now ("In 1 hour")
+ * - timeOfDay: `hour`:`minute`, `dayOffset` days ahead; with a dayOffset of 0
+ *              the time rolls to tomorrow once it has passed ("Tonight at 8 PM")
+ * - weekday:   the next `weekday` (0 = Sunday) at `hour`:`minute`
+ * - businessDay: the next business day (see business-hours.js) at `hour`:`minute`
+ * When business hours are enabled, resolved times outside them are shifted
+ * to the next open slot.
+ * Users can replace the defaults from the options page; the list is kept in
+ * the settings object in chrome.storage.
+ * @module presets
+ */
+
+import { DEFAULT_PRESET_TIMES, PRESET_TYPES } from './constants.js';
+import { DEFAULT_BUSINESS_HOURS, getNextBusinessDay, getNextBusinessSlot } from './business-hours.js';
+
+/**
+ * @typedef {object} Preset
+ * @property {string} id - Stable identifier
+ * @property {string} label - Display label (English fallback for built-in presets)
+ * @property {string} [messageKey] - i18n key for built-in presets
+ * @property {string} type - One of PRESET_TYPES
+ * @property {number} [minutes] - relative: minutes from now
+ * @property {number} [hour] - timeOfDay/weekday/businessDay: 0-23
+ * @property {number} [minute] - timeOfDay/weekday/businessDay: 0-59
+ * @property {number} [dayOffset] - timeOfDay: days ahead (0 = today)
+ * @property {number} [weekday] - weekday: 0 (Sunday) to 6 (Saturday)
+ */
+
+/** @type {ReadonlyArray<Readonly<Preset>>} Built-in presets, used until the user saves their own */
+const DEFAULT_PRESETS = Object.freeze([
+  Object.freeze({
+    id: 'one-hour',
+    messageKey: 'presetOneHour',
+    label: 'In 1 hour',
+    type: PRESET_TYPES.RELATIVE,
+    minutes: DEFAULT_PRESET_TIMES.ONE_HOUR_MS / (60 * 1000),
+  }),
+  Object.freeze({
+    id: 'tonight',
+    messageKey: 'presetTonight',
+    label: 'Tonight at 8 PM',
+    type: PRESET_TYPES.TIME_OF_DAY,
+    hour: DEFAULT_PRESET_TIMES.TONIGHT_HOUR,
+    minute: 0,
+    dayOffset: 0,
+  }),
+  Object.freeze({
+    id: 'tomorrow',
+    messageKey: 'presetTomorrow',
+    label: 'Tomorrow at 9 AM',
+    type: PRESET_TYPES.TIME_OF_DAY,
+    hour: DEFAULT_PRESET_TIMES.TOMORROW_HOUR,
+    minute: 0,
+    dayOffset: 1,
+  }),
+  Object.freeze({
+    id: 'next-business-day',
+    messageKey: 'presetNextBusinessDay',
+    label: 'Next business day at 9 AM',
+    type: PRESET_TYPES.BUSINESS_DAY,
+    hour: DEFAULT_PRESET_TIMES.TOMORROW_HOUR,
+    minute: 0,
+  }),
+]);
+
+/**
+ * Resolves a single preset to an absolute time.
+ * @param {Preset} preset
+ * @param {number} now - Epoch ms to resolve against
+ * @param {import('./business-hours').BusinessHours} [businessHours] - Working days and holidays
+ * @returns {number} Epoch ms
+ */
+function resolvePresetTime(preset, now, businessHours = DEFAULT_BUSINESS_HOURS) {
+  if (preset.type === PRESET_TYPES.RELATIVE) {
+    return now + (preset.minutes || 0) * 60 * 1000;
+  }
+
+  const date = new Date(now);
+  date.setHours(preset.hour || 0, preset.minute || 0, 0, 0);
+
+  if (preset.type === PRESET_TYPES.BUSINESS_DAY) {
+    const clock = { hour: preset.hour || 0, minute: preset.minute || 0 };
+    const nextBusinessDay = getNextBusinessDay(now, businessHours, clock);
+    if (nextBusinessDay !== null) return nextBusinessDay;
+    // No working days configured: fall back to tomorrow
+    date.setDate(date.getDate() + 1);
+    return date.getTime();
+  }
+
+  if (preset.type === PRESET_TYPES.WEEKDAY) {
+    const diff = ((preset.weekday || 0) - date.getDay() + 7) % 7;
+    date.setDate(date.getDate() + diff);
+    if (date.getTime() <= now) {
+      // Today is the right weekday but the time has passed: next week
+      date.setDate(date.getDate() + 7);
+    }
+    return date.getTime();
+  }
+
+  const dayOffset = preset.dayOffset || 0;
+  date.setDate(date.getDate() + dayOffset);
+  if (dayOffset === 0 && date.getTime() <= now) {
+    // Past today's time already, so use the same time tomorrow
+    date.setDate(date.getDate() + 1);
+  }
+  return date.getTime();
+}
+
+/** English weekday names, indexed by Date#getDay() */
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Formats an hour and minute as a short 12-hour clock time ("9 AM", "5:30 PM").
+ * @param {number} hour - 0-23
+ * @param {number} minute - 0-59
+ * @returns {string}
+ */
+function formatClock(hour, minute) {
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  const displayHour = hour % 12 || 12;
+  return minute ? `${displayHour}:${String(minute).padStart(2, '0')} ${suffix}` : `${displayHour} ${suffix}`;
+}
+
+/**
+ * Builds a short English description of a preset rule, used as the
+ * suggested label when creating a preset.
+ * @param {Preset} preset
+ * @returns {string} e.g. "In 90 minutes", "Tomorrow at 9 AM", "Next Monday at 5 PM"
+ */
+function describePreset(preset) {
+  if (preset.type === PRESET_TYPES.RELATIVE) {
+    const minutes = preset.minutes || 0;
+    if (minutes % (24 * 60) === 0) {
+      const days = minutes / (24 * 60);
+      return days === 1 ? 'In 1 day' : `In ${days} days`;
+    }
+    if (minutes % 60 === 0) {
+      const hours = minutes / 60;
+      return hours === 1 ? 'In 1 hour' : `In ${hours} hours`;
+    }
+    return minutes === 1 ? 'In 1 minute' : `In ${minutes} minutes`;
+  }
+
+  const clock = formatClock(preset.hour || 0, preset.minute || 0);
+  if (preset.type === PRESET_TYPES.BUSINESS_DAY) {
+    return `Next business day at ${clock}`;
+  }
+  if (preset.type === PRESET_TYPES.WEEKDAY) {
+    return `Next ${WEEKDAY_NAMES[preset.weekday || 0]} at ${clock}`;
+  }
+
+  const dayOffset = preset.dayOffset || 0;
+  if (dayOffset === 0) return `Today at ${clock}`;
+  if (dayOffset === 1) return `Tomorrow at ${clock}`;
+  return `In ${dayOffset} days at ${clock}`;
+}
+
+/**
+ * Calculates the preset time values based on the given time.
+ * Labels are English fallbacks; callers translate built-in presets through `messageKey`.
+ * With business hours enabled, a time outside them is moved to the next open
+ * slot and flagged with `shifted`.
+ * @param {number} [now] - Epoch ms to calculate from (defaults to Date.now())
+ * @param {ReadonlyArray<Preset>} [presets] - Preset rules (defaults to DEFAULT_PRESETS)
+ * @param {import('./business-hours').BusinessHours} [businessHours] - Defaults to DEFAULT_BUSINESS_HOURS
+ * @returns {Array<{ id: string, messageKey?: string, label: string, time: number, shifted: boolean }>}
+ */
+function calculatePresets(now = Date.now(), presets = DEFAULT_PRESETS, businessHours = DEFAULT_BUSINESS_HOURS) {
+  return presets.map((preset) => {
+    const resolved = resolvePresetTime(preset, now, businessHours);
+    const slot = businessHours.enabled ? getNextBusinessSlot(resolved, businessHours) : resolved;
+    const time = slot === null ? resolved : slot;
+    return {
+      id: preset.id,
+      messageKey: preset.messageKey,
+      label: preset.label,
+      time,
+      shifted: time !== resolved,
+    };
+  });
+}
+
+export {
+  DEFAULT_PRESETS,
+  resolvePresetTime,
+  describePreset,
+  calculatePresets,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_PRESETS,
+    resolvePresetTime,
+    describePreset,
+    calculatePresets,
+  };
+}
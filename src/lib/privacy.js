@@ -0,0 +1,89 @@
+// @ts-check
+
+/**
+ * Notification privacy: how much of a contact's name is shown in
+ * notifications and the in-chat prompt's confirmation, for screen-shares
+ * and the lock screen. The popup always shows full details.
+ * - full: the name as saved
+ * - masked: the first letter of each word ("B••• S••••••"), or only the
+ *   last digits of a phone number ("+•• •••-••••-7890")
+ * - hidden: no name at all; callers use generic wording
+ * @module privacy
+ */
+
+import { PRIVACY_MODES } from './constants.js';
+
+/**
+ * Default mode: names shown as saved.
+ * @type {string}
+ */
+const DEFAULT_PRIVACY_MODE = PRIVACY_MODES.FULL;
+
+/** Character that replaces masked letters and digits */
+const MASK_CHAR = '•';
+
+/** Digits left visible at the end of a masked phone number */
+const VISIBLE_DIGITS = 4;
+
+/** Minimum digits for a name to be treated as a phone number */
+const MIN_PHONE_DIGITS = 6;
+
+/**
+ * Returns whether a contact name is a phone number (WhatsApp shows the
+ * number for contacts without a saved name).
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isPhoneNumber(name) {
+  const digits = name.replace(/\D/g, '');
+  return /^[+\d\s().-]+$/.test(name) && digits.length >= MIN_PHONE_DIGITS;
+}
+
+/**
+ * Masks a contact name: a phone number keeps only its last digits, any
+ * other name only the first character of each word.
+ * @param {string} name
+ * @returns {string}
+ */
+function maskName(name) {
+  if (isPhoneNumber(name)) {
+    let toMask = name.replace(/\D/g, '').length - VISIBLE_DIGITS;
+    return name.replace(/\d/g, (digit) => (toMask-- > 0 ? MASK_CHAR : digit));
+  }
+  return name
+    .split(/(\s+)/)
+    .map((word) => {
+      const chars = Array.from(word);
+      if (chars.length === 0 || /^\s+$/.test(word)) return word;
+      return chars[0] + MASK_CHAR.repeat(chars.length - 1);
+    })
+    .join('');
+}
+
+/**
+ * Returns the contact name to show under a privacy mode.
+ * @param {string} name - The contact's name as saved
+ * @param {string} [mode] - One of PRIVACY_MODES
+ * @returns {string|null} The name to show, or null if it must not be shown
+ */
+function getDisplayName(name, mode = DEFAULT_PRIVACY_MODE) {
+  if (mode === PRIVACY_MODES.HIDDEN) return null;
+  if (mode === PRIVACY_MODES.MASKED) return maskName(name);
+  return name;
+}
+
+export {
+  DEFAULT_PRIVACY_MODE,
+  isPhoneNumber,
+  maskName,
+  getDisplayName,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_PRIVACY_MODE,
+    isPhoneNumber,
+    maskName,
+    getDisplayName,
+  };
+}
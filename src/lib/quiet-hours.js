@@ -0,0 +1,86 @@
+// @ts-check
+
+/**
+ * Quiet hours (do not disturb): a daily window during which reminder
+ * notifications are held back and delivered together when it ends.
+ * The window may wrap past midnight (e.g. 22:00–07:00).
+ * All calculations use the local time zone.
+ * @module quiet-hours
+ */
+
+/**
+ * @typedef {object} QuietHours
+ * @property {boolean} enabled - Whether notifications are held during the window
+ * @property {{ hour: number, minute: number }} start - Start of the window
+ * @property {{ hour: number, minute: number }} end - End of the window (exclusive)
+ */
+
+/**
+ * Default quiet hours: 10 PM–7 AM, off until the user turns them on.
+ * @type {Readonly<QuietHours>}
+ */
+const DEFAULT_QUIET_HOURS = Object.freeze({
+  enabled: false,
+  start: Object.freeze({ hour: 22, minute: 0 }),
+  end: Object.freeze({ hour: 7, minute: 0 }),
+});
+
+/**
+ * Converts a clock time to minutes since midnight.
+ * @param {{ hour: number, minute: number }} clock
+ * @returns {number}
+ */
+function toMinutes(clock) {
+  return clock.hour * 60 + clock.minute;
+}
+
+/**
+ * Returns whether a time falls inside the quiet-hours window.
+ * Always false while quiet hours are turned off.
+ * @param {number} time - Epoch ms
+ * @param {QuietHours} config
+ * @returns {boolean}
+ */
+function isWithinQuietHours(time, config) {
+  if (!config || !config.enabled) return false;
+
+  const date = new Date(time);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(config.start);
+  const end = toMinutes(config.end);
+
+  if (start < end) {
+    return minutes >= start && minutes < end;
+  }
+  // Window wraps past midnight
+  return minutes >= start || minutes < end;
+}
+
+/**
+ * Returns the next time the quiet-hours window ends after the given time.
+ * @param {number} time - Epoch ms
+ * @param {QuietHours} config
+ * @returns {number} Epoch ms
+ */
+function getQuietHoursEnd(time, config) {
+  const end = new Date(time);
+  end.setHours(config.end.hour, config.end.minute, 0, 0);
+  if (end.getTime() <= time) {
+    end.setDate(end.getDate() + 1);
+  }
+  return end.getTime();
+}
+
+export {
+  DEFAULT_QUIET_HOURS,
+  isWithinQuietHours,
+  getQuietHoursEnd,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_QUIET_HOURS,
+    isWithinQuietHours,
+    getQuietHoursEnd,
+  };
+}
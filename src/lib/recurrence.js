@@ -0,0 +1,104 @@
+// @ts-check
+
+/**
+ * Recurrence rules for repeating reminders.
+ * A rule repeats every `interval` days, weeks, or months, counted from
+ * the anchor time of the series (the first scheduled occurrence).
+ * @module recurrence
+ */
+
+import { RECURRENCE_FREQUENCY } from './constants.js';
+
+/** @type {Record<string, number>} Approximate length of one step, used to skip ahead */
+const APPROX_STEP_MS = {
+  [RECURRENCE_FREQUENCY.DAILY]: 24 * 60 * 60 * 1000,
+  [RECURRENCE_FREQUENCY.WEEKLY]: 7 * 24 * 60 * 60 * 1000,
+  [RECURRENCE_FREQUENCY.MONTHLY]: 31 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Returns the occurrence `steps` units after the anchor.
+ * Uses local calendar arithmetic so the time of day survives DST changes.
+ * Monthly steps clamp to the last day of shorter months without drifting
+ * the day of month for later occurrences (Jan 31 → Feb 28 → Mar 31).
+ * @param {number} anchorTime - Epoch ms of the first occurrence
+ * @param {string} frequency - One of RECURRENCE_FREQUENCY
+ * @param {number} steps - Number of units to add
+ * @returns {number} Epoch ms of the occurrence
+ */
+function addSteps(anchorTime, frequency, steps) {
+  const date = new Date(anchorTime);
+
+  if (frequency === RECURRENCE_FREQUENCY.MONTHLY) {
+    const dayOfMonth = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + steps);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(dayOfMonth, lastDay));
+    return date.getTime();
+  }
+
+  const days = frequency === RECURRENCE_FREQUENCY.WEEKLY ? steps * 7 : steps;
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
+
+/**
+ * Returns the first occurrence of a series strictly after the given time.
+ * The anchor itself counts as an occurrence.
+ * @param {{ frequency: string, interval: number, anchorTime: number }} recurrence - Recurrence rule
+ * @param {number} after - Epoch ms; the result is strictly greater than this
+ * @returns {number} Epoch ms of the next occurrence
+ */
+function getNextOccurrence(recurrence, after) {
+  const { frequency, interval, anchorTime } = recurrence;
+  if (anchorTime > after) {
+    return anchorTime;
+  }
+
+  // Skip close to the target instead of stepping one by one through old series
+  const approxSteps = Math.floor((after - anchorTime) / (APPROX_STEP_MS[frequency] * interval));
+  let count = Math.max(0, approxSteps - 1);
+  let occurrence = addSteps(anchorTime, frequency, count * interval);
+
+  while (occurrence <= after) {
+    count++;
+    occurrence = addSteps(anchorTime, frequency, count * interval);
+  }
+  return occurrence;
+}
+
+/**
+ * Builds a short description of a recurrence rule for display.
+ * @param {{ frequency: string, interval: number } | null | undefined} recurrence
+ * @returns {string} e.g. "Weekly", "Every 2 months", or "" for one-time reminders
+ */
+function describeRecurrence(recurrence) {
+  if (!recurrence) return '';
+
+  const { frequency, interval } = recurrence;
+  if (interval === 1) {
+    if (frequency === RECURRENCE_FREQUENCY.DAILY) return 'Daily';
+    if (frequency === RECURRENCE_FREQUENCY.WEEKLY) return 'Weekly';
+    return 'Monthly';
+  }
+
+  const unit = {
+    [RECURRENCE_FREQUENCY.DAILY]: 'days',
+    [RECURRENCE_FREQUENCY.WEEKLY]: 'weeks',
+    [RECURRENCE_FREQUENCY.MONTHLY]: 'months',
+  }[frequency];
+  return `Every ${interval} ${unit}`;
+}
+
+export {
+  getNextOccurrence,
+  describeRecurrence,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getNextOccurrence,
+    describeRecurrence,
+  };
+}
@@ -0,0 +1,97 @@
+// @ts-check
+
+/**
+ * Reminder change events: one typed event per reminder a write added,
+ * updated or removed, with the reminder's previous version for updates.
+ * The reminder store emits a list of them per write (see
+ * StorageService.onReminderChanges), so listeners such as the badge and
+ * the popup update only what changed instead of recomputing from the
+ * full list.
+ * @module reminder-changes
+ */
+
+import { REMINDER_CHANGE } from './constants.js';
+import { isSameReminder } from './reminder-diff.js';
+
+/**
+ * @typedef {object} ReminderChange
+ * @property {string} type - One of REMINDER_CHANGE
+ * @property {object} reminder - The reminder after the change; for a removal, as it was
+ * @property {?object} previous - The reminder before an update; null otherwise
+ */
+
+/**
+ * Returns the change events between two reminder lists, compared by ID:
+ * additions and updates in the new list's order, then removals.
+ * @param {Array<object>} previous - The old list
+ * @param {Array<object>} next - The new list
+ * @returns {ReminderChange[]}
+ */
+function getReminderChanges(previous, next) {
+  const previousById = new Map(previous.map((r) => [r.id, r]));
+  const changes = [];
+
+  for (const reminder of next) {
+    const old = previousById.get(reminder.id);
+    if (!old) {
+      changes.push({ type: REMINDER_CHANGE.ADDED, reminder, previous: null });
+    } else {
+      previousById.delete(reminder.id);
+      if (!isSameReminder(old, reminder)) {
+        changes.push({ type: REMINDER_CHANGE.UPDATED, reminder, previous: old });
+      }
+    }
+  }
+  for (const reminder of previousById.values()) {
+    changes.push({ type: REMINDER_CHANGE.REMOVED, reminder, previous: null });
+  }
+
+  return changes;
+}
+
+/**
+ * Groups change events into a ReminderDiff, for applyReminderDiff.
+ * @param {ReminderChange[]} changes
+ * @returns {import('./reminder-diff').ReminderDiff}
+ */
+function toReminderDiff(changes) {
+  const diff = { added: [], updated: [], removed: [] };
+  for (const change of changes) {
+    diff[change.type].push(change.reminder);
+  }
+  return diff;
+}
+
+/**
+ * Returns by how much the number of reminders matching a test changed.
+ * @param {ReminderChange[]} changes
+ * @param {(reminder: object) => boolean} matches
+ * @returns {number} Matching reminders gained, less those lost
+ */
+function countChange(changes, matches) {
+  let delta = 0;
+  for (const { type, reminder, previous } of changes) {
+    if (type === REMINDER_CHANGE.ADDED) {
+      if (matches(reminder)) delta++;
+    } else if (type === REMINDER_CHANGE.REMOVED) {
+      if (matches(reminder)) delta--;
+    } else {
+      delta += Number(matches(reminder)) - Number(matches(previous));
+    }
+  }
+  return delta;
+}
+
+export {
+  getReminderChanges,
+  toReminderDiff,
+  countChange,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getReminderChanges,
+    toReminderDiff,
+    countChange,
+  };
+}
@@ -0,0 +1,143 @@
+// @ts-check
+
+/**
+ * Reminder-level diffs between two reminder lists, keyed by reminder ID.
+ * Lets the popup update only the reminders that changed when storage
+ * changes, instead of rebuilding its whole list: unchanged reminders keep
+ * their object identity, so views can reuse what they rendered for them.
+ * @module reminder-diff
+ */
+
+/**
+ * Above this many added or updated reminders, applyReminderDiff re-sorts
+ * instead of splicing each one in (a bulk action or the first load).
+ */
+const MAX_SPLICED_INSERTS = 64;
+
+/**
+ * @typedef {object} ReminderDiff
+ * @property {Array<object>} added - Reminders only in the new list
+ * @property {Array<object>} updated - New versions of reminders whose fields changed
+ * @property {Array<object>} removed - Reminders only in the old list
+ */
+
+/**
+ * Returns whether two versions of a reminder have the same fields.
+ * Nested values (recurrence, escalation) are compared by content.
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+function isSameReminder(a, b) {
+  if (a === b) return true;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(
+    (key) => a[key] === b[key] || JSON.stringify(a[key]) === JSON.stringify(b[key])
+  );
+}
+
+/**
+ * Compares two reminder lists by reminder ID.
+ * @param {Array<object>} previous - The old list
+ * @param {Array<object>} next - The new list
+ * @returns {ReminderDiff}
+ */
+function diffReminders(previous, next) {
+  const previousById = new Map(previous.map((r) => [r.id, r]));
+  const added = [];
+  const updated = [];
+
+  for (const reminder of next) {
+    const old = previousById.get(reminder.id);
+    if (!old) {
+      added.push(reminder);
+    } else {
+      previousById.delete(reminder.id);
+      if (!isSameReminder(old, reminder)) {
+        updated.push(reminder);
+      }
+    }
+  }
+
+  return { added, updated, removed: [...previousById.values()] };
+}
+
+/**
+ * Returns whether a diff has no changes.
+ * @param {ReminderDiff} diff
+ * @returns {boolean}
+ */
+function isEmptyDiff(diff) {
+  return diff.added.length === 0 && diff.updated.length === 0 && diff.removed.length === 0;
+}
+
+/**
+ * Orders reminders soonest first; ties keep a stable order by ID.
+ * @param {{ id: string, scheduledTime: number }} a
+ * @param {{ id: string, scheduledTime: number }} b
+ * @returns {number}
+ */
+function compareReminders(a, b) {
+  if (a.scheduledTime !== b.scheduledTime) return a.scheduledTime - b.scheduledTime;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? -1 : 1;
+}
+
+/**
+ * Applies a diff to a list sorted with compareReminders, without re-sorting
+ * it: changed reminders are taken out and put back in place. Reminders the
+ * diff does not mention keep their object identity. An added reminder
+ * already in the list replaces it, so a diff the list partly reflects
+ * (a change the caller made itself) applies cleanly.
+ * @param {Array<object>} sorted - The current list, soonest first
+ * @param {ReminderDiff} diff
+ * @returns {Array<object>} A new sorted list
+ */
+function applyReminderDiff(sorted, diff) {
+  if (isEmptyDiff(diff)) return sorted;
+
+  const changedIds = new Set(
+    [...diff.added, ...diff.updated, ...diff.removed].map((r) => r.id)
+  );
+  const result = changedIds.size > 0 ? sorted.filter((r) => !changedIds.has(r.id)) : [...sorted];
+  const inserts = [...diff.added, ...diff.updated];
+
+  if (inserts.length > MAX_SPLICED_INSERTS) {
+    return result.concat(inserts).sort(compareReminders);
+  }
+
+  for (const reminder of inserts) {
+    let low = 0;
+    let high = result.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (compareReminders(result[mid], reminder) < 0) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    result.splice(low, 0, reminder);
+  }
+
+  return result;
+}
+
+export {
+  isSameReminder,
+  diffReminders,
+  isEmptyDiff,
+  compareReminders,
+  applyReminderDiff,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isSameReminder,
+    diffReminders,
+    isEmptyDiff,
+    compareReminders,
+    applyReminderDiff,
+  };
+}
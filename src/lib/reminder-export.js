@@ -0,0 +1,146 @@
+// @ts-check
+
+/**
+ * Reminder export: a JSON backup of everything stored about reminders, at
+ * its schema version, and a CSV of the reminders for spreadsheets and CRMs.
+ * CSV dates are formatted in the user's locale and timezone (the
+ * runtime's, unless given), so they read the way the popup shows them.
+ * @module reminder-export
+ */
+
+/** Identifies a WAReminder backup file */
+const BACKUP_FORMAT = 'wareminder-backup';
+
+/** Start of exported file names, before the date and extension */
+const FILE_NAME_PREFIX = 'wareminder-reminders';
+
+/** CSV header row, in column order */
+const CSV_COLUMNS = Object.freeze(['Chat name', 'Phone', 'Due', 'Status', 'Note', 'Created', 'Completed']);
+
+/** Characters that make a spreadsheet read a cell as a formula */
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * @typedef {object} ReminderBackup
+ * @property {string} format - Always BACKUP_FORMAT
+ * @property {number} schemaVersion - Schema version of the reminders and trash
+ * @property {number} exportedAt - Epoch ms
+ * @property {Array<object>} reminders - Stored as is
+ * @property {Array<object>} trash - Deleted reminders, each with its deletedAt
+ */
+
+/**
+ * Builds a full backup of the stored reminders.
+ * @param {{ reminders: Array<object>, trash: Array<object> }} data
+ * @param {number} schemaVersion
+ * @param {number} [exportedAt=Date.now()]
+ * @returns {ReminderBackup}
+ */
+function buildBackup(data, schemaVersion, exportedAt = Date.now()) {
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion,
+    exportedAt,
+    reminders: data.reminders,
+    trash: data.trash,
+  };
+}
+
+/**
+ * Returns the phone number of an individual chat ("+5511999999999"), or
+ * an empty string for groups and chats saved by name only.
+ * @param {string} chatId - WhatsApp JID (e.g., "5511999999999@c.us")
+ * @returns {string}
+ */
+function getPhoneNumber(chatId) {
+  if (!chatId.endsWith('@c.us')) return '';
+  const digits = chatId.replace('@c.us', '');
+  return /^\d+$/.test(digits) ? `+${digits}` : '';
+}
+
+/**
+ * Quotes a CSV cell when it holds a comma, quote or line break.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeCsvCell(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Keeps text written by contacts or the user (names, notes) from being
+ * run as a formula when the CSV is opened in a spreadsheet.
+ * @param {?string} text
+ * @returns {string}
+ */
+function toTextCell(text) {
+  if (!text) return '';
+  return FORMULA_START.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Builds a CSV of reminders, soonest due first: one header row, then one
+ * row per reminder, with CRLF line ends. It starts with a byte-order mark
+ * so spreadsheets read names and notes as UTF-8.
+ * @param {Array<object>} reminders
+ * @param {{ locale?: string, timeZone?: string }} [options] - Date format;
+ *   the runtime's locale and timezone by default
+ * @returns {string}
+ */
+function toCsv(reminders, options = {}) {
+  const dateFormat = new Intl.DateTimeFormat(options.locale, {
+    dateStyle: 'short',
+    timeStyle: 'short',
+    timeZone: options.timeZone,
+  });
+  const formatDate = (timestamp) => (timestamp ? dateFormat.format(new Date(timestamp)) : '');
+
+  const rows = [...reminders]
+    .sort((a, b) => a.scheduledTime - b.scheduledTime)
+    .map((r) => [
+      toTextCell(r.chatName),
+      getPhoneNumber(r.chatId),
+      formatDate(r.scheduledTime),
+      r.status,
+      toTextCell(r.note),
+      formatDate(r.createdAt),
+      formatDate(r.completedAt),
+    ]);
+
+  const lines = [CSV_COLUMNS, ...rows].map((cells) => cells.map(escapeCsvCell).join(','));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Returns the file name for an export made at a time, dated in local time
+ * ("wareminder-reminders-2025-03-14.csv").
+ * @param {string} extension - "json" or "csv"
+ * @param {number} [timestamp=Date.now()]
+ * @returns {string}
+ */
+function getExportFileName(extension, timestamp = Date.now()) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return `${FILE_NAME_PREFIX}-${day}.${extension}`;
+}
+
+export {
+  BACKUP_FORMAT,
+  CSV_COLUMNS,
+  buildBackup,
+  getPhoneNumber,
+  toCsv,
+  getExportFileName,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BACKUP_FORMAT,
+    CSV_COLUMNS,
+    buildBackup,
+    getPhoneNumber,
+    toCsv,
+    getExportFileName,
+  };
+}
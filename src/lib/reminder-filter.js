@@ -0,0 +1,184 @@
+// @ts-check
+
+/**
+ * Reminder search and filters for the popup: free-text search over the
+ * contact name, note and phone number, plus filters by status, date range,
+ * chat type and tag. Tags are the #hashtags in a reminder's note.
+ * Dates are compared as local calendar days.
+ * @module reminder-filter
+ */
+
+import { REMINDER_FILTER, REMINDER_STATUS } from './constants.js';
+import { toDateKey } from './business-hours.js';
+
+/**
+ * @typedef {object} ReminderFilter
+ * @property {string} query - Free text; empty matches everything
+ * @property {string} status - One of REMINDER_FILTER.STATUS
+ * @property {string|null} from - First day (YYYY-MM-DD), inclusive
+ * @property {string|null} to - Last day (YYYY-MM-DD), inclusive
+ * @property {string} chatType - One of REMINDER_FILTER.CHAT_TYPE
+ * @property {string|null} tag - Tag without "#", lowercase
+ */
+
+/**
+ * Filter that matches every reminder.
+ * @type {Readonly<ReminderFilter>}
+ */
+const DEFAULT_FILTER = Object.freeze({
+  query: '',
+  status: REMINDER_FILTER.STATUS.ALL,
+  from: null,
+  to: null,
+  chatType: REMINDER_FILTER.CHAT_TYPE.ALL,
+  tag: null,
+});
+
+/** Matches a #hashtag: letters, digits, "_" and "-" in any script */
+const TAG_PATTERN = /#([\p{L}\p{N}_-]+)/gu;
+
+/**
+ * Returns the tags in a note: its #hashtags, lowercase, without "#",
+ * each once.
+ * @param {string|null|undefined} note
+ * @returns {string[]}
+ */
+function getTags(note) {
+  if (!note) return [];
+  const tags = Array.from(note.matchAll(TAG_PATTERN), (match) => match[1].toLowerCase());
+  return [...new Set(tags)];
+}
+
+/**
+ * Returns every tag used across reminders, sorted.
+ * @param {Array<{ note?: string|null }>} reminders
+ * @returns {string[]}
+ */
+function collectTags(reminders) {
+  const tags = new Set(reminders.flatMap((r) => getTags(r.note)));
+  return [...tags].sort();
+}
+
+/**
+ * Returns whether a reminder's chat is a group or individual chat, from its
+ * WhatsApp chat ID; null for chats saved by name only.
+ * @param {string} chatId
+ * @returns {string|null} REMINDER_FILTER.CHAT_TYPE.GROUP or .INDIVIDUAL, or null
+ */
+function getChatType(chatId) {
+  if (chatId.endsWith('@g.us')) return REMINDER_FILTER.CHAT_TYPE.GROUP;
+  if (chatId.endsWith('@c.us')) return REMINDER_FILTER.CHAT_TYPE.INDIVIDUAL;
+  return null;
+}
+
+/**
+ * Returns whether a reminder matches a search query: case-insensitive text
+ * in the contact name or note, or, for a query with a few digits, those
+ * digits in the phone number (formatting such as spaces and "+" ignored).
+ * @param {{ chatId: string, chatName: string, note?: string|null }} reminder
+ * @param {string} query
+ * @returns {boolean}
+ */
+function matchesQuery(reminder, query) {
+  const text = query.trim().toLowerCase();
+  if (!text) return true;
+
+  if (
+    reminder.chatName.toLowerCase().includes(text) ||
+    (reminder.note || '').toLowerCase().includes(text)
+  ) {
+    return true;
+  }
+
+  const digits = text.replace(/\D/g, '');
+  if (digits.length < REMINDER_FILTER.MIN_PHONE_QUERY_DIGITS) return false;
+  const phone = `${reminder.chatId.split('@')[0]} ${reminder.chatName}`.replace(/\D/g, '');
+  return phone.includes(digits);
+}
+
+/**
+ * Returns whether a reminder falls under a status filter.
+ * @param {{ status: string, scheduledTime: number }} reminder
+ * @param {string} status - One of REMINDER_FILTER.STATUS
+ * @param {number} now - Epoch ms
+ * @returns {boolean}
+ */
+function matchesStatus(reminder, status, now) {
+  const pending = reminder.status === REMINDER_STATUS.PENDING;
+  switch (status) {
+    case REMINDER_FILTER.STATUS.OVERDUE:
+      return pending && reminder.scheduledTime <= now;
+    case REMINDER_FILTER.STATUS.UPCOMING:
+      return pending && reminder.scheduledTime > now;
+    case REMINDER_FILTER.STATUS.COMPLETED:
+      return reminder.status === REMINDER_STATUS.COMPLETED;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Returns whether a reminder passes every part of a filter.
+ * @param {{ chatId: string, chatName: string, note?: string|null, status: string, scheduledTime: number }} reminder
+ * @param {ReminderFilter} filter
+ * @param {number} now - Epoch ms
+ * @returns {boolean}
+ */
+function matchesFilter(reminder, filter, now) {
+  if (!matchesStatus(reminder, filter.status, now)) return false;
+
+  if (filter.from || filter.to) {
+    const day = toDateKey(new Date(reminder.scheduledTime));
+    if (filter.from && day < filter.from) return false;
+    if (filter.to && day > filter.to) return false;
+  }
+
+  if (
+    filter.chatType !== REMINDER_FILTER.CHAT_TYPE.ALL &&
+    getChatType(reminder.chatId) !== filter.chatType
+  ) {
+    return false;
+  }
+
+  if (filter.tag && !getTags(reminder.note).includes(filter.tag)) return false;
+
+  return matchesQuery(reminder, filter.query);
+}
+
+/**
+ * Returns whether a filter narrows the list at all.
+ * @param {ReminderFilter} filter
+ * @returns {boolean}
+ */
+function isFilterActive(filter) {
+  return (
+    filter.query.trim() !== '' ||
+    filter.status !== DEFAULT_FILTER.status ||
+    filter.from !== null ||
+    filter.to !== null ||
+    filter.chatType !== DEFAULT_FILTER.chatType ||
+    filter.tag !== null
+  );
+}
+
+export {
+  DEFAULT_FILTER,
+  getTags,
+  collectTags,
+  getChatType,
+  matchesQuery,
+  matchesFilter,
+  isFilterActive,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_FILTER,
+    getTags,
+    collectTags,
+    getChatType,
+    matchesQuery,
+    matchesFilter,
+    isFilterActive,
+  };
+}
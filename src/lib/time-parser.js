@@ -0,0 +1,287 @@
+// @ts-check
+
+/**
+ * Natural-language time parser for the reminder prompt.
+ * Understands short English and Indonesian phrases such as "in 3 days",
+ * "next Tuesday 2pm", "besok jam 10", "3 hari lagi" and "end of month".
+ * Pure: all results are computed relative to the `now` argument.
+ * @module time-parser
+ */
+
+import { DEFAULT_PRESET_TIMES } from './constants.js';
+
+/** Hour used for "end of day/week/month" phrases (5 PM) */
+const END_OF_DAY_HOUR = 17;
+
+/** Bare hours from 1 up to this, with no am/pm or pagi/sore, mean the afternoon: "at 2" is 2 PM */
+const LAST_AFTERNOON_BARE_HOUR = 6;
+
+/** @type {Record<string, number>} Weekday names → Date#getDay() index */
+const WEEKDAYS = {
+  sunday: 0, sun: 0, minggu: 0, ahad: 0,
+  monday: 1, mon: 1, senin: 1,
+  tuesday: 2, tue: 2, tues: 2, selasa: 2,
+  wednesday: 3, wed: 3, rabu: 3,
+  thursday: 4, thu: 4, thurs: 4, kamis: 4,
+  friday: 5, fri: 5, jumat: 5, "jum'at": 5,
+  saturday: 6, sat: 6, sabtu: 6,
+};
+
+/** @type {Record<string, string>} Duration unit words → canonical unit */
+const UNITS = {
+  m: 'minute', min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute', menit: 'minute',
+  h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour', jam: 'hour',
+  d: 'day', day: 'day', days: 'day', hari: 'day',
+  w: 'week', wk: 'week', week: 'week', weeks: 'week', minggu: 'week', pekan: 'week',
+  month: 'month', months: 'month', bulan: 'month',
+};
+
+const UNIT_PATTERN = Object.keys(UNITS).sort((a, b) => b.length - a.length).join('|');
+
+/** "in 3 days", "dalam 2 jam", "in an hour", "sejam lagi" is not supported */
+const RELATIVE_PREFIX = new RegExp(`^(?:in|dalam)\\s+(\\d+|a|an|one|satu|se)\\s*(${UNIT_PATTERN})$`);
+
+/** "3 days from now", "3 hari lagi" */
+const RELATIVE_SUFFIX = new RegExp(`^(\\d+)\\s*(${UNIT_PATTERN})\\s+(?:from now|lagi)$`);
+
+/** Indonesian clock time: "jam 10", "pukul 14.30", "jam 4 sore" */
+const ID_TIME = /\b(?:jam|pukul)\s+(\d{1,2})(?:[:.](\d{2}))?(?:\s+(pagi|siang|sore|malam))?\b/;
+
+/** English clock time with meridiem: "2pm", "9:30 am", "at 11 p.m." */
+const EN_TIME_MERIDIEM = /\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)(?=\s|$)/;
+
+/** 24-hour clock time: "14:30", "at 9:15" */
+const CLOCK_TIME = /\b(?:at\s+)?(\d{1,2}):(\d{2})\b/;
+
+/** Bare hour after "at": "tomorrow at 9" */
+const AT_HOUR = /\bat\s+(\d{1,2})\b/;
+
+/**
+ * Converts an hour with an Indonesian time-of-day word to 24-hour time.
+ * @param {number} hour - Hour as written (1-12 usually)
+ * @param {string|undefined} period - pagi | siang | sore | malam
+ * @returns {number}
+ */
+function applyIndonesianPeriod(hour, period) {
+  if (period === 'pagi') return hour === 12 ? 0 : hour;
+  if (period === 'siang') return hour < 11 ? hour + 12 : hour;
+  if ((period === 'sore' || period === 'malam') && hour < 12) return hour + 12;
+  return hour;
+}
+
+/**
+ * Extracts a clock time from the text.
+ * @param {string} text - Normalised input
+ * @returns {{ hour: number, minute: number, rest: string, explicitMeridiem: boolean } | null | undefined}
+ *   undefined when no time is present, null when a time is present but invalid
+ */
+function extractTime(text) {
+  let match = text.match(ID_TIME);
+  if (match) {
+    const hour = applyIndonesianPeriod(Number(match[1]), match[3]);
+    const minute = match[2] ? Number(match[2]) : 0;
+    if (hour > 23 || minute > 59) return null;
+    return { hour, minute, rest: text.replace(match[0], ' '), explicitMeridiem: Boolean(match[3]) };
+  }
+
+  match = text.match(EN_TIME_MERIDIEM);
+  if (match) {
+    let hour = Number(match[1]);
+    const minute = match[2] ? Number(match[2]) : 0;
+    if (hour < 1 || hour > 12 || minute > 59) return null;
+    const isPm = match[3].startsWith('p');
+    if (hour === 12) hour = isPm ? 12 : 0;
+    else if (isPm) hour += 12;
+    return { hour, minute, rest: text.replace(match[0], ' '), explicitMeridiem: true };
+  }
+
+  match = text.match(CLOCK_TIME);
+  if (match) {
+    const hour = Number(match[1]);
+    const minute = Number(match[2]);
+    if (hour > 23 || minute > 59) return null;
+    return { hour, minute, rest: text.replace(match[0], ' '), explicitMeridiem: true };
+  }
+
+  match = text.match(AT_HOUR);
+  if (match) {
+    const hour = Number(match[1]);
+    if (hour > 23) return null;
+    return { hour, minute: 0, rest: text.replace(match[0], ' '), explicitMeridiem: false };
+  }
+
+  if (/\bnoon\b/.test(text)) {
+    return { hour: 12, minute: 0, rest: text.replace('noon', ' '), explicitMeridiem: true };
+  }
+
+  return undefined;
+}
+
+/**
+ * Returns a copy of the date moved forward to the given weekday (1–7 days ahead).
+ * @param {Date} date
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday)
+ * @returns {Date}
+ */
+function nextWeekday(date, weekday) {
+  const result = new Date(date);
+  const diff = (weekday - result.getDay() + 7) % 7 || 7;
+  result.setDate(result.getDate() + diff);
+  return result;
+}
+
+/**
+ * Resolves the day portion of a phrase.
+ * @param {string} text - Normalised text with the time removed
+ * @param {Date} today - Start of the current day
+ * @returns {{ date: Date, defaultHour: number, eveningDefault?: boolean } | null}
+ */
+function resolveDay(text, today) {
+  const words = text
+    .replace(/\b(?:on|pada|hari|the|this|ini)\b/g, (word) => (word === 'ini' || word === 'this' ? word : ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const date = new Date(today);
+  const defaultHour = DEFAULT_PRESET_TIMES.TOMORROW_HOUR;
+
+  switch (words) {
+    case '':
+    case 'today':
+    case 'ini':
+      return { date, defaultHour };
+    case 'tonight':
+    case 'malam ini':
+    case 'nanti malam':
+    case 'this evening':
+      return { date, defaultHour: DEFAULT_PRESET_TIMES.TONIGHT_HOUR, eveningDefault: true };
+    case 'tomorrow':
+    case 'tmr':
+    case 'besok':
+      date.setDate(date.getDate() + 1);
+      return { date, defaultHour };
+    case 'day after tomorrow':
+    case 'lusa':
+      date.setDate(date.getDate() + 2);
+      return { date, defaultHour };
+    case 'next week':
+    case 'minggu depan':
+    case 'pekan depan':
+      date.setDate(date.getDate() + 7);
+      return { date, defaultHour };
+    case 'next month':
+    case 'bulan depan':
+      date.setMonth(date.getMonth() + 1);
+      return { date, defaultHour };
+    case 'end of day':
+    case 'eod':
+      return { date, defaultHour: END_OF_DAY_HOUR };
+    case 'end of week':
+    case 'akhir minggu':
+    case 'akhir pekan': {
+      const friday = date.getDay() === 5 ? date : nextWeekday(date, 5);
+      return { date: friday, defaultHour: END_OF_DAY_HOUR };
+    }
+    case 'end of month':
+    case 'end of the month':
+    case 'akhir bulan':
+      return {
+        date: new Date(date.getFullYear(), date.getMonth() + 1, 0),
+        defaultHour: END_OF_DAY_HOUR,
+      };
+    default:
+      break;
+  }
+
+  // Weekdays: "tuesday", "next tuesday", "this friday", "senin depan"
+  const weekdayMatch = words.match(/^(?:next |this )?([a-z']+)(?: depan| ini)?$/);
+  if (weekdayMatch && WEEKDAYS[weekdayMatch[1]] !== undefined) {
+    return { date: nextWeekday(date, WEEKDAYS[weekdayMatch[1]]), defaultHour };
+  }
+
+  return null;
+}
+
+/**
+ * Adds a duration to a timestamp using calendar arithmetic for days and longer.
+ * @param {number} now - Epoch ms
+ * @param {number} amount
+ * @param {string} unit - minute | hour | day | week | month
+ * @returns {number}
+ */
+function addDuration(now, amount, unit) {
+  if (unit === 'minute') return now + amount * 60 * 1000;
+  if (unit === 'hour') return now + amount * 60 * 60 * 1000;
+
+  const date = new Date(now);
+  if (unit === 'day') date.setDate(date.getDate() + amount);
+  if (unit === 'week') date.setDate(date.getDate() + amount * 7);
+  if (unit === 'month') date.setMonth(date.getMonth() + amount);
+  return date.getTime();
+}
+
+/**
+ * Parses a natural-language time phrase into an absolute timestamp.
+ * Returns times in the past as-is; the caller decides whether to reject them.
+ * A bare clock time ("3pm", "jam 10") that has already passed today
+ * resolves to the same time tomorrow.
+ * @param {string} input - Text typed by the user
+ * @param {number} [now] - Epoch ms to resolve against (defaults to Date.now())
+ * @returns {number|null} Epoch ms, or null when the phrase is not understood
+ */
+function parseNaturalTime(input, now = Date.now()) {
+  if (typeof input !== 'string') return null;
+
+  const text = input.toLowerCase().replace(/[,]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+
+  const relative = text.match(RELATIVE_PREFIX) || text.match(RELATIVE_SUFFIX);
+  if (relative) {
+    const amount = /^\d+$/.test(relative[1]) ? Number(relative[1]) : 1;
+    if (amount < 1) return null;
+    return addDuration(now, amount, UNITS[relative[2]]);
+  }
+
+  const time = extractTime(text);
+  if (time === null) return null;
+
+  const rest = time ? time.rest.replace(/\s+/g, ' ').trim() : text;
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  const day = resolveDay(rest, today);
+  if (!day) return null;
+
+  // Nothing but "today" with no time is too vague to schedule
+  if (!time && (rest === '' || rest === 'today' || rest === 'hari ini')) return null;
+
+  let hour = time ? time.hour : day.defaultHour;
+  const minute = time ? time.minute : 0;
+
+  // "tonight at 9" means 9 PM; elsewhere a bare 1-6 ("besok jam 2") means
+  // the afternoon rather than the middle of the night
+  const afternoonHour = hour >= 1 && hour <= LAST_AFTERNOON_BARE_HOUR;
+  if (time && !time.explicitMeridiem && hour < 12 && (day.eveningDefault || afternoonHour)) {
+    hour += 12;
+  }
+
+  const result = new Date(day.date);
+  result.setHours(hour, minute, 0, 0);
+
+  // A bare clock time that already passed today means tomorrow
+  if (rest === '' && result.getTime() <= now) {
+    result.setDate(result.getDate() + 1);
+  }
+
+  return result.getTime();
+}
+
+export {
+  parseNaturalTime,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseNaturalTime,
+  };
+}
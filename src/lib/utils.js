@@ -65,6 +65,23 @@ function formatRelativeTime(timestamp) {
   return `${prefix}${days} day${days !== 1 ? 's' : ''} ${suffix}`.trim();
 }
 
+/**
+ * Formats a duration compactly (e.g., "45m", "3h", "3h 20m", "2d 4h").
+ * Shows at most two units; durations under a minute round up to "1m".
+ * @param {number} ms - Duration in ms
+ * @returns {string} Duration string
+ */
+function formatDuration(ms) {
+  const totalMinutes = Math.max(Math.round(ms / 60000), 1);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  return `${minutes}m`;
+}
+
 /**
  * Builds a WhatsApp Web navigation URL for a given chat ID.
  * For individual chats (@c.us), returns a send?phone= URL.
@@ -104,6 +121,7 @@ export {
   generateId,
   formatDateTime,
   formatRelativeTime,
+  formatDuration,
   buildNavigationUrl,
   debounce,
 };
@@ -113,6 +131,7 @@ if (typeof module !== 'undefined' && module.exports) {
     generateId,
     formatDateTime,
     formatRelativeTime,
+    formatDuration,
     buildNavigationUrl,
     debounce,
   };
@@ -6,7 +6,22 @@
  * @module validators
  */
 
-import { REMINDER_STATUS } from './constants.js';
+import {
+  REMINDER_STATUS,
+  RECURRENCE_FREQUENCY,
+  RECURRENCE_LIMITS,
+  NOTE_MAX_LENGTH,
+  PRESET_TYPES,
+  PRESET_LIMITS,
+  BUSINESS_HOURS_LIMITS,
+  DELIVERY,
+  ESCALATION,
+  PRIVACY_MODES,
+  SNOOZE_OPTIONS,
+  OVERDUE_SPREAD,
+  REMINDER_FILTER,
+} from './constants.js';
+import { getNextBusinessSlot, isWithinBusinessHours } from './business-hours.js';
 
 /** @type {RegExp} WhatsApp JID format: digits@c.us or digits@g.us */
 const JID_PATTERN = /^\d+@(c\.us|g\.us)$/;
@@ -79,10 +94,91 @@ function validateStatus(status) {
   return { valid: true };
 }
 
+/**
+ * Validates an optional recurrence rule. Null or undefined means a one-time reminder.
+ * @param {{ frequency?: string, interval?: number } | null | undefined} recurrence
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateRecurrence(recurrence) {
+  if (recurrence === undefined || recurrence === null) {
+    return { valid: true };
+  }
+  if (typeof recurrence !== 'object') {
+    return { valid: false, error: 'Invalid recurrence rule' };
+  }
+  const frequencies = Object.values(RECURRENCE_FREQUENCY);
+  if (!frequencies.includes(recurrence.frequency)) {
+    return { valid: false, error: `Invalid recurrence frequency. Must be one of: ${frequencies.join(', ')}` };
+  }
+  const { interval } = recurrence;
+  if (
+    !Number.isInteger(interval) ||
+    interval < RECURRENCE_LIMITS.MIN_INTERVAL ||
+    interval > RECURRENCE_LIMITS.MAX_INTERVAL
+  ) {
+    return {
+      valid: false,
+      error: `Recurrence interval must be a whole number from ${RECURRENCE_LIMITS.MIN_INTERVAL} to ${RECURRENCE_LIMITS.MAX_INTERVAL}`,
+    };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates an optional free-text note. Null or undefined means no note.
+ * The length limit applies to the trimmed text, since that is what gets stored.
+ * @param {string|null|undefined} note
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateNote(note) {
+  if (note === undefined || note === null) {
+    return { valid: true };
+  }
+  if (typeof note !== 'string') {
+    return { valid: false, error: 'Note must be text' };
+  }
+  if (note.trim().length > NOTE_MAX_LENGTH) {
+    return { valid: false, error: `Note must be ${NOTE_MAX_LENGTH} characters or fewer` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates an escalation policy (see lib/escalation.js for the shape).
+ * On a reminder, null or undefined means the global policy applies.
+ * @param {any} policy
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateEscalation(policy) {
+  if (policy === undefined || policy === null) {
+    return { valid: true };
+  }
+  if (typeof policy !== 'object') {
+    return { valid: false, error: 'Invalid escalation policy' };
+  }
+  if (typeof policy.enabled !== 'boolean') {
+    return { valid: false, error: 'Escalation must be turned on or off' };
+  }
+  if (
+    !Array.isArray(policy.intervals) ||
+    policy.intervals.length === 0 ||
+    policy.intervals.length > ESCALATION.MAX_STEPS
+  ) {
+    return { valid: false, error: `Escalation must have 1 to ${ESCALATION.MAX_STEPS} steps` };
+  }
+  if (!policy.intervals.every((minutes) => isIntegerInRange(minutes, 1, ESCALATION.MAX_INTERVAL_MINUTES))) {
+    return {
+      valid: false,
+      error: `Escalation steps must be whole numbers of minutes from 1 to ${ESCALATION.MAX_INTERVAL_MINUTES}`,
+    };
+  }
+  return { valid: true };
+}
+
 /**
  * Runs all creation validations on a CREATE_REMINDER payload.
  * Returns the first error found, or a success result.
- * @param {{ chatId?: string, chatName?: string, scheduledTime?: number }} payload
+ * @param {{ chatId?: string, chatName?: string, scheduledTime?: number, recurrence?: object, note?: string, escalation?: object|null }} payload
  * @returns {{ valid: boolean, error?: string }}
  */
 function validateCreateReminderPayload(payload) {
@@ -95,6 +191,423 @@ function validateCreateReminderPayload(payload) {
   const timeCheck = validateFutureTime(payload.scheduledTime);
   if (!timeCheck.valid) return timeCheck;
 
+  const recurrenceCheck = validateRecurrence(payload.recurrence);
+  if (!recurrenceCheck.valid) return recurrenceCheck;
+
+  const noteCheck = validateNote(payload.note);
+  if (!noteCheck.valid) return noteCheck;
+
+  const escalationCheck = validateEscalation(payload.escalation);
+  if (!escalationCheck.valid) return escalationCheck;
+
+  return { valid: true };
+}
+
+/**
+ * Validates the changes of an UPDATE_REMINDER payload.
+ * At least one editable field must be present; each present field is checked.
+ * A null note clears the existing note; a null escalation reverts to the global policy.
+ * @param {{ scheduledTime?: number, note?: string|null, escalation?: object|null }} changes
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateUpdateReminderPayload(changes) {
+  if (!changes || typeof changes !== 'object') {
+    return { valid: false, error: 'Missing required field: changes' };
+  }
+  const hasTime = changes.scheduledTime !== undefined;
+  const hasNote = changes.note !== undefined;
+  const hasEscalation = changes.escalation !== undefined;
+  if (!hasTime && !hasNote && !hasEscalation) {
+    return { valid: false, error: 'Nothing to update: provide scheduledTime, note or escalation' };
+  }
+
+  if (hasTime) {
+    const timeCheck = validateFutureTime(changes.scheduledTime);
+    if (!timeCheck.valid) return timeCheck;
+  }
+
+  if (hasNote) {
+    const noteCheck = validateNote(changes.note);
+    if (!noteCheck.valid) return noteCheck;
+  }
+
+  if (hasEscalation) {
+    const escalationCheck = validateEscalation(changes.escalation);
+    if (!escalationCheck.valid) return escalationCheck;
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validates the reminder IDs of a bulk action: a non-empty array of
+ * non-empty strings.
+ * @param {any} reminderIds
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateReminderIds(reminderIds) {
+  if (!Array.isArray(reminderIds) || reminderIds.length === 0) {
+    return { valid: false, error: 'Select at least one reminder' };
+  }
+  if (!reminderIds.every((id) => typeof id === 'string' && id.length > 0)) {
+    return { valid: false, error: 'Invalid reminder ID' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Checks that a value is a whole number within an inclusive range.
+ * @param {unknown} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {boolean}
+ */
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && /** @type {number} */ (value) >= min && /** @type {number} */ (value) <= max;
+}
+
+/**
+ * Validates the gap, in minutes, between overdue reminders moved together
+ * (0 moves them all to the same time).
+ * @param {any} spreadMinutes
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateSpreadMinutes(spreadMinutes) {
+  if (!isIntegerInRange(spreadMinutes, 0, OVERDUE_SPREAD.MAX_MINUTES)) {
+    return {
+      valid: false,
+      error: `Spacing must be a whole number of minutes from 0 to ${OVERDUE_SPREAD.MAX_MINUTES}`,
+    };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates a quick-pick preset rule (see lib/presets.js for the shape).
+ * @param {{ id?: string, label?: string, type?: string, minutes?: number, hour?: number, minute?: number, dayOffset?: number, weekday?: number }} preset
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validatePreset(preset) {
+  if (!preset || typeof preset !== 'object') {
+    return { valid: false, error: 'Invalid preset' };
+  }
+  if (!preset.id || typeof preset.id !== 'string') {
+    return { valid: false, error: 'Preset is missing an id' };
+  }
+  if (typeof preset.label !== 'string' || !preset.label.trim()) {
+    return { valid: false, error: 'Preset label is required' };
+  }
+  if (preset.label.trim().length > PRESET_LIMITS.MAX_LABEL_LENGTH) {
+    return { valid: false, error: `Preset label must be ${PRESET_LIMITS.MAX_LABEL_LENGTH} characters or fewer` };
+  }
+
+  const types = Object.values(PRESET_TYPES);
+  if (!types.includes(preset.type)) {
+    return { valid: false, error: `Invalid preset type. Must be one of: ${types.join(', ')}` };
+  }
+
+  if (preset.type === PRESET_TYPES.RELATIVE) {
+    if (!isIntegerInRange(preset.minutes, 1, PRESET_LIMITS.MAX_OFFSET_MINUTES)) {
+      return { valid: false, error: 'Preset offset must be a whole number of minutes, at least 1' };
+    }
+    return { valid: true };
+  }
+
+  if (!isIntegerInRange(preset.hour, 0, 23) || !isIntegerInRange(preset.minute, 0, 59)) {
+    return { valid: false, error: 'Preset time must be a valid time of day' };
+  }
+  if (preset.type === PRESET_TYPES.TIME_OF_DAY && !isIntegerInRange(preset.dayOffset, 0, PRESET_LIMITS.MAX_DAY_OFFSET)) {
+    return { valid: false, error: `Preset day offset must be a whole number from 0 to ${PRESET_LIMITS.MAX_DAY_OFFSET}` };
+  }
+  if (preset.type === PRESET_TYPES.WEEKDAY && !isIntegerInRange(preset.weekday, 0, 6)) {
+    return { valid: false, error: 'Preset weekday must be from 0 (Sunday) to 6 (Saturday)' };
+  }
+  return { valid: true };
+}
+
+/** @type {RegExp} Holiday date format: YYYY-MM-DD */
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Checks that a string is a real calendar date in YYYY-MM-DD format.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isDateKey(value) {
+  const match = typeof value === 'string' && value.match(DATE_KEY_PATTERN);
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/**
+ * Checks that a value is a { hour, minute } clock time.
+ * @param {any} clock
+ * @returns {boolean}
+ */
+function isClock(clock) {
+  return Boolean(clock) && isIntegerInRange(clock.hour, 0, 23) && isIntegerInRange(clock.minute, 0, 59);
+}
+
+/**
+ * Validates business-hours settings (see lib/business-hours.js for the shape).
+ * @param {any} config
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateBusinessHours(config) {
+  if (!config || typeof config !== 'object') {
+    return { valid: false, error: 'Invalid business hours' };
+  }
+  if (typeof config.enabled !== 'boolean') {
+    return { valid: false, error: 'Business hours must be turned on or off' };
+  }
+  if (!isClock(config.start) || !isClock(config.end)) {
+    return { valid: false, error: 'Business hours must have valid opening and closing times' };
+  }
+  if (config.start.hour * 60 + config.start.minute >= config.end.hour * 60 + config.end.minute) {
+    return { valid: false, error: 'Closing time must be after opening time' };
+  }
+  if (
+    !Array.isArray(config.workingDays) ||
+    !config.workingDays.every((day) => isIntegerInRange(day, 0, 6)) ||
+    new Set(config.workingDays).size !== config.workingDays.length
+  ) {
+    return { valid: false, error: 'Working days must be distinct days from 0 (Sunday) to 6 (Saturday)' };
+  }
+  if (config.enabled && config.workingDays.length === 0) {
+    return { valid: false, error: 'Choose at least one working day' };
+  }
+  if (!Array.isArray(config.holidays)) {
+    return { valid: false, error: 'Holidays must be a list' };
+  }
+  if (config.holidays.length > BUSINESS_HOURS_LIMITS.MAX_HOLIDAYS) {
+    return { valid: false, error: `You can have at most ${BUSINESS_HOURS_LIMITS.MAX_HOLIDAYS} holidays` };
+  }
+  for (const holiday of config.holidays) {
+    if (!holiday || !isDateKey(holiday.date)) {
+      return { valid: false, error: 'Holiday dates must be valid dates (YYYY-MM-DD)' };
+    }
+    if (typeof holiday.name !== 'string' || holiday.name.length > BUSINESS_HOURS_LIMITS.MAX_HOLIDAY_NAME_LENGTH) {
+      return {
+        valid: false,
+        error: `Holiday names must be ${BUSINESS_HOURS_LIMITS.MAX_HOLIDAY_NAME_LENGTH} characters or fewer`,
+      };
+    }
+  }
+  return { valid: true };
+}
+
+/**
+ * Checks a reminder time against the user's business hours.
+ * Always valid while business hours are turned off. Otherwise an out-of-hours
+ * time is reported together with the next open slot, so the caller can offer
+ * to shift it rather than refuse it outright.
+ * @param {number} scheduledTime - Epoch ms
+ * @param {import('./business-hours').BusinessHours} businessHours
+ * @returns {{ valid: boolean, error?: string, suggestedTime?: number }}
+ */
+function validateBusinessHoursTime(scheduledTime, businessHours) {
+  if (!businessHours || !businessHours.enabled || isWithinBusinessHours(scheduledTime, businessHours)) {
+    return { valid: true };
+  }
+  const suggestedTime = getNextBusinessSlot(scheduledTime, businessHours);
+  if (suggestedTime === null) {
+    return { valid: true };
+  }
+  return { valid: false, error: 'This time is outside your business hours', suggestedTime };
+}
+
+/**
+ * Validates quiet-hours settings (see lib/quiet-hours.js for the shape).
+ * @param {any} config
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateQuietHours(config) {
+  if (!config || typeof config !== 'object') {
+    return { valid: false, error: 'Invalid quiet hours' };
+  }
+  if (typeof config.enabled !== 'boolean') {
+    return { valid: false, error: 'Quiet hours must be turned on or off' };
+  }
+  if (!isClock(config.start) || !isClock(config.end)) {
+    return { valid: false, error: 'Quiet hours must have valid start and end times' };
+  }
+  if (config.start.hour === config.end.hour && config.start.minute === config.end.minute) {
+    return { valid: false, error: 'Quiet hours must start and end at different times' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates daily-digest settings (see lib/digest.js for the shape).
+ * @param {any} config
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateDigest(config) {
+  if (!config || typeof config !== 'object') {
+    return { valid: false, error: 'Invalid daily digest' };
+  }
+  if (typeof config.enabled !== 'boolean') {
+    return { valid: false, error: 'Daily digest must be turned on or off' };
+  }
+  if (!isClock(config.time)) {
+    return { valid: false, error: 'Daily digest must have a valid time' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates a popup list filter (see lib/reminder-filter.js for the shape).
+ * @param {any} filter
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateReminderFilter(filter) {
+  if (!filter || typeof filter !== 'object') {
+    return { valid: false, error: 'Invalid filter' };
+  }
+  if (typeof filter.query !== 'string' || filter.query.length > REMINDER_FILTER.MAX_QUERY_LENGTH) {
+    return { valid: false, error: `Search must be ${REMINDER_FILTER.MAX_QUERY_LENGTH} characters or fewer` };
+  }
+  if (!Object.values(REMINDER_FILTER.STATUS).includes(filter.status)) {
+    return { valid: false, error: `Invalid status filter: ${filter.status}` };
+  }
+  if ((filter.from !== null && !isDateKey(filter.from)) || (filter.to !== null && !isDateKey(filter.to))) {
+    return { valid: false, error: 'Date filter must be a valid date' };
+  }
+  if (filter.from !== null && filter.to !== null && filter.from > filter.to) {
+    return { valid: false, error: 'Date filter must end on or after its start' };
+  }
+  if (!Object.values(REMINDER_FILTER.CHAT_TYPE).includes(filter.chatType)) {
+    return { valid: false, error: `Invalid chat type filter: ${filter.chatType}` };
+  }
+  if (filter.tag !== null && (typeof filter.tag !== 'string' || !filter.tag)) {
+    return { valid: false, error: 'Invalid tag filter' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates a saved popup view: a named filter.
+ * @param {any} view
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateSavedView(view) {
+  if (!view || typeof view !== 'object') {
+    return { valid: false, error: 'Invalid saved view' };
+  }
+  if (!view.id || typeof view.id !== 'string') {
+    return { valid: false, error: 'Saved view is missing an id' };
+  }
+  if (typeof view.name !== 'string' || !view.name.trim()) {
+    return { valid: false, error: 'Saved view name is required' };
+  }
+  if (view.name.trim().length > REMINDER_FILTER.MAX_VIEW_NAME_LENGTH) {
+    return {
+      valid: false,
+      error: `Saved view name must be ${REMINDER_FILTER.MAX_VIEW_NAME_LENGTH} characters or fewer`,
+    };
+  }
+  return validateReminderFilter(view.filter);
+}
+
+/**
+ * Validates a settings update. Only the fields present are checked.
+ * @param {{ presets?: Array<object>, businessHours?: object, quietHours?: object, renotifyMinutes?: number, escalation?: object, digest?: object, holdWhileIdle?: boolean, notificationPrivacy?: string, notificationSnooze?: string, savedViews?: Array<object> }} settings
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return { valid: false, error: 'Missing required field: settings' };
+  }
+
+  if (settings.presets !== undefined) {
+    if (!Array.isArray(settings.presets)) {
+      return { valid: false, error: 'Presets must be a list' };
+    }
+    if (settings.presets.length > PRESET_LIMITS.MAX_PRESETS) {
+      return { valid: false, error: `You can have at most ${PRESET_LIMITS.MAX_PRESETS} presets` };
+    }
+    const ids = new Set();
+    for (const preset of settings.presets) {
+      const presetCheck = validatePreset(preset);
+      if (!presetCheck.valid) return presetCheck;
+      if (ids.has(preset.id)) {
+        return { valid: false, error: `Duplicate preset id: ${preset.id}` };
+      }
+      ids.add(preset.id);
+    }
+  }
+
+  if (settings.businessHours !== undefined) {
+    const businessHoursCheck = validateBusinessHours(settings.businessHours);
+    if (!businessHoursCheck.valid) return businessHoursCheck;
+  }
+
+  if (settings.quietHours !== undefined) {
+    const quietHoursCheck = validateQuietHours(settings.quietHours);
+    if (!quietHoursCheck.valid) return quietHoursCheck;
+  }
+
+  if (
+    settings.renotifyMinutes !== undefined &&
+    !isIntegerInRange(settings.renotifyMinutes, 0, DELIVERY.MAX_RENOTIFY_MINUTES)
+  ) {
+    return {
+      valid: false,
+      error: `Re-notify interval must be 0 to ${DELIVERY.MAX_RENOTIFY_MINUTES} minutes`,
+    };
+  }
+
+  if (settings.escalation !== undefined) {
+    if (settings.escalation === null) {
+      return { valid: false, error: 'Invalid escalation policy' };
+    }
+    const escalationCheck = validateEscalation(settings.escalation);
+    if (!escalationCheck.valid) return escalationCheck;
+  }
+
+  if (settings.digest !== undefined) {
+    const digestCheck = validateDigest(settings.digest);
+    if (!digestCheck.valid) return digestCheck;
+  }
+
+  if (settings.holdWhileIdle !== undefined && typeof settings.holdWhileIdle !== 'boolean') {
+    return { valid: false, error: 'Holding notifications while away must be turned on or off' };
+  }
+
+  if (
+    settings.notificationPrivacy !== undefined &&
+    !Object.values(PRIVACY_MODES).includes(settings.notificationPrivacy)
+  ) {
+    return { valid: false, error: `Invalid notification privacy: ${settings.notificationPrivacy}` };
+  }
+
+  if (
+    settings.notificationSnooze !== undefined &&
+    !Object.values(SNOOZE_OPTIONS).includes(settings.notificationSnooze)
+  ) {
+    return { valid: false, error: `Invalid notification snooze: ${settings.notificationSnooze}` };
+  }
+
+  if (settings.savedViews !== undefined) {
+    if (!Array.isArray(settings.savedViews)) {
+      return { valid: false, error: 'Saved views must be a list' };
+    }
+    if (settings.savedViews.length > REMINDER_FILTER.MAX_SAVED_VIEWS) {
+      return { valid: false, error: `You can have at most ${REMINDER_FILTER.MAX_SAVED_VIEWS} saved views` };
+    }
+    const ids = new Set();
+    for (const view of settings.savedViews) {
+      const viewCheck = validateSavedView(view);
+      if (!viewCheck.valid) return viewCheck;
+      if (ids.has(view.id)) {
+        return { valid: false, error: `Duplicate saved view id: ${view.id}` };
+      }
+      ids.add(view.id);
+    }
+  }
+
   return { valid: true };
 }
 
@@ -103,7 +616,21 @@ export {
     validateChatId,
     validateRequiredFields,
     validateStatus,
+    validateRecurrence,
+    validateNote,
+    validateEscalation,
     validateCreateReminderPayload,
+    validateUpdateReminderPayload,
+    validateReminderIds,
+    validateSpreadMinutes,
+    validatePreset,
+    validateBusinessHours,
+    validateBusinessHoursTime,
+    validateQuietHours,
+    validateDigest,
+    validateReminderFilter,
+    validateSavedView,
+    validateSettings,
 }
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -113,6 +640,20 @@ if (typeof module !== 'undefined' && module.exports) {
     validateChatId,
     validateRequiredFields,
     validateStatus,
+    validateRecurrence,
+    validateNote,
+    validateEscalation,
     validateCreateReminderPayload,
+    validateUpdateReminderPayload,
+    validateReminderIds,
+    validateSpreadMinutes,
+    validatePreset,
+    validateBusinessHours,
+    validateBusinessHoursTime,
+    validateQuietHours,
+    validateDigest,
+    validateReminderFilter,
+    validateSavedView,
+    validateSettings,
   };
 }
@@ -0,0 +1,247 @@
+// @ts-check
+
+/**
+ * Virtualised list: only the rows in or near the scrolled viewport are in
+ * the DOM, so a section of thousands of reminders costs a few dozen nodes.
+ * Rows are keyed, and a row is rebuilt only when its item object changes;
+ * callers that keep unchanged items' identity (see reminder-diff.js) get
+ * incremental updates. Row heights are estimated until a row is rendered,
+ * then measured.
+ * @module virtual-list
+ */
+
+/** Height assumed for rows not rendered yet, in px */
+const ESTIMATED_ROW_HEIGHT = 64;
+
+/** Rows rendered above and below the viewport, so fast scrolls stay filled */
+const OVERSCAN_ROWS = 6;
+
+/** Measure-and-reflow passes per render before settling on the heights seen */
+const MAX_MEASURE_PASSES = 3;
+
+/**
+ * Returns the top offset of every row, plus the total height at the end.
+ * @param {number[]} heights - Row heights in list order
+ * @returns {number[]} heights.length + 1 offsets
+ */
+function getRowOffsets(heights) {
+  const offsets = new Array(heights.length + 1);
+  offsets[0] = 0;
+  for (let i = 0; i < heights.length; i++) {
+    offsets[i + 1] = offsets[i] + heights[i];
+  }
+  return offsets;
+}
+
+/**
+ * Returns the rows to render for a viewport, as a half-open index range.
+ * @param {number[]} offsets - From getRowOffsets
+ * @param {number} top - Viewport top, relative to the list top (px)
+ * @param {number} bottom - Viewport bottom, relative to the list top (px)
+ * @param {number} [overscan] - Extra rows on each side
+ * @returns {{ start: number, end: number }}
+ */
+function getVisibleRange(offsets, top, bottom, overscan = OVERSCAN_ROWS) {
+  const count = offsets.length - 1;
+  if (count <= 0 || bottom <= 0 || top >= offsets[count]) {
+    return { start: 0, end: 0 };
+  }
+
+  // First row whose bottom edge is below the viewport top
+  let low = 0;
+  let high = count - 1;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (offsets[mid + 1] <= top) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  let end = low;
+  while (end < count && offsets[end] < bottom) {
+    end++;
+  }
+
+  return {
+    start: Math.max(0, low - overscan),
+    end: Math.min(count, end + overscan),
+  };
+}
+
+/**
+ * @typedef {object} VirtualListOptions
+ * @property {HTMLElement} scrollElement - The scrolling ancestor
+ * @property {HTMLElement} container - Element the rows are rendered into
+ * @property {(item: any) => string} getKey - Stable key of an item
+ * @property {(item: any) => HTMLElement} renderItem - Builds an item's row
+ * @property {number} [estimatedHeight] - Height assumed before a row is measured
+ * @property {number} [overscan] - Extra rows rendered on each side
+ */
+
+/**
+ * @typedef {object} VirtualList
+ * @property {(items: Array<any>) => void} setItems - Replaces the items and renders
+ * @property {() => void} render - Re-renders for the current scroll position
+ * @property {() => void} reset - Rebuilds every rendered row
+ */
+
+/**
+ * Creates a virtualised list in a container. Several lists can share one
+ * scrolling ancestor; each renders the part of itself inside the viewport.
+ * @param {VirtualListOptions} options
+ * @returns {VirtualList}
+ */
+function createVirtualList(options) {
+  const { scrollElement, container, getKey, renderItem } = options;
+  const estimatedHeight = options.estimatedHeight || ESTIMATED_ROW_HEIGHT;
+  const overscan = options.overscan !== undefined ? options.overscan : OVERSCAN_ROWS;
+
+  /** @type {Array<any>} */
+  let items = [];
+  /** @type {string[]} */
+  let keys = [];
+  /** @type {number[]} */
+  let offsets = [0];
+  /** @type {Map<string, number>} Measured row heights by key */
+  const heights = new Map();
+  /** @type {Map<string, { item: any, element: HTMLElement }>} Rendered rows by key */
+  const rows = new Map();
+  let frame = null;
+
+  const resizeObserver =
+    typeof ResizeObserver !== 'undefined' ? new ResizeObserver(() => scheduleRender()) : null;
+
+  container.style.position = 'relative';
+  scrollElement.addEventListener('scroll', scheduleRender, { passive: true });
+
+  function layout() {
+    offsets = getRowOffsets(keys.map((key) => heights.get(key) || estimatedHeight));
+    container.style.height = `${offsets[keys.length]}px`;
+  }
+
+  /**
+   * Returns the viewport relative to the list top.
+   * @returns {{ top: number, bottom: number }}
+   */
+  function getViewport() {
+    const top = scrollElement.getBoundingClientRect().top - container.getBoundingClientRect().top;
+    const height = scrollElement.clientHeight || window.innerHeight;
+    return { top, bottom: top + height };
+  }
+
+  function scheduleRender() {
+    if (frame !== null) return;
+    if (typeof requestAnimationFrame === 'undefined') {
+      render();
+      return;
+    }
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      render();
+    });
+  }
+
+  /**
+   * @param {string} key
+   */
+  function removeRow(key) {
+    const row = rows.get(key);
+    if (!row) return;
+    if (resizeObserver) resizeObserver.unobserve(row.element);
+    row.element.remove();
+    rows.delete(key);
+  }
+
+  /**
+   * Records the heights of the rendered rows.
+   * @returns {boolean} Whether any height changed
+   */
+  function measureRows() {
+    let changed = false;
+    for (const [key, row] of rows) {
+      const height = row.element.offsetHeight;
+      // Zero means not laid out (a hidden section); keep the estimate
+      if (height > 0 && height !== heights.get(key)) {
+        heights.set(key, height);
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  function render() {
+    for (let pass = 0; pass < MAX_MEASURE_PASSES; pass++) {
+      const { top, bottom } = getViewport();
+      const { start, end } = getVisibleRange(offsets, top, bottom, overscan);
+      const visible = new Set(keys.slice(start, end));
+
+      for (const key of [...rows.keys()]) {
+        if (!visible.has(key)) removeRow(key);
+      }
+
+      for (let i = start; i < end; i++) {
+        const key = keys[i];
+        let row = rows.get(key);
+        if (!row || row.item !== items[i]) {
+          const element = renderItem(items[i]);
+          element.style.position = 'absolute';
+          element.style.left = '0';
+          element.style.right = '0';
+          if (row) {
+            if (resizeObserver) resizeObserver.unobserve(row.element);
+            row.element.replaceWith(element);
+          } else {
+            container.appendChild(element);
+          }
+          if (resizeObserver) resizeObserver.observe(element);
+          row = { item: items[i], element };
+          rows.set(key, row);
+        }
+        row.element.style.top = `${offsets[i]}px`;
+      }
+
+      if (!measureRows()) return;
+      layout();
+    }
+  }
+
+  /**
+   * @param {Array<any>} nextItems
+   */
+  function setItems(nextItems) {
+    items = nextItems;
+    keys = items.map(getKey);
+    // Forget heights of items long gone, so the cache stays bounded
+    if (heights.size > 2 * keys.length) {
+      const current = new Set(keys);
+      for (const key of heights.keys()) {
+        if (!current.has(key)) heights.delete(key);
+      }
+    }
+    layout();
+    render();
+  }
+
+  function reset() {
+    for (const key of [...rows.keys()]) removeRow(key);
+    render();
+  }
+
+  return { setItems, render, reset };
+}
+
+export {
+  getRowOffsets,
+  getVisibleRange,
+  createVirtualList,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getRowOffsets,
+    getVisibleRange,
+    createVirtualList,
+  };
+}
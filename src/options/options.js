@@ -0,0 +1,568 @@
+// @ts-check
+
+/**
+ * WAReminder options page.
+ * Lets the user define, reorder and delete the quick presets offered by the
+ * in-chat prompt and the popup's reschedule control, and set business hours,
+ * working days, holidays, quiet hours, holding while away, how often and
+ * how urgently overdue reminders are repeated, the morning digest, and
+ * how much notifications show about the contact.
+ * Edits are kept in a local draft until "Save" sends them to the service
+ * worker.
+ * @module options
+ */
+
+import { MESSAGE_TYPES, PRESET_TYPES, PRESET_LIMITS, SNOOZE_OPTIONS } from "../lib/constants.js";
+import { calculatePresets, describePreset, DEFAULT_PRESETS } from "../lib/presets.js";
+import { DEFAULT_BUSINESS_HOURS, INDONESIAN_HOLIDAYS } from "../lib/business-hours.js";
+import { DEFAULT_QUIET_HOURS } from "../lib/quiet-hours.js";
+import { DEFAULT_RENOTIFY_MINUTES } from "../lib/delivery-policy.js";
+import { DEFAULT_ESCALATION } from "../lib/escalation.js";
+import { DEFAULT_DIGEST } from "../lib/digest.js";
+import { DEFAULT_PRIVACY_MODE } from "../lib/privacy.js";
+import { formatDateTime, generateId } from "../lib/utils.js";
+
+function initializeOptionsPage() {
+    "use strict";
+
+    // --- DOM References ---
+    const presetList = document.getElementById("preset-list");
+    const presetEmpty = document.getElementById("preset-empty");
+    const presetForm = document.getElementById("preset-form");
+    const presetType = /** @type {HTMLSelectElement} */ (document.getElementById("preset-type"));
+    const presetAmount = /** @type {HTMLInputElement} */ (document.getElementById("preset-amount"));
+    const presetUnit = /** @type {HTMLSelectElement} */ (document.getElementById("preset-unit"));
+    const presetDayOffset = /** @type {HTMLSelectElement} */ (document.getElementById("preset-day-offset"));
+    const presetWeekday = /** @type {HTMLSelectElement} */ (document.getElementById("preset-weekday"));
+    const presetTime = /** @type {HTMLInputElement} */ (document.getElementById("preset-time"));
+    const presetLabel = /** @type {HTMLInputElement} */ (document.getElementById("preset-label"));
+    const resetPresetsBtn = document.getElementById("reset-presets");
+    const saveSettingsBtn = document.getElementById("save-settings");
+    const optionsStatus = document.getElementById("options-status");
+    const businessHoursEnabled = /** @type {HTMLInputElement} */ (document.getElementById("business-hours-enabled"));
+    const businessStart = /** @type {HTMLInputElement} */ (document.getElementById("business-start"));
+    const businessEnd = /** @type {HTMLInputElement} */ (document.getElementById("business-end"));
+    const workingDays = document.getElementById("working-days");
+    const holidayList = document.getElementById("holiday-list");
+    const holidayEmpty = document.getElementById("holiday-empty");
+    const holidayForm = document.getElementById("holiday-form");
+    const holidayDate = /** @type {HTMLInputElement} */ (document.getElementById("holiday-date"));
+    const holidayName = /** @type {HTMLInputElement} */ (document.getElementById("holiday-name"));
+    const resetHolidaysBtn = document.getElementById("reset-holidays");
+    const quietHoursEnabled = /** @type {HTMLInputElement} */ (document.getElementById("quiet-hours-enabled"));
+    const quietStart = /** @type {HTMLInputElement} */ (document.getElementById("quiet-start"));
+    const quietEnd = /** @type {HTMLInputElement} */ (document.getElementById("quiet-end"));
+    const holdWhileIdle = /** @type {HTMLInputElement} */ (document.getElementById("hold-while-idle"));
+    const renotifyMinutes = /** @type {HTMLSelectElement} */ (document.getElementById("renotify-minutes"));
+    const escalationEnabled = /** @type {HTMLInputElement} */ (document.getElementById("escalation-enabled"));
+    const escalationSteps = /** @type {HTMLInputElement} */ (document.getElementById("escalation-steps"));
+    const digestEnabled = /** @type {HTMLInputElement} */ (document.getElementById("digest-enabled"));
+    const digestTime = /** @type {HTMLInputElement} */ (document.getElementById("digest-time"));
+    const notificationPrivacy = /** @type {HTMLSelectElement} */ (document.getElementById("notification-privacy"));
+    const notificationSnooze = /** @type {HTMLSelectElement} */ (document.getElementById("notification-snooze"));
+
+    // --- State ---
+    /** @type {Array<object>} Presets being edited (not yet saved) */
+    let draftPresets = [];
+    /** @type {Array<{ date: string, name: string }>} Holidays being edited (not yet saved) */
+    let draftHolidays = [];
+
+    // --- Init ---
+    async function init() {
+        applyI18n();
+        setupEventListeners();
+        updateFormFields();
+        await loadSettings();
+    }
+
+    /**
+     * Applies i18n strings from chrome.i18n to all elements with data-i18n attributes.
+     */
+    function applyI18n() {
+        if (!chrome.i18n || !chrome.i18n.getMessage) return;
+        const elements = document.querySelectorAll("[data-i18n]");
+        for (const el of elements) {
+            const key = el.getAttribute("data-i18n");
+            const msg = chrome.i18n.getMessage(key);
+            if (msg) {
+                el.textContent = msg;
+            }
+        }
+    }
+
+    function setupEventListeners() {
+        presetType.addEventListener("change", updateFormFields);
+        for (const input of [presetAmount, presetUnit, presetDayOffset, presetWeekday, presetTime]) {
+            input.addEventListener("input", updateLabelSuggestion);
+        }
+        presetForm.addEventListener("submit", (e) => {
+            e.preventDefault();
+            addPreset();
+        });
+        resetPresetsBtn.addEventListener("click", () => {
+            draftPresets = DEFAULT_PRESETS.map((preset) => ({ ...preset }));
+            renderPresets();
+            showStatus("Defaults restored. Save to apply.");
+        });
+        saveSettingsBtn.addEventListener("click", saveSettings);
+        holidayForm.addEventListener("submit", (e) => {
+            e.preventDefault();
+            addHoliday();
+        });
+        resetHolidaysBtn.addEventListener("click", () => {
+            draftHolidays = INDONESIAN_HOLIDAYS.map((holiday) => ({ ...holiday }));
+            renderHolidays();
+            renderPresets();
+            showStatus("Holidays restored. Save to apply.");
+        });
+        // Preset previews depend on business hours, so refresh them on change
+        for (const input of [businessHoursEnabled, businessStart, businessEnd, workingDays]) {
+            input.addEventListener("change", renderPresets);
+        }
+    }
+
+    /**
+     * Sends a message to the service worker and returns the response data.
+     * @param {object} message - Message to send
+     * @returns {Promise<object>} Response data from service worker
+     */
+    function sendMessage(message) {
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage(message, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                    return;
+                }
+                if (response && response.success) {
+                    resolve(response.data);
+                } else {
+                    reject(new Error((response && response.error) || "Unknown error"));
+                }
+            });
+        });
+    }
+
+    // --- Data ---
+
+    /**
+     * Loads the saved settings via service worker.
+     * @returns {Promise<void>}
+     */
+    async function loadSettings() {
+        try {
+            const data = await sendMessage({ type: MESSAGE_TYPES.GET_SETTINGS });
+            draftPresets = data.settings.presets;
+            renderBusinessHours(data.settings.businessHours);
+            renderQuietHours(data.settings.quietHours);
+            holdWhileIdle.checked = data.settings.holdWhileIdle;
+            renderRenotifyMinutes(data.settings.renotifyMinutes);
+            renderEscalation(data.settings.escalation);
+            renderDigest(data.settings.digest);
+            notificationPrivacy.value = data.settings.notificationPrivacy;
+            notificationSnooze.value = data.settings.notificationSnooze;
+        } catch (err) {
+            console.error("Failed to load settings:", err);
+            draftPresets = DEFAULT_PRESETS.map((preset) => ({ ...preset }));
+            renderBusinessHours(DEFAULT_BUSINESS_HOURS);
+            renderQuietHours(DEFAULT_QUIET_HOURS);
+            holdWhileIdle.checked = false;
+            renderRenotifyMinutes(DEFAULT_RENOTIFY_MINUTES);
+            renderEscalation(DEFAULT_ESCALATION);
+            renderDigest(DEFAULT_DIGEST);
+            notificationPrivacy.value = DEFAULT_PRIVACY_MODE;
+            notificationSnooze.value = SNOOZE_OPTIONS.HOUR;
+            showStatus("Couldn't load your settings; showing defaults.", true);
+        }
+        renderPresets();
+    }
+
+    /**
+     * Saves the draft presets and the delivery settings via service worker.
+     * @returns {Promise<void>}
+     */
+    async function saveSettings() {
+        saveSettingsBtn.setAttribute("disabled", "");
+        try {
+            const data = await sendMessage({
+                type: MESSAGE_TYPES.SAVE_SETTINGS,
+                payload: {
+                    presets: draftPresets,
+                    businessHours: readBusinessHours(),
+                    quietHours: readQuietHours(),
+                    holdWhileIdle: holdWhileIdle.checked,
+                    renotifyMinutes: Number(renotifyMinutes.value),
+                    escalation: readEscalation(),
+                    digest: readDigest(),
+                    notificationPrivacy: notificationPrivacy.value,
+                    notificationSnooze: notificationSnooze.value,
+                },
+            });
+            draftPresets = data.settings.presets;
+            renderPresets();
+            renderBusinessHours(data.settings.businessHours);
+            renderQuietHours(data.settings.quietHours);
+            holdWhileIdle.checked = data.settings.holdWhileIdle;
+            renderRenotifyMinutes(data.settings.renotifyMinutes);
+            renderEscalation(data.settings.escalation);
+            renderDigest(data.settings.digest);
+            notificationPrivacy.value = data.settings.notificationPrivacy;
+            notificationSnooze.value = data.settings.notificationSnooze;
+            showStatus("Settings saved.");
+        } catch (err) {
+            showStatus(err.message, true);
+        } finally {
+            saveSettingsBtn.removeAttribute("disabled");
+        }
+    }
+
+    // --- Preset Editing ---
+
+    /**
+     * Builds a preset rule from the add-preset form (without id or label).
+     * @returns {object}
+     */
+    function readPresetForm() {
+        const type = presetType.value;
+        if (type === PRESET_TYPES.RELATIVE) {
+            return {
+                type,
+                minutes: Number(presetAmount.value) * Number(presetUnit.value),
+            };
+        }
+
+        const { hour, minute } = parseClock(presetTime.value);
+        if (type === PRESET_TYPES.WEEKDAY) {
+            return { type, hour, minute, weekday: Number(presetWeekday.value) };
+        }
+        if (type === PRESET_TYPES.BUSINESS_DAY) {
+            return { type, hour, minute };
+        }
+        return { type, hour, minute, dayOffset: Number(presetDayOffset.value) };
+    }
+
+    /**
+     * Shows only the form rows relevant to the selected preset type.
+     */
+    function updateFormFields() {
+        const rows = presetForm.querySelectorAll("[data-preset-type]");
+        for (const row of rows) {
+            const types = row.getAttribute("data-preset-type").split(" ");
+            /** @type {HTMLElement} */ (row).hidden = !types.includes(presetType.value);
+        }
+        updateLabelSuggestion();
+    }
+
+    /**
+     * Suggests a label for the preset being built via the placeholder.
+     */
+    function updateLabelSuggestion() {
+        presetLabel.placeholder = describePreset(readPresetForm());
+    }
+
+    /**
+     * Adds the preset from the form to the draft list.
+     */
+    function addPreset() {
+        if (draftPresets.length >= PRESET_LIMITS.MAX_PRESETS) {
+            showStatus(`You can have at most ${PRESET_LIMITS.MAX_PRESETS} presets.`, true);
+            return;
+        }
+
+        const rule = readPresetForm();
+        const preset = {
+            id: generateId(),
+            label: presetLabel.value.trim() || describePreset(rule),
+            ...rule,
+        };
+        draftPresets = [...draftPresets, preset];
+        presetLabel.value = "";
+        renderPresets();
+        showStatus("Preset added. Save to apply.");
+    }
+
+    /**
+     * Moves a draft preset up or down.
+     * @param {number} index - Current position
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    function movePreset(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= draftPresets.length) return;
+        const reordered = [...draftPresets];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        draftPresets = reordered;
+        renderPresets();
+    }
+
+    /**
+     * Removes a draft preset.
+     * @param {number} index - Position to remove
+     */
+    function deletePreset(index) {
+        draftPresets = draftPresets.filter((_, i) => i !== index);
+        renderPresets();
+    }
+
+    // --- Business Hours Editing ---
+
+    /**
+     * Parses an <input type="time"> value.
+     * @param {string} value - "HH:MM"
+     * @returns {{ hour: number, minute: number }}
+     */
+    function parseClock(value) {
+        const [hour, minute] = (value || "00:00").split(":").map(Number);
+        return { hour, minute };
+    }
+
+    /**
+     * Formats a clock time for an <input type="time">.
+     * @param {{ hour: number, minute: number }} clock
+     * @returns {string} "HH:MM"
+     */
+    function toTimeValue(clock) {
+        return `${String(clock.hour).padStart(2, "0")}:${String(clock.minute).padStart(2, "0")}`;
+    }
+
+    /**
+     * Builds the business-hours settings from the form and draft holidays.
+     * @returns {object}
+     */
+    function readBusinessHours() {
+        const days = [...workingDays.querySelectorAll("input:checked")].map(
+            (input) => Number(/** @type {HTMLInputElement} */ (input).value),
+        );
+        return {
+            enabled: businessHoursEnabled.checked,
+            start: parseClock(businessStart.value),
+            end: parseClock(businessEnd.value),
+            workingDays: days,
+            holidays: draftHolidays,
+        };
+    }
+
+    /**
+     * Builds the quiet-hours settings from the form.
+     * @returns {object}
+     */
+    function readQuietHours() {
+        return {
+            enabled: quietHoursEnabled.checked,
+            start: parseClock(quietStart.value),
+            end: parseClock(quietEnd.value),
+        };
+    }
+
+    /**
+     * Builds the escalation policy from the form. The steps are parsed loosely;
+     * the service worker rejects anything that isn't whole minutes.
+     * @returns {{ enabled: boolean, intervals: number[] }}
+     */
+    function readEscalation() {
+        const intervals = escalationSteps.value
+            .split(",")
+            .map((part) => part.trim())
+            .filter(Boolean)
+            .map(Number);
+        return { enabled: escalationEnabled.checked, intervals };
+    }
+
+    /**
+     * Builds the daily-digest settings from the form.
+     * @returns {object}
+     */
+    function readDigest() {
+        return {
+            enabled: digestEnabled.checked,
+            time: parseClock(digestTime.value),
+        };
+    }
+
+    /**
+     * Adds the holiday from the form to the draft list, replacing one on the same date.
+     */
+    function addHoliday() {
+        if (!holidayDate.value) return;
+        const holiday = { date: holidayDate.value, name: holidayName.value.trim() };
+        draftHolidays = [...draftHolidays.filter((h) => h.date !== holiday.date), holiday].sort(
+            (a, b) => a.date.localeCompare(b.date),
+        );
+        holidayDate.value = "";
+        holidayName.value = "";
+        renderHolidays();
+        renderPresets();
+        showStatus("Holiday added. Save to apply.");
+    }
+
+    // --- Rendering ---
+
+    /**
+     * Fills the business-hours form from saved settings.
+     * @param {{ enabled: boolean, start: object, end: object, workingDays: number[], holidays: Array<object> }} businessHours
+     */
+    function renderBusinessHours(businessHours) {
+        businessHoursEnabled.checked = businessHours.enabled;
+        businessStart.value = toTimeValue(businessHours.start);
+        businessEnd.value = toTimeValue(businessHours.end);
+        for (const input of workingDays.querySelectorAll("input")) {
+            const checkbox = /** @type {HTMLInputElement} */ (input);
+            checkbox.checked = businessHours.workingDays.includes(Number(checkbox.value));
+        }
+        draftHolidays = [...businessHours.holidays];
+        renderHolidays();
+    }
+
+    /**
+     * Fills the quiet-hours form from saved settings.
+     * @param {{ enabled: boolean, start: object, end: object }} quietHours
+     */
+    function renderQuietHours(quietHours) {
+        quietHoursEnabled.checked = quietHours.enabled;
+        quietStart.value = toTimeValue(quietHours.start);
+        quietEnd.value = toTimeValue(quietHours.end);
+    }
+
+    /**
+     * Selects the saved re-notify interval, adding it as an option if it
+     * isn't one of the listed choices.
+     * @param {number} minutes
+     */
+    function renderRenotifyMinutes(minutes) {
+        const value = String(minutes);
+        if (![...renotifyMinutes.options].some((option) => option.value === value)) {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = `Every ${minutes} minutes`;
+            renotifyMinutes.appendChild(option);
+        }
+        renotifyMinutes.value = value;
+    }
+
+    /**
+     * Fills the escalation form from saved settings.
+     * @param {{ enabled: boolean, intervals: number[] }} escalation
+     */
+    function renderEscalation(escalation) {
+        escalationEnabled.checked = escalation.enabled;
+        escalationSteps.value = escalation.intervals.join(", ");
+    }
+
+    /**
+     * Fills the daily-digest form from saved settings.
+     * @param {{ enabled: boolean, time: object }} digest
+     */
+    function renderDigest(digest) {
+        digestEnabled.checked = digest.enabled;
+        digestTime.value = toTimeValue(digest.time);
+    }
+
+    /**
+     * Renders the draft holiday list.
+     */
+    function renderHolidays() {
+        holidayList.innerHTML = "";
+        holidayEmpty.hidden = draftHolidays.length > 0;
+
+        draftHolidays.forEach((holiday, index) => {
+            const item = document.createElement("li");
+            item.className = "holiday-item";
+
+            const date = document.createElement("span");
+            date.className = "holiday-date";
+            date.textContent = holiday.date;
+
+            const name = document.createElement("span");
+            name.className = "holiday-name";
+            name.textContent = holiday.name;
+
+            item.appendChild(date);
+            item.appendChild(name);
+            item.appendChild(
+                createActionButton("✕", "Delete holiday", false, () => {
+                    draftHolidays = draftHolidays.filter((_, i) => i !== index);
+                    renderHolidays();
+                    renderPresets();
+                }),
+            );
+            holidayList.appendChild(item);
+        });
+    }
+
+    /**
+     * Renders the draft preset list with the time each one resolves to right now.
+     */
+    function renderPresets() {
+        presetList.innerHTML = "";
+        presetEmpty.hidden = draftPresets.length > 0;
+
+        const resolved = calculatePresets(Date.now(), draftPresets, readBusinessHours());
+        draftPresets.forEach((preset, index) => {
+            const item = document.createElement("li");
+            item.className = "preset-item";
+
+            const info = document.createElement("div");
+            info.className = "preset-info";
+
+            const label = document.createElement("span");
+            label.className = "preset-label";
+            label.textContent =
+                (preset.messageKey &&
+                    chrome.i18n &&
+                    chrome.i18n.getMessage(preset.messageKey)) ||
+                preset.label;
+
+            const detail = document.createElement("span");
+            detail.className = "preset-detail";
+            detail.textContent = `${describePreset(preset)} · next: ${formatDateTime(resolved[index].time)}`;
+
+            info.appendChild(label);
+            info.appendChild(detail);
+
+            const actions = document.createElement("div");
+            actions.className = "preset-actions";
+            actions.appendChild(createActionButton("↑", "Move up", index === 0, () => movePreset(index, -1)));
+            actions.appendChild(
+                createActionButton("↓", "Move down", index === draftPresets.length - 1, () => movePreset(index, 1)),
+            );
+            actions.appendChild(createActionButton("✕", "Delete preset", false, () => deletePreset(index)));
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            presetList.appendChild(item);
+        });
+    }
+
+    /**
+     * Creates a small icon button for a preset row.
+     * @param {string} text - Button text
+     * @param {string} title - Tooltip and accessible label
+     * @param {boolean} disabled
+     * @param {() => void} onClick
+     * @returns {HTMLButtonElement}
+     */
+    function createActionButton(text, title, disabled, onClick) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "preset-action";
+        button.textContent = text;
+        button.title = title;
+        button.setAttribute("aria-label", title);
+        button.disabled = disabled;
+        button.addEventListener("click", onClick);
+        return button;
+    }
+
+    /**
+     * Shows a status message next to the save button.
+     * @param {string} message
+     * @param {boolean} [isError]
+     */
+    function showStatus(message, isError = false) {
+        optionsStatus.textContent = message;
+        optionsStatus.classList.toggle("options-status--error", isError);
+    }
+
+    init();
+}
+
+initializeOptionsPage();
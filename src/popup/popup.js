@@ -3,22 +3,73 @@
 /**
  * WAReminder Popup Dashboard.
  * Renders reminder list sorted by scheduledTime, supports open chat,
- * mark complete, delete, and pagination for large lists.
+ * mark complete, reschedule and delete. Sections are virtualised lists, so
+ * only rows near the viewport are in the DOM, and the reminder store's
+ * change events name the reminders each write changed, so only their rows
+ * are rebuilt.
+ * Opened with ?view=today (from the morning digest) it lists only the
+ * pending reminders due today, overdue ones included; opened with
+ * ?ids=<id>,<id> (from a batch notification) it lists only those reminders.
+ * ?view=trash lists deleted reminders, which can be restored. Completing or
+ * deleting a reminder can be undone from a snackbar for a few seconds.
+ * Reminders can be selected, a section at a time, and completed,
+ * rescheduled or deleted together with one message per action, and all
+ * overdue reminders can be moved to one preset at once. The list can be
+ * searched and filtered by status, date range, chat type and #tag; named
+ * filters are saved as views in the user's settings.
+ * Every reminder can be downloaded as a JSON backup or a CSV spreadsheet,
+ * whatever the view and filters.
  * @module popup
  */
 
-import { MESSAGE_TYPES } from "../lib/constants.js";
+import {
+    DIGEST,
+    MESSAGE_TYPES,
+    NOTE_MAX_LENGTH,
+    OVERDUE_SPREAD,
+    REMINDER_DB,
+} from "../lib/constants.js";
+import { describeRecurrence } from "../lib/recurrence.js";
+import { calculatePresets } from "../lib/presets.js";
+import { DEFAULT_ESCALATION } from "../lib/escalation.js";
+import { isDueToday } from "../lib/digest.js";
+import { applyReminderDiff, compareReminders } from "../lib/reminder-diff.js";
+import { toReminderDiff } from "../lib/reminder-changes.js";
+import { getExportFileName, toCsv } from "../lib/reminder-export.js";
+import { createVirtualList } from "../lib/virtual-list.js";
+import {
+    DEFAULT_FILTER,
+    collectTags,
+    isFilterActive,
+    matchesFilter,
+} from "../lib/reminder-filter.js";
+import {
+    debounce,
+    formatDateTime,
+    formatDuration,
+    generateId,
+} from "../lib/utils.js";
 
 // Initialize popup dashboard
 function initializePopupDashboard() {
     "use strict";
 
     /** @readonly */
-    const ITEMS_PER_PAGE = 50;
+    const TRASH_VIEW = "trash";
+
+    /** @readonly How long the undo snackbar stays up */
+    const UNDO_TIMEOUT_MS = 6000;
+
+    /** @readonly Delay before the list follows the search box */
+    const SEARCH_DEBOUNCE_MS = 150;
 
     // --- DOM References ---
     const loadingState = document.getElementById("loading-state");
     const emptyState = document.getElementById("empty-state");
+    const emptyTitle = document.getElementById("empty-title");
+    const viewBanner = document.getElementById("view-banner");
+    const viewBannerTitle = document.getElementById("view-banner-title");
+    const showAllBtn = document.getElementById("show-all");
     const reminderList = document.getElementById("reminder-list");
     const overdueSection = document.getElementById("overdue-section");
     const upcomingSection = document.getElementById("upcoming-section");
@@ -26,19 +77,32 @@ function initializePopupDashboard() {
     const overdueItems = document.getElementById("overdue-items");
     const upcomingItems = document.getElementById("upcoming-items");
     const completedItems = document.getElementById("completed-items");
+    const trashSection = document.getElementById("trash-section");
+    const trashItems = document.getElementById("trash-items");
     const reminderCount = document.getElementById("reminder-count");
     const notificationWarning = document.getElementById("notification-warning");
     const enableNotificationsLink = document.getElementById(
         "enable-notifications-link",
     );
-    const pagination = document.getElementById("pagination");
-    const prevPageBtn = document.getElementById("prev-page");
-    const nextPageBtn = document.getElementById("next-page");
-    const pageInfo = document.getElementById("page-info");
     const deleteDialog = document.getElementById("delete-dialog");
     const deleteDialogDetail = document.getElementById("delete-dialog-detail");
     const deleteCancelBtn = document.getElementById("delete-cancel");
     const deleteConfirmBtn = document.getElementById("delete-confirm");
+    const bulkBar = document.getElementById("bulk-bar");
+    const bulkCount = document.getElementById("bulk-count");
+    const bulkCompleteBtn = document.getElementById("bulk-complete");
+    const bulkRescheduleBtn = document.getElementById("bulk-reschedule");
+    const bulkDeleteBtn = document.getElementById("bulk-delete");
+    const bulkClearBtn = document.getElementById("bulk-clear");
+    const bulkReschedulePanel = document.getElementById("bulk-reschedule-panel");
+    const moveOverdueBtn = document.getElementById("move-overdue");
+    const moveOverduePanel = document.getElementById("move-overdue-panel");
+    const sectionSelects = /** @type {NodeListOf<HTMLInputElement>} */ (
+        document.querySelectorAll(".section-select")
+    );
+    const snackbar = document.getElementById("snackbar");
+    const snackbarText = document.getElementById("snackbar-text");
+    const snackbarUndoBtn = document.getElementById("snackbar-undo");
     const upgradePrompt = document.getElementById("upgrade-prompt");
     const dismissUpgradePromptBtn = document.getElementById("dismiss-upgrade-prompt");
     const upgradeButton = document.getElementById("upgrade-button");
@@ -59,12 +123,69 @@ function initializePopupDashboard() {
     const cancellationWarning = document.getElementById("cancellation-warning");
     const cancellationText = document.getElementById("cancellation-text");
     const reactivateBtn = document.getElementById("reactivate-btn");
+    const openSettingsBtn = document.getElementById("open-settings");
+    const openTrashBtn = document.getElementById("open-trash");
+    const openExportBtn = document.getElementById("open-export");
+    const exportPanel = document.getElementById("export-panel");
+    const exportJsonBtn = document.getElementById("export-json");
+    const exportCsvBtn = document.getElementById("export-csv");
+    const searchBar = document.getElementById("search-bar");
+    const searchInput = /** @type {HTMLInputElement|null} */ (
+        document.getElementById("search-input")
+    );
+    const toggleFiltersBtn = document.getElementById("toggle-filters");
+    const savedViewsSelect = /** @type {HTMLSelectElement|null} */ (
+        document.getElementById("saved-views")
+    );
+    const filterPanel = document.getElementById("filter-panel");
+    const filterStatus = /** @type {HTMLSelectElement|null} */ (
+        document.getElementById("filter-status")
+    );
+    const filterChatType = /** @type {HTMLSelectElement|null} */ (
+        document.getElementById("filter-chat-type")
+    );
+    const filterTag = /** @type {HTMLSelectElement|null} */ (
+        document.getElementById("filter-tag")
+    );
+    const filterFrom = /** @type {HTMLInputElement|null} */ (
+        document.getElementById("filter-from")
+    );
+    const filterTo = /** @type {HTMLInputElement|null} */ (
+        document.getElementById("filter-to")
+    );
+    const clearFiltersBtn = document.getElementById("clear-filters");
+    const viewNameInput = /** @type {HTMLInputElement|null} */ (
+        document.getElementById("view-name")
+    );
+    const saveViewBtn = document.getElementById("save-view");
+    const deleteViewBtn = document.getElementById("delete-view");
+    const filterError = document.getElementById("filter-error");
 
     // --- State ---
+    /** @type {Array<object>} All reminders, soonest first (compareReminders) */
     let allReminders = [];
-    let currentPage = 1;
-    let pendingDeleteId = null;
+    /** @type {Array<object>} Deleted reminders, each with its deletedAt */
+    let trashedReminders = [];
+    /** @type {Map<string, import('../lib/virtual-list').VirtualList>} Virtualised list of each section, by type */
+    const sectionLists = new Map();
+    /** @type {string[]} Reminders the delete dialog is confirming */
+    let pendingDeleteIds = [];
+    /** @type {Set<string>} Selected reminder IDs, for bulk actions */
+    let selectedIds = new Set();
+    /** @type {Record<string, string[]>} IDs listed in each section, for select-all */
+    let sectionIds = { overdue: [], upcoming: [], completed: [] };
+    /** @type {(() => Promise<void>)|null} What the snackbar's Undo does */
+    let undoAction = null;
+    let snackbarTimer = null;
     let upgradePromptDismissed = false;
+    /** @type {ViewFilter|null} Filter from the page URL; null lists all reminders */
+    let viewFilter = getViewFilter();
+    /** @type {import('../lib/reminder-filter').ReminderFilter} Search and filters from the search bar */
+    let listFilter = { ...DEFAULT_FILTER };
+    /** @type {string|null} ID of the saved view the filters came from */
+    let activeViewId = null;
+    /** @type {{ presets: Array<object>, businessHours: object }|undefined} User settings; undefined means built-in defaults */
+    let userSettings;
 
     // --- Init ---
     async function init() {
@@ -74,7 +195,10 @@ function initializePopupDashboard() {
             setupEventListeners();
             setupStorageListener();
             await checkNotificationPermission();
+            await loadSettings();
+            renderSavedViews();
             await loadReminders();
+            await loadTrash();
             await checkCancellationStatus();
             console.log("[popup.js] Initialization complete");
         } catch (err) {
@@ -110,12 +234,55 @@ function initializePopupDashboard() {
     }
 
     function setupEventListeners() {
-        if (prevPageBtn) prevPageBtn.addEventListener("click", goToPrevPage);
-        if (nextPageBtn) nextPageBtn.addEventListener("click", goToNextPage);
+        if (showAllBtn) showAllBtn.addEventListener("click", showAllReminders);
         if (deleteCancelBtn)
             deleteCancelBtn.addEventListener("click", hideDeleteDialog);
         if (deleteConfirmBtn)
             deleteConfirmBtn.addEventListener("click", confirmDelete);
+        if (snackbarUndoBtn) snackbarUndoBtn.addEventListener("click", undo);
+        if (openTrashBtn) openTrashBtn.addEventListener("click", openTrash);
+        if (openExportBtn)
+            openExportBtn.addEventListener("click", toggleExportPanel);
+        if (exportJsonBtn)
+            exportJsonBtn.addEventListener("click", () => exportReminders("json"));
+        if (exportCsvBtn)
+            exportCsvBtn.addEventListener("click", () => exportReminders("csv"));
+        if (bulkCompleteBtn)
+            bulkCompleteBtn.addEventListener("click", bulkComplete);
+        if (bulkRescheduleBtn)
+            bulkRescheduleBtn.addEventListener("click", toggleBulkReschedule);
+        if (bulkDeleteBtn)
+            bulkDeleteBtn.addEventListener("click", showBulkDeleteDialog);
+        if (bulkClearBtn) bulkClearBtn.addEventListener("click", clearSelection);
+        if (moveOverdueBtn)
+            moveOverdueBtn.addEventListener("click", toggleMoveOverdue);
+        if (searchInput) {
+            searchInput.placeholder =
+                (chrome.i18n && chrome.i18n.getMessage("searchPlaceholder")) ||
+                searchInput.placeholder;
+            searchInput.addEventListener(
+                "input",
+                debounce(applyFilterControls, SEARCH_DEBOUNCE_MS),
+            );
+        }
+        for (const control of [filterStatus, filterChatType, filterTag, filterFrom, filterTo]) {
+            if (control) control.addEventListener("change", applyFilterControls);
+        }
+        if (toggleFiltersBtn)
+            toggleFiltersBtn.addEventListener("click", toggleFilterPanel);
+        if (clearFiltersBtn)
+            clearFiltersBtn.addEventListener("click", clearFilters);
+        if (savedViewsSelect)
+            savedViewsSelect.addEventListener("change", () =>
+                applySavedView(savedViewsSelect.value),
+            );
+        if (saveViewBtn) saveViewBtn.addEventListener("click", saveView);
+        if (deleteViewBtn) deleteViewBtn.addEventListener("click", deleteView);
+        for (const box of sectionSelects) {
+            box.addEventListener("change", () =>
+                selectSection(box.dataset.section, box.checked),
+            );
+        }
         if (enableNotificationsLink) {
             enableNotificationsLink.addEventListener("click", (e) => {
                 e.preventDefault();
@@ -136,6 +303,13 @@ function initializePopupDashboard() {
             );
         if (reactivateBtn)
             reactivateBtn.addEventListener("click", handleReactivate);
+        if (openSettingsBtn) {
+            openSettingsBtn.addEventListener("click", () => {
+                if (chrome.runtime && chrome.runtime.openOptionsPage) {
+                    chrome.runtime.openOptionsPage();
+                }
+            });
+        }
         if (dismissUpgradePromptBtn)
             dismissUpgradePromptBtn.addEventListener(
                 "click",
@@ -145,14 +319,31 @@ function initializePopupDashboard() {
 
     /**
      * Listens for storage changes to reactively update the popup.
+     * Reminder changes arrive from the reminder store's change channel,
+     * as the change events of each write.
      */
     function setupStorageListener() {
+        if (typeof BroadcastChannel !== "undefined") {
+            const channel = new BroadcastChannel(REMINDER_DB.CHANGE_CHANNEL);
+            channel.addEventListener("message", (event) => {
+                // Only the reminders that changed get new rows
+                allReminders = applyReminderDiff(
+                    allReminders,
+                    toReminderDiff(event.data),
+                );
+                renderReminders();
+            });
+        }
         if (chrome.storage && chrome.storage.onChanged) {
             chrome.storage.onChanged.addListener((changes, areaName) => {
-                if (areaName === "local" && changes.reminders) {
-                    allReminders = changes.reminders.newValue || [];
+                if (areaName === "local" && changes.trash) {
+                    trashedReminders = changes.trash.newValue || [];
                     renderReminders();
                 }
+                if (areaName === "local" && changes.settings) {
+                    userSettings = changes.settings.newValue || undefined;
+                    renderSavedViews();
+                }
             });
         }
     }
@@ -190,8 +381,7 @@ function initializePopupDashboard() {
             const data = await sendMessage({
                 type: MESSAGE_TYPES.GET_REMINDERS,
             });
-            allReminders = data.reminders || [];
-            currentPage = 1;
+            allReminders = [...(data.reminders || [])].sort(compareReminders);
             renderReminders();
         } catch (err) {
             console.error("Failed to load reminders:", err);
@@ -200,6 +390,36 @@ function initializePopupDashboard() {
         }
     }
 
+    /**
+     * Loads the deleted reminders in the trash via service worker.
+     * @returns {Promise<void>}
+     */
+    async function loadTrash() {
+        try {
+            const data = await sendMessage({ type: MESSAGE_TYPES.GET_TRASH });
+            trashedReminders = data.reminders || [];
+        } catch (err) {
+            console.error("Failed to load trash:", err);
+            trashedReminders = [];
+        }
+        renderReminders();
+    }
+
+    /**
+     * Loads the user's settings (quick presets, business hours) via service worker.
+     * Falls back to the built-in presets if settings can't be read.
+     * @returns {Promise<void>}
+     */
+    async function loadSettings() {
+        try {
+            const data = await sendMessage({ type: MESSAGE_TYPES.GET_SETTINGS });
+            userSettings = data.settings;
+        } catch (err) {
+            console.warn("Failed to load settings:", err);
+            userSettings = undefined;
+        }
+    }
+
     /**
      * Checks notification permission and shows warning if denied.
      * @returns {Promise<void>}
@@ -242,54 +462,54 @@ function initializePopupDashboard() {
         // Check if free user has hit reminder limit
         checkLimitAndShowUpgradePrompt();
 
-        if (allReminders.length === 0) {
-            showEmptyState();
+        if (viewFilter && viewFilter.trash) {
+            clearSelection();
+            if (searchBar) searchBar.hidden = true;
+            renderTrash();
             return;
         }
-
-        hideEmptyState();
-        showReminderList();
+        if (trashSection) trashSection.hidden = true;
+        if (searchBar) searchBar.hidden = false;
 
         const now = Date.now();
-
-        // Sort by scheduledTime (soonest first)
-        const sorted = [...allReminders].sort(
-            (a, b) => a.scheduledTime - b.scheduledTime,
+        const visible = allReminders.filter(
+            (r) =>
+                (!viewFilter || viewFilter.matches(r, now)) &&
+                matchesFilter(r, listFilter, now),
         );
+        renderViewBanner();
+        renderTagOptions();
 
-        // Categorize (for header counts)
-        const overdue = sorted.filter(
-            (r) => r.status === "pending" && r.scheduledTime <= now,
-        );
-        const upcoming = sorted.filter(
-            (r) => r.status === "pending" && r.scheduledTime > now,
-        );
+        if (visible.length === 0) {
+            clearSelection();
+            showEmptyState();
+            return;
+        }
 
-        // Pagination
-        const totalItems = sorted.length;
-        const totalPages = Math.ceil(totalItems / ITEMS_PER_PAGE);
-        const startIdx = (currentPage - 1) * ITEMS_PER_PAGE;
-        const endIdx = startIdx + ITEMS_PER_PAGE;
-        const pageItems = sorted.slice(startIdx, endIdx);
+        hideEmptyState();
+        showReminderList();
 
-        // Re-categorize for current page
-        const pageOverdue = pageItems.filter(
+        // Categorize; allReminders is already sorted soonest first
+        const overdue = visible.filter(
             (r) => r.status === "pending" && r.scheduledTime <= now,
         );
-        const pageUpcoming = pageItems.filter(
+        const upcoming = visible.filter(
             (r) => r.status === "pending" && r.scheduledTime > now,
         );
-        const pageCompleted = pageItems.filter((r) => r.status === "completed");
+        const completed = visible.filter((r) => r.status === "completed");
+        sectionIds = {
+            overdue: overdue.map((r) => r.id),
+            upcoming: upcoming.map((r) => r.id),
+            completed: completed.map((r) => r.id),
+        };
+        // Drop selected reminders that are gone or filtered out
+        const visibleIds = new Set(visible.map((r) => r.id));
+        selectedIds = new Set([...selectedIds].filter((id) => visibleIds.has(id)));
 
         // Render sections
-        renderSection(overdueSection, overdueItems, pageOverdue, "overdue");
-        renderSection(upcomingSection, upcomingItems, pageUpcoming, "upcoming");
-        renderSection(
-            completedSection,
-            completedItems,
-            pageCompleted,
-            "completed",
-        );
+        renderSection(overdueSection, overdueItems, overdue, "overdue");
+        renderSection(upcomingSection, upcomingItems, upcoming, "upcoming");
+        renderSection(completedSection, completedItems, completed, "completed");
 
         // Update count
         const pendingCount = overdue.length + upcoming.length;
@@ -298,16 +518,32 @@ function initializePopupDashboard() {
                 pendingCount > 0 ? `${pendingCount} pending` : "";
         }
 
-        // Pagination controls
-        if (totalPages > 1 && pagination) {
-            pagination.hidden = false;
-            if (prevPageBtn) prevPageBtn.disabled = currentPage <= 1;
-            if (nextPageBtn) nextPageBtn.disabled = currentPage >= totalPages;
-            if (pageInfo)
-                pageInfo.textContent = `Page ${currentPage} of ${totalPages}`;
-        } else if (pagination) {
-            pagination.hidden = true;
+        renderBulkBar();
+    }
+
+    /**
+     * Renders the trash view: deleted reminders, most recently deleted first.
+     */
+    function renderTrash() {
+        renderViewBanner();
+
+        if (trashedReminders.length === 0) {
+            showEmptyState();
+            return;
+        }
+
+        hideEmptyState();
+        showReminderList();
+        for (const section of [overdueSection, upcomingSection, completedSection]) {
+            if (section) section.hidden = true;
         }
+        renderSection(
+            trashSection,
+            trashItems,
+            [...trashedReminders].sort((a, b) => b.deletedAt - a.deletedAt),
+            "trashed",
+        );
+        if (reminderCount) reminderCount.textContent = "";
     }
 
     /**
@@ -315,35 +551,56 @@ function initializePopupDashboard() {
      * @param {HTMLElement|null} section - Section container
      * @param {HTMLElement|null} container - Items container
      * @param {Array<object>} items - Reminder items
-     * @param {string} type - 'overdue' | 'upcoming' | 'completed'
+     * @param {string} type - 'overdue' | 'upcoming' | 'completed' | 'trashed'
      */
     function renderSection(section, container, items, type) {
         if (!section || !container) return;
 
-        if (items.length === 0) {
-            section.hidden = true;
-            return;
-        }
-
-        section.hidden = false;
-        container.innerHTML = "";
-
-        for (const reminder of items) {
-            container.appendChild(createReminderElement(reminder, type));
+        section.hidden = items.length === 0;
+        if (!sectionLists.has(type)) {
+            sectionLists.set(
+                type,
+                createVirtualList({
+                    scrollElement: reminderList,
+                    container,
+                    getKey: (reminder) => reminder.id,
+                    renderItem: (reminder) => createReminderElement(reminder, type),
+                }),
+            );
         }
+        sectionLists.get(type).setItems(items);
     }
 
     /**
      * Creates a DOM element for a single reminder.
      * @param {object} reminder - Reminder data
-     * @param {string} type - 'overdue' | 'upcoming' | 'completed'
+     * @param {string} type - 'overdue' | 'upcoming' | 'completed' | 'trashed'
      * @returns {HTMLElement}
      */
     function createReminderElement(reminder, type) {
         const item = document.createElement("div");
-        item.className = `reminder-item${type === "overdue" ? " reminder-item--overdue" : ""}${type === "completed" ? " reminder-item--completed" : ""}`;
+        item.className = `reminder-item${type === "overdue" ? " reminder-item--overdue" : ""}${type === "completed" || type === "trashed" ? " reminder-item--completed" : ""}`;
         item.dataset.id = reminder.id;
 
+        // Selection checkbox for bulk actions
+        if (type !== "trashed") {
+            const select = document.createElement("input");
+            select.type = "checkbox";
+            select.className = "reminder-select";
+            select.title = "Select";
+            select.checked = selectedIds.has(reminder.id);
+            select.addEventListener("click", (e) => e.stopPropagation());
+            select.addEventListener("change", () => {
+                if (select.checked) {
+                    selectedIds.add(reminder.id);
+                } else {
+                    selectedIds.delete(reminder.id);
+                }
+                renderBulkBar();
+            });
+            item.appendChild(select);
+        }
+
         // Info section (clickable to open chat)
         const info = document.createElement("div");
         info.className = "reminder-info";
@@ -361,7 +618,25 @@ function initializePopupDashboard() {
         time.textContent = formatTime(reminder, type);
 
         info.appendChild(name);
+
+        if (reminder.note) {
+            const note = document.createElement("div");
+            note.className = "reminder-note";
+            note.title = reminder.note;
+            note.textContent = reminder.note;
+            info.appendChild(note);
+        }
+
         info.appendChild(time);
+
+        if (reminder.recurrence) {
+            const recurrence = document.createElement("div");
+            recurrence.className = "reminder-recurrence";
+            recurrence.title = "Recurring reminder";
+            recurrence.textContent = `🔁 ${describeRecurrence(reminder.recurrence)}`;
+            info.appendChild(recurrence);
+        }
+
         item.appendChild(info);
 
         // Status badge for overdue/completed
@@ -371,6 +646,20 @@ function initializePopupDashboard() {
                 "reminder-status-badge reminder-status-badge--overdue";
             badge.textContent = "Overdue";
             item.appendChild(badge);
+
+            if (reminder.escalationCount > 0) {
+                const escalated = document.createElement("span");
+                escalated.className =
+                    "reminder-status-badge reminder-status-badge--escalated";
+                escalated.title = "Times this reminder was notified again while overdue";
+                escalated.textContent =
+                    (chrome.i18n &&
+                        chrome.i18n.getMessage("escalatedBadge", [
+                            String(reminder.escalationCount),
+                        ])) ||
+                    `Escalated ${reminder.escalationCount}×`;
+                item.appendChild(escalated);
+            }
         } else if (type === "completed") {
             const badge = document.createElement("span");
             badge.className =
@@ -379,10 +668,44 @@ function initializePopupDashboard() {
             item.appendChild(badge);
         }
 
+        // How late the notification came, so unreliable delivery shows up
+        if (reminder.lateByMs > 0 && (type === "overdue" || type === "completed")) {
+            const lateBadge = document.createElement("span");
+            lateBadge.className =
+                "reminder-status-badge reminder-status-badge--late";
+            lateBadge.title =
+                "The notification came late because the computer was asleep or the browser was closed";
+            lateBadge.textContent =
+                (chrome.i18n &&
+                    chrome.i18n.getMessage("deliveredLateBadge", [
+                        formatDuration(reminder.lateByMs),
+                    ])) ||
+                `Delivered ${formatDuration(reminder.lateByMs)} late`;
+            item.appendChild(lateBadge);
+        }
+
         // Action buttons
         const actions = document.createElement("div");
         actions.className = "reminder-actions";
 
+        // A deleted reminder can only be restored
+        if (type === "trashed") {
+            const restoreBtn = document.createElement("button");
+            restoreBtn.className = "action-btn action-btn--restore";
+            restoreBtn.title = "Restore";
+            restoreBtn.textContent = "↩";
+            restoreBtn.addEventListener("click", async (e) => {
+                e.stopPropagation();
+                restoreBtn.disabled = true;
+                if (!(await restoreReminder(reminder.id))) {
+                    restoreBtn.disabled = false;
+                }
+            });
+            actions.appendChild(restoreBtn);
+            item.appendChild(actions);
+            return item;
+        }
+
         // Open Chat button
         const openBtn = document.createElement("button");
         openBtn.className = "action-btn action-btn--open";
@@ -394,6 +717,19 @@ function initializePopupDashboard() {
         });
         actions.appendChild(openBtn);
 
+        // Reschedule button (only for pending)
+        if (reminder.status === "pending") {
+            const rescheduleBtn = document.createElement("button");
+            rescheduleBtn.className = "action-btn action-btn--reschedule";
+            rescheduleBtn.title = "Reschedule or edit note";
+            rescheduleBtn.textContent = "⏰";
+            rescheduleBtn.addEventListener("click", (e) => {
+                e.stopPropagation();
+                toggleRescheduleControl(item, reminder);
+            });
+            actions.appendChild(rescheduleBtn);
+        }
+
         // Complete button (only for pending)
         if (reminder.status === "pending") {
             const completeBtn = document.createElement("button");
@@ -422,6 +758,206 @@ function initializePopupDashboard() {
         return item;
     }
 
+    /**
+     * Opens or closes the inline reschedule control under a reminder item.
+     * @param {HTMLElement} item - The reminder item element
+     * @param {object} reminder - Reminder data
+     */
+    function toggleRescheduleControl(item, reminder) {
+        const existing = item.querySelector(".reschedule-panel");
+        if (existing) {
+            existing.remove();
+            return;
+        }
+        item.appendChild(createRescheduleControl(reminder));
+    }
+
+    /**
+     * Builds the inline reschedule control for a pending reminder.
+     * Offers the user's quick presets (shared with the in-chat prompt) plus a custom date/time,
+     * and lets the user edit the reminder's note.
+     * @param {object} reminder - Reminder data
+     * @returns {HTMLElement}
+     */
+    function createRescheduleControl(reminder) {
+        const panel = document.createElement("div");
+        panel.className = "reschedule-panel";
+        panel.addEventListener("click", (e) => e.stopPropagation());
+
+        const presetRow = createPresetRow((time) =>
+            submitReminderUpdate(reminder.id, { scheduledTime: time }, panel),
+        );
+
+        const customRow = document.createElement("div");
+        customRow.className = "reschedule-custom";
+
+        const customInput = document.createElement("input");
+        customInput.type = "datetime-local";
+        customInput.className = "reschedule-input";
+        customInput.value = toDateTimeLocalValue(reminder.scheduledTime);
+
+        const noteInput = document.createElement("textarea");
+        noteInput.className = "reschedule-note";
+        noteInput.rows = 2;
+        noteInput.maxLength = NOTE_MAX_LENGTH;
+        noteInput.placeholder = "Note (optional)";
+        noteInput.value = reminder.note || "";
+
+        const escalationSelect = document.createElement("select");
+        escalationSelect.className = "reschedule-escalation";
+        escalationSelect.title = "Re-notify while this reminder stays overdue";
+        for (const [value, text] of [
+            ["default", "Escalation: as in settings"],
+            ["on", "Escalation: on"],
+            ["off", "Escalation: off"],
+        ]) {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = text;
+            escalationSelect.appendChild(option);
+        }
+        escalationSelect.value = getEscalationChoice(reminder);
+
+        // Only send fields that changed: an overdue reminder's unchanged
+        // past time would otherwise fail the future-time validation.
+        const saveBtn = document.createElement("button");
+        saveBtn.className = "btn btn--primary reschedule-save";
+        saveBtn.textContent = "Save";
+        saveBtn.addEventListener("click", () => {
+            const changes = {};
+            if (customInput.value !== toDateTimeLocalValue(reminder.scheduledTime)) {
+                changes.scheduledTime = new Date(customInput.value).getTime();
+            }
+            if (noteInput.value.trim() !== (reminder.note || "")) {
+                changes.note = noteInput.value.trim() || null;
+            }
+            if (escalationSelect.value !== getEscalationChoice(reminder)) {
+                changes.escalation = toEscalationPolicy(
+                    escalationSelect.value,
+                    reminder,
+                );
+            }
+            if (Object.keys(changes).length === 0) {
+                panel.remove();
+                return;
+            }
+            submitReminderUpdate(reminder.id, changes, panel);
+        });
+
+        customRow.appendChild(customInput);
+        customRow.appendChild(saveBtn);
+
+        const errorEl = document.createElement("div");
+        errorEl.className = "reschedule-error";
+        errorEl.hidden = true;
+
+        panel.appendChild(presetRow);
+        panel.appendChild(noteInput);
+        panel.appendChild(escalationSelect);
+        panel.appendChild(customRow);
+        panel.appendChild(errorEl);
+        return panel;
+    }
+
+    /**
+     * Builds a row of buttons for the user's quick presets (shared with the
+     * in-chat prompt).
+     * @param {(time: number) => void} onPick - Called with the picked preset's time
+     * @returns {HTMLElement}
+     */
+    function createPresetRow(onPick) {
+        const presetRow = document.createElement("div");
+        presetRow.className = "reschedule-presets";
+        const presets = calculatePresets(
+            Date.now(),
+            userSettings && userSettings.presets,
+            userSettings && userSettings.businessHours,
+        );
+        for (const preset of presets) {
+            const presetBtn = document.createElement("button");
+            presetBtn.className = "reschedule-preset";
+            presetBtn.textContent =
+                (preset.messageKey &&
+                    chrome.i18n &&
+                    chrome.i18n.getMessage(preset.messageKey)) ||
+                preset.label;
+            presetBtn.title = formatDateTime(preset.time);
+            presetBtn.addEventListener("click", () => onPick(preset.time));
+            presetRow.appendChild(presetBtn);
+        }
+        return presetRow;
+    }
+
+    /**
+     * Returns which escalation option a reminder currently uses.
+     * @param {object} reminder - Reminder data
+     * @returns {"default"|"on"|"off"}
+     */
+    function getEscalationChoice(reminder) {
+        if (!reminder.escalation) return "default";
+        return reminder.escalation.enabled ? "on" : "off";
+    }
+
+    /**
+     * Builds the per-reminder escalation policy for an option.
+     * A reminder turned on escalates with the steps from settings.
+     * @param {string} choice - "default" | "on" | "off"
+     * @param {object} reminder - Reminder data
+     * @returns {{ enabled: boolean, intervals: number[] }|null} Null to follow settings
+     */
+    function toEscalationPolicy(choice, reminder) {
+        if (choice === "default") return null;
+        const intervals =
+            (reminder.escalation && reminder.escalation.intervals) ||
+            (userSettings && userSettings.escalation && userSettings.escalation.intervals) ||
+            DEFAULT_ESCALATION.intervals;
+        return { enabled: choice === "on", intervals: [...intervals] };
+    }
+
+    /**
+     * Formats a timestamp as a datetime-local input value in local time.
+     * @param {number} timestamp - Epoch ms
+     * @returns {string} "YYYY-MM-DDTHH:mm"
+     */
+    function toDateTimeLocalValue(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (n) => String(n).padStart(2, "0");
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Sends an UPDATE_REMINDER message and re-renders with the result.
+     * Shows the service worker's validation error inside the panel on failure.
+     * @param {string} reminderId - Reminder ID
+     * @param {{ scheduledTime?: number, note?: string|null, escalation?: object|null }} changes - Fields to change
+     * @param {HTMLElement} panel - The inline control that triggered the update
+     */
+    async function submitReminderUpdate(reminderId, changes, panel) {
+        const buttons = panel.querySelectorAll("button");
+        const errorEl = panel.querySelector(".reschedule-error");
+        buttons.forEach((b) => (b.disabled = true));
+
+        try {
+            const data = await sendMessage({
+                type: MESSAGE_TYPES.UPDATE_REMINDER,
+                payload: { reminderId, ...changes },
+            });
+            allReminders = applyReminderDiff(allReminders, {
+                added: [],
+                updated: [data.reminder],
+                removed: [],
+            });
+            renderReminders();
+        } catch (err) {
+            console.error("Failed to update reminder:", err);
+            if (errorEl) {
+                errorEl.textContent = err.message;
+                errorEl.hidden = false;
+            }
+            buttons.forEach((b) => (b.disabled = false));
+        }
+    }
+
     /**
      * Formats the time display for a reminder.
      * @param {object} reminder - Reminder data
@@ -450,6 +986,9 @@ function initializePopupDashboard() {
         if (type === "completed") {
             return `Completed — was due ${dateStr} at ${timeStr}`;
         }
+        if (type === "trashed") {
+            return `Deleted ${formatRelativeElapsed(Date.now() - reminder.deletedAt)} ago — was due ${dateStr} at ${timeStr}`;
+        }
         const remaining = formatRelativeElapsed(
             reminder.scheduledTime - Date.now(),
         );
@@ -534,17 +1073,22 @@ function initializePopupDashboard() {
     async function markComplete(reminderId, btn) {
         btn.disabled = true;
         try {
-            await sendMessage({
+            const data = await sendMessage({
                 type: MESSAGE_TYPES.COMPLETE_REMINDER,
                 payload: { reminderId },
             });
-            // Remove from local list and re-render
-            const idx = allReminders.findIndex((r) => r.id === reminderId);
-            if (idx !== -1) {
-                allReminders[idx].status = "completed";
-                allReminders[idx].completedAt = Date.now();
-            }
+            // Update the local list and re-render
+            allReminders = applyReminderDiff(allReminders, {
+                added: [],
+                updated: [data.reminder],
+                removed: [],
+            });
             renderReminders();
+            showSnackbar(
+                (chrome.i18n && chrome.i18n.getMessage("reminderCompletedSnackbar")) ||
+                    "Marked as done",
+                () => reopenReminder(reminderId, data.previousScheduledTime),
+            );
         } catch (err) {
             console.error("Failed to complete reminder:", err);
             btn.disabled = false;
@@ -556,7 +1100,7 @@ function initializePopupDashboard() {
      * @param {object} reminder - Reminder to delete
      */
     function showDeleteDialog(reminder) {
-        pendingDeleteId = reminder.id;
+        pendingDeleteIds = [reminder.id];
         if (deleteDialogDetail) {
             deleteDialogDetail.textContent = `"${reminder.chatName}" — ${new Date(reminder.scheduledTime).toLocaleDateString()}`;
         }
@@ -567,7 +1111,7 @@ function initializePopupDashboard() {
      * Hides the delete confirmation dialog.
      */
     function hideDeleteDialog() {
-        pendingDeleteId = null;
+        pendingDeleteIds = [];
         if (deleteDialog) deleteDialog.hidden = true;
     }
 
@@ -575,9 +1119,13 @@ function initializePopupDashboard() {
      * Confirms and executes the delete action.
      */
     async function confirmDelete() {
-        if (!pendingDeleteId) return;
+        if (pendingDeleteIds.length === 0) return;
+        if (pendingDeleteIds.length > 1) {
+            await bulkDelete(pendingDeleteIds);
+            return;
+        }
 
-        const reminderId = pendingDeleteId;
+        const [reminderId] = pendingDeleteIds;
         hideDeleteDialog();
 
         try {
@@ -586,28 +1134,797 @@ function initializePopupDashboard() {
                 payload: { reminderId },
             });
             // Remove from local list and re-render
-            allReminders = allReminders.filter((r) => r.id !== reminderId);
+            allReminders = applyReminderDiff(allReminders, {
+                added: [],
+                updated: [],
+                removed: allReminders.filter((r) => r.id === reminderId),
+            });
             renderReminders();
+            showSnackbar(
+                (chrome.i18n && chrome.i18n.getMessage("reminderDeletedSnackbar")) ||
+                    "Moved to trash",
+                async () => {
+                    await restoreReminder(reminderId);
+                },
+            );
         } catch (err) {
             console.error("Failed to delete reminder:", err);
         }
     }
 
-    // --- Pagination ---
+    /**
+     * Undoes completing a reminder, putting it back at its previous time.
+     * @param {string} reminderId - Reminder ID
+     * @param {number} scheduledTime - The reminder's time before completion
+     * @returns {Promise<void>}
+     */
+    async function reopenReminder(reminderId, scheduledTime) {
+        try {
+            await sendMessage({
+                type: MESSAGE_TYPES.REOPEN_REMINDER,
+                payload: { reminderId, scheduledTime },
+            });
+        } catch (err) {
+            console.error("Failed to undo completion:", err);
+            showSnackbar(err.message);
+        }
+    }
 
-    function goToPrevPage() {
-        if (currentPage > 1) {
-            currentPage--;
-            renderReminders();
+    /**
+     * Moves a reminder back from the trash. The lists update from the
+     * resulting storage changes.
+     * @param {string} reminderId - Reminder ID
+     * @returns {Promise<boolean>} Whether it was restored
+     */
+    async function restoreReminder(reminderId) {
+        try {
+            await sendMessage({
+                type: MESSAGE_TYPES.RESTORE_REMINDER,
+                payload: { reminderId },
+            });
+            return true;
+        } catch (err) {
+            // e.g. the free plan's limit was reached in the meantime
+            console.error("Failed to restore reminder:", err);
+            showSnackbar(err.message);
+            return false;
         }
     }
 
-    function goToNextPage() {
-        const totalPages = Math.ceil(allReminders.length / ITEMS_PER_PAGE);
-        if (currentPage < totalPages) {
-            currentPage++;
-            renderReminders();
+    // --- Undo Snackbar ---
+
+    /**
+     * Shows a short message at the bottom of the popup, with an Undo button
+     * if an undo action is given. It hides itself after a few seconds.
+     * @param {string} message
+     * @param {() => Promise<void>} [onUndo]
+     */
+    function showSnackbar(message, onUndo) {
+        if (!snackbar) return;
+        clearTimeout(snackbarTimer);
+        undoAction = onUndo || null;
+        if (snackbarText) snackbarText.textContent = message;
+        if (snackbarUndoBtn) snackbarUndoBtn.hidden = !onUndo;
+        snackbar.hidden = false;
+        snackbarTimer = setTimeout(hideSnackbar, UNDO_TIMEOUT_MS);
+    }
+
+    function hideSnackbar() {
+        clearTimeout(snackbarTimer);
+        undoAction = null;
+        if (snackbar) snackbar.hidden = true;
+    }
+
+    /**
+     * Runs the snackbar's undo action once.
+     * @returns {Promise<void>}
+     */
+    async function undo() {
+        const action = undoAction;
+        hideSnackbar();
+        if (action) await action();
+    }
+
+    // --- Bulk Actions ---
+
+    /**
+     * Selects or deselects every reminder in a section, including rows not
+     * currently rendered.
+     * @param {string} section - 'overdue' | 'upcoming' | 'completed'
+     * @param {boolean} selected
+     */
+    function selectSection(section, selected) {
+        for (const id of sectionIds[section] || []) {
+            if (selected) {
+                selectedIds.add(id);
+            } else {
+                selectedIds.delete(id);
+            }
         }
+        renderReminders();
+    }
+
+    function clearSelection() {
+        selectedIds = new Set();
+        if (bulkReschedulePanel) bulkReschedulePanel.hidden = true;
+        renderBulkBar();
+    }
+
+    /**
+     * Shows the bulk action bar while reminders are selected, and syncs
+     * the sections' select-all boxes and the rendered rows' checkboxes with
+     * the selection (rows are reused across renders).
+     */
+    function renderBulkBar() {
+        for (const box of document.querySelectorAll(".reminder-select")) {
+            const item = /** @type {HTMLElement} */ (box.closest(".reminder-item"));
+            /** @type {HTMLInputElement} */ (box).checked = selectedIds.has(item.dataset.id);
+        }
+        for (const box of sectionSelects) {
+            const ids = sectionIds[box.dataset.section] || [];
+            const count = ids.filter((id) => selectedIds.has(id)).length;
+            box.checked = ids.length > 0 && count === ids.length;
+            box.indeterminate = count > 0 && count < ids.length;
+        }
+        if (!bulkBar) return;
+        bulkBar.hidden = selectedIds.size === 0;
+        if (selectedIds.size === 0 && bulkReschedulePanel) {
+            bulkReschedulePanel.hidden = true;
+        }
+        if (bulkCount) {
+            bulkCount.textContent =
+                (chrome.i18n &&
+                    chrome.i18n.getMessage("bulkSelectedCount", [
+                        String(selectedIds.size),
+                    ])) ||
+                `${selectedIds.size} selected`;
+        }
+    }
+
+    /**
+     * Undoes a bulk action with one batch message, so the service worker
+     * writes once rather than once per reminder.
+     * @param {string} type - BULK_REOPEN_REMINDERS or BULK_RESTORE_REMINDERS
+     * @param {object} payload
+     * @returns {Promise<void>}
+     */
+    async function bulkUndo(type, payload) {
+        try {
+            await sendMessage({ type, payload });
+        } catch (err) {
+            // e.g. the free plan's limit was reached in the meantime
+            console.error("Failed to undo bulk action:", err);
+            showSnackbar(err.message);
+        }
+    }
+
+    /**
+     * Completes the selected reminders in one COMPLETE_REMINDERS message.
+     * Completed reminders in the selection are skipped by the service worker.
+     * @returns {Promise<void>}
+     */
+    async function bulkComplete() {
+        const previousTimes = new Map(
+            allReminders
+                .filter((r) => selectedIds.has(r.id))
+                .map((r) => [r.id, r.scheduledTime]),
+        );
+        try {
+            const data = await sendMessage({
+                type: MESSAGE_TYPES.COMPLETE_REMINDERS,
+                payload: { reminderIds: [...selectedIds] },
+            });
+            const completedIds = data.reminders.map((r) => r.id);
+            clearSelection();
+            showSnackbar(
+                (chrome.i18n &&
+                    chrome.i18n.getMessage("bulkCompletedSnackbar", [
+                        String(completedIds.length),
+                    ])) ||
+                    `${completedIds.length} marked as done`,
+                () =>
+                    bulkUndo(
+                        MESSAGE_TYPES.BULK_REOPEN_REMINDERS,
+                        {
+                            reminderIds: completedIds,
+                            previousTimes: Object.fromEntries(
+                                completedIds.map((id) => [
+                                    id,
+                                    previousTimes.get(id),
+                                ]),
+                            ),
+                        },
+                    ),
+            );
+        } catch (err) {
+            console.error("Failed to complete reminders:", err);
+            showSnackbar(err.message);
+        }
+    }
+
+    /**
+     * Opens or closes the bulk reschedule panel: the quick presets plus a
+     * custom date/time, applied to every selected pending reminder.
+     */
+    function toggleBulkReschedule() {
+        if (!bulkReschedulePanel) return;
+        if (!bulkReschedulePanel.hidden) {
+            bulkReschedulePanel.hidden = true;
+            return;
+        }
+
+        bulkReschedulePanel.innerHTML = "";
+
+        const customRow = document.createElement("div");
+        customRow.className = "reschedule-custom";
+
+        const customInput = document.createElement("input");
+        customInput.type = "datetime-local";
+        customInput.className = "reschedule-input";
+        customInput.value = toDateTimeLocalValue(Date.now() + 60 * 60 * 1000);
+
+        const applyBtn = document.createElement("button");
+        applyBtn.className = "btn btn--primary reschedule-save";
+        applyBtn.textContent = "Apply";
+        applyBtn.addEventListener("click", () =>
+            bulkReschedule(new Date(customInput.value).getTime()),
+        );
+
+        customRow.appendChild(customInput);
+        customRow.appendChild(applyBtn);
+
+        const errorEl = document.createElement("div");
+        errorEl.className = "reschedule-error";
+        errorEl.hidden = true;
+
+        bulkReschedulePanel.appendChild(createPresetRow(bulkReschedule));
+        bulkReschedulePanel.appendChild(customRow);
+        bulkReschedulePanel.appendChild(errorEl);
+        bulkReschedulePanel.hidden = false;
+    }
+
+    /**
+     * Moves the selected pending reminders to one time in one
+     * RESCHEDULE_REMINDERS message. Shows the service worker's validation
+     * error in the panel on failure.
+     * @param {number} scheduledTime - New due time (epoch ms)
+     * @returns {Promise<void>}
+     */
+    async function bulkReschedule(scheduledTime) {
+        const buttons = bulkReschedulePanel.querySelectorAll("button");
+        const errorEl = bulkReschedulePanel.querySelector(".reschedule-error");
+        buttons.forEach((b) => (b.disabled = true));
+
+        try {
+            const data = await sendMessage({
+                type: MESSAGE_TYPES.RESCHEDULE_REMINDERS,
+                payload: { reminderIds: [...selectedIds], scheduledTime },
+            });
+            clearSelection();
+            showSnackbar(
+                (chrome.i18n &&
+                    chrome.i18n.getMessage("bulkRescheduledSnackbar", [
+                        String(data.reminders.length),
+                    ])) ||
+                    `${data.reminders.length} rescheduled`,
+            );
+        } catch (err) {
+            if (errorEl) {
+                errorEl.textContent = err.message;
+                errorEl.hidden = false;
+            }
+            buttons.forEach((b) => (b.disabled = false));
+        }
+    }
+
+    /**
+     * Opens or closes the "Move all overdue" panel: a spacing choice, the
+     * quick presets and a custom date/time.
+     */
+    function toggleMoveOverdue() {
+        if (!moveOverduePanel) return;
+        if (!moveOverduePanel.hidden) {
+            moveOverduePanel.hidden = true;
+            return;
+        }
+
+        moveOverduePanel.innerHTML = "";
+
+        const spreadSelect = document.createElement("select");
+        spreadSelect.className = "reschedule-spread";
+        spreadSelect.title = "Spread them out so they don't all fire at once";
+        for (const minutes of OVERDUE_SPREAD.OPTIONS_MINUTES) {
+            const option = document.createElement("option");
+            option.value = String(minutes);
+            option.textContent =
+                minutes === 0
+                    ? (chrome.i18n && chrome.i18n.getMessage("spreadNone")) ||
+                      "All at the same time"
+                    : (chrome.i18n &&
+                          chrome.i18n.getMessage("spreadEvery", [
+                              String(minutes),
+                          ])) ||
+                      `${minutes} minutes apart`;
+            spreadSelect.appendChild(option);
+        }
+
+        const moveTo = (scheduledTime) =>
+            moveAllOverdue(scheduledTime, Number(spreadSelect.value));
+
+        const customRow = document.createElement("div");
+        customRow.className = "reschedule-custom";
+
+        const customInput = document.createElement("input");
+        customInput.type = "datetime-local";
+        customInput.className = "reschedule-input";
+        customInput.value = toDateTimeLocalValue(Date.now() + 60 * 60 * 1000);
+
+        const applyBtn = document.createElement("button");
+        applyBtn.className = "btn btn--primary reschedule-save";
+        applyBtn.textContent = "Apply";
+        applyBtn.addEventListener("click", () =>
+            moveTo(new Date(customInput.value).getTime()),
+        );
+
+        customRow.appendChild(customInput);
+        customRow.appendChild(applyBtn);
+
+        const errorEl = document.createElement("div");
+        errorEl.className = "reschedule-error";
+        errorEl.hidden = true;
+
+        moveOverduePanel.appendChild(spreadSelect);
+        moveOverduePanel.appendChild(createPresetRow(moveTo));
+        moveOverduePanel.appendChild(customRow);
+        moveOverduePanel.appendChild(errorEl);
+        moveOverduePanel.hidden = false;
+    }
+
+    /**
+     * Moves every overdue reminder in one RESCHEDULE_OVERDUE message; the
+     * service worker picks them, so ones that came due meanwhile move too.
+     * Shows the validation error in the panel on failure.
+     * @param {number} scheduledTime - Time of the first slot (epoch ms)
+     * @param {number} spreadMinutes - Minutes between slots
+     * @returns {Promise<void>}
+     */
+    async function moveAllOverdue(scheduledTime, spreadMinutes) {
+        const buttons = moveOverduePanel.querySelectorAll("button");
+        const errorEl = moveOverduePanel.querySelector(".reschedule-error");
+        buttons.forEach((b) => (b.disabled = true));
+
+        try {
+            const data = await sendMessage({
+                type: MESSAGE_TYPES.RESCHEDULE_OVERDUE,
+                payload: { scheduledTime, spreadMinutes },
+            });
+            moveOverduePanel.hidden = true;
+            showSnackbar(
+                (chrome.i18n &&
+                    chrome.i18n.getMessage("overdueMovedSnackbar", [
+                        String(data.reminders.length),
+                    ])) ||
+                    `${data.reminders.length} overdue reminders moved`,
+            );
+        } catch (err) {
+            if (errorEl) {
+                errorEl.textContent = err.message;
+                errorEl.hidden = false;
+            }
+            buttons.forEach((b) => (b.disabled = false));
+        }
+    }
+
+    /**
+     * Asks to confirm deleting the selected reminders.
+     */
+    function showBulkDeleteDialog() {
+        if (selectedIds.size === 0) return;
+        pendingDeleteIds = [...selectedIds];
+        if (deleteDialogDetail) {
+            deleteDialogDetail.textContent =
+                (chrome.i18n &&
+                    chrome.i18n.getMessage("bulkDeleteDetail", [
+                        String(pendingDeleteIds.length),
+                    ])) ||
+                `${pendingDeleteIds.length} reminders`;
+        }
+        if (deleteDialog) deleteDialog.hidden = false;
+    }
+
+    /**
+     * Moves reminders to the trash in one DELETE_REMINDERS message.
+     * @param {string[]} reminderIds - Reminder IDs
+     * @returns {Promise<void>}
+     */
+    async function bulkDelete(reminderIds) {
+        hideDeleteDialog();
+        try {
+            const data = await sendMessage({
+                type: MESSAGE_TYPES.DELETE_REMINDERS,
+                payload: { reminderIds },
+            });
+            const deletedIds = data.deletedIds;
+            clearSelection();
+            showSnackbar(
+                (chrome.i18n &&
+                    chrome.i18n.getMessage("bulkDeletedSnackbar", [
+                        String(deletedIds.length),
+                    ])) ||
+                    `${deletedIds.length} moved to trash`,
+                () =>
+                    bulkUndo(MESSAGE_TYPES.BULK_RESTORE_REMINDERS, {
+                        reminderIds: deletedIds,
+                    }),
+            );
+        } catch (err) {
+            console.error("Failed to delete reminders:", err);
+            showSnackbar(err.message);
+        }
+    }
+
+    // --- Filtered Views ---
+
+    /**
+     * @typedef {object} ViewFilter
+     * @property {(reminder: object, now: number) => boolean} matches - Whether a reminder is listed
+     * @property {string} titleKey - i18n key of the banner title
+     * @property {string} title - Fallback banner title
+     * @property {string} emptyKey - i18n key of the empty-state title
+     * @property {string} empty - Fallback empty-state title
+     * @property {boolean} [trash] - Lists the trash instead of the reminders
+     */
+
+    /**
+     * Reads the list filter from the page URL: ?view=today lists today's
+     * reminders, ?ids=<id>,<id> lists the given reminders, ?view=trash lists
+     * deleted reminders.
+     * @returns {ViewFilter|null}
+     */
+    function getViewFilter() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get("view") === TRASH_VIEW) {
+            return {
+                matches: () => true,
+                titleKey: "trashViewTitle",
+                title: "Trash",
+                emptyKey: "trashViewEmpty",
+                empty: "The trash is empty",
+                trash: true,
+            };
+        }
+        if (params.get("view") === DIGEST.TODAY_VIEW) {
+            return {
+                matches: (reminder, now) => isDueToday(reminder, now),
+                titleKey: "todayViewTitle",
+                title: "Today's follow-ups",
+                emptyKey: "todayViewEmpty",
+                empty: "Nothing due today",
+            };
+        }
+        if (params.get("ids")) {
+            const ids = new Set(params.get("ids").split(","));
+            return {
+                matches: (reminder) => ids.has(reminder.id),
+                titleKey: "batchViewTitle",
+                title: "Follow-ups from the notification",
+                emptyKey: "batchViewEmpty",
+                empty: "These reminders were removed",
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Shows the banner naming the current filter, or hides it.
+     */
+    function renderViewBanner() {
+        if (!viewBanner) return;
+        viewBanner.hidden = !viewFilter;
+        if (viewFilter && viewBannerTitle) {
+            viewBannerTitle.textContent =
+                (chrome.i18n && chrome.i18n.getMessage(viewFilter.titleKey)) ||
+                viewFilter.title;
+        }
+    }
+
+    /**
+     * Switches to the trash view.
+     */
+    function openTrash() {
+        window.history.replaceState(null, "", `?view=${TRASH_VIEW}`);
+        viewFilter = getViewFilter();
+        if (reminderList) reminderList.scrollTop = 0;
+        renderReminders();
+    }
+
+    /**
+     * Leaves the filtered view and lists all reminders.
+     */
+    function showAllReminders() {
+        viewFilter = null;
+        if (reminderList) reminderList.scrollTop = 0;
+        window.history.replaceState(null, "", window.location.pathname);
+        renderReminders();
+    }
+
+    // --- Export ---
+
+    /**
+     * Opens or closes the export panel.
+     */
+    function toggleExportPanel() {
+        if (!exportPanel) return;
+        exportPanel.hidden = !exportPanel.hidden;
+        if (openExportBtn) {
+            openExportBtn.setAttribute("aria-expanded", String(!exportPanel.hidden));
+        }
+    }
+
+    /**
+     * Downloads every reminder: the full backup as JSON, or a CSV with
+     * dates in the browser's locale and timezone.
+     * @param {"json"|"csv"} format
+     */
+    async function exportReminders(format) {
+        try {
+            const data = await sendMessage({
+                type: MESSAGE_TYPES.EXPORT_REMINDERS,
+            });
+            if (format === "csv") {
+                downloadFile(
+                    toCsv(data.backup.reminders),
+                    getExportFileName("csv"),
+                    "text/csv;charset=utf-8",
+                );
+            } else {
+                downloadFile(
+                    JSON.stringify(data.backup, null, 2),
+                    getExportFileName("json"),
+                    "application/json",
+                );
+            }
+            toggleExportPanel();
+        } catch (err) {
+            console.error("Failed to export reminders:", err);
+            showSnackbar(err.message);
+        }
+    }
+
+    /**
+     * Saves text as a file through the browser's downloads.
+     * @param {string} content
+     * @param {string} fileName
+     * @param {string} type - MIME type
+     */
+    function downloadFile(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // --- Search, Filters and Saved Views ---
+
+    /**
+     * Reads the search bar and filter panel into the list filter and
+     * re-renders the list scrolled to the top. Editing the filters leaves the
+     * saved view they came from.
+     */
+    function applyFilterControls() {
+        listFilter = {
+            query: searchInput ? searchInput.value : "",
+            status: filterStatus ? filterStatus.value : DEFAULT_FILTER.status,
+            from: (filterFrom && filterFrom.value) || null,
+            to: (filterTo && filterTo.value) || null,
+            chatType: filterChatType ? filterChatType.value : DEFAULT_FILTER.chatType,
+            tag: (filterTag && filterTag.value) || null,
+        };
+        activeViewId = null;
+        if (savedViewsSelect) savedViewsSelect.value = "";
+        if (deleteViewBtn) deleteViewBtn.hidden = true;
+        if (reminderList) reminderList.scrollTop = 0;
+        renderFilterState();
+        renderReminders();
+    }
+
+    /**
+     * Writes the list filter into the search bar and filter panel.
+     */
+    function renderFilterControls() {
+        if (searchInput) searchInput.value = listFilter.query;
+        if (filterStatus) filterStatus.value = listFilter.status;
+        if (filterChatType) filterChatType.value = listFilter.chatType;
+        if (filterFrom) filterFrom.value = listFilter.from || "";
+        if (filterTo) filterTo.value = listFilter.to || "";
+        renderTagOptions();
+        renderFilterState();
+    }
+
+    /**
+     * Highlights the Filters button while a filter other than the search is set.
+     */
+    function renderFilterState() {
+        if (!toggleFiltersBtn) return;
+        const panelFilterActive = isFilterActive({ ...listFilter, query: "" });
+        toggleFiltersBtn.classList.toggle("filter-active", panelFilterActive);
+    }
+
+    /**
+     * Lists the #tags used in reminder notes in the tag filter, keeping the
+     * selected tag even once no reminder uses it.
+     */
+    function renderTagOptions() {
+        if (!filterTag) return;
+        const tags = collectTags(allReminders);
+        if (listFilter.tag && !tags.includes(listFilter.tag)) {
+            tags.push(listFilter.tag);
+        }
+        filterTag.innerHTML = "";
+        const anyTag = document.createElement("option");
+        anyTag.value = "";
+        anyTag.textContent =
+            (chrome.i18n && chrome.i18n.getMessage("filterTagAll")) ||
+            "Any tag";
+        filterTag.appendChild(anyTag);
+        for (const tag of tags) {
+            const option = document.createElement("option");
+            option.value = tag;
+            option.textContent = `#${tag}`;
+            filterTag.appendChild(option);
+        }
+        filterTag.value = listFilter.tag || "";
+    }
+
+    /**
+     * Opens or closes the filter panel.
+     */
+    function toggleFilterPanel() {
+        if (!filterPanel) return;
+        filterPanel.hidden = !filterPanel.hidden;
+        if (toggleFiltersBtn) {
+            toggleFiltersBtn.setAttribute("aria-expanded", String(!filterPanel.hidden));
+        }
+    }
+
+    /**
+     * Clears the search and every filter.
+     */
+    function clearFilters() {
+        listFilter = { ...DEFAULT_FILTER };
+        renderFilterControls();
+        applyFilterControls();
+    }
+
+    /**
+     * Returns the user's saved views.
+     * @returns {Array<{ id: string, name: string, filter: object }>}
+     */
+    function getSavedViews() {
+        return (userSettings && userSettings.savedViews) || [];
+    }
+
+    /**
+     * Lists the saved views in the saved-views menu.
+     */
+    function renderSavedViews() {
+        if (!savedViewsSelect) return;
+        const views = getSavedViews();
+        if (!views.some((view) => view.id === activeViewId)) {
+            activeViewId = null;
+        }
+        savedViewsSelect.innerHTML = "";
+        const placeholder = document.createElement("option");
+        placeholder.value = "";
+        placeholder.textContent =
+            (chrome.i18n && chrome.i18n.getMessage("savedViews")) ||
+            "Saved views";
+        savedViewsSelect.appendChild(placeholder);
+        for (const view of views) {
+            const option = document.createElement("option");
+            option.value = view.id;
+            option.textContent = view.name;
+            savedViewsSelect.appendChild(option);
+        }
+        savedViewsSelect.value = activeViewId || "";
+        savedViewsSelect.hidden = views.length === 0;
+        if (deleteViewBtn) deleteViewBtn.hidden = !activeViewId;
+    }
+
+    /**
+     * Applies a saved view's filters.
+     * @param {string} viewId - Saved view ID; empty leaves the filters as they are
+     */
+    function applySavedView(viewId) {
+        const view = getSavedViews().find((v) => v.id === viewId);
+        if (!view) return;
+        listFilter = { ...DEFAULT_FILTER, ...view.filter };
+        activeViewId = view.id;
+        if (viewNameInput) viewNameInput.value = view.name;
+        if (deleteViewBtn) deleteViewBtn.hidden = false;
+        if (reminderList) reminderList.scrollTop = 0;
+        renderFilterControls();
+        renderReminders();
+    }
+
+    /**
+     * Saves the current filters as a named view. A view with the same name
+     * is replaced.
+     * @returns {Promise<void>}
+     */
+    async function saveView() {
+        const name = viewNameInput ? viewNameInput.value.trim() : "";
+        if (!name) {
+            showFilterError(
+                (chrome.i18n && chrome.i18n.getMessage("viewNameRequired")) ||
+                    "Name the view to save it",
+            );
+            return;
+        }
+        const views = getSavedViews();
+        const existing = views.find(
+            (view) => view.name.toLowerCase() === name.toLowerCase(),
+        );
+        const saved = { id: existing ? existing.id : generateId(), name, filter: { ...listFilter } };
+        const savedViews = existing
+            ? views.map((view) => (view.id === existing.id ? saved : view))
+            : [...views, saved];
+
+        if (await saveSavedViews(savedViews)) {
+            activeViewId = saved.id;
+            renderSavedViews();
+            showSnackbar(
+                (chrome.i18n && chrome.i18n.getMessage("viewSavedSnackbar", [name])) ||
+                    `View "${name}" saved`,
+            );
+        }
+    }
+
+    /**
+     * Deletes the saved view the filters came from. The filters stay applied.
+     * @returns {Promise<void>}
+     */
+    async function deleteView() {
+        if (!activeViewId) return;
+        const deletedId = activeViewId;
+        if (await saveSavedViews(getSavedViews().filter((view) => view.id !== deletedId))) {
+            activeViewId = null;
+            if (viewNameInput) viewNameInput.value = "";
+            renderSavedViews();
+        }
+    }
+
+    /**
+     * Saves the saved-views list to the user's settings.
+     * @param {Array<object>} savedViews - The full list of views
+     * @returns {Promise<boolean>} Whether the views were saved
+     */
+    async function saveSavedViews(savedViews) {
+        if (filterError) filterError.hidden = true;
+        try {
+            const data = await sendMessage({
+                type: MESSAGE_TYPES.SAVE_SETTINGS,
+                payload: { savedViews },
+            });
+            userSettings = data.settings;
+            return true;
+        } catch (err) {
+            console.error("Failed to save views:", err);
+            showFilterError(err.message);
+            return false;
+        }
+    }
+
+    /**
+     * Shows an error under the filter panel.
+     * @param {string} message - Error message
+     */
+    function showFilterError(message) {
+        if (!filterError) return;
+        filterError.textContent = message;
+        filterError.hidden = false;
     }
 
     // --- UI State Helpers ---
@@ -623,9 +1940,20 @@ function initializePopupDashboard() {
     }
 
     function showEmptyState() {
+        if (emptyTitle) {
+            if (isFilterActive(listFilter) && !(viewFilter && viewFilter.trash)) {
+                emptyTitle.textContent =
+                    (chrome.i18n && chrome.i18n.getMessage("filterNoMatches")) ||
+                    "No reminders match your search";
+            } else {
+                const key = viewFilter ? viewFilter.emptyKey : "noReminders";
+                emptyTitle.textContent =
+                    (chrome.i18n && chrome.i18n.getMessage(key)) ||
+                    (viewFilter ? viewFilter.empty : "No follow-ups scheduled");
+            }
+        }
         if (emptyState) emptyState.hidden = false;
         if (reminderList) reminderList.hidden = true;
-        if (pagination) pagination.hidden = true;
         if (reminderCount) reminderCount.textContent = "";
     }
 
@@ -639,7 +1967,6 @@ function initializePopupDashboard() {
 
     function hideReminderList() {
         if (reminderList) reminderList.hidden = true;
-        if (pagination) pagination.hidden = true;
     }
 
     function showAccountSettings() {
@@ -758,7 +2085,6 @@ function initializePopupDashboard() {
         hideUpgradePrompt();
         // Show the reminder list since user dismissed the prompt
         if (reminderList) reminderList.hidden = false;
-        if (pagination) pagination.hidden = false;
     }
 
     function showUpgradeError(message) {
@@ -810,11 +2136,9 @@ function initializePopupDashboard() {
                     showUpgradePrompt();
                     // Still show the reminder list behind the overlay
                     if (reminderList) reminderList.hidden = false;
-                    if (pagination) pagination.hidden = false;
                 } else {
                     hideUpgradePrompt();
                     if (reminderList) reminderList.hidden = false;
-                    if (pagination) pagination.hidden = false;
                 }
                 return true;
             }
@@ -824,7 +2148,6 @@ function initializePopupDashboard() {
             hideUpgradePrompt();
             hideAccountSettings();
             if (reminderList) reminderList.hidden = false;
-            if (pagination) pagination.hidden = false;
             return false;
         } catch (error) {
             console.warn("Failed to check plan status:", error);
@@ -918,6 +2241,7 @@ function initializePopupDashboard() {
             loadReminders,
             renderReminders,
             markComplete,
+            submitReminderUpdate,
             confirmDelete,
             showDeleteDialog,
             hideDeleteDialog,
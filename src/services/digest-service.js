@@ -0,0 +1,78 @@
+// @ts-check
+
+/**
+ * Daily digest service: keeps the recurring digest alarm in line with the
+ * user's settings and builds the summary shown when it fires.
+ * The alarm repeats every 24 hours; it is re-aligned to the configured time
+ * after each run, so daylight-saving changes don't shift it.
+ * @module digest-service
+ */
+
+import { DIGEST } from '../lib/constants.js';
+import { buildDigestSummary, getNextDigestTime } from '../lib/digest.js';
+import * as StorageService from './storage-service.js';
+import * as SettingsService from './settings-service.js';
+
+/**
+ * Creates, moves or clears the digest alarm to match the settings.
+ * An alarm already set for the right time is left alone, and so is one
+ * that is overdue (it fires as soon as Chrome gets to it).
+ * @param {{ storage?: typeof StorageService }} [deps] - Injectable dependencies
+ * @returns {Promise<void>}
+ */
+async function syncDigestAlarm(deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const { digest } = await SettingsService.getSettings({ storage });
+  if (!digest.enabled) {
+    await chrome.alarms.clear(DIGEST.ALARM);
+    return;
+  }
+
+  const now = Date.now();
+  const next = getNextDigestTime(now, digest.time);
+  const existing = await chrome.alarms.get(DIGEST.ALARM);
+  if (existing && (existing.scheduledTime === next || existing.scheduledTime <= now)) {
+    return;
+  }
+
+  await chrome.alarms.create(DIGEST.ALARM, {
+    when: next,
+    periodInMinutes: DIGEST.PERIOD_MINUTES,
+  });
+}
+
+/**
+ * Builds today's digest.
+ * @param {{ storage?: typeof StorageService }} [deps] - Injectable dependencies
+ * @returns {Promise<import('../lib/digest').DigestSummary|null>} Null if the digest is off or there is nothing due today
+ */
+async function getDailyDigest(deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const { digest } = await SettingsService.getSettings({ storage });
+  if (!digest.enabled) {
+    return null;
+  }
+
+  const reminders = await storage.getReminders();
+  const summary = buildDigestSummary(reminders, Date.now());
+  if (summary.dueToday === 0 && summary.overdue === 0) {
+    return null;
+  }
+  return summary;
+}
+
+export {
+    syncDigestAlarm,
+    getDailyDigest,
+};
+
+const DigestService = {
+  syncDigestAlarm,
+  getDailyDigest,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DigestService;
+}
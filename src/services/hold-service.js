@@ -0,0 +1,95 @@
+// @ts-check
+
+/**
+ * Hold service: keeps the one list of reminders whose notifications are
+ * being held, each with the reason it is held (quiet hours or the user being
+ * away), and hands them back per reason. The quiet-hours and idle-hold
+ * services decide when to hold and when to release.
+ * The list lives in storage, so a hold survives service-worker restarts.
+ * Held reminders stay pending, so the popup keeps listing them as overdue.
+ * @module hold-service
+ */
+
+import { REMINDER_STATUS } from '../lib/constants.js';
+import * as StorageService from './storage-service.js';
+
+/**
+ * Holds a reminder's notification for the given reason. A reminder is held
+ * once: holding it again replaces the reason it is held for.
+ * @param {string} reminderId - ID of the reminder that came due
+ * @param {string} reason - One of HOLD_REASONS
+ * @param {{ storage?: typeof StorageService }} [deps] - Injectable dependencies
+ * @returns {Promise<void>}
+ */
+async function holdReminder(reminderId, reason, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const held = await storage.getHeldReminders();
+  if (held.some((entry) => entry.id === reminderId && entry.reason === reason)) {
+    return;
+  }
+  await storage.saveHeldReminders([
+    ...held.filter((entry) => entry.id !== reminderId),
+    { id: reminderId, reason },
+  ]);
+}
+
+/**
+ * Returns the IDs of the reminders held for the given reason.
+ * @param {string} reason - One of HOLD_REASONS
+ * @param {{ storage?: typeof StorageService }} [deps] - Injectable dependencies
+ * @returns {Promise<string[]>}
+ */
+async function getHeldReminderIds(reason, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const held = await storage.getHeldReminders();
+  return held.filter((entry) => entry.reason === reason).map((entry) => entry.id);
+}
+
+/**
+ * Takes the reminders held for the given reason off the list and returns
+ * those that still need a notification: pending and still due. Reminders
+ * completed, deleted or rescheduled in the meantime are dropped.
+ * @param {string} reason - One of HOLD_REASONS
+ * @param {{ storage?: typeof StorageService }} [deps] - Injectable dependencies
+ * @returns {Promise<Array<object>>} Reminders to notify about, soonest first
+ */
+async function releaseHeldReminders(reason, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const held = await storage.getHeldReminders();
+  const heldIds = held.filter((entry) => entry.reason === reason).map((entry) => entry.id);
+  if (heldIds.length === 0) {
+    return [];
+  }
+
+  await storage.saveHeldReminders(held.filter((entry) => entry.reason !== reason));
+
+  const reminders = await storage.getReminders();
+  const now = Date.now();
+  return reminders
+    .filter(
+      (r) =>
+        heldIds.includes(r.id) &&
+        r.status === REMINDER_STATUS.PENDING &&
+        r.scheduledTime <= now
+    )
+    .sort((a, b) => a.scheduledTime - b.scheduledTime);
+}
+
+export {
+    holdReminder,
+    getHeldReminderIds,
+    releaseHeldReminders,
+};
+
+const HoldService = {
+  holdReminder,
+  getHeldReminderIds,
+  releaseHeldReminders,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HoldService;
+}
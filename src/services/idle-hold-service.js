@@ -0,0 +1,81 @@
+// @ts-check
+
+/**
+ * Idle-hold service: while the user is away (system idle or locked) and
+ * "hold while away" is on, reminder notifications are held instead of piling
+ * up in the notification centre. Holds go on the shared held list (see
+ * hold-service.js); the idle handler releases them when the user returns.
+ * @module idle-hold-service
+ */
+
+import { IDLE, HOLD_REASONS } from '../lib/constants.js';
+import * as StorageService from './storage-service.js';
+import * as SettingsService from './settings-service.js';
+import * as HoldService from './hold-service.js';
+
+/**
+ * Returns whether notifications should be held for the user being away:
+ * holding while away is on, and the user is idle for the detection interval
+ * or has the system locked.
+ * @param {{ storage?: typeof StorageService }} [deps] - Injectable dependencies
+ * @returns {Promise<boolean>}
+ */
+async function shouldHoldWhileAway(deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const { holdWhileIdle } = await SettingsService.getSettings({ storage });
+  if (!holdWhileIdle) {
+    return false;
+  }
+  const state = await chrome.idle.queryState(IDLE.DETECTION_SECONDS);
+  return state !== IDLE.ACTIVE_STATE;
+}
+
+/**
+ * Holds a reminder's notification if holding while away is on and the user
+ * is currently away.
+ * @param {string} reminderId - ID of the reminder to notify about
+ * @param {{ storage?: typeof StorageService }} [deps] - Injectable dependencies
+ * @returns {Promise<boolean>} True if the notification was held
+ */
+async function holdIfIdle(reminderId, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  if (!(await shouldHoldWhileAway({ storage }))) {
+    return false;
+  }
+  await HoldService.holdReminder(reminderId, HOLD_REASONS.IDLE, { storage });
+  return true;
+}
+
+/**
+ * Releases the reminders held while away unless the user is still away with
+ * holding on. Used on startup, on the periodic delivery check and after
+ * settings change, in case the return to active was missed.
+ * @param {{ storage?: typeof StorageService }} [deps] - Injectable dependencies
+ * @returns {Promise<Array<object>>} Released reminders to notify about
+ */
+async function refreshIdleHeldReminders(deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const heldIds = await HoldService.getHeldReminderIds(HOLD_REASONS.IDLE, { storage });
+  if (heldIds.length === 0 || (await shouldHoldWhileAway({ storage }))) {
+    return [];
+  }
+
+  return HoldService.releaseHeldReminders(HOLD_REASONS.IDLE, { storage });
+}
+
+export {
+    holdIfIdle,
+    refreshIdleHeldReminders,
+};
+
+const IdleHoldService = {
+  holdIfIdle,
+  refreshIdleHeldReminders,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IdleHoldService;
+}
@@ -0,0 +1,86 @@
+// @ts-check
+
+/**
+ * Migration service: brings stored data up to SCHEMA_VERSION when the
+ * extension is installed or updated (chrome.runtime.onInstalled). The data
+ * is backed up before migrating, the steps (lib/migrations.js) run on a
+ * copy, and the result is written with the new version in one storage
+ * write, after which the backup is removed. If a step throws, nothing is
+ * written and the version is left as it was; if the write itself fails,
+ * the backed-up data is written back. Either way the next update retries
+ * from the same place. The service worker runs it in the write queue, so
+ * it is the only reminder write in progress.
+ * @module migration-service
+ */
+
+import { SCHEMA_VERSION } from '../lib/constants.js';
+import { INITIAL_SCHEMA_VERSION, MIGRATIONS, getPendingMigrations } from '../lib/migrations.js';
+import * as StorageService from './storage-service.js';
+
+/**
+ * Migrates stored data to the current schema version.
+ * @param {{ storage?: typeof StorageService, migrations?: ReadonlyArray<import('../lib/migrations').Migration> }} [deps] - Injectable dependencies
+ * @returns {Promise<{ fromVersion: number, toVersion: number, applied: number[] }>} The versions stepped through
+ * @throws {Error} MigrationError, after rolling back; VersionConflictError,
+ *   with nothing written, when reminders were written since they were read
+ */
+async function runMigrations(deps) {
+  const storage = (deps && deps.storage) || StorageService;
+  const migrations = (deps && deps.migrations) || MIGRATIONS;
+
+  const fromVersion = (await storage.getSchemaVersion()) || INITIAL_SCHEMA_VERSION;
+  // Up to date, or data from a newer version after a downgrade: leave it
+  if (fromVersion >= SCHEMA_VERSION) {
+    return { fromVersion, toVersion: fromVersion, applied: [] };
+  }
+  const steps = getPendingMigrations(fromVersion, SCHEMA_VERSION, migrations);
+
+  const snapshot = await storage.getSchemaData();
+  await storage.saveMigrationBackup({ schemaVersion: fromVersion, createdAt: Date.now(), data: snapshot });
+
+  // Steps get a copy, so the snapshot stays as stored for a rollback
+  let data = JSON.parse(JSON.stringify(snapshot));
+  const applied = [];
+  for (const step of steps) {
+    try {
+      data = step.migrate(data);
+    } catch (cause) {
+      throw migrationError(`Migration to schema ${step.version} failed: ${cause.message}`);
+    }
+    applied.push(step.version);
+  }
+
+  try {
+    await storage.saveSchemaData(data, SCHEMA_VERSION);
+  } catch (cause) {
+    // Refused before anything was written; re-run on fresh data
+    if (cause.name === 'VersionConflictError') throw cause;
+    await storage.saveSchemaData(snapshot, fromVersion);
+    throw migrationError(`Saving migrated data failed: ${cause.message}`);
+  }
+  await storage.clearMigrationBackup();
+
+  return { fromVersion, toVersion: SCHEMA_VERSION, applied };
+}
+
+/**
+ * @param {string} message
+ * @returns {Error} A MigrationError
+ */
+function migrationError(message) {
+  const err = new Error(message);
+  err.name = 'MigrationError';
+  return err;
+}
+
+export {
+    runMigrations,
+};
+
+const MigrationService = {
+  runMigrations,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MigrationService;
+}
@@ -0,0 +1,95 @@
+// @ts-check
+
+/**
+ * Quiet-hours service: holds reminder notifications that come due inside the
+ * user's quiet hours and hands them back once the window ends.
+ * Holds go on the shared held list (see hold-service.js) and the release is a
+ * Chrome alarm, so a hold survives service-worker restarts.
+ * @module quiet-hours-service
+ */
+
+import { QUIET_HOURS, HOLD_REASONS } from '../lib/constants.js';
+import { isWithinQuietHours, getQuietHoursEnd } from '../lib/quiet-hours.js';
+import * as StorageService from './storage-service.js';
+import * as SettingsService from './settings-service.js';
+import * as HoldService from './hold-service.js';
+
+/**
+ * Holds a due reminder's notification if it is currently quiet hours,
+ * and arms the release alarm for the end of the window.
+ * @param {string} reminderId - ID of the reminder that came due
+ * @param {{ storage?: typeof StorageService }} [deps] - Injectable dependencies
+ * @returns {Promise<boolean>} True if the notification was held
+ */
+async function holdIfQuiet(reminderId, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const { quietHours } = await SettingsService.getSettings({ storage });
+  const now = Date.now();
+  if (!isWithinQuietHours(now, quietHours)) {
+    return false;
+  }
+
+  await HoldService.holdReminder(reminderId, HOLD_REASONS.QUIET_HOURS, { storage });
+  await chrome.alarms.create(QUIET_HOURS.RELEASE_ALARM, {
+    when: getQuietHoursEnd(now, quietHours),
+  });
+
+  return true;
+}
+
+/**
+ * Releases the reminders held for quiet hours and clears the release alarm.
+ * @param {{ storage?: typeof StorageService }} [deps] - Injectable dependencies
+ * @returns {Promise<Array<object>>} Reminders to notify about, soonest first
+ */
+async function releaseHeldReminders(deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  await chrome.alarms.clear(QUIET_HOURS.RELEASE_ALARM);
+  return HoldService.releaseHeldReminders(HOLD_REASONS.QUIET_HOURS, { storage });
+}
+
+/**
+ * Re-checks held reminders against the current quiet-hours settings.
+ * Releases them if the window is over (or quiet hours were turned off),
+ * otherwise re-arms the release alarm for the current window's end.
+ * Used on startup and after settings change.
+ * @param {{ storage?: typeof StorageService }} [deps] - Injectable dependencies
+ * @returns {Promise<Array<object>>} Released reminders to notify about
+ */
+async function refreshHeldReminders(deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const heldIds = await HoldService.getHeldReminderIds(HOLD_REASONS.QUIET_HOURS, { storage });
+  if (heldIds.length === 0) {
+    return [];
+  }
+
+  const { quietHours } = await SettingsService.getSettings({ storage });
+  const now = Date.now();
+  if (isWithinQuietHours(now, quietHours)) {
+    await chrome.alarms.create(QUIET_HOURS.RELEASE_ALARM, {
+      when: getQuietHoursEnd(now, quietHours),
+    });
+    return [];
+  }
+
+  return releaseHeldReminders({ storage });
+}
+
+export {
+    holdIfQuiet,
+    releaseHeldReminders,
+    refreshHeldReminders,
+};
+
+const QuietHoursService = {
+  holdIfQuiet,
+  releaseHeldReminders,
+  refreshHeldReminders,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QuietHoursService;
+}
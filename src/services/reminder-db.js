@@ -0,0 +1,417 @@
+// @ts-check
+
+/**
+ * IndexedDB reminder store: one record per reminder, keyed by ID, with
+ * indexes on status, scheduledTime and chatId. Writes touch only the
+ * records that changed, so creating or completing one reminder no longer
+ * rewrites all of them.
+ *
+ * On first open, reminders kept as one array under chrome.storage.local's
+ * reminders key are moved into the store (once; a marker in the meta store
+ * records it) and the old key is removed.
+ *
+ * Every write bumps a version number in the meta store, in the same
+ * transaction; a write can require the version it last read, for
+ * optimistic concurrency (see write-queue.js). Every write's changes are
+ * posted as change events (lib/reminder-changes.js) to listeners in this
+ * context and, through a BroadcastChannel, to other extension pages.
+ * Used by storage-service.js; only the service worker writes.
+ * @module reminder-db
+ */
+
+import { REMINDER_CHANGE, REMINDER_DB, STORAGE_KEYS } from '../lib/constants.js';
+import { getReminderChanges } from '../lib/reminder-changes.js';
+
+/** Meta store key of the marker left by the move from chrome.storage */
+const STORAGE_MIGRATION_KEY = 'storageMigration';
+
+/** Meta store key of the reminders' version number */
+const VERSION_KEY = 'remindersVersion';
+
+/** @type {?Promise<IDBDatabase>} */
+let dbPromise = null;
+
+/** @type {Set<(changes: import('../lib/reminder-changes').ReminderChange[]) => void>} */
+const listeners = new Set();
+
+/** @type {?BroadcastChannel} */
+let channel = null;
+
+/**
+ * Returns whether IndexedDB is available in this context.
+ * @returns {boolean}
+ */
+function isReminderDbAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Resolves with a request's result.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves when a transaction commits.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Creates the stores and indexes of a new database.
+ * @param {IDBDatabase} db
+ */
+function createSchema(db) {
+  const store = db.createObjectStore(REMINDER_DB.STORE, { keyPath: 'id' });
+  store.createIndex(REMINDER_DB.INDEXES.STATUS, 'status');
+  store.createIndex(REMINDER_DB.INDEXES.SCHEDULED_TIME, 'scheduledTime');
+  store.createIndex(REMINDER_DB.INDEXES.CHAT_ID, 'chatId');
+  db.createObjectStore(REMINDER_DB.META_STORE, { keyPath: 'key' });
+}
+
+/**
+ * Moves reminders from chrome.storage.local into the store, once. The
+ * records and the marker are written in one transaction, so an interrupted
+ * move is redone in full; the old key is removed only after it commits.
+ * @param {IDBDatabase} db
+ * @returns {Promise<void>}
+ */
+async function migrateFromStorage(db) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.REMINDERS);
+  const stored = result[STORAGE_KEYS.REMINDERS];
+
+  const readTx = db.transaction(REMINDER_DB.META_STORE, 'readonly');
+  const marker = await requestToPromise(
+    readTx.objectStore(REMINDER_DB.META_STORE).get(STORAGE_MIGRATION_KEY)
+  );
+
+  if (!marker) {
+    const reminders = Array.isArray(stored) ? stored : [];
+    const tx = db.transaction([REMINDER_DB.STORE, REMINDER_DB.META_STORE], 'readwrite');
+    const store = tx.objectStore(REMINDER_DB.STORE);
+    for (const reminder of reminders) {
+      store.put(reminder);
+    }
+    tx.objectStore(REMINDER_DB.META_STORE).put({
+      key: STORAGE_MIGRATION_KEY,
+      migratedAt: Date.now(),
+      count: reminders.length,
+    });
+    await transactionDone(tx);
+  }
+
+  if (stored !== undefined) {
+    await chrome.storage.local.remove(STORAGE_KEYS.REMINDERS);
+  }
+}
+
+/**
+ * Opens the database, creating it and moving stored reminders into it on
+ * first use. The connection is shared by later calls.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openReminderDb() {
+  if (!dbPromise) {
+    dbPromise = (async () => {
+      const request = indexedDB.open(REMINDER_DB.NAME, REMINDER_DB.VERSION);
+      request.onupgradeneeded = () => createSchema(request.result);
+      /** @type {IDBDatabase} */
+      const db = await requestToPromise(request);
+      // Another version of the extension wants to upgrade: let it
+      db.onversionchange = () => closeReminderDb();
+      await migrateFromStorage(db);
+      return db;
+    })();
+    // A failed open is retried on the next call
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Closes the shared connection; the next call opens a new one.
+ * @returns {Promise<void>}
+ */
+async function closeReminderDb() {
+  const pending = dbPromise;
+  dbPromise = null;
+  if (!pending) return;
+  try {
+    (await pending).close();
+  } catch {
+    // Never opened; nothing to close
+  }
+}
+
+/**
+ * Reads records from the reminders store or one of its indexes.
+ * @param {?string} indexName - Index to query, or null for the store
+ * @param {*} [query] - Key or IDBKeyRange
+ * @returns {Promise<Array<object>>}
+ */
+async function readAll(indexName, query) {
+  const db = await openReminderDb();
+  const store = db.transaction(REMINDER_DB.STORE, 'readonly').objectStore(REMINDER_DB.STORE);
+  const source = indexName ? store.index(indexName) : store;
+  return requestToPromise(query === undefined ? source.getAll() : source.getAll(query));
+}
+
+/**
+ * Returns every reminder.
+ * @returns {Promise<Array<object>>}
+ */
+function getAllReminders() {
+  return readAll(null);
+}
+
+/**
+ * Returns one reminder.
+ * @param {string} id
+ * @returns {Promise<?object>} The reminder, or null if there is none
+ */
+async function getReminderById(id) {
+  const db = await openReminderDb();
+  const store = db.transaction(REMINDER_DB.STORE, 'readonly').objectStore(REMINDER_DB.STORE);
+  return (await requestToPromise(store.get(id))) || null;
+}
+
+/**
+ * Returns the reminders with a status.
+ * @param {string} status - One of REMINDER_STATUS
+ * @returns {Promise<Array<object>>}
+ */
+function getRemindersByStatus(status) {
+  return readAll(REMINDER_DB.INDEXES.STATUS, status);
+}
+
+/**
+ * Returns the reminders for a chat.
+ * @param {string} chatId
+ * @returns {Promise<Array<object>>}
+ */
+function getRemindersByChatId(chatId) {
+  return readAll(REMINDER_DB.INDEXES.CHAT_ID, chatId);
+}
+
+/**
+ * Returns the reminders scheduled at or before a time, soonest first.
+ * @param {number} time - Epoch ms
+ * @returns {Promise<Array<object>>}
+ */
+function getRemindersDueBefore(time) {
+  return readAll(REMINDER_DB.INDEXES.SCHEDULED_TIME, IDBKeyRange.upperBound(time));
+}
+
+/**
+ * Returns the reminders' version number, bumped by every write.
+ * @returns {Promise<number>} 0 before the first write
+ */
+async function getVersion() {
+  const db = await openReminderDb();
+  const meta = db.transaction(REMINDER_DB.META_STORE, 'readonly').objectStore(REMINDER_DB.META_STORE);
+  const record = await requestToPromise(meta.get(VERSION_KEY));
+  return record ? record.value : 0;
+}
+
+/**
+ * Reads records by ID within a transaction, then calls back with them
+ * (undefined for IDs not found). Callback style keeps the transaction
+ * active for the writes that follow.
+ * @param {IDBObjectStore} store
+ * @param {string[]} ids
+ * @param {(records: Array<object|undefined>) => void} callback
+ */
+function getRecords(store, ids, callback) {
+  const records = new Array(ids.length);
+  let pending = ids.length;
+  if (pending === 0) {
+    callback(records);
+    return;
+  }
+  ids.forEach((id, i) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      records[i] = request.result;
+      if (--pending === 0) callback(records);
+    };
+  });
+}
+
+/**
+ * Runs a write in one transaction: checks the version, works out the
+ * changes from the stored records, writes them and bumps the version.
+ * Posts the changes to listeners once the transaction commits.
+ * @param {(store: IDBObjectStore, done: (changes: import('../lib/reminder-changes').ReminderChange[]) => void) => void} computeChanges
+ *   Reads what it needs from the store and calls done with the changes
+ * @param {number} [expectedVersion] - Version the caller last read; the
+ *   write fails if another write has happened since
+ * @returns {Promise<void>}
+ * @throws {Error} VersionConflictError, with nothing written
+ */
+async function writeReminders(computeChanges, expectedVersion) {
+  const db = await openReminderDb();
+  const tx = db.transaction([REMINDER_DB.STORE, REMINDER_DB.META_STORE], 'readwrite');
+  const store = tx.objectStore(REMINDER_DB.STORE);
+  const meta = tx.objectStore(REMINDER_DB.META_STORE);
+  /** @type {import('../lib/reminder-changes').ReminderChange[]} */
+  let written = [];
+  let conflictVersion = null;
+
+  const versionRequest = meta.get(VERSION_KEY);
+  versionRequest.onsuccess = () => {
+    const version = versionRequest.result ? versionRequest.result.value : 0;
+    if (expectedVersion !== undefined && version !== expectedVersion) {
+      conflictVersion = version;
+      tx.abort();
+      return;
+    }
+    computeChanges(store, (changes) => {
+      written = changes;
+      for (const { type, reminder } of changes) {
+        if (type === REMINDER_CHANGE.REMOVED) {
+          store.delete(reminder.id);
+        } else {
+          store.put(reminder);
+        }
+      }
+      meta.put({ key: VERSION_KEY, value: version + 1 });
+    });
+  };
+
+  try {
+    await transactionDone(tx);
+  } catch (cause) {
+    if (conflictVersion === null) throw cause;
+    const err = new Error(
+      `Reminders changed since read (version ${expectedVersion}, now ${conflictVersion})`
+    );
+    err.name = 'VersionConflictError';
+    throw err;
+  }
+  if (written.length > 0) emitChanges(written);
+}
+
+/**
+ * Replaces all reminders, writing only the ones that differ from what is
+ * stored.
+ * @param {Array<object>} reminders - Complete list of reminders
+ * @param {number} [expectedVersion] - See writeReminders
+ * @returns {Promise<void>}
+ */
+function replaceReminders(reminders, expectedVersion) {
+  return writeReminders((store, done) => {
+    const request = store.getAll();
+    request.onsuccess = () => done(getReminderChanges(request.result, reminders));
+  }, expectedVersion);
+}
+
+/**
+ * Adds or replaces reminders, reading only their own records.
+ * @param {Array<object>} reminders
+ * @param {number} [expectedVersion] - See writeReminders
+ * @returns {Promise<void>}
+ */
+function putReminders(reminders, expectedVersion) {
+  return writeReminders((store, done) => {
+    getRecords(store, reminders.map((r) => r.id), (existing) => {
+      done(getReminderChanges(existing.filter(Boolean), reminders));
+    });
+  }, expectedVersion);
+}
+
+/**
+ * Deletes reminders; unknown IDs are ignored.
+ * @param {string[]} ids
+ * @param {number} [expectedVersion] - See writeReminders
+ * @returns {Promise<void>}
+ */
+function deleteReminders(ids, expectedVersion) {
+  return writeReminders((store, done) => {
+    getRecords(store, ids, (existing) => {
+      done(
+        existing
+          .filter(Boolean)
+          .map((reminder) => ({ type: REMINDER_CHANGE.REMOVED, reminder, previous: null }))
+      );
+    });
+  }, expectedVersion);
+}
+
+/**
+ * Posts a write's changes to this context's listeners and other pages.
+ * @param {import('../lib/reminder-changes').ReminderChange[]} changes
+ */
+function emitChanges(changes) {
+  for (const listener of listeners) {
+    try {
+      listener(changes);
+    } catch (err) {
+      console.error('Reminder change listener failed:', err);
+    }
+  }
+  if (typeof BroadcastChannel === 'undefined') return;
+  if (!channel) channel = new BroadcastChannel(REMINDER_DB.CHANGE_CHANNEL);
+  channel.postMessage(changes);
+}
+
+/**
+ * Registers a listener for changes written in this context. Other pages
+ * listen on the REMINDER_DB.CHANGE_CHANNEL BroadcastChannel instead.
+ * @param {(changes: import('../lib/reminder-changes').ReminderChange[]) => void} callback
+ * @returns {() => void} Removes the listener
+ */
+function onReminderChanges(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+export {
+    isReminderDbAvailable,
+    openReminderDb,
+    closeReminderDb,
+    getAllReminders,
+    getReminderById,
+    getRemindersByStatus,
+    getRemindersByChatId,
+    getRemindersDueBefore,
+    getVersion,
+    replaceReminders,
+    putReminders,
+    deleteReminders,
+    onReminderChanges,
+};
+
+const ReminderDb = {
+  isReminderDbAvailable,
+  openReminderDb,
+  closeReminderDb,
+  getAllReminders,
+  getReminderById,
+  getRemindersByStatus,
+  getRemindersByChatId,
+  getRemindersDueBefore,
+  getVersion,
+  replaceReminders,
+  putReminders,
+  deleteReminders,
+  onReminderChanges,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReminderDb;
+}
@@ -7,15 +7,182 @@
  * @module reminder-service
  */
 
-import { REMINDER_STATUS, ALARM_PREFIX, STORAGE_QUOTA, CLEANUP } from '../lib/constants.js';
-import { validateCreateReminderPayload } from '../lib/validators.js';
+import {
+  REMINDER_STATUS,
+  ALARM_PREFIX,
+  ESCALATION,
+  STORAGE_QUOTA,
+  CLEANUP,
+  DEFAULT_PRESET_TIMES,
+} from '../lib/constants.js';
+import {
+  validateCreateReminderPayload,
+  validateUpdateReminderPayload,
+  validateFutureTime,
+  validateReminderIds,
+  validateSpreadMinutes,
+} from '../lib/validators.js';
 import { generateId } from '../lib/utils.js';
+import { getNextOccurrence } from '../lib/recurrence.js';
+import { resolveEscalationPolicy, getNextEscalationDelay } from '../lib/escalation.js';
+import { getLateness } from '../lib/delivery-policy.js';
+import { INITIAL_SCHEMA_VERSION } from '../lib/migrations.js';
+import { buildBackup } from '../lib/reminder-export.js';
 import * as StorageService from './storage-service.js';
 import * as AccountService from './account-service.js';
+import * as SettingsService from './settings-service.js';
+
+/**
+ * Clears a reminder's delivery state, so its next due time is notified afresh.
+ * Called whenever the reminder moves to a new occurrence or time; the caller
+ * also cancels any pending escalation alarm.
+ * @param {object} reminder - Reminder to update in place
+ * @returns {void}
+ */
+function resetDelivery(reminder) {
+  reminder.notifiedAt = null;
+  reminder.notificationCount = 0;
+  reminder.escalationCount = 0;
+  reminder.lateByMs = null;
+}
+
+/**
+ * Cancels a reminder's pending escalation alarm, if any.
+ * @param {string} reminderId
+ * @returns {Promise<void>}
+ */
+async function clearEscalation(reminderId) {
+  await chrome.alarms.clear(`${ESCALATION.ALARM_PREFIX}${reminderId}`);
+}
+
+/**
+ * Arms the alarm for a notified reminder's next escalation, or cancels it
+ * if the reminder's policy says it should not escalate (further).
+ * @param {object} reminder
+ * @param {import('../lib/escalation').EscalationPolicy} globalPolicy - The global escalation setting
+ * @returns {Promise<void>}
+ */
+async function scheduleEscalation(reminder, globalPolicy) {
+  const delay = getNextEscalationDelay(
+    resolveEscalationPolicy(reminder, globalPolicy),
+    reminder.escalationCount || 0
+  );
+  if (delay === null) {
+    await clearEscalation(reminder.id);
+    return;
+  }
+  await chrome.alarms.create(`${ESCALATION.ALARM_PREFIX}${reminder.id}`, {
+    when: Date.now() + delay,
+  });
+}
+
+/**
+ * Completes a pending reminder in place: a one-off reminder becomes
+ * completed, a recurring one moves on to its next occurrence.
+ * @param {object} reminder - Reminder to update in place
+ * @param {number} now - Completion time (epoch ms)
+ * @returns {void}
+ */
+function applyCompletion(reminder, now) {
+  if (reminder.recurrence) {
+    reminder.scheduledTime = getNextOccurrence(
+      reminder.recurrence,
+      Math.max(now, reminder.scheduledTime)
+    );
+    reminder.lastCompletedAt = now;
+    reminder.completedOccurrences = (reminder.completedOccurrences || 0) + 1;
+    resetDelivery(reminder);
+    return;
+  }
+  reminder.status = REMINDER_STATUS.COMPLETED;
+  reminder.completedAt = now;
+}
+
+/**
+ * Points a reminder's alarm at its due time, or clears it once the reminder
+ * is completed, and cancels any pending escalation.
+ * @param {object} reminder
+ * @returns {Promise<void>}
+ */
+async function replaceAlarm(reminder) {
+  if (reminder.status === REMINDER_STATUS.PENDING) {
+    await chrome.alarms.create(`${ALARM_PREFIX}${reminder.id}`, {
+      when: reminder.scheduledTime,
+    });
+  } else {
+    await chrome.alarms.clear(`${ALARM_PREFIX}${reminder.id}`);
+  }
+  await clearEscalation(reminder.id);
+}
+
+/**
+ * Reads reminders by ID, one keyed read each. IDs with no reminder are
+ * skipped, as are repeats.
+ * @param {typeof StorageService} storage
+ * @param {string[]} reminderIds
+ * @returns {Promise<Array<object>>} The reminders found, in ID order
+ */
+async function getRemindersById(storage, reminderIds) {
+  const reminders = await Promise.all(
+    [...new Set(reminderIds)].map((id) => storage.getReminder(id))
+  );
+  return reminders.filter(Boolean);
+}
+
+/**
+ * Moves reminders to the trash, stamped with deletedAt, and clears their
+ * alarms and any pending escalations. The trash is written first, so an
+ * interrupted delete leaves a copy rather than none. If the reminders
+ * cannot be removed (e.g. a version conflict, which the write queue
+ * retries), the trash is put back as it was, so they are not left both
+ * live and trashed; restoreReminder copes with any that still are.
+ * @param {typeof StorageService} storage
+ * @param {Array<object>} reminders - The reminders to trash
+ * @returns {Promise<void>}
+ * @throws {Error} The storage error, with the trash unchanged
+ */
+async function trashReminders(storage, reminders) {
+  const ids = new Set(reminders.map((r) => r.id));
+  const deletedAt = Date.now();
+
+  const trash = await storage.getTrash();
+  await storage.saveTrash([
+    ...trash.filter((r) => !ids.has(r.id)),
+    ...reminders.map((r) => ({ ...r, deletedAt })),
+  ]);
+  try {
+    await storage.deleteReminders([...ids]);
+  } catch (err) {
+    await storage.saveTrash(trash);
+    throw err;
+  }
+
+  for (const id of ids) {
+    await chrome.alarms.clear(`${ALARM_PREFIX}${id}`);
+    await clearEscalation(id);
+  }
+}
+
+/**
+ * Throws a ValidationError unless the IDs are a valid bulk selection.
+ * @param {any} reminderIds
+ * @returns {void}
+ * @throws {Error} ValidationError
+ */
+function assertReminderIds(reminderIds) {
+  const validation = validateReminderIds(reminderIds);
+  if (!validation.valid) {
+    const err = new Error(validation.error);
+    err.name = 'ValidationError';
+    throw err;
+  }
+}
 
 /**
  * Creates a new reminder, validates input, checks plan limits, schedules alarm.
- * @param {{ chatId: string, chatName: string, scheduledTime: number }} payload
+ * A recurring reminder stays pending and rolls forward as occurrences complete.
+ * An escalation policy, if given, overrides the global one for this reminder.
+ * @param {{ chatId: string, chatName: string, scheduledTime: number, recurrence?: { frequency: string, interval: number }, note?: string, escalation?: { enabled: boolean, intervals: number[] }|null }} payload
  * @param {{ userId?: string, storage?: typeof StorageService, account?: typeof AccountService }} [deps] - Injectable dependencies
  * @returns {Promise<object>} The created reminder
  * @throws {Error} ValidationError, PlanLimitError, StorageError
@@ -34,8 +201,7 @@ async function createReminder(payload, deps) {
   }
 
   // Get current reminder count
-  const reminders = await storage.getReminders();
-  const pendingCount = reminders.filter((r) => r.status === REMINDER_STATUS.PENDING).length;
+  const pendingCount = (await storage.getRemindersByStatus(REMINDER_STATUS.PENDING)).length;
 
   // Check plan limits using account-service
   const {
@@ -64,15 +230,29 @@ async function createReminder(payload, deps) {
     id: generateId(),
     chatId: payload.chatId.trim(),
     chatName: payload.chatName.trim(),
+    note: (payload.note && payload.note.trim()) || null,
     scheduledTime: payload.scheduledTime,
     createdAt: Date.now(),
     status: REMINDER_STATUS.PENDING,
     completedAt: null,
+    notifiedAt: null,
+    notificationCount: 0,
+    escalation: payload.escalation
+      ? { enabled: payload.escalation.enabled, intervals: [...payload.escalation.intervals] }
+      : null,
+    escalationCount: 0,
+    lateByMs: null,
+    recurrence: payload.recurrence
+      ? {
+        frequency: payload.recurrence.frequency,
+        interval: payload.recurrence.interval,
+        anchorTime: payload.scheduledTime,
+      }
+      : null,
   };
 
   // Save to storage
-  reminders.push(reminder);
-  await storage.saveReminders(reminders);
+  await storage.putReminders([reminder]);
 
   // Schedule alarm
   await chrome.alarms.create(`${ALARM_PREFIX}${reminder.id}`, {
@@ -83,7 +263,10 @@ async function createReminder(payload, deps) {
 }
 
 /**
- * Marks a reminder as completed. Sets completedAt, clears alarm.
+ * Marks a reminder as completed. Sets completedAt, clears alarm and
+ * any pending escalation.
+ * For a recurring reminder, completes the current occurrence instead:
+ * the reminder stays pending and moves to the next occurrence.
  * @param {string} reminderId - ID of the reminder to complete
  * @param {{ storage?: typeof StorageService }} [deps]
  * @returns {Promise<object>} The updated reminder
@@ -92,32 +275,528 @@ async function createReminder(payload, deps) {
 async function completeReminder(reminderId, deps) {
   const storage = (deps && deps.storage) || StorageService;
 
-  const reminders = await storage.getReminders();
-  const index = reminders.findIndex((r) => r.id === reminderId);
+  const reminder = await storage.getReminder(reminderId);
+
+  if (!reminder) {
+    const err = new Error('Reminder not found');
+    err.name = 'NotFoundError';
+    throw err;
+  }
+
+  if (reminder.status === REMINDER_STATUS.COMPLETED) {
+    const err = new Error('Reminder is already completed');
+    err.name = 'AlreadyCompletedError';
+    throw err;
+  }
+
+  applyCompletion(reminder, Date.now());
+
+  await storage.putReminders([reminder]);
+  await replaceAlarm(reminder);
+
+  return reminder;
+}
+
+/**
+ * Completes several reminders with one storage write, then replaces their
+ * alarms as completeReminder does. Reminders that are missing or already
+ * completed are skipped.
+ * @param {string[]} reminderIds - IDs of the reminders to complete
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<Array<object>>} The completed reminders
+ * @throws {Error} ValidationError
+ */
+async function completeReminders(reminderIds, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+  assertReminderIds(reminderIds);
+
+  const completed = (await getRemindersById(storage, reminderIds)).filter(
+    (r) => r.status === REMINDER_STATUS.PENDING
+  );
+  if (completed.length === 0) {
+    return [];
+  }
+
+  const now = Date.now();
+  for (const reminder of completed) {
+    applyCompletion(reminder, now);
+  }
+
+  await storage.putReminders(completed);
+  for (const reminder of completed) {
+    await replaceAlarm(reminder);
+  }
+
+  return completed;
+}
+
+/**
+ * Undoes a completion in place. A completed reminder goes back to pending
+ * at its previous time. A recurring reminder moves back to the occurrence
+ * that was completed if that is still ahead; a past one would leave the
+ * series without an alarm, so it keeps its next occurrence.
+ * @param {object} reminder - Reminder to update in place
+ * @param {number} scheduledTime - The reminder's time before it was completed
+ * @returns {boolean} False if there is no completion to undo
+ */
+function applyReopen(reminder, scheduledTime) {
+  if (reminder.recurrence) {
+    reminder.completedOccurrences = Math.max(0, (reminder.completedOccurrences || 0) - 1);
+    if (reminder.completedOccurrences === 0) {
+      reminder.lastCompletedAt = null;
+    }
+    if (scheduledTime > Date.now()) {
+      reminder.scheduledTime = scheduledTime;
+    }
+    return true;
+  }
+  if (reminder.status !== REMINDER_STATUS.COMPLETED) {
+    return false;
+  }
+  reminder.status = REMINDER_STATUS.PENDING;
+  reminder.completedAt = null;
+  reminder.scheduledTime = scheduledTime;
+  return true;
+}
+
+/**
+ * Arms a reopened reminder's alarm if its time is still ahead; an overdue
+ * one-off reminder is left to the regular overdue re-notification.
+ * @param {object} reminder
+ * @returns {Promise<void>}
+ */
+async function rearmReopened(reminder) {
+  if (reminder.scheduledTime > Date.now()) {
+    await chrome.alarms.create(`${ALARM_PREFIX}${reminder.id}`, {
+      when: reminder.scheduledTime,
+    });
+  } else {
+    await chrome.alarms.clear(`${ALARM_PREFIX}${reminder.id}`);
+  }
+}
+
+/**
+ * Undoes completeReminder (see applyReopen). Only a future time gets a new
+ * alarm.
+ * @param {string} reminderId - ID of the reminder to reopen
+ * @param {number} scheduledTime - The reminder's time before it was completed
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<object>} The updated reminder
+ * @throws {Error} ValidationError, NotFoundError
+ */
+async function reopenReminder(reminderId, scheduledTime, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  if (typeof scheduledTime !== 'number' || !Number.isFinite(scheduledTime)) {
+    const err = new Error('scheduledTime must be a number');
+    err.name = 'ValidationError';
+    throw err;
+  }
+
+  const reminder = await storage.getReminder(reminderId);
+
+  if (!reminder) {
+    const err = new Error('Reminder not found');
+    err.name = 'NotFoundError';
+    throw err;
+  }
+
+  if (!applyReopen(reminder, scheduledTime)) {
+    const err = new Error('Reminder is not completed');
+    err.name = 'ValidationError';
+    throw err;
+  }
+
+  await storage.putReminders([reminder]);
+  await rearmReopened(reminder);
+
+  return reminder;
+}
+
+/**
+ * Undoes completeReminders with one storage write, then re-arms the
+ * alarms as reopenReminder does. Missing reminders, and one-off reminders
+ * that are not completed, are skipped.
+ * @param {string[]} reminderIds - IDs of the reminders to reopen
+ * @param {Object<string, number>} previousTimes - Each reminder's time before it was completed, by ID
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<Array<object>>} The reopened reminders
+ * @throws {Error} ValidationError
+ */
+async function reopenReminders(reminderIds, previousTimes, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+  assertReminderIds(reminderIds);
+
+  const times = previousTimes || {};
+  if (!reminderIds.every((id) => typeof times[id] === 'number' && Number.isFinite(times[id]))) {
+    const err = new Error('previousTimes must be a number for each reminder');
+    err.name = 'ValidationError';
+    throw err;
+  }
+
+  const reopened = (await getRemindersById(storage, reminderIds)).filter(
+    (r) => applyReopen(r, times[r.id])
+  );
+  if (reopened.length === 0) {
+    return [];
+  }
+
+  await storage.putReminders(reopened);
+  for (const reminder of reopened) {
+    await rearmReopened(reminder);
+  }
+
+  return reopened;
+}
+
+/**
+ * Edits a pending reminder's time, note and/or escalation policy in place.
+ * The reminder keeps its id and createdAt. A new time replaces the alarm and,
+ * for a recurring reminder, re-anchors the series so later occurrences follow it.
+ * A null escalation reverts the reminder to the global policy.
+ * @param {string} reminderId - ID of the reminder to edit
+ * @param {{ scheduledTime?: number, note?: string|null, escalation?: { enabled: boolean, intervals: number[] }|null }} changes - Fields to change
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<object>} The updated reminder
+ * @throws {Error} ValidationError, NotFoundError, AlreadyCompletedError
+ */
+async function updateReminder(reminderId, changes, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const validation = validateUpdateReminderPayload(changes);
+  if (!validation.valid) {
+    const err = new Error(validation.error);
+    err.name = 'ValidationError';
+    throw err;
+  }
+
+  const reminder = await storage.getReminder(reminderId);
+
+  if (!reminder) {
+    const err = new Error('Reminder not found');
+    err.name = 'NotFoundError';
+    throw err;
+  }
+
+  if (reminder.status === REMINDER_STATUS.COMPLETED) {
+    const err = new Error('Reminder is already completed');
+    err.name = 'AlreadyCompletedError';
+    throw err;
+  }
+
+  const timeChanged =
+    changes.scheduledTime !== undefined && changes.scheduledTime !== reminder.scheduledTime;
+
+  if (timeChanged) {
+    reminder.scheduledTime = changes.scheduledTime;
+    resetDelivery(reminder);
+    if (reminder.recurrence) {
+      reminder.recurrence = { ...reminder.recurrence, anchorTime: changes.scheduledTime };
+    }
+  }
+
+  if (changes.note !== undefined) {
+    reminder.note = (changes.note && changes.note.trim()) || null;
+  }
+
+  const escalationChanged = changes.escalation !== undefined;
+  if (escalationChanged) {
+    reminder.escalation = changes.escalation
+      ? { enabled: changes.escalation.enabled, intervals: [...changes.escalation.intervals] }
+      : null;
+  }
 
-  if (index === -1) {
+  await storage.putReminders([reminder]);
+  if (timeChanged) {
+    await chrome.alarms.create(`${ALARM_PREFIX}${reminderId}`, {
+      when: reminder.scheduledTime,
+    });
+    await clearEscalation(reminderId);
+  } else if (escalationChanged && reminder.notifiedAt) {
+    // Already overdue and notified: follow the new policy from now on
+    const { escalation } = await SettingsService.getSettings({ storage });
+    await scheduleEscalation(reminder, escalation);
+  }
+
+  return reminder;
+}
+
+/**
+ * Moves a pending reminder to a new time and replaces its alarm.
+ * Used by notification snooze; the recurrence anchor is left untouched,
+ * so a recurring series keeps its original schedule after this occurrence.
+ * @param {string} reminderId - ID of the reminder to reschedule
+ * @param {number} scheduledTime - New due time (epoch ms, must be in the future)
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<object>} The updated reminder
+ * @throws {Error} ValidationError, NotFoundError, AlreadyCompletedError
+ */
+async function rescheduleReminder(reminderId, scheduledTime, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const timeCheck = validateFutureTime(scheduledTime);
+  if (!timeCheck.valid) {
+    const err = new Error(timeCheck.error);
+    err.name = 'ValidationError';
+    throw err;
+  }
+
+  const reminder = await storage.getReminder(reminderId);
+
+  if (!reminder) {
     const err = new Error('Reminder not found');
     err.name = 'NotFoundError';
     throw err;
   }
 
-  if (reminders[index].status === REMINDER_STATUS.COMPLETED) {
+  if (reminder.status === REMINDER_STATUS.COMPLETED) {
     const err = new Error('Reminder is already completed');
     err.name = 'AlreadyCompletedError';
     throw err;
   }
 
-  reminders[index].status = REMINDER_STATUS.COMPLETED;
-  reminders[index].completedAt = Date.now();
+  reminder.scheduledTime = scheduledTime;
+  resetDelivery(reminder);
 
-  await storage.saveReminders(reminders);
-  await chrome.alarms.clear(`${ALARM_PREFIX}${reminderId}`);
+  await storage.putReminders([reminder]);
+  await replaceAlarm(reminder);
 
-  return reminders[index];
+  return reminder;
 }
 
 /**
- * Permanently deletes a reminder from storage and clears its alarm.
+ * Snoozes a pending reminder until tomorrow at 9 AM (the notification's
+ * "Tomorrow 9 AM" snooze), as rescheduleReminder does.
+ * @param {string} reminderId - ID of the reminder to snooze
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<object>} The updated reminder
+ * @throws {Error} NotFoundError, AlreadyCompletedError
+ */
+async function snoozeUntilTomorrowMorning(reminderId, deps) {
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  tomorrow.setHours(DEFAULT_PRESET_TIMES.TOMORROW_HOUR, 0, 0, 0);
+  return rescheduleReminder(reminderId, tomorrow.getTime(), deps);
+}
+
+/**
+ * Moves several pending reminders to the same new time with one storage
+ * write, then replaces their alarms. Like rescheduleReminder, recurrence
+ * anchors are left untouched. Missing and completed reminders are skipped.
+ * @param {string[]} reminderIds - IDs of the reminders to reschedule
+ * @param {number} scheduledTime - New due time (epoch ms, must be in the future)
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<Array<object>>} The rescheduled reminders
+ * @throws {Error} ValidationError
+ */
+async function rescheduleReminders(reminderIds, scheduledTime, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+  assertReminderIds(reminderIds);
+
+  const timeCheck = validateFutureTime(scheduledTime);
+  if (!timeCheck.valid) {
+    const err = new Error(timeCheck.error);
+    err.name = 'ValidationError';
+    throw err;
+  }
+
+  const rescheduled = (await getRemindersById(storage, reminderIds)).filter(
+    (r) => r.status === REMINDER_STATUS.PENDING
+  );
+  if (rescheduled.length === 0) {
+    return [];
+  }
+
+  for (const reminder of rescheduled) {
+    reminder.scheduledTime = scheduledTime;
+    resetDelivery(reminder);
+  }
+
+  await storage.putReminders(rescheduled);
+  for (const reminder of rescheduled) {
+    await replaceAlarm(reminder);
+  }
+
+  return rescheduled;
+}
+
+/**
+ * Moves every overdue pending reminder to a new time with one storage write,
+ * then recreates their alarms. With a spread, the reminders get successive
+ * slots that many minutes apart, in their original order, so they don't all
+ * fire at once. Recurrence anchors are left untouched, as in
+ * rescheduleReminder.
+ * @param {number} scheduledTime - Time of the first slot (epoch ms, must be in the future)
+ * @param {number} [spreadMinutes] - Minutes between slots; 0 puts them all at scheduledTime
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<Array<object>>} The moved reminders, in slot order
+ * @throws {Error} ValidationError
+ */
+async function rescheduleOverdue(scheduledTime, spreadMinutes = 0, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const timeCheck = validateFutureTime(scheduledTime);
+  const spreadCheck = validateSpreadMinutes(spreadMinutes);
+  if (!timeCheck.valid || !spreadCheck.valid) {
+    const err = new Error(timeCheck.error || spreadCheck.error);
+    err.name = 'ValidationError';
+    throw err;
+  }
+
+  const overdue = (await storage.getRemindersDueBefore(Date.now()))
+    .filter((r) => r.status === REMINDER_STATUS.PENDING)
+    .sort((a, b) => a.scheduledTime - b.scheduledTime);
+  if (overdue.length === 0) {
+    return [];
+  }
+
+  overdue.forEach((reminder, slot) => {
+    reminder.scheduledTime = scheduledTime + slot * spreadMinutes * 60 * 1000;
+    resetDelivery(reminder);
+  });
+
+  await storage.putReminders(overdue);
+  for (const reminder of overdue) {
+    await replaceAlarm(reminder);
+  }
+
+  return overdue;
+}
+
+/**
+ * Handles a fired alarm for a recurring reminder by scheduling the alarm
+ * for the following occurrence. If an earlier occurrence was never completed,
+ * the reminder's due time catches up to the occurrence that just fired.
+ * @param {string} reminderId - ID of the recurring reminder
+ * @param {number} firedTime - Scheduled time of the alarm that fired (epoch ms)
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<object|null>} The updated reminder, or null if it is not a pending recurring reminder
+ */
+async function advanceRecurringReminder(reminderId, firedTime, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const reminder = await storage.getReminder(reminderId);
+
+  if (!reminder || !reminder.recurrence || reminder.status !== REMINDER_STATUS.PENDING) {
+    return null;
+  }
+
+  if (firedTime > reminder.scheduledTime) {
+    reminder.scheduledTime = firedTime;
+    resetDelivery(reminder);
+    await storage.putReminders([reminder]);
+    await clearEscalation(reminderId);
+  }
+
+  const nextTime = getNextOccurrence(
+    reminder.recurrence,
+    Math.max(Date.now(), reminder.scheduledTime)
+  );
+  await chrome.alarms.create(`${ALARM_PREFIX}${reminderId}`, {
+    when: nextTime,
+  });
+
+  return reminder;
+}
+
+/**
+ * Records that reminders were just notified: sets notifiedAt and
+ * increments notificationCount for their current occurrence, then arms
+ * the next escalation for those whose policy has escalation on.
+ * Unknown IDs are ignored.
+ * @param {string[]} reminderIds - IDs of the notified reminders
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<void>}
+ */
+async function markNotified(reminderIds, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const now = Date.now();
+  const notified = await getRemindersById(storage, reminderIds);
+
+  if (notified.length === 0) {
+    return;
+  }
+
+  for (const reminder of notified) {
+    reminder.notifiedAt = now;
+    reminder.notificationCount = (reminder.notificationCount || 0) + 1;
+  }
+  await storage.putReminders(notified);
+
+  const { escalation } = await SettingsService.getSettings({ storage });
+  for (const reminder of notified) {
+    if (reminder.status === REMINDER_STATUS.PENDING) {
+      await scheduleEscalation(reminder, escalation);
+    }
+  }
+}
+
+/**
+ * Records how late reminders are being delivered (see getLateness in
+ * lib/delivery-policy.js), for the notification wording and the popup.
+ * Reminders delivered on time are left unchanged. Unknown IDs are ignored.
+ * @param {string[]} reminderIds - IDs of the reminders being delivered
+ * @param {number} deliveredAt - Delivery time (epoch ms)
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<Array<object>>} The reminders, updated, soonest first
+ */
+async function recordLateness(reminderIds, deliveredAt, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const delivered = (await getRemindersById(storage, reminderIds))
+    .sort((a, b) => a.scheduledTime - b.scheduledTime);
+
+  const late = [];
+  for (const reminder of delivered) {
+    const lateness = getLateness(reminder.scheduledTime, deliveredAt);
+    if (lateness > 0) {
+      reminder.lateByMs = lateness;
+      late.push(reminder);
+    }
+  }
+  if (late.length > 0) {
+    await storage.putReminders(late);
+  }
+
+  return delivered;
+}
+
+/**
+ * Handles a fired escalation alarm: if the reminder is still pending and
+ * overdue, and its policy allows another escalation, counts the escalation.
+ * The caller then notifies, which arms the following escalation.
+ * @param {string} reminderId - ID of the reminder to escalate
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<object|null>} The escalated reminder, or null if it should not escalate
+ */
+async function escalateReminder(reminderId, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const reminder = await storage.getReminder(reminderId);
+
+  if (!reminder || reminder.status !== REMINDER_STATUS.PENDING || reminder.scheduledTime > Date.now()) {
+    await clearEscalation(reminderId);
+    return null;
+  }
+
+  const { escalation } = await SettingsService.getSettings({ storage });
+  const policy = resolveEscalationPolicy(reminder, escalation);
+  if (getNextEscalationDelay(policy, reminder.escalationCount || 0) === null) {
+    await clearEscalation(reminderId);
+    return null;
+  }
+
+  reminder.escalationCount = (reminder.escalationCount || 0) + 1;
+  await storage.putReminders([reminder]);
+
+  return reminder;
+}
+
+/**
+ * Moves a reminder to the trash, stamped with deletedAt, and clears its
+ * alarm and any pending escalation. It can be restored until
+ * cleanupExpiredCompleted purges it.
  * @param {string} reminderId - ID of the reminder to delete
  * @param {{ storage?: typeof StorageService }} [deps]
  * @returns {Promise<string>} The deleted reminder's ID
@@ -126,22 +805,172 @@ async function completeReminder(reminderId, deps) {
 async function deleteReminder(reminderId, deps) {
   const storage = (deps && deps.storage) || StorageService;
 
-  const reminders = await storage.getReminders();
-  const index = reminders.findIndex((r) => r.id === reminderId);
+  const reminder = await storage.getReminder(reminderId);
 
-  if (index === -1) {
+  if (!reminder) {
     const err = new Error('Reminder not found');
     err.name = 'NotFoundError';
     throw err;
   }
 
-  reminders.splice(index, 1);
-  await storage.saveReminders(reminders);
-  await chrome.alarms.clear(`${ALARM_PREFIX}${reminderId}`);
+  await trashReminders(storage, [reminder]);
 
   return reminderId;
 }
 
+/**
+ * Moves several reminders to the trash with one write to each list.
+ * Missing reminders are skipped.
+ * @param {string[]} reminderIds - IDs of the reminders to delete
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<string[]>} IDs of the deleted reminders
+ * @throws {Error} ValidationError
+ */
+async function deleteReminders(reminderIds, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+  assertReminderIds(reminderIds);
+
+  const deleted = await getRemindersById(storage, reminderIds);
+  if (deleted.length === 0) {
+    return [];
+  }
+
+  await trashReminders(storage, deleted);
+
+  return deleted.map((r) => r.id);
+}
+
+/**
+ * Moves a reminder back from the trash. A pending reminder counts against
+ * the plan limit again and gets its alarm back; if it came due while in the
+ * trash, the alarm fires right away. If the reminder is still live (a
+ * delete interrupted after writing the trash), the trash copy is dropped
+ * and the live reminder left as it is.
+ * @param {string} reminderId - ID of the trashed reminder
+ * @param {{ userId?: string, storage?: typeof StorageService, account?: typeof AccountService }} [deps]
+ * @returns {Promise<object>} The restored reminder
+ * @throws {Error} NotFoundError, PlanLimitError
+ */
+async function restoreReminder(reminderId, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+  const account = (deps && deps.account) || AccountService;
+  const userId = (deps && deps.userId) || 'anonymous';
+
+  const trash = await storage.getTrash();
+  const trashed = trash.find((r) => r.id === reminderId);
+
+  if (!trashed) {
+    const err = new Error('Reminder not found in trash');
+    err.name = 'NotFoundError';
+    throw err;
+  }
+
+  const live = await storage.getReminder(reminderId);
+  if (live) {
+    await storage.saveTrash(trash.filter((r) => r.id !== reminderId));
+    return live;
+  }
+
+  const reminder = { ...trashed };
+  delete reminder.deletedAt;
+
+  if (reminder.status === REMINDER_STATUS.PENDING) {
+    const pendingCount = (await storage.getRemindersByStatus(REMINDER_STATUS.PENDING)).length;
+    const { allowed, error: limitError } = await account.enforceReminderLimit(userId, pendingCount);
+    if (!allowed) {
+      const err = new Error(limitError);
+      err.name = 'PlanLimitError';
+      throw err;
+    }
+  }
+
+  await storage.putReminders([reminder]);
+  await storage.saveTrash(trash.filter((r) => r.id !== reminderId));
+
+  if (reminder.status === REMINDER_STATUS.PENDING) {
+    await chrome.alarms.create(`${ALARM_PREFIX}${reminderId}`, {
+      when: reminder.scheduledTime,
+    });
+  }
+
+  return reminder;
+}
+
+/**
+ * Moves several reminders back from the trash with one write to each list,
+ * then re-arms their alarms as restoreReminder does. The plan must have
+ * room for every pending one. IDs not in the trash are skipped, and those
+ * still live only lose their trash copy.
+ * @param {string[]} reminderIds - IDs of the trashed reminders
+ * @param {{ userId?: string, storage?: typeof StorageService, account?: typeof AccountService }} [deps]
+ * @returns {Promise<Array<object>>} The restored reminders
+ * @throws {Error} ValidationError, PlanLimitError
+ */
+async function restoreReminders(reminderIds, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+  const account = (deps && deps.account) || AccountService;
+  const userId = (deps && deps.userId) || 'anonymous';
+  assertReminderIds(reminderIds);
+
+  const ids = new Set(reminderIds);
+  const trash = await storage.getTrash();
+  const trashed = trash.filter((r) => ids.has(r.id));
+  if (trashed.length === 0) {
+    return [];
+  }
+
+  const liveIds = new Set(
+    (await getRemindersById(storage, trashed.map((r) => r.id))).map((r) => r.id)
+  );
+  const restored = trashed
+    .filter((r) => !liveIds.has(r.id))
+    .map((trashedReminder) => {
+      const reminder = { ...trashedReminder };
+      delete reminder.deletedAt;
+      return reminder;
+    });
+
+  const restoredPending = restored.filter((r) => r.status === REMINDER_STATUS.PENDING);
+  if (restoredPending.length > 0) {
+    const pendingCount = (await storage.getRemindersByStatus(REMINDER_STATUS.PENDING)).length;
+    // Room for the last of them means room for all
+    const { allowed, error: limitError } = await account.enforceReminderLimit(
+      userId,
+      pendingCount + restoredPending.length - 1
+    );
+    if (!allowed) {
+      const err = new Error(limitError);
+      err.name = 'PlanLimitError';
+      throw err;
+    }
+  }
+
+  if (restored.length > 0) {
+    await storage.putReminders(restored);
+  }
+  await storage.saveTrash(trash.filter((r) => !ids.has(r.id)));
+
+  for (const reminder of restoredPending) {
+    await chrome.alarms.create(`${ALARM_PREFIX}${reminder.id}`, {
+      when: reminder.scheduledTime,
+    });
+  }
+
+  return restored;
+}
+
+/**
+ * Lists the trash, most recently deleted first.
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<Array<object>>}
+ */
+async function getTrash(deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const trash = await storage.getTrash();
+  return trash.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
 /**
  * Gets all reminders with plan information.
  * @param {{ userId?: string, storage?: typeof StorageService, account?: typeof AccountService }} [deps]
@@ -172,6 +1001,22 @@ async function getAllReminders(deps) {
   };
 }
 
+/**
+ * Builds a full backup of the reminders and trash, as stored, with their
+ * schema version.
+ * @param {{ storage?: typeof StorageService }} [deps]
+ * @returns {Promise<import('../lib/reminder-export').ReminderBackup>}
+ */
+async function exportReminders(deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const reminders = await storage.getReminders();
+  const trash = await storage.getTrash();
+  const schemaVersion = (await storage.getSchemaVersion()) || INITIAL_SCHEMA_VERSION;
+
+  return buildBackup({ reminders, trash }, schemaVersion);
+}
+
 /**
  * Returns pending reminders that are past their scheduled time.
  * @param {{ storage?: typeof StorageService }} [deps]
@@ -180,38 +1025,42 @@ async function getAllReminders(deps) {
 async function getOverdueReminders(deps) {
   const storage = (deps && deps.storage) || StorageService;
 
-  const reminders = await storage.getReminders();
-  const now = Date.now();
-  return reminders.filter(
-    (r) => r.status === REMINDER_STATUS.PENDING && r.scheduledTime <= now
-  );
+  const due = await storage.getRemindersDueBefore(Date.now());
+  return due.filter((r) => r.status === REMINDER_STATUS.PENDING);
 }
 
 /**
- * Removes completed reminders older than 30 days.
+ * Removes completed reminders older than 30 days, and purges reminders
+ * that have been in the trash for longer than 30 days.
  * @param {{ storage?: typeof StorageService }} [deps]
  * @returns {Promise<number>} Count of removed reminders
  */
 async function cleanupExpiredCompleted(deps) {
   const storage = (deps && deps.storage) || StorageService;
 
-  const reminders = await storage.getReminders();
+  const completed = await storage.getRemindersByStatus(REMINDER_STATUS.COMPLETED);
   const now = Date.now();
   const cutoff = now - CLEANUP.COMPLETED_RETENTION_MS;
 
-  const retained = reminders.filter((r) => {
-    if (r.status === REMINDER_STATUS.COMPLETED && r.completedAt && r.completedAt < cutoff) {
-      return false;
-    }
-    return true;
-  });
+  const expiredIds = completed
+    .filter((r) => r.completedAt && r.completedAt < cutoff)
+    .map((r) => r.id);
 
-  const removedCount = reminders.length - retained.length;
+  const removedCount = expiredIds.length;
   if (removedCount > 0) {
-    await storage.saveReminders(retained);
+    await storage.deleteReminders(expiredIds);
   }
 
-  return removedCount;
+  const trash = await storage.getTrash();
+  const trashCutoff = now - CLEANUP.TRASH_RETENTION_MS;
+  const keptTrash = trash.filter((r) => r.deletedAt >= trashCutoff);
+
+  const purgedCount = trash.length - keptTrash.length;
+  if (purgedCount > 0) {
+    await storage.saveTrash(keptTrash);
+  }
+
+  return removedCount + purgedCount;
 }
 
 /**
@@ -222,9 +1071,8 @@ async function cleanupExpiredCompleted(deps) {
 async function checkStorageQuota(deps) {
   const storage = (deps && deps.storage) || StorageService;
 
-  const reminders = await storage.getReminders();
-  const estimatedBytes = JSON.stringify(reminders).length;
-  const usagePercent = estimatedBytes / STORAGE_QUOTA.MAX_BYTES;
+  const { usedBytes, quotaBytes } = await storage.estimateUsage();
+  const usagePercent = usedBytes / quotaBytes;
 
   return {
     nearQuota: usagePercent >= STORAGE_QUOTA.WARNING_THRESHOLD,
@@ -235,8 +1083,25 @@ async function checkStorageQuota(deps) {
 export {
     createReminder,
     completeReminder,
+    completeReminders,
+    reopenReminder,
+    reopenReminders,
+    updateReminder,
+    rescheduleReminder,
+    snoozeUntilTomorrowMorning,
+    rescheduleReminders,
+    rescheduleOverdue,
+    advanceRecurringReminder,
+    markNotified,
+    recordLateness,
+    escalateReminder,
     deleteReminder,
+    deleteReminders,
+    restoreReminder,
+    restoreReminders,
+    getTrash,
     getAllReminders,
+    exportReminders,
     getOverdueReminders,
     cleanupExpiredCompleted,
     checkStorageQuota,
@@ -245,8 +1110,25 @@ export {
 const ReminderService = {
   createReminder,
   completeReminder,
+  completeReminders,
+  reopenReminder,
+  reopenReminders,
+  updateReminder,
+  rescheduleReminder,
+  snoozeUntilTomorrowMorning,
+  rescheduleReminders,
+  rescheduleOverdue,
+  advanceRecurringReminder,
+  markNotified,
+  recordLateness,
+  escalateReminder,
   deleteReminder,
+  deleteReminders,
+  restoreReminder,
+  restoreReminders,
+  getTrash,
   getAllReminders,
+  exportReminders,
   getOverdueReminders,
   cleanupExpiredCompleted,
   checkStorageQuota,
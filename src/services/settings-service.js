@@ -0,0 +1,183 @@
+// @ts-check
+
+/**
+ * Settings service for user preferences stored in chrome.storage.local.
+ * Settings are a single object; fields the user never saved fall back to
+ * the defaults, so new settings can be added without a migration.
+ * @module settings-service
+ */
+
+import { SNOOZE_OPTIONS } from '../lib/constants.js';
+import { DEFAULT_PRESETS } from '../lib/presets.js';
+import { DEFAULT_BUSINESS_HOURS } from '../lib/business-hours.js';
+import { DEFAULT_QUIET_HOURS } from '../lib/quiet-hours.js';
+import { DEFAULT_RENOTIFY_MINUTES } from '../lib/delivery-policy.js';
+import { DEFAULT_ESCALATION } from '../lib/escalation.js';
+import { DEFAULT_DIGEST } from '../lib/digest.js';
+import { DEFAULT_PRIVACY_MODE } from '../lib/privacy.js';
+import { validateSettings } from '../lib/validators.js';
+import * as StorageService from './storage-service.js';
+
+/**
+ * @typedef {object} Settings
+ * @property {Array<import('../lib/presets').Preset>} presets
+ * @property {import('../lib/business-hours').BusinessHours} businessHours
+ * @property {import('../lib/quiet-hours').QuietHours} quietHours
+ * @property {number} renotifyMinutes - Re-notify interval for overdue reminders, 0 for never
+ * @property {import('../lib/escalation').EscalationPolicy} escalation - Global escalation policy
+ * @property {import('../lib/digest').DigestConfig} digest - Morning digest notification
+ * @property {boolean} holdWhileIdle - Hold notifications while the system is idle or locked
+ * @property {string} notificationPrivacy - How much of contact names notifications show (PRIVACY_MODES)
+ * @property {string} notificationSnooze - What the notification's snooze button does (SNOOZE_OPTIONS)
+ * @property {Array<{ id: string, name: string, filter: import('../lib/reminder-filter').ReminderFilter }>} savedViews - Named popup filters
+ */
+
+/**
+ * Returns a fresh copy of the default settings.
+ * @returns {Settings}
+ */
+function getDefaultSettings() {
+  return {
+    presets: DEFAULT_PRESETS.map((preset) => ({ ...preset })),
+    businessHours: {
+      enabled: DEFAULT_BUSINESS_HOURS.enabled,
+      start: { ...DEFAULT_BUSINESS_HOURS.start },
+      end: { ...DEFAULT_BUSINESS_HOURS.end },
+      workingDays: [...DEFAULT_BUSINESS_HOURS.workingDays],
+      holidays: DEFAULT_BUSINESS_HOURS.holidays.map((holiday) => ({ ...holiday })),
+    },
+    quietHours: {
+      enabled: DEFAULT_QUIET_HOURS.enabled,
+      start: { ...DEFAULT_QUIET_HOURS.start },
+      end: { ...DEFAULT_QUIET_HOURS.end },
+    },
+    renotifyMinutes: DEFAULT_RENOTIFY_MINUTES,
+    escalation: {
+      enabled: DEFAULT_ESCALATION.enabled,
+      intervals: [...DEFAULT_ESCALATION.intervals],
+    },
+    digest: {
+      enabled: DEFAULT_DIGEST.enabled,
+      time: { ...DEFAULT_DIGEST.time },
+    },
+    holdWhileIdle: false,
+    notificationPrivacy: DEFAULT_PRIVACY_MODE,
+    notificationSnooze: SNOOZE_OPTIONS.HOUR,
+    savedViews: [],
+  };
+}
+
+/**
+ * Retrieves the user's settings, filling in defaults for unsaved fields.
+ * @param {{ storage?: typeof StorageService }} [deps] - Injectable dependencies
+ * @returns {Promise<Settings>}
+ */
+async function getSettings(deps) {
+  const storage = (deps && deps.storage) || StorageService;
+  const stored = await storage.getSettings();
+  return { ...getDefaultSettings(), ...(stored || {}) };
+}
+
+/**
+ * Validates and saves a partial settings update, merged over the current settings.
+ * @param {{ presets?: Array<object>, businessHours?: object, quietHours?: object, renotifyMinutes?: number, escalation?: object, digest?: object, holdWhileIdle?: boolean, notificationPrivacy?: string, notificationSnooze?: string, savedViews?: Array<object> }} changes - Settings fields to replace
+ * @param {{ storage?: typeof StorageService }} [deps] - Injectable dependencies
+ * @returns {Promise<Settings>} The saved settings
+ * @throws {Error} ValidationError
+ */
+async function saveSettings(changes, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+
+  const validation = validateSettings(changes);
+  if (!validation.valid) {
+    const err = new Error(validation.error);
+    err.name = 'ValidationError';
+    throw err;
+  }
+
+  const current = await getSettings({ storage });
+  const updated = { ...current };
+
+  if (changes.presets !== undefined) {
+    updated.presets = changes.presets.map((preset) => ({
+      ...preset,
+      label: preset.label.trim(),
+    }));
+  }
+
+  if (changes.businessHours !== undefined) {
+    const { businessHours } = changes;
+    updated.businessHours = {
+      ...businessHours,
+      workingDays: [...businessHours.workingDays].sort((a, b) => a - b),
+      holidays: businessHours.holidays
+        .map((holiday) => ({ date: holiday.date, name: holiday.name.trim() }))
+        .sort((a, b) => a.date.localeCompare(b.date)),
+    };
+  }
+
+  if (changes.quietHours !== undefined) {
+    const { enabled, start, end } = changes.quietHours;
+    updated.quietHours = { enabled, start: { ...start }, end: { ...end } };
+  }
+
+  if (changes.renotifyMinutes !== undefined) {
+    updated.renotifyMinutes = changes.renotifyMinutes;
+  }
+
+  if (changes.escalation !== undefined) {
+    const { enabled, intervals } = changes.escalation;
+    updated.escalation = { enabled, intervals: [...intervals] };
+  }
+
+  if (changes.digest !== undefined) {
+    const { enabled, time } = changes.digest;
+    updated.digest = { enabled, time: { ...time } };
+  }
+
+  if (changes.holdWhileIdle !== undefined) {
+    updated.holdWhileIdle = changes.holdWhileIdle;
+  }
+
+  if (changes.notificationPrivacy !== undefined) {
+    updated.notificationPrivacy = changes.notificationPrivacy;
+  }
+
+  if (changes.notificationSnooze !== undefined) {
+    updated.notificationSnooze = changes.notificationSnooze;
+  }
+
+  if (changes.savedViews !== undefined) {
+    updated.savedViews = changes.savedViews.map(({ id, name, filter }) => ({
+      id,
+      name: name.trim(),
+      filter: {
+        query: filter.query.trim(),
+        status: filter.status,
+        from: filter.from,
+        to: filter.to,
+        chatType: filter.chatType,
+        tag: filter.tag,
+      },
+    }));
+  }
+
+  await storage.saveSettings(updated);
+  return updated;
+}
+
+export {
+    getDefaultSettings,
+    getSettings,
+    saveSettings,
+}
+
+const SettingsService = {
+  getDefaultSettings,
+  getSettings,
+  saveSettings,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SettingsService;
+}
@@ -4,28 +4,178 @@
  * Storage service abstraction for chrome.storage.local.
  * Provides typed access to reminders and user plan data.
  * All storage reads/writes go through this service.
+ *
+ * Reminders live in IndexedDB (reminder-db.js), one record per reminder,
+ * where it is available; otherwise in one array under chrome.storage.local's
+ * reminders key. Callers see the same API either way. Every reminder write
+ * bumps a version number, which saveReminders can check first (optimistic
+ * concurrency; see write-queue.js).
  * @module storage-service
  */
 
-import { STORAGE_KEYS, DEFAULT_PLAN } from '../lib/constants.js';
+import { STORAGE_KEYS, DEFAULT_PLAN, STORAGE_QUOTA } from '../lib/constants.js';
+import { getReminderChanges } from '../lib/reminder-changes.js';
+import * as ReminderDb from './reminder-db.js';
 
 /**
  * Retrieves all reminders from storage.
  * @returns {Promise<Array<import('../lib/constants').Reminder>>} Array of reminders, empty if none exist
  */
 async function getReminders() {
+  if (ReminderDb.isReminderDbAvailable()) {
+    return ReminderDb.getAllReminders();
+  }
   const result = await chrome.storage.local.get(STORAGE_KEYS.REMINDERS);
   return result[STORAGE_KEYS.REMINDERS] || [];
 }
 
 /**
- * Overwrites the entire reminders array in storage.
+ * Overwrites the entire reminders array in storage. In IndexedDB only the
+ * reminders that changed are written.
  * Used exclusively by the service worker (single-writer pattern).
  * @param {Array<object>} reminders - Complete array of reminders to persist
+ * @param {number} [expectedVersion] - Version the caller read; if given,
+ *   the write fails when reminders were written since
  * @returns {Promise<void>}
+ * @throws {Error} VersionConflictError, with nothing written
  */
-async function saveReminders(reminders) {
-  await chrome.storage.local.set({ [STORAGE_KEYS.REMINDERS]: reminders });
+async function saveReminders(reminders, expectedVersion) {
+  if (ReminderDb.isReminderDbAvailable()) {
+    await ReminderDb.replaceReminders(reminders, expectedVersion);
+    return;
+  }
+  const version = await getRemindersVersion();
+  if (expectedVersion !== undefined && version !== expectedVersion) {
+    const err = new Error(
+      `Reminders changed since read (version ${expectedVersion}, now ${version})`
+    );
+    err.name = 'VersionConflictError';
+    throw err;
+  }
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.REMINDERS]: reminders,
+    [STORAGE_KEYS.REMINDERS_VERSION]: version + 1,
+  });
+}
+
+/**
+ * Retrieves the reminders' version number, bumped by every reminder write.
+ * @returns {Promise<number>} 0 before the first write
+ */
+async function getRemindersVersion() {
+  if (ReminderDb.isReminderDbAvailable()) {
+    return ReminderDb.getVersion();
+  }
+  const result = await chrome.storage.local.get(STORAGE_KEYS.REMINDERS_VERSION);
+  return result[STORAGE_KEYS.REMINDERS_VERSION] || 0;
+}
+
+/**
+ * Retrieves one reminder.
+ * @param {string} id
+ * @returns {Promise<?object>} The reminder, or null if there is none
+ */
+async function getReminder(id) {
+  if (ReminderDb.isReminderDbAvailable()) {
+    return ReminderDb.getReminderById(id);
+  }
+  return (await getReminders()).find((r) => r.id === id) || null;
+}
+
+/**
+ * Retrieves the reminders with a status.
+ * @param {string} status - One of REMINDER_STATUS
+ * @returns {Promise<Array<object>>}
+ */
+async function getRemindersByStatus(status) {
+  if (ReminderDb.isReminderDbAvailable()) {
+    return ReminderDb.getRemindersByStatus(status);
+  }
+  return (await getReminders()).filter((r) => r.status === status);
+}
+
+/**
+ * Retrieves the reminders for a chat.
+ * @param {string} chatId
+ * @returns {Promise<Array<object>>}
+ */
+async function getRemindersByChatId(chatId) {
+  if (ReminderDb.isReminderDbAvailable()) {
+    return ReminderDb.getRemindersByChatId(chatId);
+  }
+  return (await getReminders()).filter((r) => r.chatId === chatId);
+}
+
+/**
+ * Retrieves the reminders scheduled at or before a time, soonest first.
+ * @param {number} time - Epoch ms
+ * @returns {Promise<Array<object>>}
+ */
+async function getRemindersDueBefore(time) {
+  if (ReminderDb.isReminderDbAvailable()) {
+    return ReminderDb.getRemindersDueBefore(time);
+  }
+  return (await getReminders())
+    .filter((r) => r.scheduledTime <= time)
+    .sort((a, b) => a.scheduledTime - b.scheduledTime);
+}
+
+/**
+ * Adds or replaces reminders, leaving the others as they are. In IndexedDB
+ * only their own records are read and written.
+ * @param {Array<object>} reminders
+ * @param {number} [expectedVersion] - As for saveReminders
+ * @returns {Promise<void>}
+ * @throws {Error} VersionConflictError, with nothing written
+ */
+async function putReminders(reminders, expectedVersion) {
+  if (ReminderDb.isReminderDbAvailable()) {
+    await ReminderDb.putReminders(reminders, expectedVersion);
+    return;
+  }
+  const ids = new Set(reminders.map((r) => r.id));
+  const kept = (await getReminders()).filter((r) => !ids.has(r.id));
+  await saveReminders([...kept, ...reminders], expectedVersion);
+}
+
+/**
+ * Deletes reminders; unknown IDs are ignored.
+ * @param {string[]} ids
+ * @param {number} [expectedVersion] - As for saveReminders
+ * @returns {Promise<void>}
+ * @throws {Error} VersionConflictError, with nothing written
+ */
+async function deleteReminders(ids, expectedVersion) {
+  if (ReminderDb.isReminderDbAvailable()) {
+    await ReminderDb.deleteReminders(ids, expectedVersion);
+    return;
+  }
+  const removed = new Set(ids);
+  await saveReminders(
+    (await getReminders()).filter((r) => !removed.has(r.id)),
+    expectedVersion
+  );
+}
+
+/**
+ * Estimates the space reminders take against the space available to them.
+ * In IndexedDB this is the browser's estimate for the extension's origin;
+ * otherwise the serialised size of the array against chrome.storage.local's
+ * quota.
+ * @returns {Promise<{ usedBytes: number, quotaBytes: number }>}
+ */
+async function estimateUsage() {
+  if (
+    ReminderDb.isReminderDbAvailable() &&
+    typeof navigator !== 'undefined' &&
+    navigator.storage &&
+    navigator.storage.estimate
+  ) {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usedBytes: usage || 0, quotaBytes: quota || STORAGE_QUOTA.MAX_BYTES };
+  }
+  const reminders = await getReminders();
+  return { usedBytes: JSON.stringify(reminders).length, quotaBytes: STORAGE_QUOTA.MAX_BYTES };
 }
 
 /**
@@ -74,6 +224,160 @@ async function clearSubscriptionStatus() {
   await chrome.storage.local.remove(STORAGE_KEYS.SUBSCRIPTION_STATUS);
 }
 
+/**
+ * Retrieves the user's settings from storage.
+ * Returns null if the user has never saved settings (defaults apply).
+ * @returns {Promise<?object>}
+ */
+async function getSettings() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SETTINGS);
+  return result[STORAGE_KEYS.SETTINGS] || null;
+}
+
+/**
+ * Saves the user's settings to storage.
+ * @param {object} settings - Complete settings object to persist
+ * @returns {Promise<void>}
+ */
+async function saveSettings(settings) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: settings });
+}
+
+/**
+ * Retrieves the reminders whose notifications are being held, each with
+ * the reason it is held (see HOLD_REASONS).
+ * @returns {Promise<Array<{ id: string, reason: string }>>} Held entries, empty if none
+ */
+async function getHeldReminders() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.HELD_REMINDERS);
+  return result[STORAGE_KEYS.HELD_REMINDERS] || [];
+}
+
+/**
+ * Overwrites the list of held reminders.
+ * @param {Array<{ id: string, reason: string }>} held
+ * @returns {Promise<void>}
+ */
+async function saveHeldReminders(held) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.HELD_REMINDERS]: held });
+}
+
+/**
+ * Retrieves deleted reminders kept in the trash, each with its deletedAt.
+ * @returns {Promise<Array<object>>} Trashed reminders, empty if none
+ */
+async function getTrash() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.TRASH);
+  return result[STORAGE_KEYS.TRASH] || [];
+}
+
+/**
+ * Overwrites the trash in storage.
+ * @param {Array<object>} reminders - Complete array of trashed reminders
+ * @returns {Promise<void>}
+ */
+async function saveTrash(reminders) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.TRASH]: reminders });
+}
+
+/**
+ * Retrieves the schema version of the stored data.
+ * @returns {Promise<?number>} The version, or null if never recorded
+ */
+async function getSchemaVersion() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SCHEMA_VERSION);
+  return result[STORAGE_KEYS.SCHEMA_VERSION] || null;
+}
+
+/**
+ * Records the schema version of the stored data.
+ * @param {number} version
+ * @returns {Promise<void>}
+ */
+async function saveSchemaVersion(version) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.SCHEMA_VERSION]: version });
+}
+
+/**
+ * Reads the data schema migrations work on, as stored: reminders, trash,
+ * user plan and subscription status.
+ * @returns {Promise<import('../lib/migrations').SchemaData>}
+ */
+async function getSchemaData() {
+  const result = await chrome.storage.local.get([
+    STORAGE_KEYS.TRASH,
+    STORAGE_KEYS.USER_PLAN,
+    STORAGE_KEYS.SUBSCRIPTION_STATUS,
+  ]);
+  return {
+    reminders: await getReminders(),
+    trash: result[STORAGE_KEYS.TRASH] || [],
+    userPlan: result[STORAGE_KEYS.USER_PLAN] || null,
+    subscriptionStatus: result[STORAGE_KEYS.SUBSCRIPTION_STATUS] || null,
+  };
+}
+
+/**
+ * Writes migrated data and its schema version. Reminders are written
+ * first and the rest, with the version, in one storage write, so the
+ * version is recorded only once all the data is. Null plan or subscription
+ * fields are removed.
+ * @param {import('../lib/migrations').SchemaData} data
+ * @param {number} version - Schema version of the data
+ * @param {number} [expectedVersion] - Reminders version the caller read;
+ *   if given, nothing is written when reminders were written since
+ * @returns {Promise<void>}
+ * @throws {Error} VersionConflictError, with nothing written
+ */
+async function saveSchemaData(data, version, expectedVersion) {
+  await saveReminders(data.reminders, expectedVersion);
+  const values = {
+    [STORAGE_KEYS.TRASH]: data.trash,
+    [STORAGE_KEYS.SCHEMA_VERSION]: version,
+  };
+  const removed = [];
+  for (const [key, value] of [
+    [STORAGE_KEYS.USER_PLAN, data.userPlan],
+    [STORAGE_KEYS.SUBSCRIPTION_STATUS, data.subscriptionStatus],
+  ]) {
+    if (value === null) {
+      removed.push(key);
+    } else {
+      values[key] = value;
+    }
+  }
+  await chrome.storage.local.set(values);
+  if (removed.length > 0) {
+    await chrome.storage.local.remove(removed);
+  }
+}
+
+/**
+ * Retrieves the snapshot taken before the last schema migration.
+ * @returns {Promise<?{ schemaVersion: number, createdAt: number, data: import('../lib/migrations').SchemaData }>}
+ */
+async function getMigrationBackup() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.MIGRATION_BACKUP);
+  return result[STORAGE_KEYS.MIGRATION_BACKUP] || null;
+}
+
+/**
+ * Saves the snapshot taken before a schema migration, replacing the last one.
+ * @param {{ schemaVersion: number, createdAt: number, data: import('../lib/migrations').SchemaData }} backup
+ * @returns {Promise<void>}
+ */
+async function saveMigrationBackup(backup) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.MIGRATION_BACKUP]: backup });
+}
+
+/**
+ * Removes the migration snapshot, once the migrated data is stored.
+ * @returns {Promise<void>}
+ */
+async function clearMigrationBackup() {
+  await chrome.storage.local.remove(STORAGE_KEYS.MIGRATION_BACKUP);
+}
+
 /**
  * Registers a listener for changes to the subscription status in storage.
  * Fires when subscription status is updated from backend sync.
@@ -91,11 +395,19 @@ function onSubscriptionStatusChanged(callback) {
 
 /**
  * Registers a listener for changes to the reminders key in storage.
- * Fires when any context modifies reminders.
+ * Fires when any context modifies reminders. Listeners that only need what
+ * changed should use onReminderChanges, which does not reread every
+ * reminder.
  * @param {(reminders: Array<object>) => void} callback - Called with the new reminders array
  * @returns {void}
  */
 function onRemindersChanged(callback) {
+  if (ReminderDb.isReminderDbAvailable()) {
+    ReminderDb.onReminderChanges(async () => {
+      callback(await getReminders());
+    });
+    return;
+  }
   chrome.storage.onChanged.addListener((changes, areaName) => {
     if (areaName === 'local' && changes[STORAGE_KEYS.REMINDERS]) {
       const newReminders = changes[STORAGE_KEYS.REMINDERS].newValue || [];
@@ -104,27 +416,92 @@ function onRemindersChanged(callback) {
   });
 }
 
+/**
+ * Registers a listener for each write's change events: one per reminder
+ * added, updated or removed (see lib/reminder-changes.js). Without
+ * IndexedDB they are worked out from the old and new reminders arrays.
+ * @param {(changes: import('../lib/reminder-changes').ReminderChange[]) => void} callback - Called once per write that changed reminders
+ * @returns {void}
+ */
+function onReminderChanges(callback) {
+  if (ReminderDb.isReminderDbAvailable()) {
+    ReminderDb.onReminderChanges(callback);
+    return;
+  }
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[STORAGE_KEYS.REMINDERS]) {
+      const change = changes[STORAGE_KEYS.REMINDERS];
+      const reminderChanges = getReminderChanges(change.oldValue || [], change.newValue || []);
+      if (reminderChanges.length > 0) callback(reminderChanges);
+    }
+  });
+}
+
 export {
     getReminders,
     saveReminders,
+    getRemindersVersion,
+    getReminder,
+    getRemindersByStatus,
+    getRemindersByChatId,
+    getRemindersDueBefore,
+    putReminders,
+    deleteReminders,
+    estimateUsage,
     getUserPlan,
     saveUserPlan,
     getSubscriptionStatus,
     saveSubscriptionStatus,
     clearSubscriptionStatus,
+    getSettings,
+    saveSettings,
+    getHeldReminders,
+    saveHeldReminders,
+    getTrash,
+    saveTrash,
+    getSchemaVersion,
+    saveSchemaVersion,
+    getSchemaData,
+    saveSchemaData,
+    getMigrationBackup,
+    saveMigrationBackup,
+    clearMigrationBackup,
     onRemindersChanged,
+    onReminderChanges,
     onSubscriptionStatusChanged,
 }
 
 const StorageService = {
   getReminders,
   saveReminders,
+  getRemindersVersion,
+  getReminder,
+  getRemindersByStatus,
+  getRemindersByChatId,
+  getRemindersDueBefore,
+  putReminders,
+  deleteReminders,
+  estimateUsage,
   getUserPlan,
   saveUserPlan,
   getSubscriptionStatus,
   saveSubscriptionStatus,
   clearSubscriptionStatus,
+  getSettings,
+  saveSettings,
+  getHeldReminders,
+  saveHeldReminders,
+  getTrash,
+  saveTrash,
+  getSchemaVersion,
+  saveSchemaVersion,
+  getSchemaData,
+  saveSchemaData,
+  getMigrationBackup,
+  saveMigrationBackup,
+  clearMigrationBackup,
   onRemindersChanged,
+  onReminderChanges,
   onSubscriptionStatusChanged,
 };
 
@@ -0,0 +1,168 @@
+// @ts-check
+
+/**
+ * Write queue: the service worker's one path for changing reminders.
+ * Reminder service calls read the reminders, change them and write them
+ * back; two such calls overlapping (a popup complete arriving while the
+ * content script creates a reminder) would each write back a list without
+ * the other's change. Mutations are therefore run one at a time, in the
+ * order they arrive, and each writes with an optimistic version check:
+ * if reminders were written since the mutation read them (by anything
+ * outside the queue), the write is refused and the mutation re-run on
+ * fresh data, up to MAX_ATTEMPTS times.
+ *
+ * A mutation must not wait on another queued mutation; it would wait
+ * behind itself forever.
+ * @module write-queue
+ */
+
+import * as StorageService from './storage-service.js';
+
+/** Attempts per mutation before a version conflict is given up on */
+const MAX_ATTEMPTS = 5;
+
+/**
+ * @typedef {object} WriteQueue
+ * @property {<T>(task: () => Promise<T>) => Promise<T>} enqueue - Runs a
+ *   task after every task queued before it has settled
+ */
+
+/**
+ * Creates a queue that runs async tasks one at a time, in order. A failed
+ * task rejects its own promise and does not hold up the rest.
+ * @returns {WriteQueue}
+ */
+function createWriteQueue() {
+  /** @type {Promise<unknown>} */
+  let tail = Promise.resolve();
+
+  return {
+    enqueue(task) {
+      const result = tail.then(() => task());
+      tail = result.catch(() => {});
+      return result;
+    },
+  };
+}
+
+/**
+ * Wraps storage so reminder writes, including schema migration writes, go
+ * through only if no other write has happened since the wrapper first
+ * read. The version is read before the reminders, so a write landing in
+ * between shows as a conflict rather than being missed.
+ * @param {typeof StorageService} storage
+ * @returns {typeof StorageService}
+ */
+function createVersionedStorage(storage) {
+  /** @type {?number} */
+  let version = null;
+
+  async function readVersion() {
+    if (version === null) version = await storage.getRemindersVersion();
+    return version;
+  }
+
+  /**
+   * Writes against the version first read, then moves it past our own
+   * write, which the next one in this mutation expects.
+   * @param {(expected: number) => Promise<void>} write
+   */
+  async function writeVersioned(write) {
+    const expected = await readVersion();
+    await write(expected);
+    version = expected + 1;
+  }
+
+  return {
+    ...storage,
+    async getReminders() {
+      await readVersion();
+      return storage.getReminders();
+    },
+    async getReminder(id) {
+      await readVersion();
+      return storage.getReminder(id);
+    },
+    async getRemindersByStatus(status) {
+      await readVersion();
+      return storage.getRemindersByStatus(status);
+    },
+    async getRemindersDueBefore(time) {
+      await readVersion();
+      return storage.getRemindersDueBefore(time);
+    },
+    async saveReminders(reminders) {
+      await writeVersioned((expected) => storage.saveReminders(reminders, expected));
+    },
+    async putReminders(reminders) {
+      await writeVersioned((expected) => storage.putReminders(reminders, expected));
+    },
+    async deleteReminders(ids) {
+      await writeVersioned((expected) => storage.deleteReminders(ids, expected));
+    },
+    async getSchemaData() {
+      await readVersion();
+      return storage.getSchemaData();
+    },
+    async saveSchemaData(data, schemaVersion) {
+      const expected = await readVersion();
+      try {
+        await storage.saveSchemaData(data, schemaVersion, expected);
+      } catch (err) {
+        // Reminders may have been written before the failure; a rollback
+        // write reads the version afresh
+        if (err.name !== 'VersionConflictError') version = null;
+        throw err;
+      }
+      version = expected + 1;
+    },
+  };
+}
+
+/** The service worker's queue */
+const defaultQueue = createWriteQueue();
+
+/**
+ * Runs a mutation in the write queue with version-checked storage,
+ * re-running it on fresh data after a version conflict.
+ * @template T
+ * @param {(storage: typeof StorageService) => Promise<T>} mutation - Reads
+ *   and writes reminders through the storage it is given
+ * @param {{ storage?: typeof StorageService, queue?: WriteQueue }} [deps] - Injectable dependencies
+ * @returns {Promise<T>} The mutation's result
+ * @throws {Error} The mutation's own error, or VersionConflictError after MAX_ATTEMPTS
+ */
+function runMutation(mutation, deps) {
+  const storage = (deps && deps.storage) || StorageService;
+  const queue = (deps && deps.queue) || defaultQueue;
+
+  return queue.enqueue(async () => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await mutation(createVersionedStorage(storage));
+      } catch (err) {
+        if (err.name !== 'VersionConflictError' || attempt >= MAX_ATTEMPTS) {
+          throw err;
+        }
+      }
+    }
+  });
+}
+
+export {
+    MAX_ATTEMPTS,
+    createWriteQueue,
+    createVersionedStorage,
+    runMutation,
+};
+
+const WriteQueue = {
+  MAX_ATTEMPTS,
+  createWriteQueue,
+  createVersionedStorage,
+  runMutation,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WriteQueue;
+}
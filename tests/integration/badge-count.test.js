@@ -9,6 +9,7 @@ const {
     BADGE_COLOR,
 } = require("../../src/lib/constants");
 const ReminderService = require("../../src/services/reminder-service");
+const { withKeyedReminders } = require("../unit/helpers/keyed-reminder-storage");
 
 describe("E2E: Badge Count Lifecycle", () => {
     let mockStorage;
@@ -33,13 +34,16 @@ describe("E2E: Badge Count Lifecycle", () => {
             .mockResolvedValue(undefined);
 
         // Mock StorageService: simulates Chrome storage with in-memory backup
-        mockStorage = {
+        mockStorage = withKeyedReminders({
             getReminders: jest.fn(() => Promise.resolve([...storedReminders])),
+            estimateUsage: jest.fn().mockResolvedValue({ usedBytes: 0, quotaBytes: 10485760 }),
             saveReminders: jest.fn((reminders) => {
                 storedReminders = [...reminders];
                 return Promise.resolve();
             }),
-        };
+            getTrash: jest.fn().mockResolvedValue([]),
+            saveTrash: jest.fn().mockResolvedValue(undefined),
+        });
     });
 
     /**
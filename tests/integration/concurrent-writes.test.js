@@ -0,0 +1,245 @@
+// @ts-check
+
+/**
+ * Concurrency acceptance test for reminder writes.
+ * Interleaves reminder messages the way the service worker receives them
+ * (popup and content script at once) against the IndexedDB-backed storage
+ * service, and checks no update is lost when they go through the write
+ * queue.
+ */
+
+const ReminderService = require('../../src/services/reminder-service');
+const StorageService = require('../../src/services/storage-service');
+const ReminderDb = require('../../src/services/reminder-db');
+const MigrationService = require('../../src/services/migration-service');
+const { MAX_ATTEMPTS, createWriteQueue, runMutation } = require('../../src/services/write-queue');
+const { REMINDER_STATUS, SCHEMA_VERSION } = require('../../src/lib/constants');
+const { createFakeIndexedDB, FakeKeyRange } = require('../unit/helpers/fake-indexeddb');
+
+describe('Concurrency: interleaved reminder writes', () => {
+  let account;
+  let queue;
+
+  /**
+   * @param {string} id
+   * @param {number} hoursAhead
+   * @returns {object}
+   */
+  function makeReminder(id, hoursAhead) {
+    return {
+      id,
+      chatId: `5511888880${hoursAhead}@c.us`,
+      chatName: `Chat ${id}`,
+      note: null,
+      scheduledTime: Date.now() + hoursAhead * 3600000,
+      createdAt: Date.now(),
+      status: REMINDER_STATUS.PENDING,
+      completedAt: null,
+      notifiedAt: null,
+      notificationCount: 0,
+      escalation: null,
+      escalationCount: 0,
+      lateByMs: null,
+      recurrence: null,
+    };
+  }
+
+  /**
+   * @param {number} n - Distinguishes the chat
+   * @returns {object}
+   */
+  function makePayload(n) {
+    return {
+      chatId: `55119999900${n}@c.us`,
+      chatName: `New ${n}`,
+      scheduledTime: Date.now() + 3600000,
+    };
+  }
+
+  /**
+   * Runs a reminder service call as the service worker does.
+   * @param {(storage: any) => Promise<any>} call
+   */
+  function queued(call) {
+    return runMutation(call, { queue });
+  }
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    /** @type {any} */ (global).indexedDB = createFakeIndexedDB();
+    /** @type {any} */ (global).IDBKeyRange = FakeKeyRange;
+    // Trash and settings stay in chrome.storage.local
+    const local = {};
+    chrome.storage.local.get.mockImplementation(async (keys) =>
+      Object.fromEntries([].concat(keys).filter((key) => key in local).map((key) => [key, local[key]]))
+    );
+    chrome.storage.local.set.mockImplementation(async (values) => {
+      Object.assign(local, JSON.parse(JSON.stringify(values)));
+    });
+    chrome.storage.local.remove.mockImplementation(async (keys) => {
+      for (const key of [].concat(keys)) delete local[key];
+    });
+    chrome.alarms.create.mockResolvedValue(undefined);
+    chrome.alarms.clear.mockResolvedValue(true);
+
+    account = {
+      enforceReminderLimit: jest.fn().mockResolvedValue({ allowed: true, error: null }),
+    };
+    queue = createWriteQueue();
+
+    await StorageService.saveReminders(
+      Array.from({ length: 10 }, (_, i) => makeReminder(`r${i}`, i + 1))
+    );
+  });
+
+  afterEach(async () => {
+    await ReminderDb.closeReminderDb();
+    delete (/** @type {any} */ (global).indexedDB);
+    delete (/** @type {any} */ (global).IDBKeyRange);
+  });
+
+  it('without the queue, two edits racing on one reminder lose one of them', async () => {
+    const newTime = Date.now() + 48 * 3600000;
+    await Promise.all([
+      ReminderService.updateReminder('r0', { note: 'edited' }),
+      ReminderService.rescheduleReminder('r0', newTime),
+    ]);
+
+    const stored = await StorageService.getReminder('r0');
+    expect(stored.note === 'edited' && stored.scheduledTime === newTime).toBe(false);
+  });
+
+  it('keeps both of two edits to one reminder that arrive together', async () => {
+    const newTime = Date.now() + 48 * 3600000;
+    await Promise.all([
+      queued((storage) => ReminderService.updateReminder('r0', { note: 'edited' }, { storage })),
+      queued((storage) => ReminderService.rescheduleReminder('r0', newTime, { storage })),
+    ]);
+
+    const stored = await StorageService.getReminder('r0');
+    expect(stored.note).toBe('edited');
+    expect(stored.scheduledTime).toBe(newTime);
+  });
+
+  it('keeps both a complete and a create that arrive together', async () => {
+    const [created] = await Promise.all([
+      queued((storage) => ReminderService.createReminder(makePayload(0), { storage, account })),
+      queued((storage) => ReminderService.completeReminder('r0', { storage })),
+    ]);
+
+    const stored = await StorageService.getReminders();
+    expect(stored.some((r) => r.id === created.id)).toBe(true);
+    expect(stored.find((r) => r.id === 'r0').status).toBe(REMINDER_STATUS.COMPLETED);
+  });
+
+  it('applies every one of many interleaved messages', async () => {
+    const newTime = Date.now() + 48 * 3600000;
+    const messages = [];
+    for (let i = 0; i < 5; i++) {
+      messages.push(
+        queued((storage) => ReminderService.createReminder(makePayload(i), { storage, account }))
+      );
+      messages.push(queued((storage) => ReminderService.completeReminder(`r${i}`, { storage })));
+      messages.push(queued((storage) => ReminderService.deleteReminder(`r${i + 5}`, { storage })));
+    }
+    messages.push(
+      queued((storage) => ReminderService.rescheduleReminders(['r0', 'r1'], newTime, { storage }))
+    );
+    const versionBefore = await StorageService.getRemindersVersion();
+
+    await Promise.all(messages);
+
+    const stored = await StorageService.getReminders();
+    const trash = await StorageService.getTrash();
+    expect(stored.filter((r) => r.chatName.startsWith('New'))).toHaveLength(5);
+    for (let i = 0; i < 5; i++) {
+      expect(stored.find((r) => r.id === `r${i}`).status).toBe(REMINDER_STATUS.COMPLETED);
+      expect(stored.find((r) => r.id === `r${i + 5}`)).toBeUndefined();
+    }
+    expect(stored).toHaveLength(10);
+    // Completed reminders are not rescheduled
+    expect(stored.find((r) => r.id === 'r0').scheduledTime).not.toBe(newTime);
+    expect(trash.map((r) => r.id).sort()).toEqual(['r5', 'r6', 'r7', 'r8', 'r9']);
+    // One write per message that changed reminders
+    expect(await StorageService.getRemindersVersion()).toBeGreaterThanOrEqual(versionBefore + 15);
+  });
+
+  it('re-runs a mutation when something outside the queue wrote meanwhile', async () => {
+    const outsider = makeReminder('outsider', 5);
+    let attempts = 0;
+
+    await queued(async (storage) => {
+      attempts++;
+      const reminders = await storage.getReminders();
+      if (attempts === 1) {
+        // e.g. a schema migration writing directly
+        await StorageService.putReminders([outsider]);
+      }
+      reminders.find((r) => r.id === 'r3').note = 'edited';
+      await storage.saveReminders(reminders);
+    });
+
+    const stored = await StorageService.getReminders();
+    expect(attempts).toBe(2);
+    expect(stored.find((r) => r.id === 'outsider')).toEqual(outsider);
+    expect(stored.find((r) => r.id === 'r3').note).toBe('edited');
+  });
+
+  it('leaves a delete that keeps conflicting live and out of the trash', async () => {
+    let attempts = 0;
+    const deletion = queued((storage) => {
+      const conflicting = {
+        ...storage,
+        async deleteReminders(ids) {
+          // Something outside the queue writes before every attempt
+          attempts++;
+          await StorageService.putReminders([makeReminder(`outsider${attempts}`, 5)]);
+          return storage.deleteReminders(ids);
+        },
+      };
+      return ReminderService.deleteReminder('r2', { storage: conflicting });
+    });
+
+    await expect(deletion).rejects.toMatchObject({ name: 'VersionConflictError' });
+    expect(attempts).toBe(MAX_ATTEMPTS);
+    expect(await StorageService.getReminder('r2')).not.toBeNull();
+    expect(await StorageService.getTrash()).toEqual([]);
+  });
+
+  it('keeps a delivery written while a migration runs, and migrates it too', async () => {
+    let runs = 0;
+    const migrations = [
+      {
+        version: SCHEMA_VERSION,
+        description: 'tag reminders',
+        migrate: (data) => {
+          runs++;
+          return { ...data, reminders: data.reminders.map((r) => ({ ...r, migrated: true })) };
+        },
+      },
+    ];
+    const storage = {
+      ...StorageService,
+      async getSchemaData() {
+        const data = await StorageService.getSchemaData();
+        if (runs === 0) {
+          // Startup delivery marking a reminder notified, outside the queue
+          const [r0] = data.reminders;
+          await StorageService.putReminders([{ ...r0, notifiedAt: 1234, notificationCount: 1 }]);
+        }
+        return data;
+      },
+    };
+
+    await runMutation((versioned) => MigrationService.runMigrations({ storage: versioned, migrations }), {
+      storage,
+      queue,
+    });
+
+    const stored = await StorageService.getReminders();
+    expect(runs).toBe(2);
+    expect(stored.find((r) => r.id === 'r0')).toMatchObject({ notifiedAt: 1234, migrated: true });
+    expect(await StorageService.getSchemaVersion()).toBe(SCHEMA_VERSION);
+    expect(await StorageService.getMigrationBackup()).toBeNull();
+  });
+});
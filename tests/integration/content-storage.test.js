@@ -7,6 +7,7 @@
 
 const ReminderService = require('../../src/services/reminder-service');
 const { REMINDER_STATUS, ALARM_PREFIX } = require('../../src/lib/constants');
+const { withKeyedReminders } = require('../unit/helpers/keyed-reminder-storage');
 
 describe('Content Script ↔ Storage Integration', () => {
   let mockStorage;
@@ -17,14 +18,15 @@ describe('Content Script ↔ Storage Integration', () => {
     chrome.alarms.create.mockResolvedValue(undefined);
     chrome.alarms.clear.mockResolvedValue(true);
 
-    mockStorage = {
+    mockStorage = withKeyedReminders({
       getReminders: jest.fn().mockResolvedValue([]),
+      estimateUsage: jest.fn().mockResolvedValue({ usedBytes: 0, quotaBytes: 10485760 }),
       saveReminders: jest.fn().mockResolvedValue(undefined),
       getUserPlan: jest.fn().mockResolvedValue({
         planType: 'free',
         activeReminderLimit: 5,
       }),
-    };
+    });
 
     mockPlan = {
       canCreateReminder: jest.fn().mockResolvedValue(true),
@@ -7,6 +7,7 @@
 
 const ReminderService = require('../../src/services/reminder-service');
 const { REMINDER_STATUS, ALARM_PREFIX } = require('../../src/lib/constants');
+const { withKeyedReminders } = require('../unit/helpers/keyed-reminder-storage');
 
 describe('E2E: Create Reminder Lifecycle', () => {
   let mockStorage;
@@ -21,17 +22,20 @@ describe('E2E: Create Reminder Lifecycle', () => {
     chrome.alarms.clear.mockResolvedValue(true);
     chrome.alarms.getAll.mockResolvedValue([]);
 
-    mockStorage = {
+    mockStorage = withKeyedReminders({
       getReminders: jest.fn(() => Promise.resolve([...storedReminders])),
+      estimateUsage: jest.fn().mockResolvedValue({ usedBytes: 0, quotaBytes: 10485760 }),
       saveReminders: jest.fn((reminders) => {
         storedReminders = [...reminders];
         return Promise.resolve();
       }),
+      getTrash: jest.fn().mockResolvedValue([]),
+      saveTrash: jest.fn().mockResolvedValue(undefined),
       getUserPlan: jest.fn().mockResolvedValue({
         planType: 'free',
         activeReminderLimit: 5,
       }),
-    };
+    });
 
     mockPlan = {
       canCreateReminder: jest.fn().mockResolvedValue(true),
@@ -10,6 +10,7 @@ const ReminderService = require('../../src/services/reminder-service');
 const ChatService = require('../../src/services/chat-service');
 const { REMINDER_STATUS, ALARM_PREFIX } = require('../../src/lib/constants');
 const { buildNavigationUrl } = require('../../src/lib/utils');
+const { withKeyedReminders } = require('../unit/helpers/keyed-reminder-storage');
 
 describe('E2E: Group Chat Reminder', () => {
   let mockStorage;
@@ -31,17 +32,20 @@ describe('E2E: Group Chat Reminder', () => {
     chrome.tabs.update.mockResolvedValue({});
     chrome.windows.update.mockResolvedValue({});
 
-    mockStorage = {
+    mockStorage = withKeyedReminders({
       getReminders: jest.fn(() => Promise.resolve([...storedReminders])),
+      estimateUsage: jest.fn().mockResolvedValue({ usedBytes: 0, quotaBytes: 10485760 }),
       saveReminders: jest.fn((reminders) => {
         storedReminders = [...reminders];
         return Promise.resolve();
       }),
+      getTrash: jest.fn().mockResolvedValue([]),
+      saveTrash: jest.fn().mockResolvedValue(undefined),
       getUserPlan: jest.fn().mockResolvedValue({
         planType: 'free',
         activeReminderLimit: 5,
       }),
-    };
+    });
 
     mockPlan = {
       canCreateReminder: jest.fn().mockResolvedValue(true),
@@ -14,6 +14,7 @@ const {
     PLAN_LIMITS,
     ALARM_PREFIX,
 } = require("../../src/lib/constants");
+const { withKeyedReminders } = require("../unit/helpers/keyed-reminder-storage");
 
 describe("E2E: Paid Plan Features", () => {
     let mockStorage;
@@ -33,8 +34,9 @@ describe("E2E: Paid Plan Features", () => {
         chrome.alarms.clear.mockResolvedValue(true);
         chrome.alarms.getAll.mockResolvedValue([]);
 
-        mockStorage = {
+        mockStorage = withKeyedReminders({
             getReminders: jest.fn(() => Promise.resolve([...storedReminders])),
+            estimateUsage: jest.fn().mockResolvedValue({ usedBytes: 0, quotaBytes: 10485760 }),
             saveReminders: jest.fn((reminders) => {
                 storedReminders = [...reminders];
                 return Promise.resolve();
@@ -44,7 +46,7 @@ describe("E2E: Paid Plan Features", () => {
                 storedPlan = { ...plan };
                 return Promise.resolve();
             }),
-        };
+        });
 
         // Mock AccountService that reads from storedPlan
         mockAccountService = {
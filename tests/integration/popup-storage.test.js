@@ -7,6 +7,7 @@
 
 const { REMINDER_STATUS, ALARM_PREFIX } = require('../../src/lib/constants');
 const ReminderService = require('../../src/services/reminder-service');
+const { withKeyedReminders } = require('../unit/helpers/keyed-reminder-storage');
 
 describe('Popup ↔ Storage Integration', () => {
   let mockStorage;
@@ -20,17 +21,20 @@ describe('Popup ↔ Storage Integration', () => {
     chrome.alarms.create.mockResolvedValue(undefined);
     chrome.alarms.clear.mockResolvedValue(true);
 
-    mockStorage = {
+    mockStorage = withKeyedReminders({
       getReminders: jest.fn(() => Promise.resolve([...storedReminders])),
+      estimateUsage: jest.fn().mockResolvedValue({ usedBytes: 0, quotaBytes: 10485760 }),
       saveReminders: jest.fn((reminders) => {
         storedReminders = [...reminders];
         return Promise.resolve();
       }),
+      getTrash: jest.fn().mockResolvedValue([]),
+      saveTrash: jest.fn().mockResolvedValue(undefined),
       getUserPlan: jest.fn().mockResolvedValue({
         planType: 'free',
         activeReminderLimit: 5,
       }),
-    };
+    });
 
     mockPlan = {
       canCreateReminder: jest.fn().mockResolvedValue(true),
@@ -7,6 +7,7 @@
 
 const { ALARM_PREFIX, REMINDER_STATUS } = require('../../src/lib/constants');
 const ReminderService = require('../../src/services/reminder-service');
+const { withKeyedReminders } = require('../unit/helpers/keyed-reminder-storage');
 
 describe('E2E: Receive Notification Lifecycle', () => {
   let mockStorage;
@@ -25,8 +26,9 @@ describe('E2E: Receive Notification Lifecycle', () => {
     chrome.tabs.query.mockResolvedValue([]);
     chrome.tabs.create.mockResolvedValue({ id: 1 });
 
-    mockStorage = {
+    mockStorage = withKeyedReminders({
       getReminders: jest.fn(() => Promise.resolve([...storedReminders])),
+      estimateUsage: jest.fn().mockResolvedValue({ usedBytes: 0, quotaBytes: 10485760 }),
       saveReminders: jest.fn((reminders) => {
         storedReminders = [...reminders];
         return Promise.resolve();
@@ -35,7 +37,7 @@ describe('E2E: Receive Notification Lifecycle', () => {
         planType: 'free',
         activeReminderLimit: 3,
       }),
-    };
+    });
 
     mockPlan = {
       canCreateReminder: jest.fn().mockResolvedValue(true),
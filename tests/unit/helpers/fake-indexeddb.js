@@ -0,0 +1,266 @@
+/**
+ * Minimal in-memory IndexedDB for unit tests (jsdom has none): databases,
+ * object stores with a keyPath, single-field indexes, key ranges, get,
+ * getAll, put, delete and count. Requests succeed in a microtask and a
+ * transaction completes once its requests have, as in browsers. Writes are
+ * applied immediately and are not rolled back by abort(), so tests should
+ * abort only before writing.
+ */
+
+class FakeKeyRange {
+  constructor(lower, upper, lowerOpen = false, upperOpen = false) {
+    this.lower = lower;
+    this.upper = upper;
+    this.lowerOpen = lowerOpen;
+    this.upperOpen = upperOpen;
+  }
+
+  includes(key) {
+    if (this.lower !== undefined && (key < this.lower || (this.lowerOpen && key === this.lower))) {
+      return false;
+    }
+    if (this.upper !== undefined && (key > this.upper || (this.upperOpen && key === this.upper))) {
+      return false;
+    }
+    return true;
+  }
+
+  static only(value) {
+    return new FakeKeyRange(value, value);
+  }
+
+  static lowerBound(lower, open = false) {
+    return new FakeKeyRange(lower, undefined, open, false);
+  }
+
+  static upperBound(upper, open = false) {
+    return new FakeKeyRange(undefined, upper, false, open);
+  }
+
+  static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+    return new FakeKeyRange(lower, upper, lowerOpen, upperOpen);
+  }
+}
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const compareKeys = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const toRange = (query) =>
+  query === undefined || query === null || query instanceof FakeKeyRange
+    ? query
+    : FakeKeyRange.only(query);
+
+class FakeRequest {
+  constructor() {
+    this.result = undefined;
+    this.error = null;
+    this.onsuccess = null;
+    this.onerror = null;
+  }
+}
+
+class FakeTransaction {
+  constructor(db, storeNames, mode) {
+    this.db = db;
+    this.storeNames = storeNames;
+    this.mode = mode;
+    this.error = null;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+    this.pending = 0;
+    // No new requests once finished; handlers fire once, when done
+    this.finished = false;
+    this.done = false;
+    queueMicrotask(() => this.maybeComplete());
+  }
+
+  objectStore(name) {
+    if (!this.storeNames.includes(name)) {
+      throw new Error(`Store ${name} is not in this transaction`);
+    }
+    return new FakeObjectStore(this, this.db.stores.get(name));
+  }
+
+  /**
+   * Runs an operation as a request; it succeeds or fails in a microtask.
+   * @param {() => any} operation
+   */
+  request(operation) {
+    if (this.finished) throw new Error('TransactionInactiveError');
+    const request = new FakeRequest();
+    this.pending++;
+    let result;
+    let error = null;
+    try {
+      result = operation();
+    } catch (err) {
+      error = err;
+    }
+    queueMicrotask(() => {
+      this.pending--;
+      if (error) {
+        request.error = error;
+        this.error = error;
+        if (request.onerror) request.onerror();
+        this.finish(this.onerror);
+        return;
+      }
+      request.result = result;
+      if (request.onsuccess) request.onsuccess();
+      queueMicrotask(() => this.maybeComplete());
+    });
+    return request;
+  }
+
+  abort() {
+    queueMicrotask(() => this.finish(this.onabort));
+    this.finished = true;
+  }
+
+  maybeComplete() {
+    if (this.pending === 0) this.finish(this.oncomplete);
+  }
+
+  finish(handler) {
+    if (this.done) return;
+    this.done = true;
+    this.finished = true;
+    if (handler) handler();
+  }
+}
+
+class FakeObjectStore {
+  constructor(tx, data) {
+    this.tx = tx;
+    this.data = data;
+  }
+
+  createIndex(name, keyPath) {
+    this.data.indexes.set(name, keyPath);
+    return new FakeIndex(this.tx, this.data, keyPath);
+  }
+
+  index(name) {
+    if (!this.data.indexes.has(name)) throw new Error(`No index ${name}`);
+    return new FakeIndex(this.tx, this.data, this.data.indexes.get(name));
+  }
+
+  get(key) {
+    return this.tx.request(() => clone(this.data.records.get(key)));
+  }
+
+  getAll(query) {
+    const range = toRange(query);
+    return this.tx.request(() =>
+      [...this.data.records.keys()]
+        .filter((key) => !range || range.includes(key))
+        .sort(compareKeys)
+        .map((key) => clone(this.data.records.get(key)))
+    );
+  }
+
+  count() {
+    return this.tx.request(() => this.data.records.size);
+  }
+
+  put(value) {
+    if (this.tx.mode !== 'readwrite') throw new Error('ReadOnlyError');
+    return this.tx.request(() => {
+      const key = value[this.data.keyPath];
+      if (key === undefined) throw new Error('DataError: no key');
+      this.data.records.set(key, clone(value));
+      return key;
+    });
+  }
+
+  delete(key) {
+    if (this.tx.mode !== 'readwrite') throw new Error('ReadOnlyError');
+    return this.tx.request(() => {
+      this.data.records.delete(key);
+    });
+  }
+}
+
+class FakeIndex {
+  constructor(tx, data, keyPath) {
+    this.tx = tx;
+    this.data = data;
+    this.keyPath = keyPath;
+  }
+
+  getAll(query) {
+    const range = toRange(query);
+    return this.tx.request(() =>
+      [...this.data.records.values()]
+        .filter((record) => record[this.keyPath] !== undefined)
+        .filter((record) => !range || range.includes(record[this.keyPath]))
+        .sort(
+          (a, b) =>
+            compareKeys(a[this.keyPath], b[this.keyPath]) ||
+            compareKeys(a[this.data.keyPath], b[this.data.keyPath])
+        )
+        .map(clone)
+    );
+  }
+}
+
+class FakeDatabase {
+  constructor(name, version) {
+    this.name = name;
+    this.version = version;
+    this.stores = new Map();
+    this.closed = false;
+    this.onversionchange = null;
+  }
+
+  get objectStoreNames() {
+    return [...this.stores.keys()];
+  }
+
+  createObjectStore(name, options) {
+    const data = { keyPath: options.keyPath, records: new Map(), indexes: new Map() };
+    this.stores.set(name, data);
+    return new FakeObjectStore(new FakeTransaction(this, [name], 'readwrite'), data);
+  }
+
+  transaction(storeNames, mode = 'readonly') {
+    if (this.closed) throw new Error('InvalidStateError: database closed');
+    return new FakeTransaction(this, [].concat(storeNames), mode);
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+/**
+ * Creates an empty IndexedDB factory. Databases persist across open()
+ * calls on the same factory, so a reopened database keeps its records.
+ */
+function createFakeIndexedDB() {
+  const databases = new Map();
+  return {
+    databases,
+    open(name, version = 1) {
+      const request = new FakeRequest();
+      request.onupgradeneeded = null;
+      queueMicrotask(() => {
+        const existing = databases.get(name);
+        const db = new FakeDatabase(name, version);
+        if (existing) db.stores = existing.stores;
+        databases.set(name, db);
+        if ((!existing || existing.version < version) && request.onupgradeneeded) {
+          request.result = db;
+          request.onupgradeneeded();
+        }
+        request.result = db;
+        if (request.onsuccess) request.onsuccess();
+      });
+      return request;
+    },
+  };
+}
+
+module.exports = { createFakeIndexedDB, FakeKeyRange };
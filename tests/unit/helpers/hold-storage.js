@@ -0,0 +1,24 @@
+/**
+ * Storage mock for the hold services: keeps the held list in `storage.held`
+ * so tests can seed it and assert on it directly.
+ */
+
+/**
+ * @param {{ settings?: object, reminders?: Array<object>, held?: Array<{ id: string, reason: string }> }} [options]
+ * @returns {any}
+ */
+function createHoldStorage({ settings = {}, reminders = [], held = [] } = {}) {
+  const storage = {
+    held,
+    getSettings: jest.fn().mockResolvedValue(settings),
+    getReminders: jest.fn().mockResolvedValue(reminders),
+    getHeldReminders: jest.fn(() => Promise.resolve([...storage.held])),
+    saveHeldReminders: jest.fn((entries) => {
+      storage.held = entries;
+      return Promise.resolve();
+    }),
+  };
+  return storage;
+}
+
+module.exports = { createHoldStorage };
@@ -0,0 +1,44 @@
+/**
+ * Gives a test storage mock that keeps reminders as one array (getReminders
+ * and saveReminders) the keyed reads and writes of StorageService, built on
+ * that array as StorageService does without IndexedDB. Every keyed write is
+ * one saveReminders call with the whole array, in stored order, so tests can
+ * keep asserting on saveReminders.
+ */
+
+/**
+ * Adds getReminder, getRemindersByStatus, getRemindersDueBefore,
+ * putReminders and deleteReminders to a storage mock, as jest.fn()s.
+ * @param {object} storage - Mock with getReminders and saveReminders
+ * @returns {object} The same mock
+ */
+function withKeyedReminders(storage) {
+  return Object.assign(storage, {
+    getReminder: jest.fn(
+      async (id) => (await storage.getReminders()).find((r) => r.id === id) || null
+    ),
+    getRemindersByStatus: jest.fn(
+      async (status) => (await storage.getReminders()).filter((r) => r.status === status)
+    ),
+    getRemindersDueBefore: jest.fn(async (time) =>
+      (await storage.getReminders())
+        .filter((r) => r.scheduledTime <= time)
+        .sort((a, b) => a.scheduledTime - b.scheduledTime)
+    ),
+    putReminders: jest.fn(async (reminders) => {
+      const current = await storage.getReminders();
+      const byId = new Map(reminders.map((r) => [r.id, r]));
+      const stored = new Set(current.map((r) => r.id));
+      await storage.saveReminders([
+        ...current.map((r) => byId.get(r.id) || r),
+        ...reminders.filter((r) => !stored.has(r.id)),
+      ]);
+    }),
+    deleteReminders: jest.fn(async (ids) => {
+      const current = await storage.getReminders();
+      await storage.saveReminders(current.filter((r) => !ids.includes(r.id)));
+    }),
+  });
+}
+
+module.exports = { withKeyedReminders };
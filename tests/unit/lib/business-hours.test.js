@@ -0,0 +1,94 @@
+// @ts-check
+
+const {
+  DEFAULT_BUSINESS_HOURS,
+  INDONESIAN_HOLIDAYS,
+  toDateKey,
+  isBusinessDay,
+  isWithinBusinessHours,
+  getNextBusinessDay,
+  getNextBusinessSlot,
+} = require('../../../src/lib/business-hours');
+
+describe('business-hours', () => {
+  const config = {
+    ...DEFAULT_BUSINESS_HOURS,
+    enabled: true,
+    holidays: [{ date: '2026-03-16', name: 'Day off' }],
+  };
+
+  it('ships Indonesian holidays sorted by date', () => {
+    const dates = INDONESIAN_HOLIDAYS.map((holiday) => holiday.date);
+    expect(dates).toEqual([...dates].sort());
+    expect(dates).toContain('2026-08-17');
+  });
+
+  describe('toDateKey', () => {
+    it('formats local dates with zero padding', () => {
+      expect(toDateKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+    });
+  });
+
+  describe('isBusinessDay', () => {
+    it('accepts working days', () => {
+      expect(isBusinessDay(new Date(2026, 2, 13), config)).toBe(true); // Friday
+    });
+
+    it('rejects weekends and holidays', () => {
+      expect(isBusinessDay(new Date(2026, 2, 14), config)).toBe(false); // Saturday
+      expect(isBusinessDay(new Date(2026, 2, 16), config)).toBe(false); // Holiday Monday
+    });
+  });
+
+  describe('isWithinBusinessHours', () => {
+    it('includes opening time and excludes closing time', () => {
+      expect(isWithinBusinessHours(new Date(2026, 2, 13, 9, 0).getTime(), config)).toBe(true);
+      expect(isWithinBusinessHours(new Date(2026, 2, 13, 16, 59).getTime(), config)).toBe(true);
+      expect(isWithinBusinessHours(new Date(2026, 2, 13, 17, 0).getTime(), config)).toBe(false);
+      expect(isWithinBusinessHours(new Date(2026, 2, 13, 8, 59).getTime(), config)).toBe(false);
+    });
+
+    it('excludes days off', () => {
+      expect(isWithinBusinessHours(new Date(2026, 2, 14, 11, 0).getTime(), config)).toBe(false);
+    });
+  });
+
+  describe('getNextBusinessDay', () => {
+    it('skips the weekend and holidays', () => {
+      const friday = new Date(2026, 2, 13, 10, 0).getTime();
+      expect(getNextBusinessDay(friday, config)).toBe(new Date(2026, 2, 17, 9, 0).getTime());
+    });
+
+    it('uses the given time of day', () => {
+      const tuesday = new Date(2026, 2, 10, 10, 0).getTime();
+      expect(getNextBusinessDay(tuesday, config, { hour: 14, minute: 30 }))
+        .toBe(new Date(2026, 2, 11, 14, 30).getTime());
+    });
+
+    it('returns null when there are no working days', () => {
+      expect(getNextBusinessDay(Date.now(), { ...config, workingDays: [] })).toBeNull();
+    });
+  });
+
+  describe('getNextBusinessSlot', () => {
+    it('keeps a time that is already inside business hours', () => {
+      const time = new Date(2026, 2, 10, 11, 15).getTime();
+      expect(getNextBusinessSlot(time, config)).toBe(time);
+    });
+
+    it('moves an early time to opening on the same day', () => {
+      const time = new Date(2026, 2, 10, 6, 0).getTime();
+      expect(getNextBusinessSlot(time, config)).toBe(new Date(2026, 2, 10, 9, 0).getTime());
+    });
+
+    it('moves a late time to the next business day', () => {
+      const time = new Date(2026, 2, 10, 19, 0).getTime();
+      expect(getNextBusinessSlot(time, config)).toBe(new Date(2026, 2, 11, 9, 0).getTime());
+    });
+
+    it('moves a weekend time past the weekend and holiday', () => {
+      const time = new Date(2026, 2, 14, 11, 0).getTime();
+      expect(getNextBusinessSlot(time, config)).toBe(new Date(2026, 2, 17, 9, 0).getTime());
+    });
+  });
+});
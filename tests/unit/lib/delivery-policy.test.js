@@ -0,0 +1,112 @@
+// @ts-check
+
+const { isNotified, getDueDeliveries, getDueBatch, getLateness } = require('../../../src/lib/delivery-policy');
+const { REMINDER_STATUS } = require('../../../src/lib/constants');
+
+describe('delivery-policy', () => {
+  const now = new Date(2026, 2, 10, 12, 0).getTime();
+  const MINUTE = 60 * 1000;
+
+  /**
+   * @param {string} id
+   * @param {object} [overrides]
+   */
+  function makeReminder(id, overrides = {}) {
+    return {
+      id,
+      status: REMINDER_STATUS.PENDING,
+      scheduledTime: now - 10 * MINUTE,
+      notifiedAt: null,
+      notificationCount: 0,
+      ...overrides,
+    };
+  }
+
+  describe('isNotified', () => {
+    it('is true once notifiedAt is set', () => {
+      expect(isNotified(makeReminder('a'))).toBe(false);
+      expect(isNotified({})).toBe(false);
+      expect(isNotified(makeReminder('a', { notifiedAt: now }))).toBe(true);
+    });
+  });
+
+  describe('getDueDeliveries', () => {
+    it('treats due reminders that were never notified as missed, soonest first', () => {
+      const reminders = [
+        makeReminder('late', { scheduledTime: now - MINUTE }),
+        makeReminder('early', { scheduledTime: now - 60 * MINUTE }),
+        makeReminder('future', { scheduledTime: now + MINUTE }),
+        makeReminder('done', { status: REMINDER_STATUS.COMPLETED }),
+      ];
+
+      const { missed, renotify } = getDueDeliveries(reminders, now);
+
+      expect(missed.map((r) => r.id)).toEqual(['early', 'late']);
+      expect(renotify).toEqual([]);
+    });
+
+    it('never repeats a notified reminder when re-notify is off', () => {
+      const reminders = [makeReminder('a', { notifiedAt: now - 24 * 60 * MINUTE })];
+
+      expect(getDueDeliveries(reminders, now, 0)).toEqual({ missed: [], renotify: [] });
+    });
+
+    it('repeats a notified reminder once the interval has elapsed', () => {
+      const reminders = [
+        makeReminder('due', { notifiedAt: now - 60 * MINUTE }),
+        makeReminder('recent', { notifiedAt: now - 59 * MINUTE }),
+      ];
+
+      const { missed, renotify } = getDueDeliveries(reminders, now, 60);
+
+      expect(missed).toEqual([]);
+      expect(renotify.map((r) => r.id)).toEqual(['due']);
+    });
+  });
+
+  describe('getDueBatch', () => {
+    it('groups pending, unnotified reminders due within the window, soonest first', () => {
+      const reminders = [
+        makeReminder('b', { scheduledTime: now + 30 * 1000 }),
+        makeReminder('a', { scheduledTime: now }),
+        makeReminder('c', { scheduledTime: now - MINUTE }),
+        makeReminder('later', { scheduledTime: now + 2 * MINUTE }),
+        makeReminder('earlier', { scheduledTime: now - 2 * MINUTE }),
+      ];
+
+      expect(getDueBatch(reminders, now).map((r) => r.id)).toEqual(['c', 'a', 'b']);
+    });
+
+    it('leaves out reminders already notified or no longer pending', () => {
+      const reminders = [
+        makeReminder('a', { scheduledTime: now }),
+        makeReminder('notified', { scheduledTime: now, notifiedAt: now }),
+        makeReminder('done', { scheduledTime: now, status: REMINDER_STATUS.COMPLETED }),
+      ];
+
+      expect(getDueBatch(reminders, now).map((r) => r.id)).toEqual(['a']);
+    });
+
+    it('accepts a custom window', () => {
+      const reminders = [
+        makeReminder('a', { scheduledTime: now }),
+        makeReminder('b', { scheduledTime: now + 5 * MINUTE }),
+      ];
+
+      expect(getDueBatch(reminders, now, 5 * MINUTE)).toHaveLength(2);
+      expect(getDueBatch(reminders, now, 0)).toHaveLength(1);
+    });
+  });
+
+  describe('getLateness', () => {
+    it('returns how late a delivery is once past the threshold', () => {
+      expect(getLateness(now - 3 * 60 * MINUTE, now)).toBe(3 * 60 * MINUTE);
+      expect(getLateness(now - 5 * MINUTE, now)).toBe(5 * MINUTE);
+    });
+
+    it('treats small alarm delays and early deliveries as on time', () => {
+      expect(getLateness(now - MINUTE, now)).toBe(0);
+      expect(getLateness(now + MINUTE, now)).toBe(0);
+    });
+  });
+});
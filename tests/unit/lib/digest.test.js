@@ -0,0 +1,88 @@
+// @ts-check
+
+const {
+  DEFAULT_DIGEST,
+  getEndOfDay,
+  getNextDigestTime,
+  isDueToday,
+  buildDigestSummary,
+} = require('../../../src/lib/digest');
+const { REMINDER_STATUS } = require('../../../src/lib/constants');
+
+describe('digest', () => {
+  const now = new Date(2026, 2, 10, 8, 30).getTime();
+
+  /**
+   * @param {string} chatName
+   * @param {Date} at
+   * @param {string} [status]
+   */
+  function makeReminder(chatName, at, status = REMINDER_STATUS.PENDING) {
+    return { chatName, scheduledTime: at.getTime(), status };
+  }
+
+  describe('getEndOfDay', () => {
+    it('returns the next local midnight', () => {
+      expect(getEndOfDay(now)).toBe(new Date(2026, 2, 11, 0, 0).getTime());
+    });
+  });
+
+  describe('getNextDigestTime', () => {
+    it('returns today at the configured time while it is still ahead', () => {
+      const early = new Date(2026, 2, 10, 6, 0).getTime();
+      expect(getNextDigestTime(early, DEFAULT_DIGEST.time)).toBe(now);
+    });
+
+    it('returns tomorrow once the time has passed', () => {
+      expect(getNextDigestTime(now, DEFAULT_DIGEST.time)).toBe(new Date(2026, 2, 11, 8, 30).getTime());
+      const late = new Date(2026, 2, 10, 21, 0).getTime();
+      expect(getNextDigestTime(late, { hour: 7, minute: 0 })).toBe(new Date(2026, 2, 11, 7, 0).getTime());
+    });
+  });
+
+  describe('isDueToday', () => {
+    it('includes pending reminders due before midnight, overdue ones too', () => {
+      expect(isDueToday(makeReminder('A', new Date(2026, 2, 9, 17, 0)), now)).toBe(true);
+      expect(isDueToday(makeReminder('A', new Date(2026, 2, 10, 23, 59)), now)).toBe(true);
+    });
+
+    it('excludes later days and completed reminders', () => {
+      expect(isDueToday(makeReminder('A', new Date(2026, 2, 11, 0, 0)), now)).toBe(false);
+      expect(isDueToday(makeReminder('A', new Date(2026, 2, 10, 10, 0), REMINDER_STATUS.COMPLETED), now)).toBe(false);
+    });
+  });
+
+  describe('buildDigestSummary', () => {
+    it('counts due and overdue reminders and names the most urgent contacts', () => {
+      const summary = buildDigestSummary(
+        [
+          makeReminder('Dewi', new Date(2026, 2, 10, 15, 0)),
+          makeReminder('Budi', new Date(2026, 2, 9, 17, 0)),
+          makeReminder('Siti', new Date(2026, 2, 10, 9, 0)),
+          makeReminder('Andi', new Date(2026, 2, 10, 11, 0)),
+          makeReminder('Eko', new Date(2026, 2, 11, 9, 0)),
+          makeReminder('Rina', new Date(2026, 2, 10, 8, 0), REMINDER_STATUS.COMPLETED),
+        ],
+        now
+      );
+
+      expect(summary).toEqual({ dueToday: 3, overdue: 1, names: ['Budi', 'Siti', 'Andi'], moreNames: 1 });
+    });
+
+    it('names each contact once', () => {
+      const summary = buildDigestSummary(
+        [
+          makeReminder('Budi', new Date(2026, 2, 10, 9, 0)),
+          makeReminder('Budi', new Date(2026, 2, 10, 16, 0)),
+        ],
+        now
+      );
+
+      expect(summary).toEqual({ dueToday: 2, overdue: 0, names: ['Budi'], moreNames: 0 });
+    });
+
+    it('returns zero counts when nothing is due today', () => {
+      expect(buildDigestSummary([], now)).toEqual({ dueToday: 0, overdue: 0, names: [], moreNames: 0 });
+    });
+  });
+});
@@ -0,0 +1,53 @@
+// @ts-check
+
+const {
+  DEFAULT_ESCALATION,
+  resolveEscalationPolicy,
+  getNextEscalationDelay,
+  getEscalationPriority,
+} = require('../../../src/lib/escalation');
+const { ESCALATION } = require('../../../src/lib/constants');
+
+describe('escalation', () => {
+  const HOUR = 60 * 60 * 1000;
+  const policy = { enabled: true, intervals: [60, 240, 1440] };
+
+  describe('resolveEscalationPolicy', () => {
+    it('prefers the reminder\'s own policy over the global one', () => {
+      const own = { enabled: false, intervals: [30] };
+      expect(resolveEscalationPolicy({ escalation: own }, policy)).toBe(own);
+    });
+
+    it('falls back to the global policy, then the default', () => {
+      expect(resolveEscalationPolicy({ escalation: null }, policy)).toBe(policy);
+      expect(resolveEscalationPolicy({})).toBe(DEFAULT_ESCALATION);
+    });
+  });
+
+  describe('getNextEscalationDelay', () => {
+    it('walks through the steps and repeats the last one', () => {
+      expect(getNextEscalationDelay(policy, 0)).toBe(HOUR);
+      expect(getNextEscalationDelay(policy, 1)).toBe(4 * HOUR);
+      expect(getNextEscalationDelay(policy, 2)).toBe(24 * HOUR);
+      expect(getNextEscalationDelay(policy, 7)).toBe(24 * HOUR);
+    });
+
+    it('returns null when escalation is off or the limit is reached', () => {
+      expect(getNextEscalationDelay(DEFAULT_ESCALATION, 0)).toBeNull();
+      expect(getNextEscalationDelay(policy, ESCALATION.MAX_ESCALATIONS)).toBeNull();
+    });
+  });
+
+  describe('getEscalationPriority', () => {
+    it('rises with each escalation up to the maximum', () => {
+      expect(getEscalationPriority(policy, 0)).toBe(0);
+      expect(getEscalationPriority(policy, 1)).toBe(1);
+      expect(getEscalationPriority(policy, 2)).toBe(2);
+      expect(getEscalationPriority(policy, 5)).toBe(2);
+    });
+
+    it('keeps the highest priority when escalation is off', () => {
+      expect(getEscalationPriority(DEFAULT_ESCALATION, 0)).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+// @ts-check
+
+const {
+  INITIAL_SCHEMA_VERSION,
+  MIGRATIONS,
+  addReminderDefaults,
+  addPlanLimit,
+  addSubscriptionAliases,
+  getPendingMigrations,
+} = require('../../../src/lib/migrations');
+const { SCHEMA_VERSION, PLAN_LIMITS } = require('../../../src/lib/constants');
+
+describe('migrations', () => {
+  const v1Reminder = {
+    id: 'r1',
+    chatId: '6281234567890@c.us',
+    chatName: 'Budi',
+    scheduledTime: 1000,
+    createdAt: 500,
+    status: 'pending',
+    completedAt: null,
+  };
+
+  describe('MIGRATIONS', () => {
+    it('has one step per version up to SCHEMA_VERSION, in order', () => {
+      expect(MIGRATIONS.map((step) => step.version)).toEqual(
+        Array.from({ length: SCHEMA_VERSION - INITIAL_SCHEMA_VERSION }, (_, i) => INITIAL_SCHEMA_VERSION + 1 + i)
+      );
+    });
+  });
+
+  describe('getPendingMigrations', () => {
+    const steps = [{ version: 3 }, { version: 2 }, { version: 4 }].map((step) => ({
+      ...step,
+      description: '',
+      migrate: (data) => data,
+    }));
+
+    it('returns the steps after the stored version, in order', () => {
+      expect(getPendingMigrations(2, 4, steps).map((step) => step.version)).toEqual([3, 4]);
+      expect(getPendingMigrations(1, 3, steps).map((step) => step.version)).toEqual([2, 3]);
+    });
+
+    it('returns nothing when up to date', () => {
+      expect(getPendingMigrations(4, 4, steps)).toEqual([]);
+    });
+  });
+
+  describe('version 2', () => {
+    const step = MIGRATIONS.find((m) => m.version === 2);
+
+    describe('addReminderDefaults', () => {
+      it('fills in the reminder fields added since version 1', () => {
+        expect(addReminderDefaults(v1Reminder)).toEqual({
+          ...v1Reminder,
+          note: null,
+          notifiedAt: null,
+          notificationCount: 0,
+          escalation: null,
+          escalationCount: 0,
+          lateByMs: null,
+          recurrence: null,
+        });
+      });
+
+      it('keeps fields that are already set', () => {
+        const reminder = { ...v1Reminder, note: 'Invoice', notificationCount: 2 };
+
+        expect(addReminderDefaults(reminder)).toMatchObject({ note: 'Invoice', notificationCount: 2 });
+      });
+    });
+
+    describe('addPlanLimit', () => {
+      it('fills in the limit from the plan type', () => {
+        expect(addPlanLimit({ planType: 'free' })).toEqual({
+          planType: 'free',
+          activeReminderLimit: PLAN_LIMITS.FREE_ACTIVE_REMINDER_LIMIT,
+        });
+        expect(addPlanLimit({ planType: 'premium' })).toEqual({
+          planType: 'premium',
+          activeReminderLimit: PLAN_LIMITS.PAID_ACTIVE_REMINDER_LIMIT,
+        });
+      });
+
+      it('treats a plan without a type as free', () => {
+        expect(addPlanLimit({})).toEqual({
+          planType: 'free',
+          activeReminderLimit: PLAN_LIMITS.FREE_ACTIVE_REMINDER_LIMIT,
+        });
+      });
+
+      it('keeps a stored limit and a missing plan', () => {
+        expect(addPlanLimit({ planType: 'free', activeReminderLimit: 10 })).toEqual({
+          planType: 'free',
+          activeReminderLimit: 10,
+        });
+        expect(addPlanLimit(null)).toBeNull();
+      });
+    });
+
+    describe('addSubscriptionAliases', () => {
+      it('adds the snake_case names of camelCase fields', () => {
+        expect(addSubscriptionAliases({ planType: 'premium', status: 'active', nextBillingDate: '2026-04-01' })).toEqual({
+          planType: 'premium',
+          plan_type: 'premium',
+          status: 'active',
+          nextBillingDate: '2026-04-01',
+          next_billing_date: '2026-04-01',
+        });
+      });
+
+      it('adds the camelCase names of snake_case fields', () => {
+        expect(addSubscriptionAliases({ plan_type: 'premium', trial_end_date: '2026-03-24' })).toEqual({
+          plan_type: 'premium',
+          planType: 'premium',
+          trial_end_date: '2026-03-24',
+          trialEndDate: '2026-03-24',
+        });
+      });
+
+      it('keeps both names when both are set', () => {
+        const status = { planType: 'premium', plan_type: 'free' };
+
+        expect(addSubscriptionAliases(status)).toEqual(status);
+      });
+
+      it('drops a record that is not an object', () => {
+        expect(addSubscriptionAliases(null)).toBeNull();
+        // @ts-ignore - testing corrupted data
+        expect(addSubscriptionAliases('premium')).toBeNull();
+      });
+    });
+
+    it('migrates reminders, trash, plan and subscription together', () => {
+      const data = {
+        reminders: [v1Reminder],
+        trash: [{ ...v1Reminder, id: 'r2', deletedAt: 900 }],
+        userPlan: { planType: 'free' },
+        subscriptionStatus: { plan_type: 'free', status: 'active' },
+      };
+
+      const migrated = step.migrate(data);
+
+      expect(migrated.reminders[0].notificationCount).toBe(0);
+      expect(migrated.trash[0]).toMatchObject({ deletedAt: 900, escalationCount: 0 });
+      expect(migrated.userPlan.activeReminderLimit).toBe(PLAN_LIMITS.FREE_ACTIVE_REMINDER_LIMIT);
+      expect(migrated.subscriptionStatus.planType).toBe('free');
+    });
+
+    it('is idempotent and leaves its input unchanged', () => {
+      const data = {
+        reminders: [v1Reminder],
+        trash: [],
+        userPlan: { planType: 'premium' },
+        subscriptionStatus: null,
+      };
+      const copy = JSON.parse(JSON.stringify(data));
+
+      const once = step.migrate(data);
+
+      expect(step.migrate(once)).toEqual(once);
+      expect(data).toEqual(copy);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+// @ts-check
+
+const { calculatePresets, resolvePresetTime, describePreset } = require('../../../src/lib/presets');
+const { DEFAULT_BUSINESS_HOURS } = require('../../../src/lib/business-hours');
+
+describe('presets', () => {
+  describe('calculatePresets', () => {
+    it('returns the default presets in order', () => {
+      const now = new Date(2026, 2, 10, 14, 30).getTime();
+      const presets = calculatePresets(now);
+
+      expect(presets.map((p) => p.id)).toEqual(['one-hour', 'tonight', 'tomorrow', 'next-business-day']);
+      expect(presets.every((p) => p.messageKey && p.label)).toBe(true);
+    });
+
+    it('resolves each preset relative to now', () => {
+      const now = new Date(2026, 2, 10, 14, 30).getTime();
+      const [oneHour, tonight, tomorrow] = calculatePresets(now);
+
+      expect(oneHour.time).toBe(now + 60 * 60 * 1000);
+      expect(tonight.time).toBe(new Date(2026, 2, 10, 20, 0).getTime());
+      expect(tomorrow.time).toBe(new Date(2026, 2, 11, 9, 0).getTime());
+    });
+
+    it('moves "tonight" to the next day once 8 PM has passed', () => {
+      const now = new Date(2026, 2, 10, 21, 0).getTime();
+      const tonight = calculatePresets(now)[1];
+
+      expect(tonight.time).toBe(new Date(2026, 2, 11, 20, 0).getTime());
+    });
+  
+    it('resolves user-configured presets in the given order', () => {
+      const now = new Date(2026, 2, 10, 14, 30).getTime();
+      const presets = calculatePresets(now, [
+        { id: 'close', label: 'At closing', type: 'timeOfDay', hour: 17, minute: 0, dayOffset: 0 },
+        { id: 'half', label: 'Half hour', type: 'relative', minutes: 30 },
+      ]);
+
+      expect(presets).toEqual([
+        {
+          id: 'close',
+          messageKey: undefined,
+          label: 'At closing',
+          time: new Date(2026, 2, 10, 17, 0).getTime(),
+          shifted: false,
+        },
+        { id: 'half', messageKey: undefined, label: 'Half hour', time: now + 30 * 60 * 1000, shifted: false },
+      ]);
+    });
+
+    it('returns no presets for an empty list', () => {
+      expect(calculatePresets(Date.now(), [])).toEqual([]);
+    });
+
+    it('shifts presets into business hours when they are enabled', () => {
+      const now = new Date(2026, 2, 13, 16, 30).getTime(); // Fri Mar 13 2026
+      const businessHours = { ...DEFAULT_BUSINESS_HOURS, enabled: true, holidays: [] };
+      const [oneHour, tonight] = calculatePresets(now, undefined, businessHours);
+
+      expect(oneHour.time).toBe(new Date(2026, 2, 16, 9, 0).getTime()); // Mon 9 AM
+      expect(oneHour.shifted).toBe(true);
+      expect(tonight.time).toBe(new Date(2026, 2, 16, 9, 0).getTime());
+    });
+
+    it('leaves presets alone while business hours are disabled', () => {
+      const now = new Date(2026, 2, 13, 16, 30).getTime();
+      const [oneHour] = calculatePresets(now);
+
+      expect(oneHour.time).toBe(now + 60 * 60 * 1000);
+      expect(oneHour.shifted).toBe(false);
+    });
+  });
+
+  describe('resolvePresetTime', () => {
+    const now = new Date(2026, 2, 10, 14, 30).getTime(); // Tue Mar 10 2026
+
+    it('resolves a time of day several days ahead without rolling over', () => {
+      const preset = { id: 'p', label: 'p', type: 'timeOfDay', hour: 9, minute: 15, dayOffset: 2 };
+      expect(resolvePresetTime(preset, now)).toBe(new Date(2026, 2, 12, 9, 15).getTime());
+    });
+
+    it('resolves the next given weekday', () => {
+      const preset = { id: 'p', label: 'p', type: 'weekday', weekday: 1, hour: 9, minute: 0 };
+      expect(resolvePresetTime(preset, now)).toBe(new Date(2026, 2, 16, 9, 0).getTime());
+    });
+
+    it('uses today for the same weekday while the time is still ahead', () => {
+      const later = { id: 'p', label: 'p', type: 'weekday', weekday: 2, hour: 17, minute: 0 };
+      const earlier = { ...later, hour: 9 };
+
+      expect(resolvePresetTime(later, now)).toBe(new Date(2026, 2, 10, 17, 0).getTime());
+      expect(resolvePresetTime(earlier, now)).toBe(new Date(2026, 2, 17, 9, 0).getTime());
+    });
+  });
+
+  it('resolves the next business day, skipping weekends and holidays', () => {
+    const friday = new Date(2026, 2, 13, 10, 0).getTime();
+    const preset = { id: 'p', label: 'p', type: 'businessDay', hour: 9, minute: 30 };
+    const businessHours = { ...DEFAULT_BUSINESS_HOURS, holidays: [{ date: '2026-03-16', name: 'Day off' }] };
+
+    expect(resolvePresetTime(preset, friday, businessHours)).toBe(new Date(2026, 2, 17, 9, 30).getTime());
+  });
+
+  describe('describePreset', () => {
+    it('describes relative presets in the largest whole unit', () => {
+      expect(describePreset({ id: 'p', label: '', type: 'relative', minutes: 90 })).toBe('In 90 minutes');
+      expect(describePreset({ id: 'p', label: '', type: 'relative', minutes: 120 })).toBe('In 2 hours');
+      expect(describePreset({ id: 'p', label: '', type: 'relative', minutes: 1440 })).toBe('In 1 day');
+    });
+
+    it('describes time-of-day and weekday presets', () => {
+      expect(describePreset({ id: 'p', label: '', type: 'timeOfDay', hour: 17, minute: 0, dayOffset: 0 }))
+        .toBe('Today at 5 PM');
+      expect(describePreset({ id: 'p', label: '', type: 'timeOfDay', hour: 9, minute: 30, dayOffset: 1 }))
+        .toBe('Tomorrow at 9:30 AM');
+      expect(describePreset({ id: 'p', label: '', type: 'timeOfDay', hour: 0, minute: 0, dayOffset: 3 }))
+        .toBe('In 3 days at 12 AM');
+      expect(describePreset({ id: 'p', label: '', type: 'weekday', weekday: 1, hour: 12, minute: 0 }))
+        .toBe('Next Monday at 12 PM');
+      expect(describePreset({ id: 'p', label: '', type: 'businessDay', hour: 9, minute: 0 }))
+        .toBe('Next business day at 9 AM');
+    });
+  });
+});
@@ -0,0 +1,55 @@
+// @ts-check
+
+const {
+  DEFAULT_PRIVACY_MODE,
+  isPhoneNumber,
+  maskName,
+  getDisplayName,
+} = require('../../../src/lib/privacy');
+const { PRIVACY_MODES } = require('../../../src/lib/constants');
+
+describe('privacy', () => {
+  describe('isPhoneNumber', () => {
+    it('recognises formatted phone numbers', () => {
+      expect(isPhoneNumber('+62 812-3456-7890')).toBe(true);
+      expect(isPhoneNumber('(021) 555 0199')).toBe(true);
+    });
+
+    it('does not treat names or short codes as phone numbers', () => {
+      expect(isPhoneNumber('Budi Santoso')).toBe(false);
+      expect(isPhoneNumber('Toko 88')).toBe(false);
+      expect(isPhoneNumber('12345')).toBe(false);
+    });
+  });
+
+  describe('maskName', () => {
+    it('keeps the first character of each word', () => {
+      expect(maskName('Budi Santoso')).toBe('B••• S••••••');
+      expect(maskName('Siti')).toBe('S•••');
+    });
+
+    it('keeps only the last four digits of a phone number', () => {
+      expect(maskName('+62 812-3456-7890')).toBe('+•• •••-••••-7890');
+    });
+
+    it('masks by character, not by UTF-16 unit', () => {
+      expect(maskName('😀Andi')).toBe('😀••••');
+    });
+
+    it('keeps the spacing between words', () => {
+      expect(maskName('PT  Maju')).toBe('P•  M•••');
+    });
+  });
+
+  describe('getDisplayName', () => {
+    it('shows the name as saved by default', () => {
+      expect(DEFAULT_PRIVACY_MODE).toBe(PRIVACY_MODES.FULL);
+      expect(getDisplayName('Budi Santoso')).toBe('Budi Santoso');
+    });
+
+    it('masks or hides the name per mode', () => {
+      expect(getDisplayName('Budi Santoso', PRIVACY_MODES.MASKED)).toBe('B••• S••••••');
+      expect(getDisplayName('Budi Santoso', PRIVACY_MODES.HIDDEN)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,48 @@
+// @ts-check
+
+const {
+  DEFAULT_QUIET_HOURS,
+  isWithinQuietHours,
+  getQuietHoursEnd,
+} = require('../../../src/lib/quiet-hours');
+
+describe('quiet-hours', () => {
+  const overnight = { ...DEFAULT_QUIET_HOURS, enabled: true }; // 22:00–07:00
+  const afternoon = { enabled: true, start: { hour: 13, minute: 0 }, end: { hour: 14, minute: 30 } };
+
+  describe('isWithinQuietHours', () => {
+    it('is never quiet while turned off', () => {
+      expect(isWithinQuietHours(new Date(2026, 2, 10, 23, 0).getTime(), DEFAULT_QUIET_HOURS)).toBe(false);
+    });
+
+    it('handles a window that wraps past midnight', () => {
+      expect(isWithinQuietHours(new Date(2026, 2, 10, 22, 0).getTime(), overnight)).toBe(true);
+      expect(isWithinQuietHours(new Date(2026, 2, 10, 2, 0).getTime(), overnight)).toBe(true);
+      expect(isWithinQuietHours(new Date(2026, 2, 10, 7, 0).getTime(), overnight)).toBe(false);
+      expect(isWithinQuietHours(new Date(2026, 2, 10, 12, 0).getTime(), overnight)).toBe(false);
+    });
+
+    it('handles a window within one day', () => {
+      expect(isWithinQuietHours(new Date(2026, 2, 10, 13, 15).getTime(), afternoon)).toBe(true);
+      expect(isWithinQuietHours(new Date(2026, 2, 10, 14, 30).getTime(), afternoon)).toBe(false);
+      expect(isWithinQuietHours(new Date(2026, 2, 10, 12, 59).getTime(), afternoon)).toBe(false);
+    });
+  });
+
+  describe('getQuietHoursEnd', () => {
+    it('returns the next morning for a time before midnight', () => {
+      const time = new Date(2026, 2, 10, 23, 0).getTime();
+      expect(getQuietHoursEnd(time, overnight)).toBe(new Date(2026, 2, 11, 7, 0).getTime());
+    });
+
+    it('returns the same morning for a time after midnight', () => {
+      const time = new Date(2026, 2, 11, 3, 0).getTime();
+      expect(getQuietHoursEnd(time, overnight)).toBe(new Date(2026, 2, 11, 7, 0).getTime());
+    });
+
+    it('returns the same day for a window within one day', () => {
+      const time = new Date(2026, 2, 10, 13, 15).getTime();
+      expect(getQuietHoursEnd(time, afternoon)).toBe(new Date(2026, 2, 10, 14, 30).getTime());
+    });
+  });
+});
@@ -0,0 +1,69 @@
+// @ts-check
+
+const { getNextOccurrence, describeRecurrence } = require('../../../src/lib/recurrence');
+const { RECURRENCE_FREQUENCY } = require('../../../src/lib/constants');
+
+describe('recurrence', () => {
+  describe('getNextOccurrence', () => {
+    const anchorTime = new Date(2026, 0, 5, 9, 0).getTime(); // Mon Jan 5 2026, 9:00
+
+    it('returns the anchor when it is still in the future', () => {
+      const rule = { frequency: RECURRENCE_FREQUENCY.DAILY, interval: 1, anchorTime };
+      expect(getNextOccurrence(rule, anchorTime - 1000)).toBe(anchorTime);
+    });
+
+    it('returns the next day for a daily rule', () => {
+      const rule = { frequency: RECURRENCE_FREQUENCY.DAILY, interval: 1, anchorTime };
+      expect(getNextOccurrence(rule, anchorTime)).toBe(new Date(2026, 0, 6, 9, 0).getTime());
+    });
+
+    it('skips missed occurrences to the first one after the given time', () => {
+      const rule = { frequency: RECURRENCE_FREQUENCY.WEEKLY, interval: 1, anchorTime };
+      const after = new Date(2026, 1, 3, 12, 0).getTime(); // Tue Feb 3
+      expect(getNextOccurrence(rule, after)).toBe(new Date(2026, 1, 9, 9, 0).getTime());
+    });
+
+    it('honours the interval', () => {
+      const rule = { frequency: RECURRENCE_FREQUENCY.WEEKLY, interval: 2, anchorTime };
+      expect(getNextOccurrence(rule, anchorTime)).toBe(new Date(2026, 0, 19, 9, 0).getTime());
+    });
+
+    it('clamps monthly occurrences to the end of short months without drifting', () => {
+      const jan31 = new Date(2026, 0, 31, 10, 0).getTime();
+      const rule = { frequency: RECURRENCE_FREQUENCY.MONTHLY, interval: 1, anchorTime: jan31 };
+
+      const feb = getNextOccurrence(rule, jan31);
+      expect(feb).toBe(new Date(2026, 1, 28, 10, 0).getTime());
+
+      const mar = getNextOccurrence(rule, feb);
+      expect(mar).toBe(new Date(2026, 2, 31, 10, 0).getTime());
+    });
+
+    it('finds occurrences far from the anchor', () => {
+      const rule = { frequency: RECURRENCE_FREQUENCY.DAILY, interval: 3, anchorTime };
+      const after = new Date(2027, 0, 5, 9, 0).getTime();
+      const next = getNextOccurrence(rule, after);
+
+      expect(next).toBeGreaterThan(after);
+      expect(next - after).toBeLessThanOrEqual(3 * 24 * 60 * 60 * 1000 + 60 * 60 * 1000);
+      expect(new Date(next).getHours()).toBe(9);
+    });
+  });
+
+  describe('describeRecurrence', () => {
+    it('returns an empty string for one-time reminders', () => {
+      expect(describeRecurrence(null)).toBe('');
+    });
+
+    it('describes single-interval rules', () => {
+      expect(describeRecurrence({ frequency: 'daily', interval: 1 })).toBe('Daily');
+      expect(describeRecurrence({ frequency: 'weekly', interval: 1 })).toBe('Weekly');
+      expect(describeRecurrence({ frequency: 'monthly', interval: 1 })).toBe('Monthly');
+    });
+
+    it('describes custom intervals', () => {
+      expect(describeRecurrence({ frequency: 'weekly', interval: 2 })).toBe('Every 2 weeks');
+      expect(describeRecurrence({ frequency: 'daily', interval: 10 })).toBe('Every 10 days');
+    });
+  });
+});
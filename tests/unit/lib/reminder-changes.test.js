@@ -0,0 +1,60 @@
+// @ts-check
+
+const { getReminderChanges, toReminderDiff, countChange } = require('../../../src/lib/reminder-changes');
+const { REMINDER_CHANGE } = require('../../../src/lib/constants');
+
+describe('reminder-changes', () => {
+  const a = { id: 'a', status: 'pending', scheduledTime: 10 };
+  const b = { id: 'b', status: 'pending', scheduledTime: 20 };
+  const c = { id: 'c', status: 'completed', scheduledTime: 30 };
+
+  describe('getReminderChanges', () => {
+    it('returns a typed event per added, updated and removed reminder', () => {
+      const completedA = { ...a, status: 'completed' };
+      const d = { id: 'd', status: 'pending', scheduledTime: 40 };
+
+      expect(getReminderChanges([a, b, c], [completedA, c, d])).toEqual([
+        { type: REMINDER_CHANGE.UPDATED, reminder: completedA, previous: a },
+        { type: REMINDER_CHANGE.ADDED, reminder: d, previous: null },
+        { type: REMINDER_CHANGE.REMOVED, reminder: b, previous: null },
+      ]);
+    });
+
+    it('returns no events for lists with the same contents', () => {
+      expect(getReminderChanges([a, b], [{ ...b }, { ...a }])).toEqual([]);
+    });
+  });
+
+  describe('toReminderDiff', () => {
+    it('groups events by type', () => {
+      const changes = getReminderChanges([a, b], [{ ...a, scheduledTime: 15 }, c]);
+
+      expect(toReminderDiff(changes)).toEqual({
+        added: [c],
+        updated: [{ ...a, scheduledTime: 15 }],
+        removed: [b],
+      });
+    });
+  });
+
+  describe('countChange', () => {
+    const isPending = (r) => r.status === 'pending';
+
+    it('counts reminders gained and lost by a test', () => {
+      const changes = getReminderChanges(
+        [a, b, c],
+        [{ ...a, status: 'completed' }, { ...c, status: 'pending' }, { id: 'd', status: 'pending' }]
+      );
+
+      // a completed (-1), b removed (-1), c reopened (+1), d added (+1)
+      expect(countChange(changes, isPending)).toBe(0);
+      expect(countChange(changes.slice(0, 1), isPending)).toBe(-1);
+    });
+
+    it('ignores updates that keep the test result', () => {
+      const changes = getReminderChanges([a], [{ ...a, scheduledTime: 99 }]);
+
+      expect(countChange(changes, isPending)).toBe(0);
+    });
+  });
+});
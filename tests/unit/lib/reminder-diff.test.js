@@ -0,0 +1,106 @@
+// @ts-check
+
+const {
+  isSameReminder,
+  diffReminders,
+  isEmptyDiff,
+  compareReminders,
+  applyReminderDiff,
+} = require('../../../src/lib/reminder-diff');
+
+describe('reminder-diff', () => {
+  /**
+   * @param {string} id
+   * @param {number} scheduledTime
+   * @param {object} [overrides]
+   */
+  function makeReminder(id, scheduledTime, overrides = {}) {
+    return { id, chatName: `Chat ${id}`, scheduledTime, status: 'pending', ...overrides };
+  }
+
+  describe('isSameReminder', () => {
+    it('compares fields, nested values by content', () => {
+      const a = makeReminder('a', 1, { recurrence: { frequency: 'daily', interval: 1 } });
+
+      expect(isSameReminder(a, JSON.parse(JSON.stringify(a)))).toBe(true);
+      expect(isSameReminder(a, { ...a, status: 'completed' })).toBe(false);
+      expect(isSameReminder(a, { ...a, recurrence: { frequency: 'daily', interval: 2 } })).toBe(false);
+      expect(isSameReminder(a, { ...a, note: 'x' })).toBe(false);
+    });
+  });
+
+  describe('diffReminders', () => {
+    it('reports added, updated and removed reminders by id', () => {
+      const a = makeReminder('a', 1);
+      const b = makeReminder('b', 2);
+      const c = makeReminder('c', 3);
+      const d = makeReminder('d', 4);
+
+      const diff = diffReminders([a, b, c], [{ ...a }, { ...b, scheduledTime: 5 }, d]);
+
+      expect(diff.added).toEqual([d]);
+      expect(diff.updated).toEqual([{ ...b, scheduledTime: 5 }]);
+      expect(diff.removed).toEqual([c]);
+    });
+
+    it('is empty for an identical copy', () => {
+      const list = [makeReminder('a', 1), makeReminder('b', 2)];
+
+      expect(isEmptyDiff(diffReminders(list, JSON.parse(JSON.stringify(list))))).toBe(true);
+    });
+  });
+
+  describe('compareReminders', () => {
+    it('orders by time, then id', () => {
+      const list = [makeReminder('b', 1), makeReminder('c', 0), makeReminder('a', 1)];
+
+      expect(list.sort(compareReminders).map((r) => r.id)).toEqual(['c', 'a', 'b']);
+    });
+  });
+
+  describe('applyReminderDiff', () => {
+    const a = makeReminder('a', 10);
+    const b = makeReminder('b', 20);
+    const c = makeReminder('c', 30);
+
+    it('moves, adds and removes reminders and keeps the list sorted', () => {
+      const result = applyReminderDiff([a, b, c], {
+        added: [makeReminder('d', 15)],
+        updated: [{ ...a, scheduledTime: 40 }],
+        removed: [c],
+      });
+
+      expect(result.map((r) => r.id)).toEqual(['d', 'b', 'a']);
+    });
+
+    it('keeps the objects of unchanged reminders', () => {
+      const result = applyReminderDiff([a, b, c], { added: [], updated: [{ ...b, note: 'x' }], removed: [] });
+
+      expect(result[0]).toBe(a);
+      expect(result[1]).not.toBe(b);
+      expect(result[2]).toBe(c);
+    });
+
+    it('replaces an added reminder the list already has', () => {
+      const result = applyReminderDiff([a, b], { added: [{ ...b, note: 'x' }], updated: [], removed: [] });
+
+      expect(result.map((r) => r.id)).toEqual(['a', 'b']);
+      expect(result[1].note).toBe('x');
+    });
+
+    it('returns the same list for an empty diff', () => {
+      const list = [a, b];
+
+      expect(applyReminderDiff(list, { added: [], updated: [], removed: [] })).toBe(list);
+    });
+
+    it('sorts many changes at once', () => {
+      const added = Array.from({ length: 100 }, (_, i) => makeReminder(`n${i}`, 1000 - i));
+
+      const result = applyReminderDiff([a, b, c], { added, updated: [], removed: [] });
+
+      expect(result).toHaveLength(103);
+      expect(result.map((r) => r.scheduledTime)).toEqual([...result.map((r) => r.scheduledTime)].sort((x, y) => x - y));
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// @ts-check
+
+const {
+  BACKUP_FORMAT,
+  CSV_COLUMNS,
+  buildBackup,
+  getPhoneNumber,
+  toCsv,
+  getExportFileName,
+} = require('../../../src/lib/reminder-export');
+
+describe('reminder-export', () => {
+  const UTC = { locale: 'en-US', timeZone: 'UTC' };
+
+  /**
+   * @param {object} overrides
+   * @returns {object}
+   */
+  function makeReminder(overrides) {
+    return {
+      id: 'r1',
+      chatId: '5511999999999@c.us',
+      chatName: 'John Doe',
+      note: null,
+      scheduledTime: Date.UTC(2025, 2, 14, 15, 30),
+      createdAt: Date.UTC(2025, 2, 10, 9, 0),
+      status: 'pending',
+      completedAt: null,
+      ...overrides,
+    };
+  }
+
+  /**
+   * Splits a CSV into its lines, without the byte-order mark. Newer ICU
+   * versions put a narrow no-break space before AM/PM; it reads as a space.
+   * @param {string} csv
+   * @returns {string[]}
+   */
+  function lines(csv) {
+    return csv.replace(/^\uFEFF/, '').replace(/\u202F/g, ' ').split('\r\n').slice(0, -1);
+  }
+
+  describe('buildBackup', () => {
+    it('keeps the data as given, with its format and schema version', () => {
+      const reminders = [makeReminder({})];
+      const trash = [makeReminder({ id: 'r2', deletedAt: 1 })];
+
+      expect(buildBackup({ reminders, trash }, 3, 42)).toEqual({
+        format: BACKUP_FORMAT,
+        schemaVersion: 3,
+        exportedAt: 42,
+        reminders,
+        trash,
+      });
+    });
+  });
+
+  describe('getPhoneNumber', () => {
+    it('returns the number of an individual chat', () => {
+      expect(getPhoneNumber('5511999999999@c.us')).toBe('+5511999999999');
+    });
+
+    it('returns nothing for groups and chats saved by name', () => {
+      expect(getPhoneNumber('120363025555555555@g.us')).toBe('');
+      expect(getPhoneNumber('John Doe')).toBe('');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('writes a header and one row per reminder, soonest due first', () => {
+      const later = makeReminder({
+        id: 'r2',
+        chatName: 'Acme Group',
+        chatId: '120363025555555555@g.us',
+        scheduledTime: Date.UTC(2025, 2, 15, 8, 0),
+        status: 'completed',
+        completedAt: Date.UTC(2025, 2, 15, 8, 5),
+      });
+
+      const csv = toCsv([later, makeReminder({ note: 'Send quote' })], UTC);
+
+      expect(csv.startsWith('\uFEFF')).toBe(true);
+      expect(lines(csv)).toEqual([
+        CSV_COLUMNS.join(','),
+        'John Doe,+5511999999999,"3/14/25, 3:30 PM",pending,Send quote,"3/10/25, 9:00 AM",',
+        'Acme Group,,"3/15/25, 8:00 AM",completed,,"3/10/25, 9:00 AM","3/15/25, 8:05 AM"',
+      ]);
+    });
+
+    it('formats dates in the given locale and timezone', () => {
+      const csv = toCsv([makeReminder({})], { locale: 'pt-BR', timeZone: 'America/Sao_Paulo' });
+
+      expect(lines(csv)[1]).toContain('"14/03/2025, 12:30"');
+    });
+
+    it('quotes commas, quotes and line breaks', () => {
+      const csv = toCsv([makeReminder({ chatName: 'Doe, John', note: 'Ask about "v2"\nthen call' })], UTC);
+
+      expect(csv).toContain('"Doe, John"');
+      expect(csv).toContain('"Ask about ""v2""\nthen call"');
+    });
+
+    it('keeps names and notes from being read as formulas', () => {
+      const csv = toCsv([makeReminder({ chatName: '=HYPERLINK("x")', note: '+1 follow up' })], UTC);
+      const row = lines(csv)[1];
+
+      expect(row.startsWith('"\'=HYPERLINK(""x"")"')).toBe(true);
+      expect(row).toContain(",'+1 follow up,");
+    });
+  });
+
+  describe('getExportFileName', () => {
+    it('dates the file in local time', () => {
+      const timestamp = new Date(2025, 2, 4, 23, 59).getTime();
+
+      expect(getExportFileName('csv', timestamp)).toBe('wareminder-reminders-2025-03-04.csv');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+// @ts-check
+
+const {
+  DEFAULT_FILTER,
+  getTags,
+  collectTags,
+  getChatType,
+  matchesQuery,
+  matchesFilter,
+  isFilterActive,
+} = require('../../../src/lib/reminder-filter');
+const { REMINDER_FILTER, REMINDER_STATUS } = require('../../../src/lib/constants');
+
+describe('reminder-filter', () => {
+  const now = new Date(2026, 2, 10, 12, 0).getTime();
+
+  /**
+   * @param {object} [overrides]
+   */
+  function makeReminder(overrides = {}) {
+    return {
+      chatId: '6281234567890@c.us',
+      chatName: 'Budi Santoso',
+      note: null,
+      status: REMINDER_STATUS.PENDING,
+      scheduledTime: now + 60 * 60 * 1000,
+      ...overrides,
+    };
+  }
+
+  describe('getTags', () => {
+    it('returns the hashtags in a note, lowercase and once each', () => {
+      expect(getTags('Send #Invoice and #quote-2 #invoice')).toEqual(['invoice', 'quote-2']);
+    });
+
+    it('handles notes without tags', () => {
+      expect(getTags(null)).toEqual([]);
+      expect(getTags('no tags here')).toEqual([]);
+    });
+
+    it('accepts letters from any script', () => {
+      expect(getTags('#pelanggan #café')).toEqual(['pelanggan', 'café']);
+    });
+  });
+
+  describe('collectTags', () => {
+    it('lists every tag across reminders, sorted', () => {
+      expect(
+        collectTags([{ note: '#vip #invoice' }, { note: null }, { note: '#invoice #lead' }])
+      ).toEqual(['invoice', 'lead', 'vip']);
+    });
+  });
+
+  describe('getChatType', () => {
+    it('tells groups from individual chats', () => {
+      expect(getChatType('120363@g.us')).toBe(REMINDER_FILTER.CHAT_TYPE.GROUP);
+      expect(getChatType('6281234567890@c.us')).toBe(REMINDER_FILTER.CHAT_TYPE.INDIVIDUAL);
+      expect(getChatType('budi_santoso')).toBeNull();
+    });
+  });
+
+  describe('matchesQuery', () => {
+    it('matches the name or note, ignoring case', () => {
+      expect(matchesQuery(makeReminder(), 'santoso')).toBe(true);
+      expect(matchesQuery(makeReminder({ note: 'Send the Invoice' }), 'invoice')).toBe(true);
+      expect(matchesQuery(makeReminder(), 'siti')).toBe(false);
+    });
+
+    it('matches phone digits regardless of formatting', () => {
+      expect(matchesQuery(makeReminder(), '+62 812-3456')).toBe(true);
+      expect(matchesQuery(makeReminder({ chatId: 'x', chatName: '+62 812-3456-7890' }), '34567')).toBe(true);
+      expect(matchesQuery(makeReminder(), '99999')).toBe(false);
+    });
+
+    it('does not match on one or two digits alone', () => {
+      expect(matchesQuery(makeReminder(), '62')).toBe(false);
+    });
+
+    it('matches everything with an empty query', () => {
+      expect(matchesQuery(makeReminder(), '  ')).toBe(true);
+    });
+  });
+
+  describe('matchesFilter', () => {
+    it('filters by status', () => {
+      const overdue = makeReminder({ scheduledTime: now - 1000 });
+      const filter = { ...DEFAULT_FILTER, status: REMINDER_FILTER.STATUS.OVERDUE };
+
+      expect(matchesFilter(overdue, filter, now)).toBe(true);
+      expect(matchesFilter(makeReminder(), filter, now)).toBe(false);
+      expect(
+        matchesFilter(
+          makeReminder({ status: REMINDER_STATUS.COMPLETED }),
+          { ...DEFAULT_FILTER, status: REMINDER_FILTER.STATUS.COMPLETED },
+          now
+        )
+      ).toBe(true);
+    });
+
+    it('filters by an inclusive date range of local days', () => {
+      const filter = { ...DEFAULT_FILTER, from: '2026-03-10', to: '2026-03-11' };
+
+      expect(matchesFilter(makeReminder({ scheduledTime: new Date(2026, 2, 11, 23, 59).getTime() }), filter, now)).toBe(true);
+      expect(matchesFilter(makeReminder({ scheduledTime: new Date(2026, 2, 12, 0, 0).getTime() }), filter, now)).toBe(false);
+      expect(matchesFilter(makeReminder({ scheduledTime: new Date(2026, 2, 9, 23, 59).getTime() }), filter, now)).toBe(false);
+    });
+
+    it('filters by chat type', () => {
+      const groups = { ...DEFAULT_FILTER, chatType: REMINDER_FILTER.CHAT_TYPE.GROUP };
+
+      expect(matchesFilter(makeReminder({ chatId: '120363@g.us' }), groups, now)).toBe(true);
+      expect(matchesFilter(makeReminder(), groups, now)).toBe(false);
+      expect(matchesFilter(makeReminder({ chatId: 'budi_santoso' }), groups, now)).toBe(false);
+    });
+
+    it('filters by tag', () => {
+      const filter = { ...DEFAULT_FILTER, tag: 'vip' };
+
+      expect(matchesFilter(makeReminder({ note: 'Call back #VIP' }), filter, now)).toBe(true);
+      expect(matchesFilter(makeReminder({ note: 'Call back #vipper' }), filter, now)).toBe(false);
+    });
+
+    it('combines the search with the filters', () => {
+      const filter = { ...DEFAULT_FILTER, query: 'budi', tag: 'vip' };
+
+      expect(matchesFilter(makeReminder({ note: '#vip' }), filter, now)).toBe(true);
+      expect(matchesFilter(makeReminder({ chatName: 'Siti', note: '#vip' }), filter, now)).toBe(false);
+    });
+  });
+
+  describe('isFilterActive', () => {
+    it('is false only for the default filter', () => {
+      expect(isFilterActive(DEFAULT_FILTER)).toBe(false);
+      expect(isFilterActive({ ...DEFAULT_FILTER, query: ' ' })).toBe(false);
+      expect(isFilterActive({ ...DEFAULT_FILTER, query: 'budi' })).toBe(true);
+      expect(isFilterActive({ ...DEFAULT_FILTER, tag: 'vip' })).toBe(true);
+    });
+  });
+});
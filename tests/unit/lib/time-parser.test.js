@@ -0,0 +1,132 @@
+// @ts-check
+
+const { parseNaturalTime } = require('../../../src/lib/time-parser');
+
+describe('time-parser', () => {
+  // Wed Jan 14 2026, 10:30 local time
+  const now = new Date(2026, 0, 14, 10, 30).getTime();
+  const at = (...args) => new Date(...args).getTime();
+
+  describe('parseNaturalTime', () => {
+    it('returns null for empty or non-string input', () => {
+      expect(parseNaturalTime('', now)).toBeNull();
+      expect(parseNaturalTime('   ', now)).toBeNull();
+      expect(parseNaturalTime(/** @type {any} */ (null), now)).toBeNull();
+    });
+
+    it('returns null for unparseable input', () => {
+      expect(parseNaturalTime('whenever', now)).toBeNull();
+      expect(parseNaturalTime('next blursday', now)).toBeNull();
+      expect(parseNaturalTime('today', now)).toBeNull();
+    });
+
+    it('returns null for invalid clock times', () => {
+      expect(parseNaturalTime('tomorrow 13pm', now)).toBeNull();
+      expect(parseNaturalTime('tomorrow at 25:00', now)).toBeNull();
+    });
+
+    describe('relative durations', () => {
+      it('parses minutes and hours from now', () => {
+        expect(parseNaturalTime('in 30 minutes', now)).toBe(now + 30 * 60 * 1000);
+        expect(parseNaturalTime('in 2 hours', now)).toBe(now + 2 * 60 * 60 * 1000);
+        expect(parseNaturalTime('in an hour', now)).toBe(now + 60 * 60 * 1000);
+      });
+
+      it('parses days, weeks and months with calendar arithmetic', () => {
+        expect(parseNaturalTime('in 3 days', now)).toBe(at(2026, 0, 17, 10, 30));
+        expect(parseNaturalTime('in 2 weeks', now)).toBe(at(2026, 0, 28, 10, 30));
+        expect(parseNaturalTime('in 1 month', now)).toBe(at(2026, 1, 14, 10, 30));
+        expect(parseNaturalTime('3 days from now', now)).toBe(at(2026, 0, 17, 10, 30));
+      });
+
+      it('parses Indonesian durations', () => {
+        expect(parseNaturalTime('dalam 3 hari', now)).toBe(at(2026, 0, 17, 10, 30));
+        expect(parseNaturalTime('3 hari lagi', now)).toBe(at(2026, 0, 17, 10, 30));
+        expect(parseNaturalTime('2 jam lagi', now)).toBe(now + 2 * 60 * 60 * 1000);
+        expect(parseNaturalTime('1 minggu lagi', now)).toBe(at(2026, 0, 21, 10, 30));
+      });
+
+      it('rejects a zero duration', () => {
+        expect(parseNaturalTime('in 0 days', now)).toBeNull();
+      });
+    });
+
+    describe('days', () => {
+      it('defaults to 9 AM when only a day is given', () => {
+        expect(parseNaturalTime('tomorrow', now)).toBe(at(2026, 0, 15, 9, 0));
+        expect(parseNaturalTime('besok', now)).toBe(at(2026, 0, 15, 9, 0));
+        expect(parseNaturalTime('lusa', now)).toBe(at(2026, 0, 16, 9, 0));
+      });
+
+      it('defaults tonight to 8 PM and reads bare hours as evening', () => {
+        expect(parseNaturalTime('tonight', now)).toBe(at(2026, 0, 14, 20, 0));
+        expect(parseNaturalTime('tonight at 9', now)).toBe(at(2026, 0, 14, 21, 0));
+        expect(parseNaturalTime('nanti malam jam 9', now)).toBe(at(2026, 0, 14, 21, 0));
+      });
+
+      it('resolves weekdays to the next occurrence, never today', () => {
+        expect(parseNaturalTime('friday', now)).toBe(at(2026, 0, 16, 9, 0));
+        expect(parseNaturalTime('next tuesday 2pm', now)).toBe(at(2026, 0, 20, 14, 0));
+        expect(parseNaturalTime('wednesday', now)).toBe(at(2026, 0, 21, 9, 0));
+        expect(parseNaturalTime('senin depan jam 8', now)).toBe(at(2026, 0, 19, 8, 0));
+        expect(parseNaturalTime('hari jumat', now)).toBe(at(2026, 0, 16, 9, 0));
+      });
+
+      it('parses next week and next month', () => {
+        expect(parseNaturalTime('next week', now)).toBe(at(2026, 0, 21, 9, 0));
+        expect(parseNaturalTime('bulan depan', now)).toBe(at(2026, 1, 14, 9, 0));
+      });
+
+      it('parses end of day, week and month at 5 PM', () => {
+        expect(parseNaturalTime('end of day', now)).toBe(at(2026, 0, 14, 17, 0));
+        expect(parseNaturalTime('end of week', now)).toBe(at(2026, 0, 16, 17, 0));
+        expect(parseNaturalTime('end of month', now)).toBe(at(2026, 0, 31, 17, 0));
+        expect(parseNaturalTime('akhir bulan', now)).toBe(at(2026, 0, 31, 17, 0));
+      });
+    });
+
+    describe('clock times', () => {
+      it('combines a day with an English time', () => {
+        expect(parseNaturalTime('tomorrow at 9:30 pm', now)).toBe(at(2026, 0, 15, 21, 30));
+        expect(parseNaturalTime('tomorrow 12am', now)).toBe(at(2026, 0, 15, 0, 0));
+        expect(parseNaturalTime('Tomorrow at 14:45', now)).toBe(at(2026, 0, 15, 14, 45));
+        expect(parseNaturalTime('tomorrow noon', now)).toBe(at(2026, 0, 15, 12, 0));
+      });
+
+      it('combines a day with an Indonesian time', () => {
+        expect(parseNaturalTime('besok jam 10', now)).toBe(at(2026, 0, 15, 10, 0));
+        expect(parseNaturalTime('besok pukul 14.30', now)).toBe(at(2026, 0, 15, 14, 30));
+        expect(parseNaturalTime('besok jam 4 sore', now)).toBe(at(2026, 0, 15, 16, 0));
+        expect(parseNaturalTime('lusa jam 1 siang', now)).toBe(at(2026, 0, 16, 13, 0));
+      });
+
+      it('reads a bare hour from 1 to 6 as the afternoon', () => {
+        expect(parseNaturalTime('besok jam 2', now)).toBe(at(2026, 0, 15, 14, 0));
+        expect(parseNaturalTime('at 2', now)).toBe(at(2026, 0, 14, 14, 0));
+        expect(parseNaturalTime('jumat jam 3', now)).toBe(at(2026, 0, 16, 15, 0));
+        expect(parseNaturalTime('tomorrow at 7', now)).toBe(at(2026, 0, 15, 7, 0));
+      });
+
+      it('keeps an early hour in the morning when the period is given', () => {
+        expect(parseNaturalTime('besok jam 2 pagi', now)).toBe(at(2026, 0, 15, 2, 0));
+        expect(parseNaturalTime('tomorrow at 2am', now)).toBe(at(2026, 0, 15, 2, 0));
+      });
+
+      it('uses today for a bare time still ahead, tomorrow once it has passed', () => {
+        expect(parseNaturalTime('3pm', now)).toBe(at(2026, 0, 14, 15, 0));
+        expect(parseNaturalTime('jam 8 pagi', now)).toBe(at(2026, 0, 15, 8, 0));
+      });
+
+      it('returns times in the past as-is when a day is given', () => {
+        const result = parseNaturalTime('today 9am', now);
+        expect(result).toBe(at(2026, 0, 14, 9, 0));
+        expect(result).toBeLessThan(now);
+      });
+    });
+
+    it('defaults to the current time', () => {
+      const result = parseNaturalTime('in 1 hour');
+      expect(result).toBeGreaterThan(Date.now());
+    });
+  });
+});
@@ -4,6 +4,7 @@ const {
   generateId,
   formatDateTime,
   formatRelativeTime,
+  formatDuration,
   buildNavigationUrl,
   debounce,
 } = require('../../../src/lib/utils');
@@ -78,6 +79,20 @@ describe('utils', () => {
     });
   });
 
+  describe('formatDuration', () => {
+    it('formats minutes, hours and days with at most two units', () => {
+      expect(formatDuration(45 * 60000)).toBe('45m');
+      expect(formatDuration(3 * 3600000)).toBe('3h');
+      expect(formatDuration(3 * 3600000 + 20 * 60000)).toBe('3h 20m');
+      expect(formatDuration(2 * 86400000 + 4 * 3600000 + 10 * 60000)).toBe('2d 4h');
+      expect(formatDuration(86400000)).toBe('1d');
+    });
+
+    it('rounds durations under a minute up to 1m', () => {
+      expect(formatDuration(10000)).toBe('1m');
+    });
+  });
+
   describe('buildNavigationUrl', () => {
     it('builds send URL for individual chat', () => {
       const url = buildNavigationUrl('5511999999999@c.us');
@@ -6,8 +6,25 @@ const {
   validateChatId,
   validateRequiredFields,
   validateStatus,
+  validateRecurrence,
+  validateNote,
+  validateEscalation,
   validateCreateReminderPayload,
+  validateUpdateReminderPayload,
+  validateReminderIds,
+  validateSpreadMinutes,
+  validatePreset,
+  validateBusinessHours,
+  validateBusinessHoursTime,
+  validateQuietHours,
+  validateDigest,
+  validateReminderFilter,
+  validateSavedView,
+  validateSettings,
 } = require('../../../src/lib/validators');
+const { DEFAULT_BUSINESS_HOURS } = require('../../../src/lib/business-hours');
+const { DEFAULT_QUIET_HOURS } = require('../../../src/lib/quiet-hours');
+const { DEFAULT_FILTER } = require('../../../src/lib/reminder-filter');
 
 describe('validators', () => {
   describe('JID_PATTERN', () => {
@@ -153,6 +170,60 @@ describe('validators', () => {
     });
   });
 
+  describe('validateRecurrence', () => {
+    it('accepts null and undefined as one-time reminders', () => {
+      expect(validateRecurrence(null)).toEqual({ valid: true });
+      expect(validateRecurrence(undefined)).toEqual({ valid: true });
+    });
+
+    it('accepts a weekly rule', () => {
+      expect(validateRecurrence({ frequency: 'weekly', interval: 1 })).toEqual({ valid: true });
+    });
+
+    it('rejects an unknown frequency', () => {
+      const result = validateRecurrence({ frequency: 'hourly', interval: 1 });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('frequency');
+    });
+
+    it('rejects non-integer and out-of-range intervals', () => {
+      expect(validateRecurrence({ frequency: 'daily', interval: 0 }).valid).toBe(false);
+      expect(validateRecurrence({ frequency: 'daily', interval: 1.5 }).valid).toBe(false);
+      expect(validateRecurrence({ frequency: 'daily', interval: 100 }).valid).toBe(false);
+    });
+
+    it('rejects non-object values', () => {
+      // @ts-ignore - testing invalid input
+      expect(validateRecurrence('weekly').valid).toBe(false);
+    });
+  });
+
+  describe('validateNote', () => {
+    it('accepts a missing note', () => {
+      expect(validateNote(undefined)).toEqual({ valid: true });
+      expect(validateNote(null)).toEqual({ valid: true });
+    });
+
+    it('accepts a note at the length limit', () => {
+      expect(validateNote('a'.repeat(500))).toEqual({ valid: true });
+    });
+
+    it('ignores surrounding whitespace when checking length', () => {
+      expect(validateNote(`  ${'a'.repeat(500)}  `)).toEqual({ valid: true });
+    });
+
+    it('rejects a note over the length limit', () => {
+      const result = validateNote('a'.repeat(501));
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('500');
+    });
+
+    it('rejects non-text values', () => {
+      // @ts-ignore - testing invalid input
+      expect(validateNote(42).valid).toBe(false);
+    });
+  });
+
   describe('validateCreateReminderPayload', () => {
     it('accepts a valid payload', () => {
       const payload = {
@@ -199,5 +270,411 @@ describe('validators', () => {
       const result = validateCreateReminderPayload({});
       expect(result.valid).toBe(false);
     });
+
+    it('rejects payload with an invalid recurrence rule', () => {
+      const payload = {
+        chatId: '5511999999999@c.us',
+        chatName: 'John Doe',
+        scheduledTime: Date.now() + 3600000,
+        recurrence: { frequency: 'weekly', interval: 0 },
+      };
+      const result = validateCreateReminderPayload(payload);
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('interval');
+    });
+  });
+
+  describe('validateUpdateReminderPayload', () => {
+    it('accepts a new future time', () => {
+      expect(validateUpdateReminderPayload({ scheduledTime: Date.now() + 60000 })).toEqual({ valid: true });
+    });
+
+    it('accepts a note change or a null note', () => {
+      expect(validateUpdateReminderPayload({ note: 'Ask about the invoice' })).toEqual({ valid: true });
+      expect(validateUpdateReminderPayload({ note: null })).toEqual({ valid: true });
+    });
+
+    it('rejects a missing changes object', () => {
+      // @ts-ignore - testing invalid input
+      expect(validateUpdateReminderPayload(undefined).valid).toBe(false);
+    });
+
+    it('rejects a payload with nothing to update', () => {
+      const result = validateUpdateReminderPayload({});
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('Nothing to update');
+    });
+
+    it('rejects a past time', () => {
+      const result = validateUpdateReminderPayload({ scheduledTime: Date.now() - 1000 });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('future');
+    });
+
+    it('rejects a non-text note', () => {
+      // @ts-ignore - testing invalid input
+      const result = validateUpdateReminderPayload({ note: 42 });
+      expect(result.valid).toBe(false);
+    });
+
+    it('rejects a note over the length limit', () => {
+      const result = validateUpdateReminderPayload({ note: 'a'.repeat(501) });
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('validateReminderIds', () => {
+    it('accepts a list of reminder IDs', () => {
+      expect(validateReminderIds(['a', 'b']).valid).toBe(true);
+    });
+
+    it('rejects an empty or missing list', () => {
+      expect(validateReminderIds([]).valid).toBe(false);
+      expect(validateReminderIds(undefined).valid).toBe(false);
+      expect(validateReminderIds('a').valid).toBe(false);
+    });
+
+    it('rejects IDs that are not strings', () => {
+      expect(validateReminderIds(['a', 1])).toEqual({ valid: false, error: 'Invalid reminder ID' });
+      expect(validateReminderIds([''])).toEqual({ valid: false, error: 'Invalid reminder ID' });
+    });
+  });
+
+  describe('validateSpreadMinutes', () => {
+    it('accepts whole minutes up to an hour', () => {
+      expect(validateSpreadMinutes(0).valid).toBe(true);
+      expect(validateSpreadMinutes(10).valid).toBe(true);
+      expect(validateSpreadMinutes(60).valid).toBe(true);
+    });
+
+    it('rejects fractions, negatives and longer gaps', () => {
+      expect(validateSpreadMinutes(2.5).valid).toBe(false);
+      expect(validateSpreadMinutes(-5).valid).toBe(false);
+      expect(validateSpreadMinutes(61).valid).toBe(false);
+      expect(validateSpreadMinutes('10').valid).toBe(false);
+    });
+  });
+
+  describe('validateEscalation', () => {
+    it('accepts null (follow settings) and a valid policy', () => {
+      expect(validateEscalation(null)).toEqual({ valid: true });
+      expect(validateEscalation({ enabled: true, intervals: [60, 240, 1440] })).toEqual({ valid: true });
+    });
+
+    it('rejects a missing enabled flag', () => {
+      expect(validateEscalation({ intervals: [60] }).valid).toBe(false);
+    });
+
+    it('rejects empty, too long or invalid step lists', () => {
+      expect(validateEscalation({ enabled: true, intervals: [] }).valid).toBe(false);
+      expect(validateEscalation({ enabled: true, intervals: [1, 2, 3, 4, 5, 6] }).valid).toBe(false);
+      expect(validateEscalation({ enabled: true, intervals: [60, 0] }).valid).toBe(false);
+      expect(validateEscalation({ enabled: true, intervals: [NaN] }).valid).toBe(false);
+    });
+
+    it('is checked on create and update payloads', () => {
+      const payload = {
+        chatId: '5511999999999@c.us',
+        chatName: 'John',
+        scheduledTime: Date.now() + 3600000,
+        escalation: { enabled: true, intervals: [] },
+      };
+      expect(validateCreateReminderPayload(payload).valid).toBe(false);
+      expect(validateUpdateReminderPayload({ escalation: null })).toEqual({ valid: true });
+      expect(validateUpdateReminderPayload({ escalation: { enabled: 'yes', intervals: [60] } }).valid).toBe(false);
+    });
+  });
+
+  describe('validatePreset', () => {
+    const relative = { id: 'p1', label: 'In 2 hours', type: 'relative', minutes: 120 };
+    const timeOfDay = { id: 'p2', label: 'At closing', type: 'timeOfDay', hour: 17, minute: 0, dayOffset: 0 };
+    const weekday = { id: 'p3', label: 'Monday morning', type: 'weekday', weekday: 1, hour: 9, minute: 0 };
+
+    it('accepts each preset type', () => {
+      expect(validatePreset(relative)).toEqual({ valid: true });
+      expect(validatePreset(timeOfDay)).toEqual({ valid: true });
+      expect(validatePreset(weekday)).toEqual({ valid: true });
+      expect(validatePreset({ id: 'p4', label: 'Next business day', type: 'businessDay', hour: 9, minute: 0 }))
+        .toEqual({ valid: true });
+    });
+
+    it('requires an id and a label', () => {
+      expect(validatePreset({ ...relative, id: '' }).valid).toBe(false);
+      expect(validatePreset({ ...relative, label: '   ' }).valid).toBe(false);
+      expect(validatePreset({ ...relative, label: 'a'.repeat(41) }).valid).toBe(false);
+    });
+
+    it('rejects unknown types', () => {
+      const result = validatePreset({ ...relative, type: 'sometime' });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('Invalid preset type');
+    });
+
+    it('rejects non-positive or fractional offsets', () => {
+      expect(validatePreset({ ...relative, minutes: 0 }).valid).toBe(false);
+      expect(validatePreset({ ...relative, minutes: 1.5 }).valid).toBe(false);
+    });
+
+    it('rejects invalid times, day offsets and weekdays', () => {
+      expect(validatePreset({ ...timeOfDay, hour: 24 }).valid).toBe(false);
+      expect(validatePreset({ ...timeOfDay, minute: 60 }).valid).toBe(false);
+      expect(validatePreset({ ...timeOfDay, dayOffset: -1 }).valid).toBe(false);
+      expect(validatePreset({ ...weekday, weekday: 7 }).valid).toBe(false);
+    });
+  });
+
+  describe('validateBusinessHours', () => {
+    it('accepts the default business hours', () => {
+      expect(validateBusinessHours(DEFAULT_BUSINESS_HOURS)).toEqual({ valid: true });
+    });
+
+    it('requires closing to be after opening', () => {
+      const result = validateBusinessHours({ ...DEFAULT_BUSINESS_HOURS, end: { hour: 9, minute: 0 } });
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Closing time must be after opening time');
+    });
+
+    it('rejects invalid clocks', () => {
+      expect(validateBusinessHours({ ...DEFAULT_BUSINESS_HOURS, start: { hour: 25, minute: 0 } }).valid).toBe(false);
+    });
+
+    it('rejects invalid or duplicate working days', () => {
+      expect(validateBusinessHours({ ...DEFAULT_BUSINESS_HOURS, workingDays: [1, 7] }).valid).toBe(false);
+      expect(validateBusinessHours({ ...DEFAULT_BUSINESS_HOURS, workingDays: [1, 1] }).valid).toBe(false);
+    });
+
+    it('requires a working day only when enabled', () => {
+      expect(validateBusinessHours({ ...DEFAULT_BUSINESS_HOURS, workingDays: [] }).valid).toBe(true);
+      expect(validateBusinessHours({ ...DEFAULT_BUSINESS_HOURS, enabled: true, workingDays: [] }).valid).toBe(false);
+    });
+
+    it('rejects impossible holiday dates and long names', () => {
+      const badDate = { ...DEFAULT_BUSINESS_HOURS, holidays: [{ date: '2026-02-30', name: 'Nope' }] };
+      const longName = { ...DEFAULT_BUSINESS_HOURS, holidays: [{ date: '2026-02-10', name: 'a'.repeat(61) }] };
+
+      expect(validateBusinessHours(badDate).error).toContain('valid dates');
+      expect(validateBusinessHours(longName).valid).toBe(false);
+    });
+  });
+
+  describe('validateBusinessHoursTime', () => {
+    const businessHours = { ...DEFAULT_BUSINESS_HOURS, enabled: true, holidays: [] };
+
+    it('accepts any time while business hours are disabled', () => {
+      const saturday = new Date(2026, 2, 14, 22, 0).getTime();
+      expect(validateBusinessHoursTime(saturday, DEFAULT_BUSINESS_HOURS)).toEqual({ valid: true });
+    });
+
+    it('accepts a time inside business hours', () => {
+      const tuesday = new Date(2026, 2, 10, 11, 0).getTime();
+      expect(validateBusinessHoursTime(tuesday, businessHours)).toEqual({ valid: true });
+    });
+
+    it('suggests the next business slot for a time outside business hours', () => {
+      const saturday = new Date(2026, 2, 14, 22, 0).getTime();
+      const result = validateBusinessHoursTime(saturday, businessHours);
+
+      expect(result.valid).toBe(false);
+      expect(result.suggestedTime).toBe(new Date(2026, 2, 16, 9, 0).getTime());
+    });
+  });
+
+  describe('validateQuietHours', () => {
+    it('accepts the default quiet hours, which wrap past midnight', () => {
+      expect(validateQuietHours(DEFAULT_QUIET_HOURS)).toEqual({ valid: true });
+    });
+
+    it('rejects a missing enabled flag and invalid times', () => {
+      expect(validateQuietHours({ ...DEFAULT_QUIET_HOURS, enabled: undefined }).valid).toBe(false);
+      expect(validateQuietHours({ ...DEFAULT_QUIET_HOURS, end: { hour: 7, minute: 60 } }).valid).toBe(false);
+      // @ts-ignore - testing invalid input
+      expect(validateQuietHours(null).valid).toBe(false);
+    });
+
+    it('rejects an empty window', () => {
+      const result = validateQuietHours({ enabled: true, start: { hour: 22, minute: 0 }, end: { hour: 22, minute: 0 } });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('different times');
+    });
+  });
+
+  describe('validateDigest', () => {
+    it('accepts the default digest', () => {
+      expect(validateDigest({ enabled: false, time: { hour: 8, minute: 30 } })).toEqual({ valid: true });
+    });
+
+    it('rejects a missing enabled flag and an invalid time', () => {
+      expect(validateDigest({ time: { hour: 8, minute: 30 } }).valid).toBe(false);
+      expect(validateDigest({ enabled: true, time: { hour: 8, minute: 60 } }).valid).toBe(false);
+      expect(validateDigest({ enabled: true }).valid).toBe(false);
+      // @ts-ignore - testing invalid input
+      expect(validateDigest(null).valid).toBe(false);
+    });
+
+    it('is checked as part of a settings update', () => {
+      const result = validateSettings({ digest: { enabled: true, time: { hour: -1, minute: 0 } } });
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Daily digest must have a valid time');
+    });
+  });
+
+  describe('validateSettings - holdWhileIdle', () => {
+    it('accepts on or off', () => {
+      expect(validateSettings({ holdWhileIdle: true })).toEqual({ valid: true });
+      expect(validateSettings({ holdWhileIdle: false })).toEqual({ valid: true });
+    });
+
+    it('rejects anything else', () => {
+      expect(validateSettings({ holdWhileIdle: 'yes' }).valid).toBe(false);
+    });
+  });
+
+  describe('validateSettings - notificationPrivacy', () => {
+    it('accepts the privacy modes', () => {
+      expect(validateSettings({ notificationPrivacy: 'full' })).toEqual({ valid: true });
+      expect(validateSettings({ notificationPrivacy: 'masked' })).toEqual({ valid: true });
+      expect(validateSettings({ notificationPrivacy: 'hidden' })).toEqual({ valid: true });
+    });
+
+    it('rejects an unknown mode', () => {
+      const result = validateSettings({ notificationPrivacy: 'blurred' });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('blurred');
+    });
+  });
+
+  describe('validateSettings - notificationSnooze', () => {
+    it('accepts the snooze options', () => {
+      expect(validateSettings({ notificationSnooze: 'hour' })).toEqual({ valid: true });
+      expect(validateSettings({ notificationSnooze: 'tomorrowMorning' })).toEqual({ valid: true });
+    });
+
+    it('rejects an unknown option', () => {
+      const result = validateSettings({ notificationSnooze: 'nextWeek' });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('nextWeek');
+    });
+  });
+
+  describe('validateReminderFilter', () => {
+    it('accepts the default filter and a full one', () => {
+      expect(validateReminderFilter(DEFAULT_FILTER)).toEqual({ valid: true });
+      expect(
+        validateReminderFilter({
+          query: 'budi',
+          status: 'overdue',
+          from: '2026-03-01',
+          to: '2026-03-31',
+          chatType: 'group',
+          tag: 'vip',
+        })
+      ).toEqual({ valid: true });
+    });
+
+    it('rejects unknown statuses and chat types', () => {
+      expect(validateReminderFilter({ ...DEFAULT_FILTER, status: 'snoozed' }).valid).toBe(false);
+      expect(validateReminderFilter({ ...DEFAULT_FILTER, chatType: 'broadcast' }).valid).toBe(false);
+    });
+
+    it('rejects invalid or reversed dates', () => {
+      expect(validateReminderFilter({ ...DEFAULT_FILTER, from: '2026-02-30' }).valid).toBe(false);
+      expect(validateReminderFilter({ ...DEFAULT_FILTER, from: '2026-03-02', to: '2026-03-01' }).valid).toBe(false);
+    });
+
+    it('rejects an over-long search and an empty tag', () => {
+      expect(validateReminderFilter({ ...DEFAULT_FILTER, query: 'x'.repeat(101) }).valid).toBe(false);
+      expect(validateReminderFilter({ ...DEFAULT_FILTER, tag: '' }).valid).toBe(false);
+      // @ts-ignore - testing invalid input
+      expect(validateReminderFilter(null).valid).toBe(false);
+    });
+  });
+
+  describe('validateSavedView', () => {
+    const view = { id: 'v1', name: 'Overdue groups', filter: DEFAULT_FILTER };
+
+    it('accepts a named filter', () => {
+      expect(validateSavedView(view)).toEqual({ valid: true });
+    });
+
+    it('rejects a missing id or name, or an over-long name', () => {
+      expect(validateSavedView({ ...view, id: '' }).valid).toBe(false);
+      expect(validateSavedView({ ...view, name: '  ' }).valid).toBe(false);
+      expect(validateSavedView({ ...view, name: 'x'.repeat(41) }).valid).toBe(false);
+    });
+
+    it('rejects an invalid filter', () => {
+      expect(validateSavedView({ ...view, filter: { ...DEFAULT_FILTER, status: 'x' } }).valid).toBe(false);
+    });
+  });
+
+  describe('validateSettings - savedViews', () => {
+    const view = { id: 'v1', name: 'VIP', filter: { ...DEFAULT_FILTER, tag: 'vip' } };
+
+    it('accepts a list of views, including an empty one', () => {
+      expect(validateSettings({ savedViews: [view] })).toEqual({ valid: true });
+      expect(validateSettings({ savedViews: [] })).toEqual({ valid: true });
+    });
+
+    it('rejects duplicate ids and too many views', () => {
+      expect(validateSettings({ savedViews: [view, view] }).error).toBe('Duplicate saved view id: v1');
+      const savedViews = Array.from({ length: 21 }, (_, i) => ({ ...view, id: `v${i}` }));
+      expect(validateSettings({ savedViews }).error).toContain('at most 20');
+    });
+  });
+
+  describe('validateSettings', () => {
+    const preset = { id: 'p1', label: 'In 2 hours', type: 'relative', minutes: 120 };
+
+    it('accepts a valid preset list, including an empty one', () => {
+      expect(validateSettings({ presets: [preset] })).toEqual({ valid: true });
+      expect(validateSettings({ presets: [] })).toEqual({ valid: true });
+    });
+
+    it('rejects a missing settings object', () => {
+      // @ts-ignore - testing invalid input
+      expect(validateSettings(null).valid).toBe(false);
+    });
+
+    it('rejects too many presets', () => {
+      const presets = Array.from({ length: 9 }, (_, i) => ({ ...preset, id: `p${i}` }));
+      const result = validateSettings({ presets });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('at most 8');
+    });
+
+    it('rejects duplicate preset ids', () => {
+      const result = validateSettings({ presets: [preset, { ...preset }] });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('Duplicate');
+    });
+
+    it('rejects invalid business hours', () => {
+      const result = validateSettings({ businessHours: { ...DEFAULT_BUSINESS_HOURS, enabled: 'yes' } });
+      expect(result.valid).toBe(false);
+    });
+
+    it('accepts a re-notify interval from 0 (never) up to a week', () => {
+      expect(validateSettings({ renotifyMinutes: 0 })).toEqual({ valid: true });
+      expect(validateSettings({ renotifyMinutes: 60 })).toEqual({ valid: true });
+      expect(validateSettings({ renotifyMinutes: 7 * 24 * 60 + 1 }).valid).toBe(false);
+      expect(validateSettings({ renotifyMinutes: -5 }).valid).toBe(false);
+      expect(validateSettings({ renotifyMinutes: 1.5 }).valid).toBe(false);
+    });
+
+    it('rejects an invalid or null global escalation policy', () => {
+      expect(validateSettings({ escalation: { enabled: true, intervals: [60] } })).toEqual({ valid: true });
+      expect(validateSettings({ escalation: null }).valid).toBe(false);
+      expect(validateSettings({ escalation: { enabled: true, intervals: [-1] } }).valid).toBe(false);
+    });
+
+    it('rejects invalid quiet hours', () => {
+      const result = validateSettings({ quietHours: { ...DEFAULT_QUIET_HOURS, start: { hour: 24, minute: 0 } } });
+      expect(result.valid).toBe(false);
+    });
+
+    it('reports the first invalid preset', () => {
+      const result = validateSettings({ presets: [preset, { ...preset, id: 'p2', minutes: 0 }] });
+      expect(result.valid).toBe(false);
+    });
   });
 });
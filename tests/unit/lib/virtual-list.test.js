@@ -0,0 +1,215 @@
+// @ts-check
+
+const { getRowOffsets, getVisibleRange, createVirtualList } = require('../../../src/lib/virtual-list');
+const { diffReminders, applyReminderDiff, compareReminders } = require('../../../src/lib/reminder-diff');
+
+describe('virtual-list', () => {
+  describe('getRowOffsets', () => {
+    it('returns each row top and the total height', () => {
+      expect(getRowOffsets([10, 20, 30])).toEqual([0, 10, 30, 60]);
+      expect(getRowOffsets([])).toEqual([0]);
+    });
+  });
+
+  describe('getVisibleRange', () => {
+    const offsets = getRowOffsets(new Array(100).fill(10));
+
+    it('covers the rows in the viewport plus overscan', () => {
+      expect(getVisibleRange(offsets, 200, 250, 2)).toEqual({ start: 18, end: 27 });
+    });
+
+    it('clamps to the list', () => {
+      expect(getVisibleRange(offsets, 0, 30, 5)).toEqual({ start: 0, end: 8 });
+      expect(getVisibleRange(offsets, 980, 1100, 5)).toEqual({ start: 93, end: 100 });
+    });
+
+    it('is empty when the list is outside the viewport', () => {
+      expect(getVisibleRange(offsets, 1000, 1200, 5)).toEqual({ start: 0, end: 0 });
+      expect(getVisibleRange(offsets, -300, -100, 5)).toEqual({ start: 0, end: 0 });
+      expect(getVisibleRange([0], 0, 100, 5)).toEqual({ start: 0, end: 0 });
+    });
+  });
+
+  describe('createVirtualList', () => {
+    /** @type {HTMLElement} */
+    let scrollElement;
+    /** @type {HTMLElement} */
+    let container;
+    /** @type {jest.Mock} */
+    let renderItem;
+
+    /**
+     * @param {number} count
+     * @returns {Array<{ id: string, chatName: string, scheduledTime: number, status: string, recurrence?: object }>}
+     */
+    function makeReminders(count) {
+      const base = new Date(2026, 2, 10, 9, 0).getTime();
+      return Array.from({ length: count }, (_, i) => ({
+        id: `r${i}`,
+        chatId: `62812${String(i).padStart(7, '0')}@c.us`,
+        chatName: `Contact ${i}`,
+        note: i % 3 === 0 ? `Follow up on order #${i}` : null,
+        scheduledTime: base + i * 60 * 1000,
+        status: 'pending',
+        recurrence: i % 10 === 0 ? { frequency: 'weekly', interval: 1 } : null,
+        createdAt: base - 1000,
+      }));
+    }
+
+    /**
+     * Builds a row like the popup's reminder items.
+     * @param {any} reminder
+     */
+    function buildRow(reminder) {
+      const item = document.createElement('div');
+      item.className = 'reminder-item';
+      item.dataset.id = reminder.id;
+      const name = document.createElement('div');
+      name.textContent = reminder.chatName;
+      item.appendChild(name);
+      if (reminder.note) {
+        const note = document.createElement('div');
+        note.textContent = reminder.note;
+        item.appendChild(note);
+      }
+      const time = document.createElement('div');
+      time.textContent = new Date(reminder.scheduledTime).toLocaleString();
+      item.appendChild(time);
+      return item;
+    }
+
+    function renderedIds() {
+      return [...container.children].map((el) => /** @type {HTMLElement} */ (el).dataset.id);
+    }
+
+    beforeEach(() => {
+      scrollElement = document.createElement('div');
+      container = document.createElement('div');
+      scrollElement.appendChild(container);
+      document.body.appendChild(scrollElement);
+      // jsdom has no layout: a 640px viewport of 64px rows
+      Object.defineProperty(scrollElement, 'clientHeight', { value: 640 });
+      renderItem = jest.fn(buildRow);
+    });
+
+    afterEach(() => {
+      scrollElement.remove();
+    });
+
+    function createList() {
+      return createVirtualList({
+        scrollElement,
+        container,
+        getKey: (reminder) => reminder.id,
+        renderItem,
+        estimatedHeight: 64,
+        overscan: 2,
+      });
+    }
+
+    it('renders only the rows in the viewport and sizes the container for all', () => {
+      const list = createList();
+
+      list.setItems(makeReminders(1000));
+
+      expect(renderedIds()).toEqual(Array.from({ length: 12 }, (_, i) => `r${i}`));
+      expect(container.style.height).toBe(`${1000 * 64}px`);
+      expect(/** @type {HTMLElement} */ (container.children[3]).style.top).toBe(`${3 * 64}px`);
+    });
+
+    it('renders the rows scrolled into view', () => {
+      const list = createList();
+      list.setItems(makeReminders(1000));
+      jest.spyOn(container, 'getBoundingClientRect').mockReturnValue(
+        /** @type {DOMRect} */ ({ top: -6400 })
+      );
+
+      list.render();
+
+      expect(renderedIds().sort()).toEqual(Array.from({ length: 14 }, (_, i) => `r${98 + i}`).sort());
+    });
+
+    it('rebuilds only the rows whose item changed', () => {
+      const list = createList();
+      const reminders = makeReminders(50);
+      list.setItems(reminders);
+      const firstRow = container.children[0];
+      renderItem.mockClear();
+
+      const copy = JSON.parse(JSON.stringify(reminders));
+      copy[1].note = 'Changed';
+      list.setItems(applyReminderDiff(reminders, diffReminders(reminders, copy)));
+
+      expect(renderItem).toHaveBeenCalledTimes(1);
+      expect(renderItem.mock.calls[0][0].note).toBe('Changed');
+      expect(container.children[0]).toBe(firstRow);
+    });
+
+    it('uses measured row heights once rendered', () => {
+      renderItem.mockImplementation((reminder) => {
+        const row = buildRow(reminder);
+        Object.defineProperty(row, 'offsetHeight', { value: 100 });
+        return row;
+      });
+      const list = createList();
+
+      list.setItems(makeReminders(1000));
+
+      expect(/** @type {HTMLElement} */ (container.children[1]).style.top).toBe('100px');
+      expect(renderedIds()).toHaveLength(9);
+    });
+
+    it('removes every row for an empty list', () => {
+      const list = createList();
+      list.setItems(makeReminders(20));
+
+      list.setItems([]);
+
+      expect(container.children).toHaveLength(0);
+      expect(container.style.height).toBe('0px');
+    });
+
+    it('rebuilds the rendered rows on reset', () => {
+      const list = createList();
+      list.setItems(makeReminders(20));
+      renderItem.mockClear();
+
+      list.reset();
+
+      expect(renderItem).toHaveBeenCalledTimes(12);
+    });
+
+    describe('benchmark: 10,000 reminders', () => {
+      // MasterPlan: popup load under 100ms with 10,000 reminders
+      const RENDER_BUDGET_MS = 100;
+
+      it('sorts and renders the first load within budget', () => {
+        const stored = makeReminders(10000).reverse();
+        const list = createList();
+
+        const start = performance.now();
+        list.setItems([...stored].sort(compareReminders));
+        const elapsed = performance.now() - start;
+
+        expect(container.children.length).toBeLessThan(20);
+        expect(elapsed).toBeLessThan(RENDER_BUDGET_MS);
+      });
+
+      it('applies a storage change within budget, rebuilding one row', () => {
+        const reminders = makeReminders(10000);
+        const list = createList();
+        list.setItems(reminders);
+        renderItem.mockClear();
+        const stored = JSON.parse(JSON.stringify(reminders));
+        stored[5].status = 'completed';
+
+        const start = performance.now();
+        list.setItems(applyReminderDiff(reminders, diffReminders(reminders, stored)));
+        const elapsed = performance.now() - start;
+
+        expect(renderItem).toHaveBeenCalledTimes(1);
+        expect(elapsed).toBeLessThan(RENDER_BUDGET_MS);
+      });
+    });
+  });
+});
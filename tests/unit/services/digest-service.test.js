@@ -0,0 +1,111 @@
+// @ts-check
+
+const DigestService = require('../../../src/services/digest-service');
+const { DIGEST, REMINDER_STATUS } = require('../../../src/lib/constants');
+
+describe('DigestService', () => {
+  /** @type {any} */
+  let mockStorage;
+
+  const digest = { enabled: true, time: { hour: 8, minute: 30 } };
+  const earlyMorning = new Date(2026, 2, 10, 6, 0).getTime();
+  const todayDigest = new Date(2026, 2, 10, 8, 30).getTime();
+  const tomorrowDigest = new Date(2026, 2, 11, 8, 30).getTime();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(earlyMorning);
+    mockStorage = {
+      getSettings: jest.fn().mockResolvedValue({ digest }),
+      getReminders: jest.fn().mockResolvedValue([]),
+    };
+    chrome.alarms.create.mockResolvedValue(undefined);
+    chrome.alarms.clear.mockResolvedValue(true);
+    chrome.alarms.get.mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('syncDigestAlarm', () => {
+    it('creates a daily alarm at the next digest time', async () => {
+      await DigestService.syncDigestAlarm({ storage: mockStorage });
+
+      expect(chrome.alarms.create).toHaveBeenCalledWith(DIGEST.ALARM, {
+        when: todayDigest,
+        periodInMinutes: 24 * 60,
+      });
+    });
+
+    it('leaves an alarm that is already set for the right time', async () => {
+      chrome.alarms.get.mockResolvedValue({ name: DIGEST.ALARM, scheduledTime: todayDigest });
+
+      await DigestService.syncDigestAlarm({ storage: mockStorage });
+
+      expect(chrome.alarms.create).not.toHaveBeenCalled();
+    });
+
+    it('leaves an overdue alarm so it still fires', async () => {
+      chrome.alarms.get.mockResolvedValue({ name: DIGEST.ALARM, scheduledTime: earlyMorning - 1000 });
+
+      await DigestService.syncDigestAlarm({ storage: mockStorage });
+
+      expect(chrome.alarms.create).not.toHaveBeenCalled();
+    });
+
+    it('moves the alarm when the time changed or drifted', async () => {
+      jest.setSystemTime(todayDigest);
+      chrome.alarms.get.mockResolvedValue({
+        name: DIGEST.ALARM,
+        scheduledTime: tomorrowDigest + 60 * 60 * 1000,
+      });
+
+      await DigestService.syncDigestAlarm({ storage: mockStorage });
+
+      expect(chrome.alarms.create).toHaveBeenCalledWith(DIGEST.ALARM, {
+        when: tomorrowDigest,
+        periodInMinutes: 24 * 60,
+      });
+    });
+
+    it('clears the alarm when the digest is off', async () => {
+      mockStorage.getSettings.mockResolvedValue({ digest: { ...digest, enabled: false } });
+
+      await DigestService.syncDigestAlarm({ storage: mockStorage });
+
+      expect(chrome.alarms.clear).toHaveBeenCalledWith(DIGEST.ALARM);
+      expect(chrome.alarms.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDailyDigest', () => {
+    it("summarises today's reminders", async () => {
+      jest.setSystemTime(todayDigest);
+      mockStorage.getReminders.mockResolvedValue([
+        { chatName: 'Budi', scheduledTime: todayDigest - 60 * 1000, status: REMINDER_STATUS.PENDING },
+        { chatName: 'Siti', scheduledTime: todayDigest + 60 * 60 * 1000, status: REMINDER_STATUS.PENDING },
+      ]);
+
+      const summary = await DigestService.getDailyDigest({ storage: mockStorage });
+
+      expect(summary).toEqual({ dueToday: 1, overdue: 1, names: ['Budi', 'Siti'], moreNames: 0 });
+    });
+
+    it('returns null when nothing is due today', async () => {
+      mockStorage.getReminders.mockResolvedValue([
+        { chatName: 'Budi', scheduledTime: tomorrowDigest, status: REMINDER_STATUS.PENDING },
+      ]);
+
+      expect(await DigestService.getDailyDigest({ storage: mockStorage })).toBeNull();
+    });
+
+    it('returns null when the digest is off', async () => {
+      mockStorage.getSettings.mockResolvedValue({ digest: { ...digest, enabled: false } });
+
+      expect(await DigestService.getDailyDigest({ storage: mockStorage })).toBeNull();
+      expect(mockStorage.getReminders).not.toHaveBeenCalled();
+    });
+  });
+});
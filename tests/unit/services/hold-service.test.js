@@ -0,0 +1,113 @@
+// @ts-check
+
+const HoldService = require('../../../src/services/hold-service');
+const { HOLD_REASONS, REMINDER_STATUS } = require('../../../src/lib/constants');
+const { createHoldStorage } = require('../helpers/hold-storage');
+
+const { QUIET_HOURS, IDLE } = HOLD_REASONS;
+
+describe('HoldService', () => {
+  /** @type {any} */
+  let mockStorage;
+
+  const now = new Date(2026, 2, 11, 7, 0).getTime();
+
+  /**
+   * @param {string} id
+   * @param {object} [overrides]
+   */
+  function makeReminder(id, overrides = {}) {
+    return {
+      id,
+      chatId: '5511999999999@c.us',
+      chatName: `Chat ${id}`,
+      scheduledTime: now - 60 * 1000,
+      status: REMINDER_STATUS.PENDING,
+      ...overrides,
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+    mockStorage = createHoldStorage();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('holdReminder', () => {
+    it('adds the reminder with the reason it is held', async () => {
+      await HoldService.holdReminder('r1', QUIET_HOURS, { storage: mockStorage });
+
+      expect(mockStorage.held).toEqual([{ id: 'r1', reason: QUIET_HOURS }]);
+    });
+
+    it('does not hold the same reminder twice for the same reason', async () => {
+      mockStorage.held = [{ id: 'r1', reason: IDLE }];
+
+      await HoldService.holdReminder('r1', IDLE, { storage: mockStorage });
+
+      expect(mockStorage.saveHeldReminders).not.toHaveBeenCalled();
+    });
+
+    it('keeps one entry per reminder, with the latest reason', async () => {
+      mockStorage.held = [{ id: 'r1', reason: QUIET_HOURS }, { id: 'r2', reason: QUIET_HOURS }];
+
+      await HoldService.holdReminder('r1', IDLE, { storage: mockStorage });
+
+      expect(mockStorage.held).toEqual([
+        { id: 'r2', reason: QUIET_HOURS },
+        { id: 'r1', reason: IDLE },
+      ]);
+    });
+  });
+
+  describe('getHeldReminderIds', () => {
+    it('returns only the IDs held for the given reason', async () => {
+      mockStorage.held = [{ id: 'a', reason: QUIET_HOURS }, { id: 'b', reason: IDLE }];
+
+      expect(await HoldService.getHeldReminderIds(IDLE, { storage: mockStorage })).toEqual(['b']);
+    });
+  });
+
+  describe('releaseHeldReminders', () => {
+    it('returns held reminders that are still pending and due, soonest first', async () => {
+      mockStorage.held = ['late', 'early', 'done', 'moved', 'deleted'].map((id) => ({ id, reason: QUIET_HOURS }));
+      mockStorage.getReminders.mockResolvedValue([
+        makeReminder('late'),
+        makeReminder('early', { scheduledTime: now - 60 * 60 * 1000 }),
+        makeReminder('done', { status: REMINDER_STATUS.COMPLETED }),
+        makeReminder('moved', { scheduledTime: now + 60 * 60 * 1000 }),
+        makeReminder('unrelated'),
+      ]);
+
+      const released = await HoldService.releaseHeldReminders(QUIET_HOURS, { storage: mockStorage });
+
+      expect(released.map((r) => r.id)).toEqual(['early', 'late']);
+      expect(mockStorage.held).toEqual([]);
+    });
+
+    it('keeps reminders held for another reason', async () => {
+      mockStorage.held = [{ id: 'quiet', reason: QUIET_HOURS }, { id: 'away', reason: IDLE }];
+      mockStorage.getReminders.mockResolvedValue([makeReminder('quiet'), makeReminder('away')]);
+
+      const released = await HoldService.releaseHeldReminders(IDLE, { storage: mockStorage });
+
+      expect(released.map((r) => r.id)).toEqual(['away']);
+      expect(mockStorage.held).toEqual([{ id: 'quiet', reason: QUIET_HOURS }]);
+    });
+
+    it('does nothing when nothing is held for the reason', async () => {
+      mockStorage.held = [{ id: 'quiet', reason: QUIET_HOURS }];
+
+      const released = await HoldService.releaseHeldReminders(IDLE, { storage: mockStorage });
+
+      expect(released).toEqual([]);
+      expect(mockStorage.saveHeldReminders).not.toHaveBeenCalled();
+      expect(mockStorage.getReminders).not.toHaveBeenCalled();
+    });
+  });
+});
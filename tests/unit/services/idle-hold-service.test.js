@@ -0,0 +1,82 @@
+// @ts-check
+
+const IdleHoldService = require('../../../src/services/idle-hold-service');
+const { IDLE, HOLD_REASONS, REMINDER_STATUS } = require('../../../src/lib/constants');
+const { createHoldStorage } = require('../helpers/hold-storage');
+
+describe('IdleHoldService', () => {
+  /** @type {any} */
+  let mockStorage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage = createHoldStorage({ settings: { holdWhileIdle: true } });
+    chrome.idle.queryState.mockResolvedValue('idle');
+  });
+
+  describe('holdIfIdle', () => {
+    it('holds the reminder while the system is idle', async () => {
+      const held = await IdleHoldService.holdIfIdle('r1', { storage: mockStorage });
+
+      expect(held).toBe(true);
+      expect(mockStorage.held).toEqual([{ id: 'r1', reason: HOLD_REASONS.IDLE }]);
+      expect(chrome.idle.queryState).toHaveBeenCalledWith(IDLE.DETECTION_SECONDS);
+    });
+
+    it('holds the reminder while the system is locked', async () => {
+      chrome.idle.queryState.mockResolvedValue('locked');
+
+      expect(await IdleHoldService.holdIfIdle('r1', { storage: mockStorage })).toBe(true);
+    });
+
+    it('does not hold while the user is active', async () => {
+      chrome.idle.queryState.mockResolvedValue('active');
+
+      expect(await IdleHoldService.holdIfIdle('r1', { storage: mockStorage })).toBe(false);
+      expect(mockStorage.held).toEqual([]);
+    });
+
+    it('does not hold when the option is off', async () => {
+      mockStorage.getSettings.mockResolvedValue({ holdWhileIdle: false });
+
+      expect(await IdleHoldService.holdIfIdle('r1', { storage: mockStorage })).toBe(false);
+      expect(chrome.idle.queryState).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshIdleHeldReminders', () => {
+    beforeEach(() => {
+      mockStorage.held = [
+        { id: 'r1', reason: HOLD_REASONS.IDLE },
+        { id: 'r2', reason: HOLD_REASONS.QUIET_HOURS },
+      ];
+      mockStorage.getReminders.mockResolvedValue(
+        ['r1', 'r2'].map((id) => ({ id, scheduledTime: Date.now() - 1000, status: REMINDER_STATUS.PENDING }))
+      );
+    });
+
+    it('keeps holding while the user is still away', async () => {
+      const released = await IdleHoldService.refreshIdleHeldReminders({ storage: mockStorage });
+
+      expect(released).toEqual([]);
+      expect(mockStorage.held).toHaveLength(2);
+    });
+
+    it('releases only the reminders held while away once the user is back', async () => {
+      chrome.idle.queryState.mockResolvedValue('active');
+
+      const released = await IdleHoldService.refreshIdleHeldReminders({ storage: mockStorage });
+
+      expect(released.map((r) => r.id)).toEqual(['r1']);
+      expect(mockStorage.held).toEqual([{ id: 'r2', reason: HOLD_REASONS.QUIET_HOURS }]);
+    });
+
+    it('releases when the option was turned off', async () => {
+      mockStorage.getSettings.mockResolvedValue({ holdWhileIdle: false });
+
+      const released = await IdleHoldService.refreshIdleHeldReminders({ storage: mockStorage });
+
+      expect(released.map((r) => r.id)).toEqual(['r1']);
+    });
+  });
+});
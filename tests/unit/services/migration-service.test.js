@@ -0,0 +1,149 @@
+// @ts-check
+
+const MigrationService = require('../../../src/services/migration-service');
+const { SCHEMA_VERSION } = require('../../../src/lib/constants');
+
+describe('MigrationService', () => {
+  /** @type {any} */
+  let mockStorage;
+
+  const now = new Date(2026, 2, 10, 10, 0).getTime();
+  const storedData = {
+    reminders: [{ id: 'r1', chatName: 'Budi', scheduledTime: 1000, status: 'pending' }],
+    trash: [],
+    userPlan: { planType: 'free' },
+    subscriptionStatus: null,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+    mockStorage = {
+      getSchemaVersion: jest.fn().mockResolvedValue(null),
+      getSchemaData: jest.fn().mockResolvedValue(storedData),
+      saveSchemaData: jest.fn().mockResolvedValue(undefined),
+      saveMigrationBackup: jest.fn().mockResolvedValue(undefined),
+      clearMigrationBackup: jest.fn().mockResolvedValue(undefined),
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('runMigrations', () => {
+    it('migrates data without a recorded version from version 1', async () => {
+      const result = await MigrationService.runMigrations({ storage: mockStorage });
+
+      expect(result).toEqual({ fromVersion: 1, toVersion: SCHEMA_VERSION, applied: [2] });
+      const [data, version] = mockStorage.saveSchemaData.mock.calls[0];
+      expect(version).toBe(SCHEMA_VERSION);
+      expect(data.reminders[0]).toMatchObject({ id: 'r1', notificationCount: 0, recurrence: null });
+      expect(data.userPlan.activeReminderLimit).toBe(5);
+    });
+
+    it('backs up the stored data before migrating', async () => {
+      await MigrationService.runMigrations({ storage: mockStorage });
+
+      expect(mockStorage.saveMigrationBackup).toHaveBeenCalledWith({
+        schemaVersion: 1,
+        createdAt: now,
+        data: storedData,
+      });
+      expect(mockStorage.saveMigrationBackup.mock.invocationCallOrder[0]).toBeLessThan(
+        mockStorage.saveSchemaData.mock.invocationCallOrder[0]
+      );
+    });
+
+    it('removes the backup once the migrated data is stored', async () => {
+      await MigrationService.runMigrations({ storage: mockStorage });
+
+      expect(mockStorage.clearMigrationBackup).toHaveBeenCalled();
+      expect(mockStorage.clearMigrationBackup.mock.invocationCallOrder[0]).toBeGreaterThan(
+        mockStorage.saveSchemaData.mock.invocationCallOrder[0]
+      );
+    });
+
+    it('does nothing when the data is up to date', async () => {
+      mockStorage.getSchemaVersion.mockResolvedValue(SCHEMA_VERSION);
+
+      const result = await MigrationService.runMigrations({ storage: mockStorage });
+
+      expect(result.applied).toEqual([]);
+      expect(mockStorage.getSchemaData).not.toHaveBeenCalled();
+      expect(mockStorage.saveSchemaData).not.toHaveBeenCalled();
+    });
+
+    it('leaves data from a newer version alone', async () => {
+      mockStorage.getSchemaVersion.mockResolvedValue(SCHEMA_VERSION + 1);
+
+      const result = await MigrationService.runMigrations({ storage: mockStorage });
+
+      expect(result).toEqual({ fromVersion: SCHEMA_VERSION + 1, toVersion: SCHEMA_VERSION + 1, applied: [] });
+      expect(mockStorage.saveSchemaData).not.toHaveBeenCalled();
+    });
+
+    it('runs the steps after the stored version, up to SCHEMA_VERSION', async () => {
+      mockStorage.getSchemaVersion.mockResolvedValue(SCHEMA_VERSION - 1);
+      const order = [];
+      const migrations = [SCHEMA_VERSION + 1, SCHEMA_VERSION - 1, SCHEMA_VERSION].map((version) => ({
+        version,
+        description: `step ${version}`,
+        migrate: (data) => {
+          order.push(version);
+          return data;
+        },
+      }));
+
+      const result = await MigrationService.runMigrations({ storage: mockStorage, migrations });
+
+      expect(order).toEqual([SCHEMA_VERSION]);
+      expect(result.applied).toEqual([SCHEMA_VERSION]);
+    });
+
+    it('writes nothing and keeps the backup when a step throws', async () => {
+      const migrations = [
+        {
+          version: 2,
+          description: 'broken',
+          migrate: (data) => {
+            data.reminders[0].chatName = 'changed';
+            throw new Error('bad data');
+          },
+        },
+      ];
+
+      await expect(
+        MigrationService.runMigrations({ storage: mockStorage, migrations })
+      ).rejects.toMatchObject({ name: 'MigrationError', message: 'Migration to schema 2 failed: bad data' });
+
+      expect(mockStorage.saveSchemaData).not.toHaveBeenCalled();
+      expect(mockStorage.clearMigrationBackup).not.toHaveBeenCalled();
+      expect(storedData.reminders[0].chatName).toBe('Budi');
+    });
+
+    it('rolls back when writing the migrated data fails', async () => {
+      mockStorage.saveSchemaData
+        .mockRejectedValueOnce(new Error('QUOTA_BYTES quota exceeded'))
+        .mockResolvedValueOnce(undefined);
+
+      await expect(MigrationService.runMigrations({ storage: mockStorage })).rejects.toMatchObject({
+        name: 'MigrationError',
+      });
+
+      expect(mockStorage.saveSchemaData).toHaveBeenLastCalledWith(storedData, 1);
+      expect(mockStorage.clearMigrationBackup).not.toHaveBeenCalled();
+    });
+
+    it('passes a version conflict on without rolling back', async () => {
+      const conflict = new Error('Reminders changed since read');
+      conflict.name = 'VersionConflictError';
+      mockStorage.saveSchemaData.mockRejectedValueOnce(conflict);
+
+      await expect(MigrationService.runMigrations({ storage: mockStorage })).rejects.toBe(conflict);
+
+      expect(mockStorage.saveSchemaData).toHaveBeenCalledTimes(1);
+    });
+  });
+});
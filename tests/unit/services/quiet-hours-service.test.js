@@ -0,0 +1,113 @@
+// @ts-check
+
+const QuietHoursService = require('../../../src/services/quiet-hours-service');
+const { QUIET_HOURS, HOLD_REASONS, REMINDER_STATUS } = require('../../../src/lib/constants');
+const { createHoldStorage } = require('../helpers/hold-storage');
+
+describe('QuietHoursService', () => {
+  /** @type {any} */
+  let mockStorage;
+
+  const quietHours = { enabled: true, start: { hour: 22, minute: 0 }, end: { hour: 7, minute: 0 } };
+  const night = new Date(2026, 2, 10, 23, 30).getTime();
+  const morning = new Date(2026, 2, 11, 7, 0).getTime();
+  const dueReminder = { id: 'r1', scheduledTime: night - 60 * 1000, status: REMINDER_STATUS.PENDING };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(night);
+    mockStorage = createHoldStorage({ settings: { quietHours } });
+    chrome.alarms.create.mockResolvedValue(undefined);
+    chrome.alarms.clear.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('holdIfQuiet', () => {
+    it('holds the reminder and arms the release alarm for the end of the window', async () => {
+      const held = await QuietHoursService.holdIfQuiet('r1', { storage: mockStorage });
+
+      expect(held).toBe(true);
+      expect(mockStorage.held).toEqual([{ id: 'r1', reason: HOLD_REASONS.QUIET_HOURS }]);
+      expect(chrome.alarms.create).toHaveBeenCalledWith(QUIET_HOURS.RELEASE_ALARM, { when: morning });
+    });
+
+    it('does not hold outside quiet hours', async () => {
+      jest.setSystemTime(new Date(2026, 2, 10, 15, 0).getTime());
+
+      const held = await QuietHoursService.holdIfQuiet('r1', { storage: mockStorage });
+
+      expect(held).toBe(false);
+      expect(mockStorage.saveHeldReminders).not.toHaveBeenCalled();
+      expect(chrome.alarms.create).not.toHaveBeenCalled();
+    });
+
+    it('does not hold while quiet hours are turned off', async () => {
+      mockStorage.getSettings.mockResolvedValue(null);
+
+      expect(await QuietHoursService.holdIfQuiet('r1', { storage: mockStorage })).toBe(false);
+    });
+  });
+
+  describe('releaseHeldReminders', () => {
+    it('releases the reminders held for quiet hours and clears the release alarm', async () => {
+      jest.setSystemTime(morning);
+      mockStorage.held = [
+        { id: 'r1', reason: HOLD_REASONS.QUIET_HOURS },
+        { id: 'away', reason: HOLD_REASONS.IDLE },
+      ];
+      mockStorage.getReminders.mockResolvedValue([dueReminder]);
+
+      const released = await QuietHoursService.releaseHeldReminders({ storage: mockStorage });
+
+      expect(released.map((r) => r.id)).toEqual(['r1']);
+      expect(mockStorage.held).toEqual([{ id: 'away', reason: HOLD_REASONS.IDLE }]);
+      expect(chrome.alarms.clear).toHaveBeenCalledWith(QUIET_HOURS.RELEASE_ALARM);
+    });
+  });
+
+  describe('refreshHeldReminders', () => {
+    beforeEach(() => {
+      mockStorage.held = [{ id: 'r1', reason: HOLD_REASONS.QUIET_HOURS }];
+      mockStorage.getReminders.mockResolvedValue([dueReminder]);
+    });
+
+    it('re-arms the release alarm while still inside quiet hours', async () => {
+      const released = await QuietHoursService.refreshHeldReminders({ storage: mockStorage });
+
+      expect(released).toEqual([]);
+      expect(mockStorage.held).toHaveLength(1);
+      expect(chrome.alarms.create).toHaveBeenCalledWith(QUIET_HOURS.RELEASE_ALARM, { when: morning });
+    });
+
+    it('releases held reminders once the window is over', async () => {
+      jest.setSystemTime(morning + 5 * 60 * 1000);
+
+      const released = await QuietHoursService.refreshHeldReminders({ storage: mockStorage });
+
+      expect(released.map((r) => r.id)).toEqual(['r1']);
+      expect(mockStorage.held).toEqual([]);
+    });
+
+    it('releases held reminders when quiet hours are turned off', async () => {
+      mockStorage.getSettings.mockResolvedValue({ quietHours: { ...quietHours, enabled: false } });
+
+      const released = await QuietHoursService.refreshHeldReminders({ storage: mockStorage });
+
+      expect(released.map((r) => r.id)).toEqual(['r1']);
+    });
+
+    it('does nothing when only reminders held while away are on the list', async () => {
+      mockStorage.held = [{ id: 'r1', reason: HOLD_REASONS.IDLE }];
+      jest.setSystemTime(morning + 5 * 60 * 1000);
+
+      const released = await QuietHoursService.refreshHeldReminders({ storage: mockStorage });
+
+      expect(released).toEqual([]);
+      expect(mockStorage.getSettings).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,218 @@
+// @ts-check
+
+const ReminderDb = require('../../../src/services/reminder-db');
+const { STORAGE_KEYS, REMINDER_DB } = require('../../../src/lib/constants');
+const { createFakeIndexedDB, FakeKeyRange } = require('../helpers/fake-indexeddb');
+
+describe('ReminderDb', () => {
+  /** @type {any} */
+  let factory;
+
+  const reminders = [
+    { id: 'a', chatId: '1@c.us', status: 'pending', scheduledTime: 3000 },
+    { id: 'b', chatId: '2@c.us', status: 'completed', scheduledTime: 1000 },
+    { id: 'c', chatId: '1@c.us', status: 'pending', scheduledTime: 2000 },
+  ];
+
+  /**
+   * Makes chrome.storage.local hold the old reminders array, or nothing.
+   * @param {Array<object>} [stored]
+   */
+  function mockStoredArray(stored) {
+    chrome.storage.local.get.mockResolvedValue(
+      stored === undefined ? {} : { [STORAGE_KEYS.REMINDERS]: stored }
+    );
+    chrome.storage.local.remove.mockResolvedValue(undefined);
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    factory = createFakeIndexedDB();
+    /** @type {any} */ (global).indexedDB = factory;
+    /** @type {any} */ (global).IDBKeyRange = FakeKeyRange;
+    mockStoredArray(reminders);
+  });
+
+  afterEach(async () => {
+    await ReminderDb.closeReminderDb();
+    delete (/** @type {any} */ (global).indexedDB);
+    delete (/** @type {any} */ (global).IDBKeyRange);
+    delete (/** @type {any} */ (global).BroadcastChannel);
+  });
+
+  describe('isReminderDbAvailable', () => {
+    it('reflects whether IndexedDB exists', () => {
+      expect(ReminderDb.isReminderDbAvailable()).toBe(true);
+      delete (/** @type {any} */ (global).indexedDB);
+      expect(ReminderDb.isReminderDbAvailable()).toBe(false);
+    });
+  });
+
+  describe('migration from chrome.storage', () => {
+    it('moves the stored array into the store and removes the old key', async () => {
+      const all = await ReminderDb.getAllReminders();
+
+      expect(all.map((r) => r.id)).toEqual(['a', 'b', 'c']);
+      expect(chrome.storage.local.remove).toHaveBeenCalledWith(STORAGE_KEYS.REMINDERS);
+      const meta = factory.databases.get(REMINDER_DB.NAME).stores.get(REMINDER_DB.META_STORE);
+      expect(meta.records.get('storageMigration')).toEqual(
+        expect.objectContaining({ count: 3 })
+      );
+    });
+
+    it('runs once: a reopened database ignores a stale array', async () => {
+      await ReminderDb.getAllReminders();
+      await ReminderDb.closeReminderDb();
+      mockStoredArray([{ id: 'stale' }]);
+
+      const all = await ReminderDb.getAllReminders();
+
+      expect(all.map((r) => r.id)).toEqual(['a', 'b', 'c']);
+      // The stale copy is still cleaned up
+      expect(chrome.storage.local.remove).toHaveBeenCalledTimes(2);
+    });
+
+    it('starts empty when nothing was stored', async () => {
+      mockStoredArray(undefined);
+
+      expect(await ReminderDb.getAllReminders()).toEqual([]);
+      expect(chrome.storage.local.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('queries', () => {
+    it('reads one reminder by ID', async () => {
+      expect(await ReminderDb.getReminderById('b')).toEqual(reminders[1]);
+      expect(await ReminderDb.getReminderById('zzz')).toBeNull();
+    });
+
+    it('reads by status and chat through their indexes', async () => {
+      const pending = await ReminderDb.getRemindersByStatus('pending');
+      const chat = await ReminderDb.getRemindersByChatId('1@c.us');
+
+      expect(pending.map((r) => r.id).sort()).toEqual(['a', 'c']);
+      expect(chat.map((r) => r.id).sort()).toEqual(['a', 'c']);
+    });
+
+    it('reads reminders due by a time, soonest first', async () => {
+      const due = await ReminderDb.getRemindersDueBefore(2000);
+
+      expect(due.map((r) => r.id)).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('writes and change events', () => {
+    it('replaceReminders writes only what changed and reports it', async () => {
+      const listener = jest.fn();
+      const unsubscribe = ReminderDb.onReminderChanges(listener);
+      await ReminderDb.getAllReminders();
+      const store = factory.databases.get(REMINDER_DB.NAME).stores.get(REMINDER_DB.STORE);
+      const putSpy = jest.spyOn(store.records, 'set');
+
+      const completed = { ...reminders[0], status: 'completed' };
+      const added = { id: 'd', chatId: '3@c.us', status: 'pending', scheduledTime: 4000 };
+      await ReminderDb.replaceReminders([completed, reminders[2], added]);
+
+      expect(putSpy).toHaveBeenCalledTimes(2);
+      expect(listener).toHaveBeenCalledWith([
+        { type: 'updated', reminder: completed, previous: reminders[0] },
+        { type: 'added', reminder: added, previous: null },
+        { type: 'removed', reminder: reminders[1], previous: null },
+      ]);
+      expect((await ReminderDb.getAllReminders()).map((r) => r.id)).toEqual(['a', 'c', 'd']);
+      unsubscribe();
+    });
+
+    it('does not report a write that changes nothing', async () => {
+      const listener = jest.fn();
+      const unsubscribe = ReminderDb.onReminderChanges(listener);
+
+      await ReminderDb.replaceReminders(reminders);
+
+      expect(listener).not.toHaveBeenCalled();
+      unsubscribe();
+    });
+
+    it('putReminders reports new reminders as added and changed ones as updated', async () => {
+      const listener = jest.fn();
+      const unsubscribe = ReminderDb.onReminderChanges(listener);
+      const snoozed = { ...reminders[2], scheduledTime: 5000 };
+      const added = { id: 'e', chatId: '1@c.us', status: 'pending', scheduledTime: 6000 };
+
+      await ReminderDb.putReminders([snoozed, added, reminders[0]]);
+
+      expect(listener).toHaveBeenCalledWith([
+        { type: 'updated', reminder: snoozed, previous: reminders[2] },
+        { type: 'added', reminder: added, previous: null },
+      ]);
+      expect(await ReminderDb.getReminderById('c')).toEqual(snoozed);
+      unsubscribe();
+    });
+
+    it('deleteReminders removes the known IDs', async () => {
+      const listener = jest.fn();
+      const unsubscribe = ReminderDb.onReminderChanges(listener);
+
+      await ReminderDb.deleteReminders(['a', 'zzz']);
+
+      expect(listener).toHaveBeenCalledWith([{ type: 'removed', reminder: reminders[0], previous: null }]);
+      expect(await ReminderDb.getReminderById('a')).toBeNull();
+      unsubscribe();
+    });
+
+    it('bumps the version with every write', async () => {
+      const before = await ReminderDb.getVersion();
+
+      await ReminderDb.replaceReminders(reminders);
+      await ReminderDb.deleteReminders(['a']);
+
+      expect(await ReminderDb.getVersion()).toBe(before + 2);
+    });
+
+    it('refuses a write expecting an old version and writes nothing', async () => {
+      const version = await ReminderDb.getVersion();
+      await ReminderDb.putReminders([{ ...reminders[0], note: 'newer' }]);
+
+      await expect(ReminderDb.replaceReminders([], version)).rejects.toMatchObject({
+        name: 'VersionConflictError',
+      });
+      expect(await ReminderDb.getAllReminders()).toHaveLength(3);
+      expect(await ReminderDb.getVersion()).toBe(version + 1);
+    });
+
+    it('refuses a keyed write expecting an old version', async () => {
+      const version = await ReminderDb.getVersion();
+      await ReminderDb.deleteReminders(['b']);
+
+      await expect(
+        ReminderDb.putReminders([{ ...reminders[0], note: 'stale' }], version)
+      ).rejects.toMatchObject({ name: 'VersionConflictError' });
+      await expect(ReminderDb.deleteReminders(['a'], version)).rejects.toMatchObject({
+        name: 'VersionConflictError',
+      });
+      expect(await ReminderDb.getReminderById('a')).toEqual(reminders[0]);
+    });
+
+    it('reads only the written records for a keyed write', async () => {
+      await ReminderDb.getAllReminders();
+      const store = factory.databases.get(REMINDER_DB.NAME).stores.get(REMINDER_DB.STORE);
+      // Only a full read lists the store's keys
+      const listSpy = jest.spyOn(store.records, 'keys');
+
+      await ReminderDb.putReminders([{ ...reminders[1], note: 'edited' }], await ReminderDb.getVersion());
+
+      expect(listSpy).not.toHaveBeenCalled();
+      expect((await ReminderDb.getReminderById('b')).note).toBe('edited');
+    });
+
+    it('broadcasts changes to other pages', async () => {
+      const postMessage = jest.fn();
+      /** @type {any} */ (global).BroadcastChannel = jest.fn(() => ({ postMessage }));
+
+      await ReminderDb.deleteReminders(['b']);
+
+      expect(global.BroadcastChannel).toHaveBeenCalledWith(REMINDER_DB.CHANGE_CHANNEL);
+      expect(postMessage).toHaveBeenCalledWith([{ type: 'removed', reminder: reminders[1], previous: null }]);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const ReminderService = require("../../../src/services/reminder-service");
-const { REMINDER_STATUS, ALARM_PREFIX } = require("../../../src/lib/constants");
+const { REMINDER_STATUS, ALARM_PREFIX, ESCALATION } = require("../../../src/lib/constants");
+const { withKeyedReminders } = require("../helpers/keyed-reminder-storage");
 
 describe("ReminderService", () => {
     let mockStorage;
@@ -13,14 +14,21 @@ describe("ReminderService", () => {
         chrome.alarms.create.mockResolvedValue(undefined);
         chrome.alarms.clear.mockResolvedValue(true);
 
-        mockStorage = {
+        mockStorage = withKeyedReminders({
             getReminders: jest.fn().mockResolvedValue([]),
             saveReminders: jest.fn().mockResolvedValue(undefined),
+            estimateUsage: jest.fn().mockResolvedValue({
+                usedBytes: 0,
+                quotaBytes: 10485760,
+            }),
+            getTrash: jest.fn().mockResolvedValue([]),
+            saveTrash: jest.fn().mockResolvedValue(undefined),
             getUserPlan: jest.fn().mockResolvedValue({
                 planType: "free",
                 activeReminderLimit: 5,
             }),
-        };
+            getSettings: jest.fn().mockResolvedValue(null),
+        });
 
         mockPlan = {
             canCreateReminder: jest.fn().mockResolvedValue(true),
@@ -54,6 +62,9 @@ describe("ReminderService", () => {
                 chatName: "John Doe",
                 status: REMINDER_STATUS.PENDING,
                 completedAt: null,
+                notifiedAt: null,
+                notificationCount: 0,
+                lateByMs: null,
             });
             expect(reminder.id).toBeDefined();
             expect(reminder.createdAt).toBeDefined();
@@ -130,6 +141,54 @@ describe("ReminderService", () => {
 
             expect(reminder.chatName).toBe("John Doe");
         });
+
+        it("stores a recurrence rule anchored at the first occurrence", async () => {
+            const reminder = await ReminderService.createReminder(
+                {
+                    ...validPayload,
+                    recurrence: { frequency: "weekly", interval: 1 },
+                },
+                { storage: mockStorage },
+            );
+
+            expect(reminder.recurrence).toEqual({
+                frequency: "weekly",
+                interval: 1,
+                anchorTime: validPayload.scheduledTime,
+            });
+        });
+
+        it("stores a trimmed note, or null when blank", async () => {
+            const withNote = await ReminderService.createReminder(
+                { ...validPayload, note: "  Ask about the invoice  " },
+                { storage: mockStorage },
+            );
+            const blankNote = await ReminderService.createReminder(
+                { ...validPayload, note: "   " },
+                { storage: mockStorage },
+            );
+
+            expect(withNote.note).toBe("Ask about the invoice");
+            expect(blankNote.note).toBeNull();
+        });
+
+        it("throws ValidationError for a note over the length limit", async () => {
+            await expect(
+                ReminderService.createReminder(
+                    { ...validPayload, note: "a".repeat(501) },
+                    { storage: mockStorage },
+                ),
+            ).rejects.toThrow(/500 characters/);
+        });
+
+        it("stores null recurrence for one-time reminders", async () => {
+            const reminder = await ReminderService.createReminder(
+                validPayload,
+                { storage: mockStorage },
+            );
+
+            expect(reminder.recurrence).toBeNull();
+        });
     });
 
     describe("completeReminder", () => {
@@ -152,9 +211,30 @@ describe("ReminderService", () => {
             expect(chrome.alarms.clear).toHaveBeenCalledWith(
                 `${ALARM_PREFIX}abc`,
             );
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(
+                `${ESCALATION.ALARM_PREFIX}abc`,
+            );
             expect(mockStorage.saveReminders).toHaveBeenCalledTimes(1);
         });
 
+        it("reads and writes only the completed reminder", async () => {
+            const storage = {
+                getReminder: jest.fn().mockResolvedValue({
+                    id: "abc",
+                    status: REMINDER_STATUS.PENDING,
+                    completedAt: null,
+                }),
+                putReminders: jest.fn().mockResolvedValue(undefined),
+            };
+
+            await ReminderService.completeReminder("abc", { storage });
+
+            expect(storage.getReminder).toHaveBeenCalledWith("abc");
+            expect(storage.putReminders).toHaveBeenCalledWith([
+                expect.objectContaining({ id: "abc", status: REMINDER_STATUS.COMPLETED }),
+            ]);
+        });
+
         it("throws NotFoundError for non-existent reminder", async () => {
             mockStorage.getReminders.mockResolvedValue([]);
 
@@ -178,162 +258,1347 @@ describe("ReminderService", () => {
         });
     });
 
-    describe("deleteReminder", () => {
-        it("removes a reminder from storage", async () => {
+    describe("completeReminder - recurring", () => {
+        const DAY_MS = 24 * 60 * 60 * 1000;
+
+        it("rolls an overdue occurrence forward instead of completing", async () => {
+            const anchorTime = Date.now() - 2 * DAY_MS - 1000;
             const reminders = [
-                { id: "abc", status: REMINDER_STATUS.PENDING },
-                { id: "def", status: REMINDER_STATUS.PENDING },
+                {
+                    id: "rec",
+                    status: REMINDER_STATUS.PENDING,
+                    scheduledTime: anchorTime,
+                    completedAt: null,
+                    recurrence: { frequency: "daily", interval: 1, anchorTime },
+                },
             ];
             mockStorage.getReminders.mockResolvedValue(reminders);
 
-            const deletedId = await ReminderService.deleteReminder("abc", {
+            const result = await ReminderService.completeReminder("rec", {
                 storage: mockStorage,
             });
 
-            expect(deletedId).toBe("abc");
-            expect(chrome.alarms.clear).toHaveBeenCalledWith(
-                `${ALARM_PREFIX}abc`,
+            expect(result.status).toBe(REMINDER_STATUS.PENDING);
+            expect(result.completedAt).toBeNull();
+            expect(result.scheduledTime).toBeGreaterThan(Date.now());
+            expect(result.scheduledTime).toBeLessThanOrEqual(Date.now() + DAY_MS);
+            expect(result.completedOccurrences).toBe(1);
+            expect(result.lastCompletedAt).toBeDefined();
+            expect(chrome.alarms.create).toHaveBeenCalledWith(
+                `${ALARM_PREFIX}rec`,
+                { when: result.scheduledTime },
             );
-            // Should save without the deleted reminder
-            const savedReminders = mockStorage.saveReminders.mock.calls[0][0];
-            expect(savedReminders).toHaveLength(1);
-            expect(savedReminders[0].id).toBe("def");
+            expect(chrome.alarms.clear).not.toHaveBeenCalledWith(`${ALARM_PREFIX}rec`);
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`${ESCALATION.ALARM_PREFIX}rec`);
         });
 
-        it("throws NotFoundError for non-existent reminder", async () => {
-            mockStorage.getReminders.mockResolvedValue([]);
+        it("moves an upcoming occurrence to the one after it", async () => {
+            const anchorTime = Date.now() + DAY_MS;
+            mockStorage.getReminders.mockResolvedValue([
+                {
+                    id: "rec",
+                    status: REMINDER_STATUS.PENDING,
+                    scheduledTime: anchorTime,
+                    completedAt: null,
+                    recurrence: { frequency: "weekly", interval: 1, anchorTime },
+                },
+            ]);
 
-            await expect(
-                ReminderService.deleteReminder("nonexistent", {
-                    storage: mockStorage,
-                }),
-            ).rejects.toThrow("Reminder not found");
+            const result = await ReminderService.completeReminder("rec", {
+                storage: mockStorage,
+            });
+
+            const expected = new Date(anchorTime);
+            expected.setDate(expected.getDate() + 7);
+            expect(result.scheduledTime).toBe(expected.getTime());
         });
     });
 
-    describe("getAllReminders", () => {
-        it("returns reminders sorted by scheduledTime", async () => {
-            const reminders = [
+    describe("updateReminder", () => {
+        it("changes the time, replaces the alarm and keeps id and createdAt", async () => {
+            const newTime = Date.now() + 7200000;
+            mockStorage.getReminders.mockResolvedValue([
                 {
-                    id: "2",
-                    scheduledTime: 2000,
+                    id: "abc",
+                    createdAt: 1000,
                     status: REMINDER_STATUS.PENDING,
+                    scheduledTime: Date.now() + 3600000,
                 },
+            ]);
+
+            const result = await ReminderService.updateReminder(
+                "abc",
+                { scheduledTime: newTime },
+                { storage: mockStorage },
+            );
+
+            expect(result).toMatchObject({
+                id: "abc",
+                createdAt: 1000,
+                scheduledTime: newTime,
+            });
+            expect(chrome.alarms.create).toHaveBeenCalledWith(
+                `${ALARM_PREFIX}abc`,
+                { when: newTime },
+            );
+        });
+
+        it("updates the note without touching the alarm", async () => {
+            mockStorage.getReminders.mockResolvedValue([
                 {
-                    id: "1",
-                    scheduledTime: 1000,
+                    id: "abc",
                     status: REMINDER_STATUS.PENDING,
+                    scheduledTime: Date.now() + 3600000,
                 },
+            ]);
+
+            const result = await ReminderService.updateReminder(
+                "abc",
+                { note: "  Send price list  " },
+                { storage: mockStorage },
+            );
+
+            expect(result.note).toBe("Send price list");
+            expect(mockStorage.saveReminders).toHaveBeenCalledTimes(1);
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+        });
+
+        it("re-anchors a recurring series to the new time", async () => {
+            const newTime = Date.now() + 7200000;
+            mockStorage.getReminders.mockResolvedValue([
                 {
-                    id: "3",
-                    scheduledTime: 3000,
+                    id: "rec",
                     status: REMINDER_STATUS.PENDING,
+                    scheduledTime: Date.now() + 3600000,
+                    recurrence: { frequency: "weekly", interval: 1, anchorTime: 1 },
                 },
-            ];
-            mockStorage.getReminders.mockResolvedValue(reminders);
+            ]);
 
-            const result = await ReminderService.getAllReminders({
-                storage: mockStorage,
-                plan: mockPlan,
-            });
+            const result = await ReminderService.updateReminder(
+                "rec",
+                { scheduledTime: newTime },
+                { storage: mockStorage },
+            );
 
-            expect(result.reminders[0].id).toBe("1");
-            expect(result.reminders[1].id).toBe("2");
-            expect(result.reminders[2].id).toBe("3");
+            expect(result.recurrence.anchorTime).toBe(newTime);
         });
 
-        it("includes plan context in response", async () => {
+        it("throws ValidationError for a past time", async () => {
+            await expect(
+                ReminderService.updateReminder(
+                    "abc",
+                    { scheduledTime: Date.now() - 1000 },
+                    { storage: mockStorage },
+                ),
+            ).rejects.toThrow("future");
+        });
+
+        it("throws NotFoundError for non-existent reminder", async () => {
             mockStorage.getReminders.mockResolvedValue([]);
 
-            const result = await ReminderService.getAllReminders({
-                storage: mockStorage,
-                plan: mockPlan,
-            });
+            await expect(
+                ReminderService.updateReminder(
+                    "nonexistent",
+                    { note: "x" },
+                    { storage: mockStorage },
+                ),
+            ).rejects.toThrow("Reminder not found");
+        });
 
-            expect(result.planType).toBe("free");
-            expect(result.planLimit).toBe(5);
-            expect(result.pendingCount).toBe(0);
+        it("throws AlreadyCompletedError for completed reminder", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "abc", status: REMINDER_STATUS.COMPLETED },
+            ]);
+
+            await expect(
+                ReminderService.updateReminder(
+                    "abc",
+                    { note: "x" },
+                    { storage: mockStorage },
+                ),
+            ).rejects.toThrow("already completed");
         });
     });
 
-    describe("getOverdueReminders", () => {
-        it("returns pending reminders past scheduled time", async () => {
-            const now = Date.now();
-            const reminders = [
+    describe("rescheduleReminder", () => {
+        it("moves a pending reminder and replaces its alarm", async () => {
+            const newTime = Date.now() + 3600000;
+            mockStorage.getReminders.mockResolvedValue([
                 {
-                    id: "1",
-                    scheduledTime: now - 60000,
+                    id: "abc",
                     status: REMINDER_STATUS.PENDING,
+                    scheduledTime: Date.now() - 1000,
                 },
+            ]);
+
+            const result = await ReminderService.rescheduleReminder(
+                "abc",
+                newTime,
+                { storage: mockStorage },
+            );
+
+            expect(result.scheduledTime).toBe(newTime);
+            expect(mockStorage.saveReminders).toHaveBeenCalledTimes(1);
+            expect(chrome.alarms.create).toHaveBeenCalledWith(
+                `${ALARM_PREFIX}abc`,
+                { when: newTime },
+            );
+        });
+
+        it("keeps the recurrence anchor of a recurring reminder", async () => {
+            const anchorTime = Date.now() - 1000;
+            mockStorage.getReminders.mockResolvedValue([
                 {
-                    id: "2",
-                    scheduledTime: now + 60000,
+                    id: "rec",
                     status: REMINDER_STATUS.PENDING,
+                    scheduledTime: anchorTime,
+                    recurrence: { frequency: "weekly", interval: 1, anchorTime },
                 },
+            ]);
+
+            const result = await ReminderService.rescheduleReminder(
+                "rec",
+                Date.now() + 3600000,
+                { storage: mockStorage },
+            );
+
+            expect(result.recurrence.anchorTime).toBe(anchorTime);
+        });
+
+        it("clears the delivery state so the new time is notified", async () => {
+            mockStorage.getReminders.mockResolvedValue([
                 {
-                    id: "3",
-                    scheduledTime: now - 120000,
-                    status: REMINDER_STATUS.COMPLETED,
+                    id: "abc",
+                    status: REMINDER_STATUS.PENDING,
+                    scheduledTime: Date.now() - 1000,
+                    notifiedAt: Date.now() - 500,
+                    notificationCount: 2,
+                    lateByMs: 3600000,
                 },
-            ];
-            mockStorage.getReminders.mockResolvedValue(reminders);
+            ]);
 
-            const overdue = await ReminderService.getOverdueReminders({
-                storage: mockStorage,
-            });
+            const result = await ReminderService.rescheduleReminder(
+                "abc",
+                Date.now() + 3600000,
+                { storage: mockStorage },
+            );
 
-            expect(overdue).toHaveLength(1);
-            expect(overdue[0].id).toBe("1");
+            expect(result.notifiedAt).toBeNull();
+            expect(result.notificationCount).toBe(0);
+            expect(result.lateByMs).toBeNull();
+        });
+
+        it("throws ValidationError for a past time", async () => {
+            await expect(
+                ReminderService.rescheduleReminder("abc", Date.now() - 1000, {
+                    storage: mockStorage,
+                }),
+            ).rejects.toThrow("future");
+            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+        });
+
+        it("throws NotFoundError for non-existent reminder", async () => {
+            mockStorage.getReminders.mockResolvedValue([]);
+
+            await expect(
+                ReminderService.rescheduleReminder(
+                    "nonexistent",
+                    Date.now() + 3600000,
+                    { storage: mockStorage },
+                ),
+            ).rejects.toThrow("Reminder not found");
+        });
+
+        it("throws AlreadyCompletedError for completed reminder", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "abc", status: REMINDER_STATUS.COMPLETED },
+            ]);
+
+            await expect(
+                ReminderService.rescheduleReminder("abc", Date.now() + 3600000, {
+                    storage: mockStorage,
+                }),
+            ).rejects.toThrow("already completed");
         });
     });
 
-    describe("cleanupExpiredCompleted", () => {
-        it("removes completed reminders older than 30 days", async () => {
-            const thirtyOneDaysAgo = Date.now() - 31 * 24 * 60 * 60 * 1000;
-            const fiveDaysAgo = Date.now() - 5 * 24 * 60 * 60 * 1000;
+    describe("advanceRecurringReminder", () => {
+        const DAY_MS = 24 * 60 * 60 * 1000;
 
-            const reminders = [
+        it("schedules the alarm for the following occurrence", async () => {
+            const anchorTime = Date.now() - 1000;
+            mockStorage.getReminders.mockResolvedValue([
                 {
-                    id: "1",
-                    status: REMINDER_STATUS.COMPLETED,
-                    completedAt: thirtyOneDaysAgo,
+                    id: "rec",
+                    status: REMINDER_STATUS.PENDING,
+                    scheduledTime: anchorTime,
+                    recurrence: { frequency: "daily", interval: 1, anchorTime },
                 },
+            ]);
+
+            const result = await ReminderService.advanceRecurringReminder(
+                "rec",
+                anchorTime,
+                { storage: mockStorage },
+            );
+
+            const expected = new Date(anchorTime);
+            expected.setDate(expected.getDate() + 1);
+            expect(result.scheduledTime).toBe(anchorTime);
+            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+            expect(chrome.alarms.create).toHaveBeenCalledWith(
+                `${ALARM_PREFIX}rec`,
+                { when: expected.getTime() },
+            );
+        });
+
+        it("catches the due time up when an earlier occurrence was missed", async () => {
+            const anchorTime = Date.now() - DAY_MS - 1000;
+            const fired = new Date(anchorTime);
+            fired.setDate(fired.getDate() + 1);
+            mockStorage.getReminders.mockResolvedValue([
                 {
-                    id: "2",
-                    status: REMINDER_STATUS.COMPLETED,
-                    completedAt: fiveDaysAgo,
+                    id: "rec",
+                    status: REMINDER_STATUS.PENDING,
+                    scheduledTime: anchorTime,
+                    recurrence: { frequency: "daily", interval: 1, anchorTime },
                 },
-                { id: "3", status: REMINDER_STATUS.PENDING, completedAt: null },
-            ];
-            mockStorage.getReminders.mockResolvedValue(reminders);
+            ]);
 
-            const count = await ReminderService.cleanupExpiredCompleted({
-                storage: mockStorage,
-            });
+            const result = await ReminderService.advanceRecurringReminder(
+                "rec",
+                fired.getTime(),
+                { storage: mockStorage },
+            );
 
-            expect(count).toBe(1);
-            const saved = mockStorage.saveReminders.mock.calls[0][0];
-            expect(saved).toHaveLength(2);
-            expect(saved.find((r) => r.id === "1")).toBeUndefined();
+            expect(result.scheduledTime).toBe(fired.getTime());
+            expect(mockStorage.saveReminders).toHaveBeenCalledTimes(1);
         });
 
-        it("returns 0 and does not save when nothing to clean", async () => {
+        it("clears the delivery state when catching up to a new occurrence", async () => {
+            const anchorTime = Date.now() - DAY_MS - 1000;
             mockStorage.getReminders.mockResolvedValue([
-                { id: "1", status: REMINDER_STATUS.PENDING, completedAt: null },
+                {
+                    id: "rec",
+                    status: REMINDER_STATUS.PENDING,
+                    scheduledTime: anchorTime,
+                    notifiedAt: anchorTime,
+                    notificationCount: 1,
+                    recurrence: { frequency: "daily", interval: 1, anchorTime },
+                },
             ]);
 
-            const count = await ReminderService.cleanupExpiredCompleted({
-                storage: mockStorage,
-            });
+            const result = await ReminderService.advanceRecurringReminder(
+                "rec",
+                anchorTime + DAY_MS,
+                { storage: mockStorage },
+            );
 
-            expect(count).toBe(0);
-            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+            expect(result.notifiedAt).toBeNull();
+            expect(result.notificationCount).toBe(0);
         });
-    });
+
+        it("returns null for one-time reminders", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "abc", status: REMINDER_STATUS.PENDING, recurrence: null },
+            ]);
+
+            const result = await ReminderService.advanceRecurringReminder(
+                "abc",
+                Date.now(),
+                { storage: mockStorage },
+            );
+
+            expect(result).toBeNull();
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("markNotified", () => {
+        it("records the delivery time and count for the given reminders", async () => {
+            const reminders = [
+                { id: "a", status: REMINDER_STATUS.PENDING, notifiedAt: null, notificationCount: 0 },
+                { id: "b", status: REMINDER_STATUS.PENDING, notifiedAt: 1000, notificationCount: 1 },
+                { id: "c", status: REMINDER_STATUS.PENDING, notifiedAt: null, notificationCount: 0 },
+            ];
+            mockStorage.getReminders.mockResolvedValue(reminders);
+
+            const before = Date.now();
+            await ReminderService.markNotified(["a", "b"], { storage: mockStorage });
+
+            const saved = mockStorage.saveReminders.mock.calls[0][0];
+            expect(saved[0].notifiedAt).toBeGreaterThanOrEqual(before);
+            expect(saved[0].notificationCount).toBe(1);
+            expect(saved[1].notificationCount).toBe(2);
+            expect(saved[2].notifiedAt).toBeNull();
+        });
+
+        it("counts reminders created before delivery tracking from zero", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "old", status: REMINDER_STATUS.PENDING },
+            ]);
+
+            await ReminderService.markNotified(["old"], { storage: mockStorage });
+
+            const saved = mockStorage.saveReminders.mock.calls[0][0];
+            expect(saved[0].notificationCount).toBe(1);
+        });
+
+        it("does not save when no reminder matches", async () => {
+            mockStorage.getReminders.mockResolvedValue([]);
+
+            await ReminderService.markNotified(["missing"], { storage: mockStorage });
+
+            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+        });
+
+        it("arms the first escalation when escalation is on in settings", async () => {
+            mockStorage.getSettings.mockResolvedValue({
+                escalation: { enabled: true, intervals: [60, 240] },
+            });
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "a", status: REMINDER_STATUS.PENDING, escalationCount: 0 },
+            ]);
+
+            const before = Date.now();
+            await ReminderService.markNotified(["a"], { storage: mockStorage });
+
+            const [name, { when }] = chrome.alarms.create.mock.calls[0];
+            expect(name).toBe(`${ESCALATION.ALARM_PREFIX}a`);
+            expect(when).toBeGreaterThanOrEqual(before + 60 * 60000);
+        });
+
+        it("uses the next step for an already escalated reminder", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                {
+                    id: "a",
+                    status: REMINDER_STATUS.PENDING,
+                    escalationCount: 1,
+                    escalation: { enabled: true, intervals: [60, 240] },
+                },
+            ]);
+
+            const before = Date.now();
+            await ReminderService.markNotified(["a"], { storage: mockStorage });
+
+            const [, { when }] = chrome.alarms.create.mock.calls[0];
+            expect(when).toBeGreaterThanOrEqual(before + 240 * 60000);
+            expect(when).toBeLessThan(before + 241 * 60000);
+        });
+
+        it("does not escalate when escalation is off", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "a", status: REMINDER_STATUS.PENDING },
+            ]);
+
+            await ReminderService.markNotified(["a"], { storage: mockStorage });
+
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`${ESCALATION.ALARM_PREFIX}a`);
+        });
+    });
+
+    describe("recordLateness", () => {
+        const now = Date.now();
+
+        it("records how late each reminder is delivered", async () => {
+            const reminders = [
+                { id: "late", status: REMINDER_STATUS.PENDING, scheduledTime: now - 3 * 3600000, lateByMs: null },
+                { id: "onTime", status: REMINDER_STATUS.PENDING, scheduledTime: now - 30000, lateByMs: null },
+                { id: "other", status: REMINDER_STATUS.PENDING, scheduledTime: now - 3 * 3600000, lateByMs: null },
+            ];
+            mockStorage.getReminders.mockResolvedValue(reminders);
+
+            const result = await ReminderService.recordLateness(["onTime", "late"], now, { storage: mockStorage });
+
+            expect(result.map((r) => r.id)).toEqual(["late", "onTime"]);
+            expect(result[0].lateByMs).toBe(3 * 3600000);
+            expect(result[1].lateByMs).toBeNull();
+            const saved = mockStorage.saveReminders.mock.calls[0][0];
+            expect(saved[2].lateByMs).toBeNull();
+        });
+
+        it("does not save when every reminder is on time", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "a", status: REMINDER_STATUS.PENDING, scheduledTime: now - 1000 },
+            ]);
+
+            const result = await ReminderService.recordLateness(["a"], now, { storage: mockStorage });
+
+            expect(result).toHaveLength(1);
+            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("escalateReminder", () => {
+        const policy = { enabled: true, intervals: [60] };
+
+        it("counts an escalation for an overdue reminder", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                {
+                    id: "a",
+                    status: REMINDER_STATUS.PENDING,
+                    scheduledTime: Date.now() - 1000,
+                    escalation: policy,
+                    escalationCount: 2,
+                },
+            ]);
+
+            const result = await ReminderService.escalateReminder("a", { storage: mockStorage });
+
+            expect(result.escalationCount).toBe(3);
+            expect(mockStorage.saveReminders).toHaveBeenCalledTimes(1);
+        });
+
+        it("stops once the reminder reached the escalation limit", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                {
+                    id: "a",
+                    status: REMINDER_STATUS.PENDING,
+                    scheduledTime: Date.now() - 1000,
+                    escalation: policy,
+                    escalationCount: ESCALATION.MAX_ESCALATIONS,
+                },
+            ]);
+
+            const result = await ReminderService.escalateReminder("a", { storage: mockStorage });
+
+            expect(result).toBeNull();
+            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+        });
+
+        it("returns null and cancels the alarm for a completed or deleted reminder", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "a", status: REMINDER_STATUS.COMPLETED, escalation: policy },
+            ]);
+
+            expect(await ReminderService.escalateReminder("a", { storage: mockStorage })).toBeNull();
+            expect(await ReminderService.escalateReminder("gone", { storage: mockStorage })).toBeNull();
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`${ESCALATION.ALARM_PREFIX}a`);
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`${ESCALATION.ALARM_PREFIX}gone`);
+        });
+    });
+
+    describe("deleteReminder", () => {
+        it("removes a reminder from storage", async () => {
+            const reminders = [
+                { id: "abc", status: REMINDER_STATUS.PENDING },
+                { id: "def", status: REMINDER_STATUS.PENDING },
+            ];
+            mockStorage.getReminders.mockResolvedValue(reminders);
+
+            const deletedId = await ReminderService.deleteReminder("abc", {
+                storage: mockStorage,
+            });
+
+            expect(deletedId).toBe("abc");
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(
+                `${ALARM_PREFIX}abc`,
+            );
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(
+                `${ESCALATION.ALARM_PREFIX}abc`,
+            );
+            // Should save without the deleted reminder
+            const savedReminders = mockStorage.saveReminders.mock.calls[0][0];
+            expect(savedReminders).toHaveLength(1);
+            expect(savedReminders[0].id).toBe("def");
+        });
+
+        it("moves the reminder to the trash with deletedAt", async () => {
+            jest.useFakeTimers();
+            jest.setSystemTime(5000);
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "abc", status: REMINDER_STATUS.PENDING },
+            ]);
+            mockStorage.getTrash.mockResolvedValue([
+                { id: "old", deletedAt: 1000 },
+            ]);
+
+            await ReminderService.deleteReminder("abc", {
+                storage: mockStorage,
+            });
+
+            expect(mockStorage.saveTrash).toHaveBeenCalledWith([
+                { id: "old", deletedAt: 1000 },
+                { id: "abc", status: REMINDER_STATUS.PENDING, deletedAt: 5000 },
+            ]);
+            jest.useRealTimers();
+        });
+
+        it("throws NotFoundError for non-existent reminder", async () => {
+            mockStorage.getReminders.mockResolvedValue([]);
+
+            await expect(
+                ReminderService.deleteReminder("nonexistent", {
+                    storage: mockStorage,
+                }),
+            ).rejects.toThrow("Reminder not found");
+        });
+    });
+
+    describe("completeReminders", () => {
+        it("completes the selection with one storage write", async () => {
+            const reminders = [
+                { id: "a", status: REMINDER_STATUS.PENDING, scheduledTime: 1000 },
+                {
+                    id: "b",
+                    status: REMINDER_STATUS.PENDING,
+                    scheduledTime: Date.now() - 1000,
+                    recurrence: { frequency: "daily", interval: 1, anchorTime: Date.now() - 1000 },
+                },
+                { id: "c", status: REMINDER_STATUS.PENDING, scheduledTime: 3000 },
+                { id: "done", status: REMINDER_STATUS.COMPLETED, scheduledTime: 500 },
+            ];
+            mockStorage.getReminders.mockResolvedValue(reminders);
+
+            const completed = await ReminderService.completeReminders(
+                ["a", "b", "done", "gone"],
+                { storage: mockStorage },
+            );
+
+            expect(completed.map((r) => r.id)).toEqual(["a", "b"]);
+            expect(mockStorage.saveReminders).toHaveBeenCalledTimes(1);
+            const saved = mockStorage.saveReminders.mock.calls[0][0];
+            expect(saved.find((r) => r.id === "a").status).toBe(REMINDER_STATUS.COMPLETED);
+            expect(saved.find((r) => r.id === "b").status).toBe(REMINDER_STATUS.PENDING);
+            expect(saved.find((r) => r.id === "b").scheduledTime).toBeGreaterThan(Date.now());
+            expect(saved.find((r) => r.id === "c").status).toBe(REMINDER_STATUS.PENDING);
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`${ALARM_PREFIX}a`);
+            expect(chrome.alarms.create).toHaveBeenCalledWith(`${ALARM_PREFIX}b`, {
+                when: saved.find((r) => r.id === "b").scheduledTime,
+            });
+        });
+
+        it("does not write when nothing in the selection is pending", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "done", status: REMINDER_STATUS.COMPLETED },
+            ]);
+
+            expect(
+                await ReminderService.completeReminders(["done"], { storage: mockStorage }),
+            ).toEqual([]);
+            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+        });
+
+        it("rejects an empty selection", async () => {
+            await expect(
+                ReminderService.completeReminders([], { storage: mockStorage }),
+            ).rejects.toMatchObject({ name: "ValidationError" });
+        });
+    });
+
+    describe("snoozeUntilTomorrowMorning", () => {
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it("moves a pending reminder to 9 AM the next day", async () => {
+            jest.useFakeTimers();
+            jest.setSystemTime(new Date(2026, 2, 10, 22, 30));
+            mockStorage.getReminders.mockResolvedValue([
+                {
+                    id: "abc",
+                    status: REMINDER_STATUS.PENDING,
+                    scheduledTime: Date.now() - 1000,
+                    notifiedAt: Date.now(),
+                },
+            ]);
+
+            const result = await ReminderService.snoozeUntilTomorrowMorning("abc", {
+                storage: mockStorage,
+            });
+
+            const tomorrowMorning = new Date(2026, 2, 11, 9, 0).getTime();
+            expect(result.scheduledTime).toBe(tomorrowMorning);
+            expect(result.notifiedAt).toBeNull();
+            expect(chrome.alarms.create).toHaveBeenCalledWith(
+                `${ALARM_PREFIX}abc`,
+                { when: tomorrowMorning },
+            );
+        });
+
+        it("throws AlreadyCompletedError for a completed reminder", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "abc", status: REMINDER_STATUS.COMPLETED },
+            ]);
+
+            await expect(
+                ReminderService.snoozeUntilTomorrowMorning("abc", { storage: mockStorage }),
+            ).rejects.toMatchObject({ name: "AlreadyCompletedError" });
+        });
+    });
+
+    describe("rescheduleReminders", () => {
+        const future = Date.now() + 86400000;
+
+        it("moves the pending reminders in the selection to the new time", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "a", status: REMINDER_STATUS.PENDING, scheduledTime: 1000, notifiedAt: 1500, escalationCount: 2 },
+                { id: "b", status: REMINDER_STATUS.PENDING, scheduledTime: 2000 },
+                { id: "done", status: REMINDER_STATUS.COMPLETED, scheduledTime: 500 },
+            ]);
+
+            const rescheduled = await ReminderService.rescheduleReminders(
+                ["a", "b", "done"],
+                future,
+                { storage: mockStorage },
+            );
+
+            expect(rescheduled.map((r) => r.id)).toEqual(["a", "b"]);
+            expect(rescheduled[0]).toMatchObject({
+                scheduledTime: future,
+                notifiedAt: null,
+                escalationCount: 0,
+            });
+            expect(mockStorage.saveReminders).toHaveBeenCalledTimes(1);
+            expect(chrome.alarms.create).toHaveBeenCalledTimes(2);
+            expect(chrome.alarms.create).toHaveBeenCalledWith(`${ALARM_PREFIX}a`, { when: future });
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`${ESCALATION.ALARM_PREFIX}a`);
+        });
+
+        it("rejects a time in the past", async () => {
+            await expect(
+                ReminderService.rescheduleReminders(["a"], Date.now() - 1000, {
+                    storage: mockStorage,
+                }),
+            ).rejects.toMatchObject({ name: "ValidationError" });
+            expect(mockStorage.getReminders).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("rescheduleOverdue", () => {
+        const now = new Date(2026, 2, 10, 18, 0).getTime();
+        const tomorrow9am = new Date(2026, 2, 11, 9, 0).getTime();
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            jest.setSystemTime(now);
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "late", status: REMINDER_STATUS.PENDING, scheduledTime: now - 1000, notifiedAt: now - 500 },
+                { id: "early", status: REMINDER_STATUS.PENDING, scheduledTime: now - 60000 },
+                { id: "future", status: REMINDER_STATUS.PENDING, scheduledTime: now + 60000 },
+                { id: "done", status: REMINDER_STATUS.COMPLETED, scheduledTime: now - 90000 },
+            ]);
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it("moves every overdue pending reminder to the new time", async () => {
+            const moved = await ReminderService.rescheduleOverdue(tomorrow9am, 0, {
+                storage: mockStorage,
+            });
+
+            expect(moved.map((r) => [r.id, r.scheduledTime])).toEqual([
+                ["early", tomorrow9am],
+                ["late", tomorrow9am],
+            ]);
+            expect(moved[1].notifiedAt).toBeNull();
+            expect(mockStorage.saveReminders).toHaveBeenCalledTimes(1);
+            const saved = mockStorage.saveReminders.mock.calls[0][0];
+            expect(saved.find((r) => r.id === "future").scheduledTime).toBe(now + 60000);
+            expect(saved.find((r) => r.id === "done").scheduledTime).toBe(now - 90000);
+            expect(chrome.alarms.create).toHaveBeenCalledTimes(2);
+        });
+
+        it("spreads them across slots in their original order", async () => {
+            const moved = await ReminderService.rescheduleOverdue(tomorrow9am, 10, {
+                storage: mockStorage,
+            });
+
+            expect(moved.map((r) => [r.id, r.scheduledTime])).toEqual([
+                ["early", tomorrow9am],
+                ["late", tomorrow9am + 10 * 60 * 1000],
+            ]);
+            expect(chrome.alarms.create).toHaveBeenCalledWith(`${ALARM_PREFIX}late`, {
+                when: tomorrow9am + 10 * 60 * 1000,
+            });
+        });
+
+        it("rejects a past time or an invalid spread", async () => {
+            await expect(
+                ReminderService.rescheduleOverdue(now - 1000, 0, { storage: mockStorage }),
+            ).rejects.toMatchObject({ name: "ValidationError" });
+            await expect(
+                ReminderService.rescheduleOverdue(tomorrow9am, 90, { storage: mockStorage }),
+            ).rejects.toMatchObject({ name: "ValidationError" });
+            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+        });
+
+        it("does not write when nothing is overdue", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "future", status: REMINDER_STATUS.PENDING, scheduledTime: now + 60000 },
+            ]);
+
+            expect(
+                await ReminderService.rescheduleOverdue(tomorrow9am, 0, { storage: mockStorage }),
+            ).toEqual([]);
+            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("deleteReminders", () => {
+        it("moves the selection to the trash with one write to each list", async () => {
+            jest.useFakeTimers();
+            jest.setSystemTime(5000);
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "a", status: REMINDER_STATUS.PENDING },
+                { id: "b", status: REMINDER_STATUS.COMPLETED },
+                { id: "c", status: REMINDER_STATUS.PENDING },
+            ]);
+
+            const deletedIds = await ReminderService.deleteReminders(
+                ["a", "b", "gone"],
+                { storage: mockStorage },
+            );
+
+            expect(deletedIds).toEqual(["a", "b"]);
+            expect(mockStorage.saveReminders).toHaveBeenCalledTimes(1);
+            expect(mockStorage.saveReminders.mock.calls[0][0].map((r) => r.id)).toEqual(["c"]);
+            expect(mockStorage.saveTrash).toHaveBeenCalledTimes(1);
+            expect(mockStorage.saveTrash.mock.calls[0][0]).toEqual([
+                { id: "a", status: REMINDER_STATUS.PENDING, deletedAt: 5000 },
+                { id: "b", status: REMINDER_STATUS.COMPLETED, deletedAt: 5000 },
+            ]);
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`${ALARM_PREFIX}a`);
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`${ALARM_PREFIX}b`);
+            jest.useRealTimers();
+        });
+
+        it("puts the trash back when the reminders cannot be removed", async () => {
+            const conflict = Object.assign(new Error("Reminders changed since read"), {
+                name: "VersionConflictError",
+            });
+            const trash = [{ id: "old", status: REMINDER_STATUS.COMPLETED, deletedAt: 1000 }];
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "a", status: REMINDER_STATUS.PENDING },
+            ]);
+            mockStorage.getTrash.mockResolvedValue(trash);
+            mockStorage.deleteReminders.mockRejectedValue(conflict);
+
+            await expect(
+                ReminderService.deleteReminders(["a"], { storage: mockStorage }),
+            ).rejects.toBe(conflict);
+            expect(mockStorage.saveTrash).toHaveBeenCalledTimes(2);
+            expect(mockStorage.saveTrash).toHaveBeenLastCalledWith(trash);
+            expect(chrome.alarms.clear).not.toHaveBeenCalled();
+        });
+
+        it("does not write when none of the reminders exist", async () => {
+            expect(
+                await ReminderService.deleteReminders(["gone"], { storage: mockStorage }),
+            ).toEqual([]);
+            expect(mockStorage.saveTrash).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("restoreReminder", () => {
+        let mockAccount;
+
+        beforeEach(() => {
+            mockAccount = {
+                enforceReminderLimit: jest.fn().mockResolvedValue({ allowed: true }),
+            };
+        });
+
+        it("moves a pending reminder back and re-arms its alarm", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "other", status: REMINDER_STATUS.PENDING },
+            ]);
+            mockStorage.getTrash.mockResolvedValue([
+                { id: "abc", status: REMINDER_STATUS.PENDING, scheduledTime: 9000, deletedAt: 5000 },
+                { id: "keep", status: REMINDER_STATUS.COMPLETED, deletedAt: 4000 },
+            ]);
+
+            const reminder = await ReminderService.restoreReminder("abc", {
+                storage: mockStorage,
+                account: mockAccount,
+            });
+
+            expect(reminder).toEqual({
+                id: "abc",
+                status: REMINDER_STATUS.PENDING,
+                scheduledTime: 9000,
+            });
+            expect(mockAccount.enforceReminderLimit).toHaveBeenCalledWith("anonymous", 1);
+            expect(mockStorage.saveReminders.mock.calls[0][0].map((r) => r.id)).toEqual(["other", "abc"]);
+            expect(mockStorage.saveTrash.mock.calls[0][0].map((r) => r.id)).toEqual(["keep"]);
+            expect(chrome.alarms.create).toHaveBeenCalledWith(
+                `${ALARM_PREFIX}abc`,
+                { when: 9000 },
+            );
+        });
+
+        it("restores a completed reminder without an alarm or limit check", async () => {
+            mockStorage.getTrash.mockResolvedValue([
+                { id: "abc", status: REMINDER_STATUS.COMPLETED, deletedAt: 5000 },
+            ]);
+
+            await ReminderService.restoreReminder("abc", {
+                storage: mockStorage,
+                account: mockAccount,
+            });
+
+            expect(mockAccount.enforceReminderLimit).not.toHaveBeenCalled();
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+        });
+
+        it("throws PlanLimitError when the plan has no room", async () => {
+            mockAccount.enforceReminderLimit.mockResolvedValue({
+                allowed: false,
+                error: "Reminder limit reached",
+            });
+            mockStorage.getTrash.mockResolvedValue([
+                { id: "abc", status: REMINDER_STATUS.PENDING, deletedAt: 5000 },
+            ]);
+
+            await expect(
+                ReminderService.restoreReminder("abc", {
+                    storage: mockStorage,
+                    account: mockAccount,
+                }),
+            ).rejects.toMatchObject({ name: "PlanLimitError" });
+            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+            expect(mockStorage.saveTrash).not.toHaveBeenCalled();
+        });
+
+        it("drops the trash copy of a reminder that is still live", async () => {
+            const live = { id: "abc", status: REMINDER_STATUS.PENDING, scheduledTime: 9000 };
+            mockStorage.getReminders.mockResolvedValue([live]);
+            mockStorage.getTrash.mockResolvedValue([
+                { ...live, deletedAt: 5000 },
+                { id: "keep", status: REMINDER_STATUS.COMPLETED, deletedAt: 4000 },
+            ]);
+
+            const reminder = await ReminderService.restoreReminder("abc", {
+                storage: mockStorage,
+                account: mockAccount,
+            });
+
+            expect(reminder).toBe(live);
+            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+            expect(mockStorage.saveTrash.mock.calls[0][0].map((r) => r.id)).toEqual(["keep"]);
+        });
+
+        it("throws NotFoundError for a reminder not in the trash", async () => {
+            await expect(
+                ReminderService.restoreReminder("nonexistent", {
+                    storage: mockStorage,
+                    account: mockAccount,
+                }),
+            ).rejects.toMatchObject({ name: "NotFoundError" });
+        });
+    });
+
+    describe("restoreReminders", () => {
+        let mockAccount;
+
+        beforeEach(() => {
+            mockAccount = {
+                enforceReminderLimit: jest.fn().mockResolvedValue({ allowed: true }),
+            };
+        });
+
+        it("moves the batch back with one write to each list", async () => {
+            const live = { id: "c", status: REMINDER_STATUS.PENDING, scheduledTime: 7000 };
+            mockStorage.getReminders.mockResolvedValue([
+                live,
+                { id: "other", status: REMINDER_STATUS.PENDING },
+            ]);
+            mockStorage.getTrash.mockResolvedValue([
+                { id: "a", status: REMINDER_STATUS.PENDING, scheduledTime: 9000, deletedAt: 5000 },
+                { id: "b", status: REMINDER_STATUS.COMPLETED, deletedAt: 5000 },
+                { ...live, deletedAt: 5000 },
+                { id: "keep", status: REMINDER_STATUS.COMPLETED, deletedAt: 4000 },
+            ]);
+
+            const restored = await ReminderService.restoreReminders(["a", "b", "c", "gone"], {
+                storage: mockStorage,
+                account: mockAccount,
+            });
+
+            expect(restored).toEqual([
+                { id: "a", status: REMINDER_STATUS.PENDING, scheduledTime: 9000 },
+                { id: "b", status: REMINDER_STATUS.COMPLETED },
+            ]);
+            // Two pending already, room needed for one more
+            expect(mockAccount.enforceReminderLimit).toHaveBeenCalledWith("anonymous", 2);
+            expect(mockStorage.saveReminders).toHaveBeenCalledTimes(1);
+            expect(mockStorage.saveReminders.mock.calls[0][0].map((r) => r.id)).toEqual([
+                "c",
+                "other",
+                "a",
+                "b",
+            ]);
+            expect(mockStorage.saveTrash).toHaveBeenCalledTimes(1);
+            expect(mockStorage.saveTrash.mock.calls[0][0].map((r) => r.id)).toEqual(["keep"]);
+            expect(chrome.alarms.create).toHaveBeenCalledTimes(1);
+            expect(chrome.alarms.create).toHaveBeenCalledWith(`${ALARM_PREFIX}a`, { when: 9000 });
+        });
+
+        it("restores nothing when the plan has no room for all of them", async () => {
+            mockAccount.enforceReminderLimit.mockResolvedValue({
+                allowed: false,
+                error: "Reminder limit reached",
+            });
+            mockStorage.getTrash.mockResolvedValue([
+                { id: "a", status: REMINDER_STATUS.PENDING, deletedAt: 5000 },
+                { id: "b", status: REMINDER_STATUS.PENDING, deletedAt: 5000 },
+            ]);
+
+            await expect(
+                ReminderService.restoreReminders(["a", "b"], {
+                    storage: mockStorage,
+                    account: mockAccount,
+                }),
+            ).rejects.toMatchObject({ name: "PlanLimitError" });
+            expect(mockAccount.enforceReminderLimit).toHaveBeenCalledWith("anonymous", 1);
+            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+            expect(mockStorage.saveTrash).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("getTrash", () => {
+        it("lists the most recently deleted first", async () => {
+            mockStorage.getTrash.mockResolvedValue([
+                { id: "a", deletedAt: 1000 },
+                { id: "b", deletedAt: 3000 },
+                { id: "c", deletedAt: 2000 },
+            ]);
+
+            const trash = await ReminderService.getTrash({ storage: mockStorage });
+
+            expect(trash.map((r) => r.id)).toEqual(["b", "c", "a"]);
+        });
+    });
+
+    describe("reopenReminder", () => {
+        const future = Date.now() + 3600000;
+
+        it("puts a completed reminder back to pending with its alarm", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                {
+                    id: "abc",
+                    status: REMINDER_STATUS.COMPLETED,
+                    completedAt: 5000,
+                    scheduledTime: future,
+                    recurrence: null,
+                },
+            ]);
+
+            const reminder = await ReminderService.reopenReminder("abc", future, {
+                storage: mockStorage,
+            });
+
+            expect(reminder).toMatchObject({
+                status: REMINDER_STATUS.PENDING,
+                completedAt: null,
+                scheduledTime: future,
+            });
+            expect(chrome.alarms.create).toHaveBeenCalledWith(
+                `${ALARM_PREFIX}abc`,
+                { when: future },
+            );
+        });
+
+        it("moves a recurring reminder back to the completed occurrence", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                {
+                    id: "abc",
+                    status: REMINDER_STATUS.PENDING,
+                    scheduledTime: future + 86400000,
+                    completedOccurrences: 1,
+                    lastCompletedAt: 5000,
+                    recurrence: { frequency: "daily", interval: 1 },
+                },
+            ]);
+
+            const reminder = await ReminderService.reopenReminder("abc", future, {
+                storage: mockStorage,
+            });
+
+            expect(reminder).toMatchObject({
+                status: REMINDER_STATUS.PENDING,
+                scheduledTime: future,
+                completedOccurrences: 0,
+                lastCompletedAt: null,
+            });
+        });
+
+        it("keeps the next occurrence's alarm when undoing an overdue recurring completion", async () => {
+            const overdue = Date.now() - 3600000;
+            const reminders = [
+                {
+                    id: "abc",
+                    status: REMINDER_STATUS.PENDING,
+                    scheduledTime: overdue,
+                    recurrence: { frequency: "daily", interval: 1, anchorTime: overdue },
+                },
+            ];
+            mockStorage.getReminders.mockResolvedValue(reminders);
+
+            const completed = await ReminderService.completeReminder("abc", {
+                storage: mockStorage,
+            });
+            const next = completed.scheduledTime;
+            chrome.alarms.create.mockClear();
+            chrome.alarms.clear.mockClear();
+
+            const reminder = await ReminderService.reopenReminder("abc", overdue, {
+                storage: mockStorage,
+            });
+
+            expect(next).toBeGreaterThan(Date.now());
+            expect(reminder).toMatchObject({ scheduledTime: next, completedOccurrences: 0 });
+            expect(chrome.alarms.clear).not.toHaveBeenCalledWith(`${ALARM_PREFIX}abc`);
+            expect(chrome.alarms.create).toHaveBeenCalledWith(`${ALARM_PREFIX}abc`, {
+                when: next,
+            });
+        });
+
+        it("leaves an overdue reminder without an alarm", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "abc", status: REMINDER_STATUS.COMPLETED, scheduledTime: 1000 },
+            ]);
+
+            await ReminderService.reopenReminder("abc", 1000, { storage: mockStorage });
+
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`${ALARM_PREFIX}abc`);
+        });
+
+        it("rejects a pending one-off reminder", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "abc", status: REMINDER_STATUS.PENDING, scheduledTime: future },
+            ]);
+
+            await expect(
+                ReminderService.reopenReminder("abc", future, { storage: mockStorage }),
+            ).rejects.toMatchObject({ name: "ValidationError" });
+        });
+
+        it("throws NotFoundError for a non-existent reminder", async () => {
+            await expect(
+                ReminderService.reopenReminder("nonexistent", future, { storage: mockStorage }),
+            ).rejects.toMatchObject({ name: "NotFoundError" });
+        });
+    });
+
+    describe("reopenReminders", () => {
+        const future = Date.now() + 3600000;
+
+        it("reopens the batch with one write and re-arms future alarms", async () => {
+            const past = Date.now() - 3600000;
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "a", status: REMINDER_STATUS.COMPLETED, completedAt: 5000, recurrence: null },
+                { id: "b", status: REMINDER_STATUS.COMPLETED, completedAt: 5000, recurrence: null },
+                { id: "c", status: REMINDER_STATUS.PENDING, scheduledTime: future, recurrence: null },
+            ]);
+
+            const reopened = await ReminderService.reopenReminders(
+                ["a", "b", "c", "gone"],
+                { a: future, b: past, c: future, gone: future },
+                { storage: mockStorage },
+            );
+
+            expect(reopened.map((r) => r.id)).toEqual(["a", "b"]);
+            expect(reopened[0]).toMatchObject({
+                status: REMINDER_STATUS.PENDING,
+                completedAt: null,
+                scheduledTime: future,
+            });
+            expect(mockStorage.saveReminders).toHaveBeenCalledTimes(1);
+            expect(chrome.alarms.create).toHaveBeenCalledTimes(1);
+            expect(chrome.alarms.create).toHaveBeenCalledWith(`${ALARM_PREFIX}a`, { when: future });
+            expect(chrome.alarms.clear).toHaveBeenCalledWith(`${ALARM_PREFIX}b`);
+        });
+
+        it("throws ValidationError when a reminder has no previous time", async () => {
+            await expect(
+                ReminderService.reopenReminders(["a", "b"], { a: future }, { storage: mockStorage }),
+            ).rejects.toMatchObject({ name: "ValidationError" });
+            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("getAllReminders", () => {
+        it("returns reminders sorted by scheduledTime", async () => {
+            const reminders = [
+                {
+                    id: "2",
+                    scheduledTime: 2000,
+                    status: REMINDER_STATUS.PENDING,
+                },
+                {
+                    id: "1",
+                    scheduledTime: 1000,
+                    status: REMINDER_STATUS.PENDING,
+                },
+                {
+                    id: "3",
+                    scheduledTime: 3000,
+                    status: REMINDER_STATUS.PENDING,
+                },
+            ];
+            mockStorage.getReminders.mockResolvedValue(reminders);
+
+            const result = await ReminderService.getAllReminders({
+                storage: mockStorage,
+                plan: mockPlan,
+            });
+
+            expect(result.reminders[0].id).toBe("1");
+            expect(result.reminders[1].id).toBe("2");
+            expect(result.reminders[2].id).toBe("3");
+        });
+
+        it("includes plan context in response", async () => {
+            mockStorage.getReminders.mockResolvedValue([]);
+
+            const result = await ReminderService.getAllReminders({
+                storage: mockStorage,
+                plan: mockPlan,
+            });
+
+            expect(result.planType).toBe("free");
+            expect(result.planLimit).toBe(5);
+            expect(result.pendingCount).toBe(0);
+        });
+    });
+
+    describe("exportReminders", () => {
+        it("backs up reminders and trash as stored, with their schema version", async () => {
+            const reminders = [{ id: "2", scheduledTime: 2000 }, { id: "1", scheduledTime: 1000 }];
+            const trash = [{ id: "3", scheduledTime: 3000, deletedAt: 500 }];
+            mockStorage.getReminders.mockResolvedValue(reminders);
+            mockStorage.getTrash.mockResolvedValue(trash);
+            mockStorage.getSchemaVersion = jest.fn().mockResolvedValue(3);
+
+            const backup = await ReminderService.exportReminders({
+                storage: mockStorage,
+            });
+
+            expect(backup).toEqual({
+                format: "wareminder-backup",
+                schemaVersion: 3,
+                exportedAt: expect.any(Number),
+                reminders,
+                trash,
+            });
+        });
+
+        it("records data from before schema versioning as version 1", async () => {
+            mockStorage.getSchemaVersion = jest.fn().mockResolvedValue(null);
+
+            const backup = await ReminderService.exportReminders({
+                storage: mockStorage,
+            });
+
+            expect(backup.schemaVersion).toBe(1);
+        });
+    });
+
+    describe("getOverdueReminders", () => {
+        it("returns pending reminders past scheduled time", async () => {
+            const now = Date.now();
+            const reminders = [
+                {
+                    id: "1",
+                    scheduledTime: now - 60000,
+                    status: REMINDER_STATUS.PENDING,
+                },
+                {
+                    id: "2",
+                    scheduledTime: now + 60000,
+                    status: REMINDER_STATUS.PENDING,
+                },
+                {
+                    id: "3",
+                    scheduledTime: now - 120000,
+                    status: REMINDER_STATUS.COMPLETED,
+                },
+            ];
+            mockStorage.getReminders.mockResolvedValue(reminders);
+
+            const overdue = await ReminderService.getOverdueReminders({
+                storage: mockStorage,
+            });
+
+            expect(overdue).toHaveLength(1);
+            expect(overdue[0].id).toBe("1");
+        });
+    });
+
+    describe("cleanupExpiredCompleted", () => {
+        it("removes completed reminders older than 30 days", async () => {
+            const thirtyOneDaysAgo = Date.now() - 31 * 24 * 60 * 60 * 1000;
+            const fiveDaysAgo = Date.now() - 5 * 24 * 60 * 60 * 1000;
+
+            const reminders = [
+                {
+                    id: "1",
+                    status: REMINDER_STATUS.COMPLETED,
+                    completedAt: thirtyOneDaysAgo,
+                },
+                {
+                    id: "2",
+                    status: REMINDER_STATUS.COMPLETED,
+                    completedAt: fiveDaysAgo,
+                },
+                { id: "3", status: REMINDER_STATUS.PENDING, completedAt: null },
+            ];
+            mockStorage.getReminders.mockResolvedValue(reminders);
+
+            const count = await ReminderService.cleanupExpiredCompleted({
+                storage: mockStorage,
+            });
+
+            expect(count).toBe(1);
+            const saved = mockStorage.saveReminders.mock.calls[0][0];
+            expect(saved).toHaveLength(2);
+            expect(saved.find((r) => r.id === "1")).toBeUndefined();
+        });
+
+        it("returns 0 and does not save when nothing to clean", async () => {
+            mockStorage.getReminders.mockResolvedValue([
+                { id: "1", status: REMINDER_STATUS.PENDING, completedAt: null },
+            ]);
+
+            const count = await ReminderService.cleanupExpiredCompleted({
+                storage: mockStorage,
+            });
+
+            expect(count).toBe(0);
+            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+        });
+
+        it("purges reminders trashed more than 30 days ago", async () => {
+            const thirtyOneDaysAgo = Date.now() - 31 * 24 * 60 * 60 * 1000;
+            const fiveDaysAgo = Date.now() - 5 * 24 * 60 * 60 * 1000;
+            mockStorage.getTrash.mockResolvedValue([
+                { id: "1", deletedAt: thirtyOneDaysAgo },
+                { id: "2", deletedAt: fiveDaysAgo },
+            ]);
+
+            const count = await ReminderService.cleanupExpiredCompleted({
+                storage: mockStorage,
+            });
+
+            expect(count).toBe(1);
+            expect(mockStorage.saveTrash).toHaveBeenCalledWith([
+                { id: "2", deletedAt: fiveDaysAgo },
+            ]);
+            expect(mockStorage.saveReminders).not.toHaveBeenCalled();
+        });
+    });
 
     describe("checkStorageQuota", () => {
         it("returns nearQuota false for small datasets", async () => {
-            mockStorage.getReminders.mockResolvedValue([{ id: "1" }]);
+            mockStorage.estimateUsage.mockResolvedValue({
+                usedBytes: 2048,
+                quotaBytes: 10485760,
+            });
 
             const result = await ReminderService.checkStorageQuota({
                 storage: mockStorage,
@@ -344,25 +1609,24 @@ describe("ReminderService", () => {
         });
 
         it("returns nearQuota true when storage is nearly full", async () => {
-            // Create a large array to simulate near-quota storage
-            const largeReminder = {
-                id: "x".repeat(100),
-                chatId: "5511999999999@c.us",
-                chatName: "A".repeat(1000),
-                scheduledTime: Date.now(),
-                createdAt: Date.now(),
-                status: "pending",
-                completedAt: null,
-            };
-            // Fill with enough data to exceed 90% of 10MB
-            const bigArray = Array(9000).fill(largeReminder);
-            mockStorage.getReminders.mockResolvedValue(bigArray);
+            mockStorage.estimateUsage.mockResolvedValue({
+                usedBytes: 9500000,
+                quotaBytes: 10485760,
+            });
 
             const result = await ReminderService.checkStorageQuota({
                 storage: mockStorage,
             });
 
             expect(result.nearQuota).toBe(true);
+            expect(result.usagePercent).toBe(0.91);
+        });
+
+        it("does not read every reminder to estimate usage", async () => {
+            await ReminderService.checkStorageQuota({ storage: mockStorage });
+
+            expect(mockStorage.estimateUsage).toHaveBeenCalled();
+            expect(mockStorage.getReminders).not.toHaveBeenCalled();
         });
     });
 
@@ -379,6 +1643,10 @@ describe("ReminderService", () => {
             };
             const bigArray = Array(9000).fill(largeReminder);
             mockStorage.getReminders.mockResolvedValue(bigArray);
+            mockStorage.estimateUsage.mockResolvedValue({
+                usedBytes: 9500000,
+                quotaBytes: 10485760,
+            });
 
             await expect(
                 ReminderService.createReminder(
@@ -0,0 +1,217 @@
+// @ts-check
+
+const SettingsService = require('../../../src/services/settings-service');
+const { DEFAULT_PRESETS } = require('../../../src/lib/presets');
+const { DEFAULT_BUSINESS_HOURS } = require('../../../src/lib/business-hours');
+const { DEFAULT_QUIET_HOURS } = require('../../../src/lib/quiet-hours');
+
+describe('SettingsService', () => {
+  /** @type {any} */
+  let mockStorage;
+
+  beforeEach(() => {
+    mockStorage = {
+      getSettings: jest.fn().mockResolvedValue(null),
+      saveSettings: jest.fn().mockResolvedValue(undefined),
+    };
+  });
+
+  describe('getDefaultSettings', () => {
+    it('returns mutable copies of the built-in presets', () => {
+      const settings = SettingsService.getDefaultSettings();
+
+      expect(settings.presets).toEqual(DEFAULT_PRESETS);
+      expect(settings.presets[0]).not.toBe(DEFAULT_PRESETS[0]);
+      expect(Object.isFrozen(settings.presets[0])).toBe(false);
+    });
+
+    it('returns mutable copies of the default business hours', () => {
+      const settings = SettingsService.getDefaultSettings();
+
+      expect(settings.businessHours).toEqual(DEFAULT_BUSINESS_HOURS);
+      expect(settings.businessHours.enabled).toBe(false);
+      expect(Object.isFrozen(settings.businessHours.workingDays)).toBe(false);
+    });
+
+    it('returns quiet hours turned off by default', () => {
+      const settings = SettingsService.getDefaultSettings();
+
+      expect(settings.quietHours).toEqual(DEFAULT_QUIET_HOURS);
+      expect(settings.quietHours.enabled).toBe(false);
+    });
+
+    it('does not re-notify or escalate by default', () => {
+      const settings = SettingsService.getDefaultSettings();
+
+      expect(settings.renotifyMinutes).toBe(0);
+      expect(settings.escalation).toEqual({ enabled: false, intervals: [60, 240, 1440] });
+    });
+
+    it('returns the morning digest turned off, at 8:30, by default', () => {
+      const settings = SettingsService.getDefaultSettings();
+
+      expect(settings.digest).toEqual({ enabled: false, time: { hour: 8, minute: 30 } });
+    });
+
+    it('does not hold notifications while idle by default', () => {
+      expect(SettingsService.getDefaultSettings().holdWhileIdle).toBe(false);
+    });
+
+    it('shows contact names in notifications by default', () => {
+      expect(SettingsService.getDefaultSettings().notificationPrivacy).toBe('full');
+    });
+
+    it('snoozes notifications by an hour by default', () => {
+      expect(SettingsService.getDefaultSettings().notificationSnooze).toBe('hour');
+    });
+
+    it('has no saved views by default', () => {
+      expect(SettingsService.getDefaultSettings().savedViews).toEqual([]);
+    });
+  });
+
+  describe('getSettings', () => {
+    it('returns defaults when nothing is stored', async () => {
+      const settings = await SettingsService.getSettings({ storage: mockStorage });
+      expect(settings.presets.map((p) => p.id)).toEqual(['one-hour', 'tonight', 'tomorrow', 'next-business-day']);
+    });
+
+    it('returns the stored presets', async () => {
+      const presets = [{ id: 'p1', label: 'At closing', type: 'timeOfDay', hour: 17, minute: 0, dayOffset: 0 }];
+      mockStorage.getSettings.mockResolvedValue({ presets });
+
+      const settings = await SettingsService.getSettings({ storage: mockStorage });
+      expect(settings.presets).toEqual(presets);
+    });
+  });
+
+  describe('saveSettings', () => {
+    it('saves presets with trimmed labels and returns the merged settings', async () => {
+      const settings = await SettingsService.saveSettings(
+        { presets: [{ id: 'p1', label: '  Half hour ', type: 'relative', minutes: 30 }] },
+        { storage: mockStorage },
+      );
+
+      expect(settings.presets).toEqual([{ id: 'p1', label: 'Half hour', type: 'relative', minutes: 30 }]);
+      expect(mockStorage.saveSettings).toHaveBeenCalledWith(settings);
+    });
+
+    it('keeps other settings when presets are not part of the update', async () => {
+      mockStorage.getSettings.mockResolvedValue({ presets: [], somethingElse: true });
+
+      const settings = await SettingsService.saveSettings({}, { storage: mockStorage });
+      expect(settings).toMatchObject({ presets: [], somethingElse: true });
+    });
+
+    it('saves business hours with sorted days and holidays', async () => {
+      const businessHours = {
+        enabled: true,
+        start: { hour: 8, minute: 0 },
+        end: { hour: 16, minute: 30 },
+        workingDays: [6, 1, 3],
+        holidays: [
+          { date: '2026-12-25', name: ' Natal ' },
+          { date: '2026-08-17', name: 'Kemerdekaan' },
+        ],
+      };
+
+      const settings = await SettingsService.saveSettings({ businessHours }, { storage: mockStorage });
+
+      expect(settings.businessHours.workingDays).toEqual([1, 3, 6]);
+      expect(settings.businessHours.holidays).toEqual([
+        { date: '2026-08-17', name: 'Kemerdekaan' },
+        { date: '2026-12-25', name: 'Natal' },
+      ]);
+      expect(settings.presets.map((p) => p.id)).toEqual(DEFAULT_PRESETS.map((p) => p.id));
+      expect(mockStorage.saveSettings).toHaveBeenCalledWith(settings);
+    });
+
+    it('saves quiet hours', async () => {
+      const quietHours = { enabled: true, start: { hour: 21, minute: 30 }, end: { hour: 6, minute: 0 } };
+
+      const settings = await SettingsService.saveSettings({ quietHours }, { storage: mockStorage });
+
+      expect(settings.quietHours).toEqual(quietHours);
+      expect(mockStorage.saveSettings).toHaveBeenCalledWith(settings);
+    });
+
+    it('saves the re-notify interval', async () => {
+      const settings = await SettingsService.saveSettings({ renotifyMinutes: 240 }, { storage: mockStorage });
+
+      expect(settings.renotifyMinutes).toBe(240);
+    });
+
+    it('saves the global escalation policy', async () => {
+      const escalation = { enabled: true, intervals: [30, 120] };
+
+      const settings = await SettingsService.saveSettings({ escalation }, { storage: mockStorage });
+
+      expect(settings.escalation).toEqual(escalation);
+      expect(settings.escalation.intervals).not.toBe(escalation.intervals);
+    });
+
+    it('saves the morning digest', async () => {
+      const digest = { enabled: true, time: { hour: 7, minute: 45 } };
+
+      const settings = await SettingsService.saveSettings({ digest }, { storage: mockStorage });
+
+      expect(settings.digest).toEqual(digest);
+      expect(settings.digest.time).not.toBe(digest.time);
+    });
+
+    it('saves holding notifications while idle', async () => {
+      const settings = await SettingsService.saveSettings({ holdWhileIdle: true }, { storage: mockStorage });
+
+      expect(settings.holdWhileIdle).toBe(true);
+    });
+
+    it('saves the notification privacy mode', async () => {
+      const settings = await SettingsService.saveSettings({ notificationPrivacy: 'masked' }, { storage: mockStorage });
+
+      expect(settings.notificationPrivacy).toBe('masked');
+    });
+
+    it('saves the notification snooze option', async () => {
+      const settings = await SettingsService.saveSettings({ notificationSnooze: 'tomorrowMorning' }, { storage: mockStorage });
+
+      expect(settings.notificationSnooze).toBe('tomorrowMorning');
+    });
+
+    it('saves views with trimmed names and searches', async () => {
+      const filter = { query: ' budi ', status: 'overdue', from: null, to: null, chatType: 'all', tag: 'vip' };
+      const settings = await SettingsService.saveSettings(
+        { savedViews: [{ id: 'v1', name: '  Budi VIP ', filter }] },
+        { storage: mockStorage }
+      );
+
+      expect(settings.savedViews).toEqual([
+        { id: 'v1', name: 'Budi VIP', filter: { ...filter, query: 'budi' } },
+      ]);
+    });
+
+    it('throws a ValidationError for an invalid digest time', async () => {
+      const digest = { enabled: true, time: { hour: 24, minute: 0 } };
+
+      await expect(SettingsService.saveSettings({ digest }, { storage: mockStorage }))
+        .rejects.toThrow('Daily digest must have a valid time');
+    });
+
+    it('throws a ValidationError for invalid business hours', async () => {
+      const businessHours = { ...DEFAULT_BUSINESS_HOURS, end: { hour: 8, minute: 0 } };
+
+      await expect(SettingsService.saveSettings({ businessHours }, { storage: mockStorage }))
+        .rejects.toThrow('Closing time must be after opening time');
+      expect(mockStorage.saveSettings).not.toHaveBeenCalled();
+    });
+
+    it('throws a ValidationError for invalid presets without saving', async () => {
+      await expect(
+        SettingsService.saveSettings(
+          { presets: [{ id: 'p1', label: 'Broken', type: 'relative', minutes: 0 }] },
+          { storage: mockStorage },
+        ),
+      ).rejects.toMatchObject({ name: 'ValidationError' });
+      expect(mockStorage.saveSettings).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,7 +1,9 @@
 // @ts-check
 
 const StorageService = require('../../../src/services/storage-service');
-const { STORAGE_KEYS, DEFAULT_PLAN } = require('../../../src/lib/constants');
+const ReminderDb = require('../../../src/services/reminder-db');
+const { STORAGE_KEYS, DEFAULT_PLAN, HOLD_REASONS } = require('../../../src/lib/constants');
+const { createFakeIndexedDB, FakeKeyRange } = require('../helpers/fake-indexeddb');
 
 describe('StorageService', () => {
   beforeEach(() => {
@@ -33,15 +35,45 @@ describe('StorageService', () => {
   });
 
   describe('saveReminders', () => {
-    it('saves reminders to storage', async () => {
+    it('saves reminders to storage and bumps their version', async () => {
       const reminders = [{ id: '1', status: 'pending' }];
+      chrome.storage.local.get.mockResolvedValue({ [STORAGE_KEYS.REMINDERS_VERSION]: 4 });
       chrome.storage.local.set.mockResolvedValue(undefined);
 
       await StorageService.saveReminders(reminders);
       expect(chrome.storage.local.set).toHaveBeenCalledWith({
         [STORAGE_KEYS.REMINDERS]: reminders,
+        [STORAGE_KEYS.REMINDERS_VERSION]: 5,
       });
     });
+
+    it('writes when the expected version is current', async () => {
+      chrome.storage.local.get.mockResolvedValue({ [STORAGE_KEYS.REMINDERS_VERSION]: 4 });
+      chrome.storage.local.set.mockResolvedValue(undefined);
+
+      await StorageService.saveReminders([], 4);
+
+      expect(chrome.storage.local.set).toHaveBeenCalled();
+    });
+
+    it('throws VersionConflictError and writes nothing when the version moved on', async () => {
+      chrome.storage.local.get.mockResolvedValue({ [STORAGE_KEYS.REMINDERS_VERSION]: 5 });
+
+      await expect(StorageService.saveReminders([], 4)).rejects.toMatchObject({
+        name: 'VersionConflictError',
+      });
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRemindersVersion', () => {
+    it('returns the version, or 0 before the first write', async () => {
+      chrome.storage.local.get.mockResolvedValue({ [STORAGE_KEYS.REMINDERS_VERSION]: 3 });
+      expect(await StorageService.getRemindersVersion()).toBe(3);
+
+      chrome.storage.local.get.mockResolvedValue({});
+      expect(await StorageService.getRemindersVersion()).toBe(0);
+    });
   });
 
   describe('getUserPlan', () => {
@@ -231,4 +263,283 @@ describe('StorageService', () => {
       expect(callback).not.toHaveBeenCalled();
     });
   });
+
+  describe('getSettings', () => {
+    it('returns settings from storage', async () => {
+      const settings = { presets: [] };
+      chrome.storage.local.get.mockResolvedValue({ [STORAGE_KEYS.SETTINGS]: settings });
+
+      const result = await StorageService.getSettings();
+      expect(result).toEqual(settings);
+      expect(chrome.storage.local.get).toHaveBeenCalledWith(STORAGE_KEYS.SETTINGS);
+    });
+
+    it('returns null when settings were never saved', async () => {
+      chrome.storage.local.get.mockResolvedValue({});
+
+      const result = await StorageService.getSettings();
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('saveSettings', () => {
+    it('saves settings to storage', async () => {
+      const settings = { presets: [] };
+      chrome.storage.local.set.mockResolvedValue(undefined);
+
+      await StorageService.saveSettings(settings);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ [STORAGE_KEYS.SETTINGS]: settings });
+    });
+  });
+
+  describe('getHeldReminders', () => {
+    it('returns held reminders with their reasons from storage', async () => {
+      const held = [{ id: 'a', reason: HOLD_REASONS.QUIET_HOURS }, { id: 'b', reason: HOLD_REASONS.IDLE }];
+      chrome.storage.local.get.mockResolvedValue({ [STORAGE_KEYS.HELD_REMINDERS]: held });
+
+      const result = await StorageService.getHeldReminders();
+      expect(result).toEqual(held);
+      expect(chrome.storage.local.get).toHaveBeenCalledWith(STORAGE_KEYS.HELD_REMINDERS);
+    });
+
+    it('returns an empty array when nothing is held', async () => {
+      chrome.storage.local.get.mockResolvedValue({});
+
+      const result = await StorageService.getHeldReminders();
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('saveHeldReminders', () => {
+    it('saves held reminders to storage', async () => {
+      chrome.storage.local.set.mockResolvedValue(undefined);
+      const held = [{ id: 'a', reason: HOLD_REASONS.IDLE }];
+
+      await StorageService.saveHeldReminders(held);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ [STORAGE_KEYS.HELD_REMINDERS]: held });
+    });
+  });
+
+  describe('getTrash', () => {
+    it('returns trashed reminders', async () => {
+      const trashed = [{ id: 'a', deletedAt: 1000 }];
+      chrome.storage.local.get.mockResolvedValue({ [STORAGE_KEYS.TRASH]: trashed });
+
+      const result = await StorageService.getTrash();
+      expect(result).toEqual(trashed);
+      expect(chrome.storage.local.get).toHaveBeenCalledWith(STORAGE_KEYS.TRASH);
+    });
+
+    it('returns an empty array when the trash is empty', async () => {
+      chrome.storage.local.get.mockResolvedValue({});
+
+      const result = await StorageService.getTrash();
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('saveTrash', () => {
+    it('saves the trashed reminders', async () => {
+      chrome.storage.local.set.mockResolvedValue(undefined);
+
+      await StorageService.saveTrash([{ id: 'a', deletedAt: 1000 }]);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        [STORAGE_KEYS.TRASH]: [{ id: 'a', deletedAt: 1000 }],
+      });
+    });
+  });
+
+  describe('getSchemaVersion', () => {
+    it('returns the recorded version, or null', async () => {
+      chrome.storage.local.get.mockResolvedValue({ [STORAGE_KEYS.SCHEMA_VERSION]: 2 });
+      expect(await StorageService.getSchemaVersion()).toBe(2);
+
+      chrome.storage.local.get.mockResolvedValue({});
+      expect(await StorageService.getSchemaVersion()).toBeNull();
+    });
+  });
+
+  describe('getSchemaData', () => {
+    it('reads reminders, trash, plan and subscription', async () => {
+      chrome.storage.local.get.mockResolvedValue({
+        [STORAGE_KEYS.REMINDERS]: [{ id: 'a' }],
+        [STORAGE_KEYS.USER_PLAN]: { planType: 'free' },
+      });
+
+      const data = await StorageService.getSchemaData();
+
+      expect(data).toEqual({
+        reminders: [{ id: 'a' }],
+        trash: [],
+        userPlan: { planType: 'free' },
+        subscriptionStatus: null,
+      });
+    });
+  });
+
+  describe('saveSchemaData', () => {
+    it('writes the data with its version and removes empty records', async () => {
+      chrome.storage.local.get.mockResolvedValue({});
+      chrome.storage.local.set.mockResolvedValue(undefined);
+      chrome.storage.local.remove.mockResolvedValue(undefined);
+
+      await StorageService.saveSchemaData(
+        { reminders: [{ id: 'a' }], trash: [], userPlan: { planType: 'free' }, subscriptionStatus: null },
+        2
+      );
+
+      // Reminders first; the version is recorded with the last write
+      expect(chrome.storage.local.set).toHaveBeenNthCalledWith(1, {
+        [STORAGE_KEYS.REMINDERS]: [{ id: 'a' }],
+        [STORAGE_KEYS.REMINDERS_VERSION]: 1,
+      });
+      expect(chrome.storage.local.set).toHaveBeenNthCalledWith(2, {
+        [STORAGE_KEYS.TRASH]: [],
+        [STORAGE_KEYS.USER_PLAN]: { planType: 'free' },
+        [STORAGE_KEYS.SCHEMA_VERSION]: 2,
+      });
+      expect(chrome.storage.local.remove).toHaveBeenCalledWith([STORAGE_KEYS.SUBSCRIPTION_STATUS]);
+    });
+
+    it('writes nothing when reminders changed since the expected version', async () => {
+      chrome.storage.local.get.mockResolvedValue({ [STORAGE_KEYS.REMINDERS_VERSION]: 4 });
+
+      await expect(
+        StorageService.saveSchemaData({ reminders: [], trash: [], userPlan: null, subscriptionStatus: null }, 2, 3)
+      ).rejects.toMatchObject({ name: 'VersionConflictError' });
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('clearMigrationBackup', () => {
+    it('removes the backup', async () => {
+      chrome.storage.local.remove.mockResolvedValue(undefined);
+
+      await StorageService.clearMigrationBackup();
+
+      expect(chrome.storage.local.remove).toHaveBeenCalledWith(STORAGE_KEYS.MIGRATION_BACKUP);
+    });
+  });
+
+  describe('saveMigrationBackup', () => {
+    it('saves the backup under its own key', async () => {
+      chrome.storage.local.set.mockResolvedValue(undefined);
+      const backup = { schemaVersion: 1, createdAt: 1000, data: { reminders: [] } };
+
+      await StorageService.saveMigrationBackup(/** @type {any} */ (backup));
+
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ [STORAGE_KEYS.MIGRATION_BACKUP]: backup });
+    });
+  });
+
+  describe('reminder queries without IndexedDB', () => {
+    const reminders = [
+      { id: 'a', chatId: '1@c.us', status: 'pending', scheduledTime: 3000 },
+      { id: 'b', chatId: '2@c.us', status: 'completed', scheduledTime: 1000 },
+      { id: 'c', chatId: '1@c.us', status: 'pending', scheduledTime: 2000 },
+    ];
+
+    beforeEach(() => {
+      chrome.storage.local.get.mockResolvedValue({ [STORAGE_KEYS.REMINDERS]: reminders });
+      chrome.storage.local.set.mockResolvedValue(undefined);
+    });
+
+    it('filters the stored array', async () => {
+      expect(await StorageService.getReminder('b')).toEqual(reminders[1]);
+      expect(await StorageService.getReminder('zzz')).toBeNull();
+      expect((await StorageService.getRemindersByStatus('pending')).map((r) => r.id)).toEqual(['a', 'c']);
+      expect((await StorageService.getRemindersByChatId('1@c.us')).map((r) => r.id)).toEqual(['a', 'c']);
+      expect((await StorageService.getRemindersDueBefore(2000)).map((r) => r.id)).toEqual(['b', 'c']);
+    });
+
+    it('puts and deletes reminders in the array', async () => {
+      await StorageService.putReminders([{ ...reminders[0], status: 'completed' }, { id: 'd' }]);
+      expect(chrome.storage.local.set).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          [STORAGE_KEYS.REMINDERS]: [reminders[1], reminders[2], { ...reminders[0], status: 'completed' }, { id: 'd' }],
+        })
+      );
+
+      await StorageService.deleteReminders(['a', 'zzz']);
+      expect(chrome.storage.local.set).toHaveBeenLastCalledWith(
+        expect.objectContaining({ [STORAGE_KEYS.REMINDERS]: [reminders[1], reminders[2]] })
+      );
+    });
+
+    it('estimates usage from the serialised array', async () => {
+      const usage = await StorageService.estimateUsage();
+
+      expect(usage.usedBytes).toBe(JSON.stringify(reminders).length);
+      expect(usage.quotaBytes).toBeGreaterThan(usage.usedBytes);
+    });
+  });
+
+  describe('onReminderChanges without IndexedDB', () => {
+    it('reports the reminders a storage change added, updated and removed', () => {
+      const callback = jest.fn();
+      StorageService.onReminderChanges(callback);
+
+      chrome.storage.onChanged.callListeners(
+        {
+          [STORAGE_KEYS.REMINDERS]: {
+            oldValue: [{ id: 'a', status: 'pending' }, { id: 'b', status: 'pending' }],
+            newValue: [{ id: 'a', status: 'completed' }, { id: 'c', status: 'pending' }],
+          },
+        },
+        'local'
+      );
+
+      expect(callback).toHaveBeenCalledWith([
+        { type: 'updated', reminder: { id: 'a', status: 'completed' }, previous: { id: 'a', status: 'pending' } },
+        { type: 'added', reminder: { id: 'c', status: 'pending' }, previous: null },
+        { type: 'removed', reminder: { id: 'b', status: 'pending' }, previous: null },
+      ]);
+    });
+  });
+
+  describe('with IndexedDB', () => {
+    beforeEach(() => {
+      /** @type {any} */ (global).indexedDB = createFakeIndexedDB();
+      /** @type {any} */ (global).IDBKeyRange = FakeKeyRange;
+      chrome.storage.local.get.mockResolvedValue({ [STORAGE_KEYS.REMINDERS]: [{ id: 'a', status: 'pending' }] });
+      chrome.storage.local.remove.mockResolvedValue(undefined);
+    });
+
+    afterEach(async () => {
+      await ReminderDb.closeReminderDb();
+      delete (/** @type {any} */ (global).indexedDB);
+      delete (/** @type {any} */ (global).IDBKeyRange);
+      delete (/** @type {any} */ (navigator).storage);
+    });
+
+    it('keeps reminders in the reminder store instead of the array key', async () => {
+      await StorageService.saveReminders([{ id: 'a', status: 'completed' }, { id: 'b', status: 'pending' }]);
+
+      expect(await StorageService.getReminders()).toEqual([
+        { id: 'a', status: 'completed' },
+        { id: 'b', status: 'pending' },
+      ]);
+      expect(await StorageService.getRemindersByStatus('pending')).toEqual([{ id: 'b', status: 'pending' }]);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    it('notifies full-list listeners after each write', async () => {
+      const callback = jest.fn();
+      StorageService.onRemindersChanged(callback);
+
+      await StorageService.deleteReminders(['a']);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(callback).toHaveBeenCalledWith([]);
+    });
+
+    it("estimates usage with the browser's storage estimate", async () => {
+      Object.defineProperty(navigator, 'storage', {
+        configurable: true,
+        value: { estimate: jest.fn().mockResolvedValue({ usage: 5000, quota: 100000 }) },
+      });
+
+      expect(await StorageService.estimateUsage()).toEqual({ usedBytes: 5000, quotaBytes: 100000 });
+    });
+  });
 });
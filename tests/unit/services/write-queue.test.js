@@ -0,0 +1,199 @@
+// @ts-check
+
+const {
+  MAX_ATTEMPTS,
+  createWriteQueue,
+  createVersionedStorage,
+  runMutation,
+} = require('../../../src/services/write-queue');
+
+/**
+ * Returns an error like the storage service's version conflict.
+ * @returns {Error}
+ */
+function conflict() {
+  const err = new Error('Reminders changed since read');
+  err.name = 'VersionConflictError';
+  return err;
+}
+
+/** Lets other pending promise callbacks run */
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('WriteQueue', () => {
+  describe('createWriteQueue', () => {
+    it('runs tasks one at a time, in order', async () => {
+      const queue = createWriteQueue();
+      const events = [];
+      let running = 0;
+      let maxRunning = 0;
+
+      const task = (name) => async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        events.push(`start ${name}`);
+        await tick();
+        events.push(`end ${name}`);
+        running--;
+        return name;
+      };
+
+      const results = await Promise.all(['a', 'b', 'c'].map((name) => queue.enqueue(task(name))));
+
+      expect(results).toEqual(['a', 'b', 'c']);
+      expect(maxRunning).toBe(1);
+      expect(events).toEqual(['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+    });
+
+    it('keeps going after a task fails', async () => {
+      const queue = createWriteQueue();
+
+      const failed = queue.enqueue(async () => {
+        throw new Error('boom');
+      });
+      const next = queue.enqueue(async () => 'ok');
+
+      await expect(failed).rejects.toThrow('boom');
+      await expect(next).resolves.toBe('ok');
+    });
+  });
+
+  describe('createVersionedStorage', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = {
+        getRemindersVersion: jest.fn().mockResolvedValue(7),
+        getReminders: jest.fn().mockResolvedValue([]),
+        saveReminders: jest.fn().mockResolvedValue(undefined),
+        getTrash: jest.fn().mockResolvedValue([]),
+      };
+    });
+
+    it('reads the version before the reminders and writes against it', async () => {
+      const versioned = createVersionedStorage(storage);
+
+      await versioned.getReminders();
+      await versioned.saveReminders([{ id: 'a' }]);
+
+      expect(storage.getRemindersVersion.mock.invocationCallOrder[0]).toBeLessThan(
+        storage.getReminders.mock.invocationCallOrder[0]
+      );
+      expect(storage.saveReminders).toHaveBeenCalledWith([{ id: 'a' }], 7);
+    });
+
+    it('expects its own earlier write on a second write', async () => {
+      const versioned = createVersionedStorage(storage);
+
+      await versioned.saveReminders([]);
+      await versioned.saveReminders([]);
+
+      expect(storage.saveReminders).toHaveBeenLastCalledWith([], 8);
+      expect(storage.getRemindersVersion).toHaveBeenCalledTimes(1);
+    });
+
+    it('writes schema data against the version read with it', async () => {
+      storage.getSchemaData = jest.fn().mockResolvedValue({ reminders: [] });
+      storage.saveSchemaData = jest.fn().mockResolvedValue(undefined);
+      const versioned = createVersionedStorage(storage);
+
+      await versioned.getSchemaData();
+      await versioned.saveSchemaData({ reminders: [] }, 2);
+      await versioned.saveReminders([]);
+
+      expect(storage.saveSchemaData).toHaveBeenCalledWith({ reminders: [] }, 2, 7);
+      expect(storage.saveReminders).toHaveBeenCalledWith([], 8);
+    });
+
+    it('rereads the version after a schema write fails part way', async () => {
+      storage.saveSchemaData = jest.fn().mockRejectedValueOnce(new Error('quota exceeded'));
+      storage.getRemindersVersion.mockResolvedValueOnce(7).mockResolvedValueOnce(8);
+      const versioned = createVersionedStorage(storage);
+
+      await expect(versioned.saveSchemaData({ reminders: [] }, 2)).rejects.toThrow('quota exceeded');
+      await versioned.saveReminders([]);
+
+      expect(storage.saveReminders).toHaveBeenCalledWith([], 8);
+    });
+
+    it('version-checks keyed reads and writes like whole-list ones', async () => {
+      storage.getReminder = jest.fn().mockResolvedValue({ id: 'a' });
+      storage.putReminders = jest.fn().mockResolvedValue(undefined);
+      storage.deleteReminders = jest.fn().mockResolvedValue(undefined);
+      const versioned = createVersionedStorage(storage);
+
+      await versioned.getReminder('a');
+      await versioned.putReminders([{ id: 'a' }]);
+      await versioned.deleteReminders(['b']);
+
+      expect(storage.getRemindersVersion.mock.invocationCallOrder[0]).toBeLessThan(
+        storage.getReminder.mock.invocationCallOrder[0]
+      );
+      expect(storage.putReminders).toHaveBeenCalledWith([{ id: 'a' }], 7);
+      expect(storage.deleteReminders).toHaveBeenCalledWith(['b'], 8);
+    });
+
+    it('passes other storage calls through', async () => {
+      await createVersionedStorage(storage).getTrash();
+
+      expect(storage.getTrash).toHaveBeenCalled();
+    });
+  });
+
+  describe('runMutation', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = {
+        getRemindersVersion: jest.fn().mockResolvedValue(1),
+        getReminders: jest.fn().mockResolvedValue([]),
+        saveReminders: jest.fn().mockResolvedValue(undefined),
+      };
+    });
+
+    it('returns the mutation result', async () => {
+      const result = await runMutation(async () => 'done', { storage, queue: createWriteQueue() });
+
+      expect(result).toBe('done');
+    });
+
+    it('re-runs the mutation with a fresh version after a conflict', async () => {
+      storage.saveReminders.mockRejectedValueOnce(conflict());
+      storage.getRemindersVersion.mockResolvedValueOnce(1).mockResolvedValueOnce(2);
+      const mutation = jest.fn(async (versioned) => {
+        await versioned.getReminders();
+        await versioned.saveReminders([]);
+        return 'saved';
+      });
+
+      await expect(runMutation(mutation, { storage, queue: createWriteQueue() })).resolves.toBe('saved');
+
+      expect(mutation).toHaveBeenCalledTimes(2);
+      expect(storage.saveReminders).toHaveBeenNthCalledWith(1, [], 1);
+      expect(storage.saveReminders).toHaveBeenNthCalledWith(2, [], 2);
+    });
+
+    it('gives up after MAX_ATTEMPTS conflicts', async () => {
+      storage.saveReminders.mockRejectedValue(conflict());
+      const mutation = jest.fn((versioned) => versioned.saveReminders([]));
+
+      await expect(runMutation(mutation, { storage, queue: createWriteQueue() })).rejects.toMatchObject({
+        name: 'VersionConflictError',
+      });
+      expect(mutation).toHaveBeenCalledTimes(MAX_ATTEMPTS);
+    });
+
+    it('does not retry other errors', async () => {
+      const mutation = jest.fn(async () => {
+        const err = new Error('Reminder not found');
+        err.name = 'NotFoundError';
+        throw err;
+      });
+
+      await expect(runMutation(mutation, { storage, queue: createWriteQueue() })).rejects.toThrow(
+        'Reminder not found'
+      );
+      expect(mutation).toHaveBeenCalledTimes(1);
+    });
+  });
+});